@@ -1,69 +1,156 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { PlusIcon } from '@heroicons/react/24/outline';
 
+import { SyncProvider } from './context/SyncContext';
+import { ShortcutProvider, useCommand } from './context/ShortcutContext';
+import { BoardProvider, BoardScope } from './context/BoardContext';
+import { HistoryProvider } from './context/HistoryContext';
 import { TaskProvider } from './context/TaskContext';
 import { TagProvider } from './context/TagContext';
 import { ListProvider } from './context/ListContext';
 
 import GlobalTaskForm from './features/tasks/components/GlobalTaskForm';
 import TaskBoard from './features/lists/components/TaskBoard';
+import BoardSwitcher from './features/boards/components/BoardSwitcher';
+import SearchBar from './features/search/components/SearchBar';
+import StatsSummary from './features/analytics/components/StatsSummary';
+import AnalyticsPanel from './features/analytics/components/AnalyticsPanel';
+import CommandPalette from './features/commands/components/CommandPalette';
+import ShortcutHelp from './features/commands/components/ShortcutHelp';
+import SyncErrors from './common/components/SyncErrors';
+import UndoToast from './common/components/UndoToast';
+import ReminderToasts from './common/components/ReminderToasts';
+import { usePersistentState } from './common/hooks/usePersistentState';
+import { useHydration } from './common/hooks/useHydration';
+import { focusTask } from './common/utils/shortcutUtils';
 
-function App() {
+// Everything inside the providers; the command palette and shortcut help open from anywhere
+function Dashboard() {
   const [showInput, setShowInput] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
+  const [showShortcutHelp, setShowShortcutHelp] = useState(false);
+  // 'lists' or 'kanban', remembered across reloads
+  const [boardView, setBoardView] = usePersistentState('boardView', 'lists');
+  const searchInputRef = useRef(null);
+  // Seed the board from ?seed= in the page URL, if given
+  useHydration({ applyUrlSource: true });
+
+  useCommand('commandPalette', { title: 'Open the command palette', run: () => setShowCommandPalette(!showCommandPalette) });
+  useCommand('newTask', { title: 'New task', run: () => setShowInput(true) });
+  useCommand('search', { title: 'Search', run: () => searchInputRef.current?.focus() });
+  useCommand('toggleAnalytics', { title: showAnalytics ? 'Hide analytics' : 'Show analytics', run: () => setShowAnalytics(!showAnalytics) });
+  useCommand('showShortcuts', { title: 'Show keyboard shortcuts', run: () => setShowShortcutHelp(true) });
+
+  // Jump to a task picked in the command palette; clear the search first so it is shown
+  const handleSelectTask = (taskId) => {
+    setSearchQuery('');
+    setTimeout(() => focusTask(taskId));
+  };
 
   return (
-    <TaskProvider>
-      <TagProvider>
-        <ListProvider>
-          <div className="App min-h-screen bg-gradient-to-br from-primary-50 to-secondary-50 flex flex-col items-center py-12 px-4" data-testid="app">
-            <div className="w-full max-w-6xl">
-              <motion.div 
-                className="mb-6 bg-white rounded-2xl shadow-soft p-6"
-                initial={{ opacity: 0, y: -20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ duration: 0.5 }}
-                data-testid="app-header"
-              >
-                <div className="flex justify-between items-center mb-6">
-                  <h1 className="text-3xl font-bold text-neutral-800 tracking-tight">Task Dashboard</h1>
-                  {/* Stats will be displayed from TaskContext */}
-                </div>
-                
-                <AnimatePresence>
-                  {showInput ? (
-                    <motion.div
-                      initial={{ opacity: 0, height: 0 }}
-                      animate={{ opacity: 1, height: 'auto' }}
-                      exit={{ opacity: 0, height: 0 }}
-                      className="overflow-hidden"
-                      data-testid="task-form-container"
-                    >
-                      <GlobalTaskForm onCancel={() => setShowInput(false)} />
-                    </motion.div>
-                  ) : (
-                    <motion.button
-                      className="flex items-center justify-center w-full py-3 px-4 bg-primary-500 hover:bg-primary-600 text-white rounded-xl font-medium transition-colors"
-                      onClick={() => setShowInput(true)}
-                      whileTap={{ scale: 0.97 }}
-                      initial={{ opacity: 0 }}
-                      animate={{ opacity: 1 }}
-                      data-testid="show-task-form-button"
-                    >
-                      <PlusIcon className="h-5 w-5 mr-2" />
-                      Add New Task
-                    </motion.button>
-                  )}
-                </AnimatePresence>
-              </motion.div>
-              
-              {/* The TaskBoard component now manages all task lists */}
-              <TaskBoard />
+    <>
+      <div className="App min-h-screen bg-gradient-to-br from-primary-50 to-secondary-50 flex flex-col items-center py-12 px-4" data-testid="app">
+        <div className="w-full max-w-6xl">
+          <motion.div 
+            className="mb-6 bg-white rounded-2xl shadow-soft p-6"
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+            data-testid="app-header"
+          >
+            <div className="flex justify-between items-center mb-6">
+              <div className="flex items-center gap-4">
+                <h1 className="text-3xl font-bold text-neutral-800 tracking-tight">Task Dashboard</h1>
+                <BoardSwitcher />
+              </div>
+              <StatsSummary expanded={showAnalytics} onToggle={() => setShowAnalytics(!showAnalytics)} />
+            </div>
+
+            <AnimatePresence>
+              {showAnalytics && (
+                <motion.div
+                  initial={{ opacity: 0, height: 0 }}
+                  animate={{ opacity: 1, height: 'auto' }}
+                  exit={{ opacity: 0, height: 0 }}
+                  className="overflow-hidden mb-6"
+                >
+                  <AnalyticsPanel />
+                </motion.div>
+              )}
+            </AnimatePresence>
+          
+            <AnimatePresence>
+              {showInput ? (
+                <motion.div
+                  initial={{ opacity: 0, height: 0 }}
+                  animate={{ opacity: 1, height: 'auto' }}
+                  exit={{ opacity: 0, height: 0 }}
+                  className="overflow-hidden"
+                  data-testid="task-form-container"
+                >
+                  <GlobalTaskForm onCancel={() => setShowInput(false)} />
+                </motion.div>
+              ) : (
+                <motion.button
+                  className="flex items-center justify-center w-full py-3 px-4 bg-primary-500 hover:bg-primary-600 text-white rounded-xl font-medium transition-colors"
+                  onClick={() => setShowInput(true)}
+                  whileTap={{ scale: 0.97 }}
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  data-testid="show-task-form-button"
+                >
+                  <PlusIcon className="h-5 w-5 mr-2" />
+                  Add New Task
+                </motion.button>
+              )}
+            </AnimatePresence>
+
+            <div className="mt-4">
+              <SearchBar value={searchQuery} onChange={setSearchQuery} inputRef={searchInputRef} />
             </div>
-          </div>
-        </ListProvider>
-      </TagProvider>
-    </TaskProvider>
+          </motion.div>
+        
+          {/* The TaskBoard component now manages all task lists */}
+          <TaskBoard searchQuery={searchQuery} view={boardView} onViewChange={setBoardView} />
+        </div>
+      </div>
+      <SyncErrors />
+      <UndoToast />
+      <ReminderToasts />
+      <AnimatePresence>
+        {showCommandPalette && (
+          <CommandPalette onClose={() => setShowCommandPalette(false)} onSelectTask={handleSelectTask} />
+        )}
+      </AnimatePresence>
+      <AnimatePresence>
+        {showShortcutHelp && <ShortcutHelp onClose={() => setShowShortcutHelp(false)} />}
+      </AnimatePresence>
+    </>
+  );
+}
+
+function App() {
+  return (
+    <SyncProvider>
+      <ShortcutProvider>
+        <BoardProvider>
+          <BoardScope>
+            <HistoryProvider>
+              <TaskProvider>
+                <TagProvider>
+                  <ListProvider>
+                    <Dashboard />
+                  </ListProvider>
+                </TagProvider>
+              </TaskProvider>
+            </HistoryProvider>
+          </BoardScope>
+        </BoardProvider>
+      </ShortcutProvider>
+    </SyncProvider>
   );
 }
 
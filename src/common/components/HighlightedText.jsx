@@ -0,0 +1,31 @@
+import React from 'react';
+import { findMatchRanges } from '../utils/queryParser';
+
+// Render text with the parts matching any of the search terms wrapped in <mark>
+function HighlightedText({ text, terms = [] }) {
+  const ranges = findMatchRanges(text, terms);
+  if (ranges.length === 0) {
+    return <>{text}</>;
+  }
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) {
+      parts.push(text.slice(cursor, start));
+    }
+    parts.push(
+      <mark key={start} className="bg-amber-100 text-inherit rounded-xs" data-testid="search-highlight">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) {
+    parts.push(text.slice(cursor));
+  }
+
+  return <>{parts}</>;
+}
+
+export default HighlightedText;
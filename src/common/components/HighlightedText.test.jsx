@@ -0,0 +1,20 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import HighlightedText from './HighlightedText';
+
+describe('HighlightedText Component', () => {
+  test('renders plain text when nothing matches', () => {
+    const { container } = render(<HighlightedText text="Plan the keynote" terms={['demo']} />);
+
+    expect(container).toHaveTextContent('Plan the keynote');
+    expect(screen.queryByTestId('search-highlight')).not.toBeInTheDocument();
+  });
+
+  test('highlights every match ignoring case and accents', () => {
+    const { container } = render(<HighlightedText text="Café keynote, then KEYNOTE recap" terms={['cafe', 'keynote']} />);
+
+    const highlights = screen.getAllByTestId('search-highlight');
+    expect(highlights.map(mark => mark.textContent)).toEqual(['Café', 'keynote', 'KEYNOTE']);
+    expect(container).toHaveTextContent('Café keynote, then KEYNOTE recap');
+  });
+});
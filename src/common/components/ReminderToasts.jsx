@@ -0,0 +1,56 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { BellAlertIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useReminders } from '../hooks/useReminders';
+import { formatRelativeDate } from '../utils/dateUtils';
+
+// Due reminders of the active board, until they are dismissed or the task is completed
+function ReminderToasts() {
+  const { reminders, dismissReminder } = useReminders();
+  const canAskForNotifications = typeof window !== 'undefined' && window.Notification && window.Notification.permission === 'default';
+
+  return (
+    <div className="fixed top-4 right-4 z-50 flex flex-col gap-2 max-w-sm" data-testid="reminder-toasts">
+      <AnimatePresence>
+        {reminders.map(task => (
+          <motion.div
+            key={task.id}
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, x: 10 }}
+            className="flex items-start gap-2 p-3 bg-amber-50 border border-amber-200 text-amber-800 text-sm rounded-lg shadow-soft"
+            role="status"
+            data-testid={`reminder-${task.id}`}
+          >
+            <BellAlertIcon className="h-5 w-5 shrink-0" />
+            <span className="grow">
+              <span className="block font-medium">{task.title}</span>
+              <span className="block text-xs">Due {formatRelativeDate(task.dueDate)}</span>
+              {canAskForNotifications && (
+                <button
+                  type="button"
+                  onClick={() => window.Notification.requestPermission()}
+                  className="mt-1 text-xs underline hover:text-amber-900"
+                  data-testid="enable-notifications"
+                >
+                  Also notify me outside the app
+                </button>
+              )}
+            </span>
+            <button
+              type="button"
+              onClick={() => dismissReminder(task)}
+              className="p-0.5 text-amber-500 hover:text-amber-700 rounded-full hover:bg-amber-100"
+              aria-label="Dismiss"
+              data-testid={`dismiss-reminder-${task.id}`}
+            >
+              <XMarkIcon className="h-4 w-4" />
+            </button>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default ReminderToasts;
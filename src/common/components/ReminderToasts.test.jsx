@@ -0,0 +1,59 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { vi } from 'vitest';
+import ReminderToasts from './ReminderToasts';
+import { StorageService, createMemoryAdapter } from '../utils/StorageService';
+
+let mockTasks = [];
+
+vi.mock('../../context/TaskContext', () => ({
+  useTaskContext: () => ({ tasks: mockTasks })
+}));
+
+vi.mock('../../context/BoardContext', () => ({
+  useBoardContext: () => ({ boardKey: (name) => `board-1:${name}` })
+}));
+
+describe('ReminderToasts Component', () => {
+  // Due in 10 minutes, so only reminders at least 10 minutes ahead are due
+  const dueDate = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+
+  beforeEach(() => {
+    StorageService.setAdapter(createMemoryAdapter());
+    mockTasks = [
+      { id: 't1', title: 'Rehearse keynote', isCompleted: false, dueDate, reminder: 15 },
+      { id: 't2', title: 'Book venue', isCompleted: false, dueDate, reminder: 0 },
+      { id: 't3', title: 'Print badges', isCompleted: true, dueDate, reminder: 60 }
+    ];
+  });
+
+  test('shows the open tasks whose reminder is due', async () => {
+    render(<ReminderToasts />);
+    await act(() => Promise.resolve());
+
+    expect(screen.getByTestId('reminder-t1')).toHaveTextContent('Rehearse keynote');
+    expect(screen.getByTestId('reminder-t1')).toHaveTextContent('Due ');
+    expect(screen.queryByTestId('reminder-t2')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('reminder-t3')).not.toBeInTheDocument();
+  });
+
+  test('remembers dismissed reminders until the due date moves', async () => {
+    const { unmount } = render(<ReminderToasts />);
+    await act(() => Promise.resolve());
+
+    fireEvent.click(screen.getByTestId('dismiss-reminder-t1'));
+    expect(screen.queryByTestId('reminder-t1')).not.toBeInTheDocument();
+    await act(() => Promise.resolve());
+    unmount();
+
+    const { unmount: unmountAgain } = render(<ReminderToasts />);
+    await act(() => Promise.resolve());
+    expect(screen.queryByTestId('reminder-t1')).not.toBeInTheDocument();
+    unmountAgain();
+
+    mockTasks = [{ ...mockTasks[0], dueDate: new Date(Date.now() + 5 * 60 * 1000).toISOString() }];
+    render(<ReminderToasts />);
+    await act(() => Promise.resolve());
+    expect(screen.getByTestId('reminder-t1')).toBeInTheDocument();
+  });
+});
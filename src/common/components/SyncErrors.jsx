@@ -0,0 +1,40 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ExclamationTriangleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useSyncContext } from '../../context/SyncContext';
+
+function SyncErrors() {
+  const { errors, dismissError } = useSyncContext();
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 max-w-sm" data-testid="sync-errors">
+      <AnimatePresence>
+        {errors.map(error => (
+          <motion.div
+            key={error.id}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, x: 10 }}
+            className="flex items-start gap-2 p-3 bg-rose-50 border border-rose-200 text-rose-700 text-sm rounded-lg shadow-soft"
+            role="alert"
+            data-testid={`sync-error-${error.id}`}
+          >
+            <ExclamationTriangleIcon className="h-5 w-5 shrink-0" />
+            <span className="grow">{error.message}</span>
+            <button
+              type="button"
+              onClick={() => dismissError(error.id)}
+              className="p-0.5 text-rose-500 hover:text-rose-700 rounded-full hover:bg-rose-100"
+              aria-label="Dismiss"
+              data-testid={`dismiss-sync-error-${error.id}`}
+            >
+              <XMarkIcon className="h-4 w-4" />
+            </button>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default SyncErrors;
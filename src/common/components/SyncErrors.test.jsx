@@ -0,0 +1,43 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import SyncErrors from './SyncErrors';
+
+const mockDismissError = vi.fn();
+let mockErrors = [];
+
+vi.mock('../../context/SyncContext', () => ({
+  useSyncContext: () => ({
+    errors: mockErrors,
+    dismissError: mockDismissError
+  })
+}));
+
+describe('SyncErrors Component', () => {
+  beforeEach(() => {
+    mockDismissError.mockClear();
+    mockErrors = [
+      { id: 'e1', message: 'Could not add the task: Server rejected the change (500)' }
+    ];
+  });
+
+  test('renders nothing when there are no errors', () => {
+    mockErrors = [];
+    render(<SyncErrors />);
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('renders each sync error', () => {
+    render(<SyncErrors />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Could not add the task');
+  });
+
+  test('dismisses an error', () => {
+    render(<SyncErrors />);
+
+    fireEvent.click(screen.getByTestId('dismiss-sync-error-e1'));
+    expect(mockDismissError).toHaveBeenCalledWith('e1');
+  });
+});
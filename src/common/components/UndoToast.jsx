@@ -0,0 +1,57 @@
+import React, { useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowUturnLeftIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useHistoryContext } from '../../context/HistoryContext';
+
+// How long the toast stays up after a destructive action
+export const UNDO_TOAST_DURATION = 6000;
+
+function UndoToast() {
+  const { toast, undo, dismissToast } = useHistoryContext();
+
+  useEffect(() => {
+    if (!toast) return;
+    const timeout = setTimeout(dismissToast, UNDO_TOAST_DURATION);
+    return () => clearTimeout(timeout);
+  }, [toast, dismissToast]);
+
+  return (
+    <div className="fixed bottom-4 left-4 z-50 max-w-sm" data-testid="undo-toast-container">
+      <AnimatePresence>
+        {toast && (
+          <motion.div
+            key={toast.id}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, x: -10 }}
+            className="flex items-center gap-3 p-3 bg-neutral-800 text-white text-sm rounded-lg shadow-soft"
+            role="status"
+            data-testid="undo-toast"
+          >
+            <span className="grow">{toast.label}</span>
+            <button
+              type="button"
+              onClick={undo}
+              className="inline-flex items-center font-medium text-primary-200 hover:text-white"
+              data-testid="undo-button"
+            >
+              <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+              Undo
+            </button>
+            <button
+              type="button"
+              onClick={dismissToast}
+              className="p-0.5 text-neutral-400 hover:text-white rounded-full"
+              aria-label="Dismiss"
+              data-testid="dismiss-undo-toast"
+            >
+              <XMarkIcon className="h-4 w-4" />
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default UndoToast;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { vi } from 'vitest';
+import UndoToast, { UNDO_TOAST_DURATION } from './UndoToast';
+
+const mockUndo = vi.fn();
+const mockDismissToast = vi.fn();
+let mockToast = null;
+
+vi.mock('../../context/HistoryContext', () => ({
+  useHistoryContext: () => ({
+    toast: mockToast,
+    undo: mockUndo,
+    dismissToast: mockDismissToast
+  })
+}));
+
+describe('UndoToast Component', () => {
+  beforeEach(() => {
+    mockToast = null;
+    mockUndo.mockClear();
+    mockDismissToast.mockClear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('renders nothing without a destructive action', () => {
+    render(<UndoToast />);
+
+    expect(screen.queryByTestId('undo-toast')).not.toBeInTheDocument();
+  });
+
+  test('offers to undo the last destructive action', () => {
+    mockToast = { id: 'history-1', label: '2 completed tasks deleted' };
+    render(<UndoToast />);
+
+    expect(screen.getByTestId('undo-toast')).toHaveTextContent('2 completed tasks deleted');
+    fireEvent.click(screen.getByTestId('undo-button'));
+    expect(mockUndo).toHaveBeenCalledTimes(1);
+
+    fireEvent.click(screen.getByTestId('dismiss-undo-toast'));
+    expect(mockDismissToast).toHaveBeenCalledTimes(1);
+  });
+
+  test('dismisses itself after a while', () => {
+    vi.useFakeTimers();
+    mockToast = { id: 'history-1', label: 'Task deleted' };
+    render(<UndoToast />);
+
+    act(() => {
+      vi.advanceTimersByTime(UNDO_TOAST_DURATION);
+    });
+    expect(mockDismissToast).toHaveBeenCalledTimes(1);
+  });
+});
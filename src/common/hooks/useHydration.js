@@ -0,0 +1,71 @@
+import { useEffect, useRef } from 'react';
+import { DataHydrationService, HYDRATION_STRATEGIES } from '../utils/DataHydrationService';
+import { useTaskContext } from '../../context/TaskContext';
+import { useTagContext } from '../../context/TagContext';
+import { useListContext } from '../../context/ListContext';
+import { useHistoryContext } from '../../context/HistoryContext';
+import { useSyncContext } from '../../context/SyncContext';
+import { useBoardContext } from '../../context/BoardContext';
+
+const hasChanges = (change) => change.created.length + change.updated.length + change.removed.length > 0;
+
+/**
+ * Load seed data into the active board
+ * @param {Object} options - applyUrlSource: once the board has loaded, seed it from the page URL (see DataHydrationService.getUrlSource)
+ *   and report sample records the default board's hydration left out
+ * @returns {Function} (source, strategy) => Promise<boolean>, resolving to whether the board changed.
+ *   Problems with the seed data are reported as sync errors.
+ */
+export const useHydration = ({ applyUrlSource = false } = {}) => {
+  const { tasks, replaceTasks, isLoaded: tasksLoaded } = useTaskContext();
+  const { tags, replaceTags, isLoaded: tagsLoaded } = useTagContext();
+  const { taskLists, replaceTaskLists, isLoaded: listsLoaded } = useListContext();
+  const { record } = useHistoryContext();
+  const { reportError } = useSyncContext();
+  const { isDefaultBoard } = useBoardContext();
+  const isLoaded = tasksLoaded && tagsLoaded && listsLoaded;
+
+  // Loading takes a moment; combine the seed with the board as it is when it arrives
+  const boardRef = useRef(null);
+  boardRef.current = { tasks, tags, taskLists };
+  const actionsRef = useRef(null);
+  actionsRef.current = { replaceTasks, replaceTags, replaceTaskLists, record, reportError };
+
+  const hydrate = async (source, strategy) => {
+    if (!HYDRATION_STRATEGIES[strategy]) {
+      actionsRef.current.reportError(`Unknown seed strategy "${strategy}"`);
+      return false;
+    }
+    const { board, errors } = await DataHydrationService.loadSource(source);
+    const actions = actionsRef.current;
+    errors.forEach(actions.reportError);
+    if (!board) return false;
+
+    const result = DataHydrationService.applyStrategy(boardRef.current, board, strategy);
+    if (!result || !Object.values(result.changes).some(hasChanges)) return false;
+
+    const { next, changes } = result;
+    // One undoable step for the whole seed
+    actions.record('Seed data loaded', { destructive: strategy === 'replace' });
+    if (hasChanges(changes.tasks)) actions.replaceTasks(next.tasks);
+    if (hasChanges(changes.tags)) actions.replaceTags(next.tags);
+    if (hasChanges(changes.taskLists)) actions.replaceTaskLists(next.taskLists);
+    return true;
+  };
+
+  const urlCheckedRef = useRef(false);
+  useEffect(() => {
+    if (!applyUrlSource || !isLoaded || urlCheckedRef.current) return;
+    urlCheckedRef.current = true;
+    if (isDefaultBoard && DataHydrationService.shouldHydrate()) {
+      DataHydrationService.getInitialErrors().forEach(actionsRef.current.reportError);
+    }
+    const request = DataHydrationService.getUrlSource();
+    if (!request) return;
+    // Seed once: a reload keeps the board as the user left it
+    DataHydrationService.clearUrlSource();
+    hydrate(request.source, request.strategy);
+  });
+
+  return hydrate;
+};
@@ -0,0 +1,84 @@
+import React from 'react';
+import { vi } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import { SyncProvider, useSyncContext } from '../../context/SyncContext';
+import { TaskProvider, useTaskContext } from '../../context/TaskContext';
+import { TagProvider } from '../../context/TagContext';
+import { ListProvider, useListContext } from '../../context/ListContext';
+import { useHydration } from './useHydration';
+import { StorageService, createMemoryAdapter } from '../utils/StorageService';
+import { DataHydrationService } from '../utils/DataHydrationService';
+
+// Minimal consumer that seeds from the URL and shows the board
+function HydrationProbe() {
+  useHydration({ applyUrlSource: true });
+  const { tasks } = useTaskContext();
+  const { taskLists } = useListContext();
+  const { errors } = useSyncContext();
+  return (
+    <div>
+      <p data-testid="tasks">{tasks.map(task => task.title).join(',')}</p>
+      <p data-testid="lists">{taskLists.map(list => list.id).join(',')}</p>
+      {errors.map(error => <p key={error.id} role="alert">{error.message}</p>)}
+    </div>
+  );
+}
+
+const renderAt = async (url) => {
+  window.history.replaceState(null, '', url);
+  render(
+    <SyncProvider baseUrl={null}>
+      <TaskProvider>
+        <TagProvider>
+          <ListProvider>
+            <HydrationProbe />
+          </ListProvider>
+        </TagProvider>
+      </TaskProvider>
+    </SyncProvider>
+  );
+  // Let storage load, then the seed
+  await act(() => Promise.resolve());
+  await act(() => Promise.resolve());
+};
+
+describe('useHydration', () => {
+  beforeEach(() => {
+    StorageService.setAdapter(createMemoryAdapter());
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    vi.restoreAllMocks();
+  });
+
+  test('seeds an empty board from the page URL once', async () => {
+    await renderAt('/?seed=build2025');
+
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Attend Day 1 Keynote');
+    expect(screen.getByTestId('lists')).toHaveTextContent('default,ms-build-2025');
+    expect(window.location.search).toBe('');
+  });
+
+  test('leaves a board that has tasks alone by default', async () => {
+    await StorageService.save('tasks', [{ id: 1, title: 'Mine', description: '', isCompleted: false, tags: [] }]);
+    await renderAt('/?seed=build2025');
+    expect(screen.getByTestId('tasks')).toHaveTextContent(/^Mine$/);
+  });
+
+  test('reports seeds it cannot use', async () => {
+    await renderAt('/?seed=build2025&seedStrategy=overwrite');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Unknown seed strategy "overwrite"');
+    expect(screen.getByTestId('tasks')).toBeEmptyDOMElement();
+  });
+
+  test('reports sample records that were left out of the default board', async () => {
+    vi.spyOn(DataHydrationService, 'shouldHydrate').mockReturnValue(true);
+    vi.spyOn(DataHydrationService, 'getInitialErrors').mockReturnValue(['Sample task 3 has an invalid due date']);
+    await renderAt('/');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Sample task 3 has an invalid due date');
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Attend Day 1 Keynote');
+  });
+});
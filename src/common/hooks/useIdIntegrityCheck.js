@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import { IdService } from '../utils/IdService';
+import { useSyncContext } from '../../context/SyncContext';
+
+/**
+ * Check a collection's ids once it has loaded from storage, giving records with a missing or
+ * duplicate id a new one and telling the user which records changed
+ * @param {string} noun - What the records are, e.g. 'task'
+ * @param {Array} items - Current collection
+ * @param {Function} setItems - State setter for the collection
+ * @param {boolean} isLoaded - Whether stored data has been read
+ * @param {Function} repair - (items) => { items, changes }, e.g. IdService.repairTaskIds
+ * @param {Object} options - { resource, toRecord } to send the repaired records to the sync server;
+ *   { onRepair(changes, repairedItems) } to update records elsewhere that refer to the old ids
+ */
+export const useIdIntegrityCheck = (noun, items, setItems, isLoaded, repair, { resource = null, toRecord = null, onRepair = null } = {}) => {
+  const { reportError, syncCollection } = useSyncContext();
+  const checkedRef = useRef(false);
+
+  useEffect(() => {
+    if (!isLoaded || checkedRef.current) return;
+    checkedRef.current = true;
+    const { items: repaired, changes } = repair(items);
+    if (changes.length === 0) return;
+
+    setItems(repaired);
+    reportError(IdService.describeRepairs(noun, changes));
+    // The new ids are kept locally even when the server rejects them; the failure is reported
+    if (resource) {
+      const toRecords = (records) => toRecord ? records.map(toRecord) : records;
+      syncCollection(resource, toRecords(items), toRecords(repaired), () => {}, `save the repaired ${noun} ids`);
+    }
+    if (onRepair) onRepair(changes, repaired);
+  });
+};
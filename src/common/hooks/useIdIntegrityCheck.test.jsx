@@ -0,0 +1,83 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import { setupServer } from 'msw/node';
+import { SyncProvider, useSyncContext } from '../../context/SyncContext';
+import { TaskProvider, useTaskContext } from '../../context/TaskContext';
+import { ListProvider, useListContext } from '../../context/ListContext';
+import { StorageService, createMemoryAdapter } from '../utils/StorageService';
+import { createMockDatabase, createSyncHandlers } from '../../mocks/handlers';
+
+const BASE_URL = 'http://sync.test/api';
+
+// Minimal consumer that exposes the tasks, the manual task order and the reported problems
+function TaskProbe() {
+  const { tasks } = useTaskContext();
+  const { taskLists } = useListContext();
+  const { errors } = useSyncContext();
+  return (
+    <div>
+      <p data-testid="ids">{tasks.map(task => task.id).join(',')}</p>
+      <p data-testid="task-order">{(taskLists[0].taskOrder || []).join(',')}</p>
+      {errors.map(error => <p key={error.id} role="alert">{error.message}</p>)}
+    </div>
+  );
+}
+
+const renderWithSync = (baseUrl) => render(
+  <SyncProvider baseUrl={baseUrl}>
+    <TaskProvider>
+      <ListProvider>
+        <TaskProbe />
+      </ListProvider>
+    </TaskProvider>
+  </SyncProvider>
+);
+
+const storedTasks = [
+  { id: 7, title: 'Keynote', isCompleted: false, tags: [] },
+  { id: 3, title: 'Recap', isCompleted: false, tags: [] },
+  { id: 7, title: 'Lab', isCompleted: false, tags: [] }
+];
+
+describe('useIdIntegrityCheck', () => {
+  const server = setupServer();
+
+  beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+  afterAll(() => server.close());
+
+  beforeEach(async () => {
+    StorageService.setAdapter(createMemoryAdapter());
+    await StorageService.save('tasks', storedTasks);
+    await StorageService.save('taskLists', [
+      { id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] }, taskOrder: [3, 7] }
+    ]);
+  });
+
+  test('repairs duplicate ids in stored data on startup and reports them', async () => {
+    renderWithSync(null);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('1 task had a missing or duplicate id and got a new one: "Lab"');
+    expect(screen.getByTestId('ids').textContent).toMatch(/^7,3,task-[0-9A-Z]{26}$/);
+  });
+
+  test('keeps repaired tasks in place in the manual task order', async () => {
+    renderWithSync(null);
+
+    await screen.findByRole('alert');
+    const labId = screen.getByTestId('ids').textContent.split(',')[2];
+    await waitFor(() => expect(screen.getByTestId('task-order')).toHaveTextContent(`3,7,${labId}`));
+  });
+
+  test('sends the repaired records to the sync server', async () => {
+    const db = createMockDatabase({
+      tasks: storedTasks,
+      lists: [{ id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] }, taskOrder: [3, 7] }]
+    });
+    server.resetHandlers(...createSyncHandlers(BASE_URL, db));
+    renderWithSync(BASE_URL);
+
+    await waitFor(() => expect(db.tasks.some(task => /^task-/.test(task.id) && task.title === 'Lab')).toBe(true));
+    const lab = db.tasks.find(task => task.title === 'Lab' && task.id !== 7);
+    await waitFor(() => expect(db.lists[0].taskOrder).toEqual([3, 7, lab.id]));
+  });
+});
@@ -0,0 +1,66 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { StorageService } from '../utils/StorageService';
+
+/**
+ * useState that loads its value from storage on mount and writes every change back.
+ * Changes made before the stored value arrives are shown straight away and replayed on top of it
+ * once it has loaded, so an edit made while a slow adapter (IndexedDB) is still reading isn't lost
+ * @param {string} key - Storage key for the collection
+ * @param {*} initialValue - Value used until (or unless) stored data is found
+ * @returns {Array} [value, setValue, isLoaded]
+ */
+export const usePersistentState = (key, initialValue) => {
+  const [value, setValue] = useState(initialValue);
+  const [loadedKey, setLoadedKey] = useState(null);
+  const isLoaded = loadedKey === key;
+  // Updates made while the stored value for `key` is still loading
+  const pendingUpdates = useRef([]);
+  const loadingKey = useRef(key);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadingKey.current = key;
+    pendingUpdates.current = [];
+
+    StorageService.load(key)
+      .then(stored => {
+        if (cancelled) return;
+        const updates = pendingUpdates.current;
+        pendingUpdates.current = [];
+        loadingKey.current = null;
+        if (stored === undefined) return;
+        setValue(updates.reduce((current, update) => typeof update === 'function' ? update(current) : update, stored));
+      })
+      .catch(error => {
+        console.error(`Failed to load "${key}" from storage`, error);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          loadingKey.current = null;
+          setLoadedKey(key);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  useEffect(() => {
+    // Don't write back until stored data has been read, or we'd overwrite it
+    if (!isLoaded) return;
+
+    StorageService.save(key, value).catch(error => {
+      console.error(`Failed to save "${key}" to storage`, error);
+    });
+  }, [key, value, isLoaded]);
+
+  const setPersistentValue = useCallback((update) => {
+    if (loadingKey.current === key) {
+      pendingUpdates.current.push(update);
+    }
+    setValue(update);
+  }, [key]);
+
+  return [value, setPersistentValue, isLoaded];
+};
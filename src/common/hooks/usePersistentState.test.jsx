@@ -0,0 +1,67 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { usePersistentState } from './usePersistentState';
+import { StorageService, createMemoryAdapter } from '../utils/StorageService';
+
+// Minimal consumer that shows the value and appends to it
+function Probe({ storageKey = 'tasks' }) {
+  const [items, setItems, isLoaded] = usePersistentState(storageKey, []);
+  return (
+    <div>
+      <button onClick={() => setItems(prevItems => [...prevItems, 'New'])} data-testid="add">Add</button>
+      <p data-testid="items">{items.join(',')}</p>
+      <p data-testid="loaded">{isLoaded ? 'loaded' : 'loading'}</p>
+    </div>
+  );
+}
+
+// Memory adapter whose loads wait until release() is called, like a slow IndexedDB
+const createSlowAdapter = () => {
+  const adapter = createMemoryAdapter();
+  const waiting = [];
+  return {
+    ...adapter,
+    load: (key) => new Promise(resolve => waiting.push(() => resolve(adapter.load(key)))),
+    // Read the stored envelope without waiting
+    peek: adapter.load,
+    release: () => waiting.splice(0).forEach(resume => resume())
+  };
+};
+
+describe('usePersistentState', () => {
+  beforeEach(() => {
+    StorageService.setAdapter(createMemoryAdapter());
+  });
+
+  test('loads the stored value and saves changes', async () => {
+    await StorageService.save('tasks', ['Keynote']);
+    render(<Probe />);
+    await act(() => Promise.resolve());
+
+    expect(screen.getByTestId('items')).toHaveTextContent('Keynote');
+    expect(screen.getByTestId('loaded')).toHaveTextContent('loaded');
+
+    fireEvent.click(screen.getByTestId('add'));
+    await act(() => Promise.resolve());
+    expect(await StorageService.load('tasks')).toEqual(['Keynote', 'New']);
+  });
+
+  test('keeps changes made before the stored value arrives', async () => {
+    const adapter = createSlowAdapter();
+    StorageService.setAdapter(adapter);
+    await StorageService.save('tasks', ['Keynote']);
+    render(<Probe />);
+
+    fireEvent.click(screen.getByTestId('add'));
+    expect(screen.getByTestId('items')).toHaveTextContent('New');
+    expect(screen.getByTestId('loaded')).toHaveTextContent('loading');
+    // Nothing is written back before the stored value has been read
+    expect((await adapter.peek('tasks')).data).toEqual(['Keynote']);
+
+    await act(async () => {
+      adapter.release();
+    });
+    expect(screen.getByTestId('items')).toHaveTextContent('Keynote,New');
+    expect((await adapter.peek('tasks')).data).toEqual(['Keynote', 'New']);
+  });
+});
@@ -0,0 +1,47 @@
+import { useState, useEffect, useRef } from 'react';
+import { usePersistentState } from './usePersistentState';
+import { useTaskContext } from '../../context/TaskContext';
+import { useBoardContext } from '../../context/BoardContext';
+import { getDueReminders, getReminderKey } from '../utils/reminderUtils';
+import { formatRelativeDate } from '../utils/dateUtils';
+
+// How often due reminders are looked for
+export const REMINDER_CHECK_INTERVAL = 30 * 1000;
+
+/**
+ * Reminders of the active board that are due and haven't been dismissed. Each new one is also
+ * shown as a system notification when the browser allows it
+ * @returns {Object} { reminders: tasks, dismissReminder(task) }
+ */
+export const useReminders = () => {
+  const { tasks } = useTaskContext();
+  const { boardKey } = useBoardContext();
+  const [dismissed, setDismissed] = usePersistentState(boardKey('dismissedReminders'), []);
+  const [now, setNow] = useState(() => new Date());
+  const notifiedRef = useRef(new Set());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), REMINDER_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  const reminders = getDueReminders(tasks, dismissed, now);
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !window.Notification || window.Notification.permission !== 'granted') return;
+    reminders.forEach(task => {
+      const key = getReminderKey(task);
+      if (notifiedRef.current.has(key)) return;
+      notifiedRef.current.add(key);
+      new window.Notification(task.title, { body: `Due ${formatRelativeDate(task.dueDate, now)}` });
+    });
+  });
+
+  const dismissReminder = (task) => {
+    // Forget reminders of tasks that are gone or have moved to another due date
+    const currentKeys = new Set(tasks.map(getReminderKey));
+    setDismissed(prevKeys => [...prevKeys.filter(key => currentKeys.has(key)), getReminderKey(task)]);
+  };
+
+  return { reminders, dismissReminder };
+};
@@ -0,0 +1,373 @@
+import { parseDate } from './dateUtils';
+import { createFilterGroup } from './filterExpression';
+import { diffById, upsertById } from './collectionUtils';
+import { MAX_SUBTASK_DEPTH, createSubtask } from './subtaskUtils';
+import { normalizeTags } from './tagUtils';
+import { validateTasks, validateBoard, collectTags } from './schema';
+import { IdService } from './IdService';
+
+/**
+ * Supported import/export formats
+ */
+export const TRANSFER_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+const CSV_COLUMNS = ['id', 'title', 'description', 'isCompleted', 'tags', 'dueDate', 'startDate', 'priority'];
+
+// Tags are joined with ';' inside a single CSV cell
+const CSV_TAG_SEPARATOR = ';';
+
+const CHECKLIST_PATTERN = /^\s*[-*+]\s+\[([ xX])\]\s+(.*)$/;
+const MARKDOWN_META_PATTERN = /\s+(?:#"([^"]+)"|#([^\s#"]+)|(due|start|priority):(\S+))(?=\s|$)/g;
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Split CSV text into rows of cells, honouring quoted cells with commas, quotes and newlines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const formatMarkdownTag = (tag) => /\s|"/.test(tag) ? `#"${tag.replace(/"/g, '')}"` : `#${tag}`;
+
+// Markdown dates are calendar days in local time, e.g. 2025-05-19
+const formatMarkdownDate = (value) => {
+  const date = parseDate(value);
+  if (!date) return null;
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Subtasks become nested checklist items, two spaces per level
+const formatMarkdownSubtasks = (subtasks = [], level = 1) => {
+  return subtasks.flatMap(subtask => [
+    `${'  '.repeat(level)}- [${subtask.isCompleted ? 'x' : ' '}] ${subtask.title.replace(/\s+/g, ' ')}`,
+    ...formatMarkdownSubtasks(subtask.subtasks, level + 1)
+  ]);
+};
+
+// Tasks and lists that reuse an id from earlier in the same file get a new one.
+// Tasks without an id are fine (most CSV and Markdown files have none); previewImport gives them one.
+const repairImportedIds = ({ board, errors }) => {
+  if (!board) return { board, errors };
+  const taskRepair = IdService.repairTaskIds(board.tasks, { allowMissing: true });
+  const repairedErrors = taskRepair.changes.length > 0 ? [...errors, IdService.describeRepairs('task', taskRepair.changes)] : errors;
+  if (!board.taskLists) return { board: { ...board, tasks: taskRepair.items }, errors: repairedErrors };
+
+  const listRepair = IdService.repairIds(board.taskLists, 'list');
+  return {
+    board: { ...board, tasks: taskRepair.items, taskLists: listRepair.items },
+    errors: listRepair.changes.length > 0 ? [...repairedErrors, IdService.describeRepairs('list', listRepair.changes)] : repairedErrors
+  };
+};
+
+// Merge imported tags into the current ones by name; imports can add a colour or description but never clear one
+const mergeTags = (currentTags, incomingTags) => {
+  const incomingByName = new Map(normalizeTags(incomingTags).map(tag => [tag.name, tag]));
+  const merged = currentTags.map(tag => {
+    const incoming = incomingByName.get(tag.name);
+    return incoming
+      ? { ...tag, color: incoming.color || tag.color, description: incoming.description || tag.description }
+      : tag;
+  });
+  return normalizeTags([...merged, ...incomingByName.values()]);
+};
+
+/**
+ * Service to move boards in and out of the app as files
+ */
+export const BoardTransferService = {
+  /**
+   * Export the full board in the same shape as initialData.json
+   * @param {Object} board - { tasks, tags, taskLists }
+   * @returns {string} JSON text
+   */
+  exportJSON: ({ tasks, tags, taskLists }) => {
+    return JSON.stringify({ taskLists, tags, tasks }, null, 2);
+  },
+
+  /**
+   * Export tasks as CSV, one row per task, with tags separated by ';'
+   * @param {Array} tasks
+   * @returns {string} CSV text
+   */
+  exportCSV: (tasks) => {
+    const rows = tasks.map(task => [
+      task.id,
+      task.title,
+      task.description || '',
+      task.isCompleted ? 'true' : 'false',
+      (task.tags || []).join(CSV_TAG_SEPARATOR),
+      task.dueDate || '',
+      task.startDate || '',
+      task.priority || ''
+    ].map(escapeCsvValue).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  },
+
+  /**
+   * Export tasks as a GitHub-flavoured Markdown checklist
+   * @example
+   * // - [x] Attend Day 1 Keynote #Build #Keynote due:2025-05-19 priority:P1
+   * //   Main conference keynote with major announcements
+   * //   - [ ] Book a seat
+   * @param {Array} tasks
+   * @param {string} title - Optional heading
+   * @returns {string} Markdown text
+   */
+  exportMarkdown: (tasks, title = 'Tasks') => {
+    const lines = tasks.map(task => {
+      const dueDate = formatMarkdownDate(task.dueDate);
+      const startDate = formatMarkdownDate(task.startDate);
+      const parts = [
+        `- [${task.isCompleted ? 'x' : ' '}] ${task.title.replace(/\s+/g, ' ')}`,
+        ...(task.tags || []).map(formatMarkdownTag),
+        ...(startDate ? [`start:${startDate}`] : []),
+        ...(dueDate ? [`due:${dueDate}`] : []),
+        ...(task.priority ? [`priority:${task.priority}`] : [])
+      ];
+      const description = (task.description || '').trim()
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => `  ${line.trim()}`);
+      return [parts.join(' '), ...description, ...formatMarkdownSubtasks(task.subtasks)].join('\n');
+    });
+    return `${title ? `# ${title}\n\n` : ''}${lines.join('\n')}\n`;
+  },
+
+  /**
+   * Guess the format of imported text from the file name, or from its content
+   * @param {string} text
+   * @param {string} fileName - Optional
+   * @returns {string} 'json', 'csv' or 'markdown'
+   */
+  detectFormat: (text, fileName = '') => {
+    const extension = fileName.split('.').pop().toLowerCase();
+    const byExtension = Object.keys(TRANSFER_FORMATS)
+      .find(format => TRANSFER_FORMATS[format].extension === extension || format === extension);
+    if (fileName.includes('.') && byExtension) return byExtension;
+
+    const trimmed = (text || '').trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+    if (trimmed.split('\n').some(line => CHECKLIST_PATTERN.test(line))) return 'markdown';
+    return 'csv';
+  },
+
+  /**
+   * Parse and validate imported text.
+   * Invalid tasks or lists are skipped and reported in `errors`; `board` is null when nothing could be read.
+   * Tasks or lists reusing an id from earlier in the file get a new one, which is reported too.
+   * Collections the format doesn't carry (lists in CSV, for example) are left out of `board`.
+   * @param {string} text
+   * @param {string} format - 'json', 'csv' or 'markdown'
+   * @returns {Object} { board: { tasks, tags, taskLists? } | null, errors: Array<string> }
+   */
+  parse: (text, format) => {
+    if (!text || !text.trim()) {
+      return { board: null, errors: ['The file is empty'] };
+    }
+    if (format === 'json') return repairImportedIds(BoardTransferService.parseJSON(text));
+    if (format === 'csv') return repairImportedIds(BoardTransferService.parseCSV(text));
+    if (format === 'markdown') return repairImportedIds(BoardTransferService.parseMarkdown(text));
+    return { board: null, errors: [`Unsupported format "${format}"`] };
+  },
+
+  /**
+   * Parse a JSON board export, or a bare array of tasks
+   * @param {string} text
+   * @returns {Object} { board, errors }
+   */
+  parseJSON: (text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { board: null, errors: [`The file is not valid JSON: ${error.message}`] };
+    }
+    if (!Array.isArray(data) && !(data && typeof data === 'object' && Array.isArray(data.tasks))) {
+      return { board: null, errors: ['The JSON must contain a "tasks" array'] };
+    }
+    return validateBoard(data);
+  },
+
+  /**
+   * Parse tasks from CSV with a header row; only the title column is required
+   * @param {string} text
+   * @returns {Object} { board, errors }
+   */
+  parseCSV: (text) => {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+      return { board: null, errors: ['The CSV is empty'] };
+    }
+    const columns = header.map(name => name.trim());
+    if (!columns.includes('title') && !columns.includes('text')) {
+      return { board: null, errors: ['The CSV needs a "title" column'] };
+    }
+
+    const rawTasks = rows.map(cells => {
+      const raw = {};
+      columns.forEach((column, index) => {
+        const value = cells[index] !== undefined ? cells[index] : '';
+        if (column === 'tags') {
+          raw.tags = value.split(CSV_TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+        } else if (column === 'id') {
+          if (value.trim()) raw.id = /^\d+$/.test(value.trim()) ? Number(value) : value.trim();
+        } else if (column) {
+          raw[column] = value;
+        }
+      });
+      return raw;
+    });
+
+    const { tasks, errors } = validateTasks(rawTasks, index => `Row ${index + 2}`);
+    return { board: { tasks, tags: normalizeTags(collectTags(tasks)) }, errors };
+  },
+
+  /**
+   * Parse tasks from a Markdown checklist; other lines are ignored,
+   * indented checklist items become subtasks and other indented lines under an item become its description
+   * @param {string} text
+   * @returns {Object} { board, errors }
+   */
+  parseMarkdown: (text) => {
+    const rawTasks = [];
+    const errors = [];
+    // Checklist items above the current line that may parent a nested item, with their indentation
+    let parents = [];
+
+    text.split(/\r?\n/).forEach(line => {
+      const match = line.match(CHECKLIST_PATTERN);
+      const indent = line.match(/^\s*/)[0].replace(/\t/g, '  ').length;
+      if (match && indent >= 2 && parents.length > 0) {
+        // Nested item: a subtask of the closest less indented item
+        while (parents.length > 1 && parents[parents.length - 1].indent >= indent) parents.pop();
+        while (parents.length > MAX_SUBTASK_DEPTH) parents.pop();
+        const parent = parents[parents.length - 1].node;
+        const subtask = {
+          ...createSubtask(` ${match[2]}`.replace(MARKDOWN_META_PATTERN, '').trim()),
+          isCompleted: match[1] !== ' '
+        };
+        parent.subtasks = [...(parent.subtasks || []), subtask];
+        parents.push({ indent, node: subtask });
+      } else if (match) {
+        const raw = { isCompleted: match[1] !== ' ', tags: [] };
+        const title = ` ${match[2]}`.replace(MARKDOWN_META_PATTERN, (_, quotedTag, tag, field, value) => {
+          if (quotedTag || tag) {
+            raw.tags.push(quotedTag || tag);
+          } else if (field === 'priority') {
+            raw.priority = value.toUpperCase();
+          } else if (/^\d{4}-\d{2}-\d{2}$/.test(value) && parseDate(value)) {
+            const [year, month, day] = value.split('-').map(Number);
+            raw[field === 'due' ? 'dueDate' : 'startDate'] = new Date(year, month - 1, day).toISOString();
+          } else {
+            errors.push(`"${value}" is not a valid date`);
+          }
+          return '';
+        });
+        raw.title = title.trim();
+        rawTasks.push(raw);
+        parents = [{ indent, node: raw }];
+      } else if (rawTasks.length > 0 && /^\s{2,}\S/.test(line) && !/^\s*[-*+]\s/.test(line)) {
+        const task = rawTasks[rawTasks.length - 1];
+        task.description = task.description ? `${task.description}\n${line.trim()}` : line.trim();
+      }
+    });
+
+    if (rawTasks.length === 0) {
+      return { board: null, errors: ['No checklist items ("- [ ] task") were found'] };
+    }
+    const validated = validateTasks(rawTasks, index => `Item ${index + 1}`);
+    return { board: { tasks: validated.tasks, tags: normalizeTags(collectTags(validated.tasks)) }, errors: [...errors, ...validated.errors] };
+  },
+
+  /**
+   * Work out the board that results from an import, and what changes
+   * 'merge' updates tasks and lists with matching ids and adds the rest;
+   * 'replace' swaps out every collection the import contains.
+   * Imported tasks without an id get a new one.
+   * @param {Object} current - { tasks, tags, taskLists }
+   * @param {Object} incoming - Board returned by parse()
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Object} { next: board, changes: { tasks, tags, taskLists } } where each change is { created, updated, removed }
+   */
+  previewImport: (current, incoming, mode = 'merge') => {
+    const incomingTasks = incoming.tasks.map(task => task.id !== undefined ? task : { ...task, id: IdService.createId('task') });
+
+    let next;
+    if (mode === 'replace') {
+      const taskLists = incoming.taskLists || current.taskLists;
+      next = {
+        tasks: incomingTasks,
+        tags: normalizeTags([...(incoming.tags || []), ...collectTags(incomingTasks)]),
+        // The default list always exists
+        taskLists: taskLists.some(list => list.id === 'default')
+          ? taskLists
+          : [{ id: 'default', title: 'All Tasks', filters: createFilterGroup() }, ...taskLists]
+      };
+    } else {
+      next = {
+        tasks: upsertById(current.tasks, incomingTasks),
+        tags: mergeTags(current.tags, [...(incoming.tags || []), ...collectTags(incomingTasks)]),
+        taskLists: incoming.taskLists ? upsertById(current.taskLists, incoming.taskLists) : current.taskLists
+      };
+    }
+
+    // Tags are compared by name, since imported tags have their own ids
+    const byName = (tags) => tags.map(({ name, color, description }) => ({ id: name, color, description }));
+    const tagChanges = diffById(byName(current.tags), byName(next.tags));
+    return {
+      next,
+      changes: {
+        tasks: diffById(current.tasks, next.tasks),
+        tags: {
+          created: tagChanges.created.map(tag => tag.id),
+          updated: tagChanges.updated.map(tag => tag.id),
+          removed: tagChanges.removed.map(tag => tag.id)
+        },
+        taskLists: diffById(current.taskLists, next.taskLists)
+      }
+    };
+  }
+};
@@ -0,0 +1,205 @@
+import { BoardTransferService } from './BoardTransferService';
+import { normalizeTags } from './tagUtils';
+import initialData from '../../data/initialData.json';
+
+describe('BoardTransferService', () => {
+  const tasks = [
+    {
+      id: 1,
+      title: 'Keynote, day 1',
+      description: 'Say "hello"\nThen demo',
+      isCompleted: false,
+      tags: ['Build', 'Dev Ops'],
+      dueDate: new Date(2025, 4, 19, 9, 0).toISOString(),
+      priority: 'P1'
+    },
+    { id: 2, title: 'Lab', description: '', isCompleted: true, tags: [] }
+  ];
+  const board = {
+    tasks,
+    tags: normalizeTags(['Build', { id: 'tag-1', name: 'Dev Ops', color: 'sky', description: 'Pipelines' }]),
+    taskLists: [{ id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] } }]
+  };
+
+  test('exports JSON in the shape of initialData.json', () => {
+    const exported = JSON.parse(BoardTransferService.exportJSON(board));
+    expect(Object.keys(exported)).toEqual(Object.keys(initialData));
+    expect(exported.tasks).toEqual(tasks);
+  });
+
+  test('round-trips JSON, including the sample data', () => {
+    const { board: imported, errors } = BoardTransferService.parse(BoardTransferService.exportJSON(board), 'json');
+    expect(errors).toEqual([]);
+    expect(imported).toEqual(board);
+
+    const sample = BoardTransferService.parse(JSON.stringify(initialData), 'json');
+    expect(sample.errors).toEqual([]);
+    expect(sample.board.tasks).toHaveLength(initialData.tasks.length);
+    expect(sample.board.taskLists[1].filters).toEqual({ op: 'and', children: [{ type: 'tag', value: 'Build' }] });
+  });
+
+  test('round-trips CSV with quoted cells', () => {
+    const csv = BoardTransferService.exportCSV(tasks);
+    expect(csv.split('\n')[0]).toBe('id,title,description,isCompleted,tags,dueDate,startDate,priority');
+    expect(csv).toContain('"Keynote, day 1","Say ""hello""\nThen demo",false,Build;Dev Ops');
+
+    const { board: imported, errors } = BoardTransferService.parse(csv, 'csv');
+    expect(errors).toEqual([]);
+    expect(imported.tasks[0]).toEqual({ ...tasks[0], startDate: null });
+    expect(imported.tasks[1]).toEqual({ ...tasks[1], dueDate: null, startDate: null, priority: null });
+    expect(imported.tags.map(tag => tag.name)).toEqual(['Build', 'Dev Ops']);
+    expect(imported.taskLists).toBeUndefined();
+  });
+
+  test('round-trips Markdown checklists', () => {
+    const markdown = BoardTransferService.exportMarkdown(tasks);
+    expect(markdown).toBe(
+      '# Tasks\n\n' +
+      '- [ ] Keynote, day 1 #Build #"Dev Ops" due:2025-05-19 priority:P1\n' +
+      '  Say "hello"\n' +
+      '  Then demo\n' +
+      '- [x] Lab\n'
+    );
+
+    const { board: imported, errors } = BoardTransferService.parse(markdown, 'markdown');
+    expect(errors).toEqual([]);
+    expect(imported.tasks).toEqual([
+      {
+        title: 'Keynote, day 1',
+        description: 'Say "hello"\nThen demo',
+        isCompleted: false,
+        tags: ['Build', 'Dev Ops'],
+        dueDate: new Date(2025, 4, 19).toISOString(),
+        priority: 'P1'
+      },
+      { title: 'Lab', description: '', isCompleted: true, tags: [] }
+    ]);
+  });
+
+  test('round-trips nested subtasks as indented checklist items', () => {
+    const withSubtasks = [{
+      ...tasks[1],
+      subtasks: [
+        { id: 's1', title: 'Book room', isCompleted: true, subtasks: [
+          { id: 's2', title: 'Ask facilities', isCompleted: false, subtasks: [] }
+        ] },
+        { id: 's3', title: 'Print notes', isCompleted: false, subtasks: [] }
+      ]
+    }];
+    const markdown = BoardTransferService.exportMarkdown(withSubtasks);
+    expect(markdown).toBe(
+      '# Tasks\n\n' +
+      '- [x] Lab\n' +
+      '  - [x] Book room\n' +
+      '    - [ ] Ask facilities\n' +
+      '  - [ ] Print notes\n'
+    );
+
+    const { board: imported, errors } = BoardTransferService.parse(markdown, 'markdown');
+    expect(errors).toEqual([]);
+    expect(imported.tasks).toHaveLength(1);
+    const [room, notes] = imported.tasks[0].subtasks;
+    expect(room).toMatchObject({ title: 'Book room', isCompleted: true });
+    expect(room.subtasks).toEqual([expect.objectContaining({ title: 'Ask facilities', isCompleted: false })]);
+    expect(notes).toMatchObject({ title: 'Print notes', isCompleted: false, subtasks: [] });
+  });
+
+  test('skips invalid tasks and reports why', () => {
+    const json = JSON.stringify({
+      tasks: [
+        { id: 1, title: 'Valid' },
+        { id: 2 },
+        { id: 3, title: 'Bad date', dueDate: 'someday' },
+        { id: 4, title: 'Bad tags', tags: 'Build' },
+        { id: 5, title: 'Bad priority', priority: 'urgent' },
+        { id: 6, title: 'Bad repeat', recurrence: { frequency: 'hourly' } }
+      ],
+      taskLists: [{ title: 'No id' }]
+    });
+    const { board: imported, errors } = BoardTransferService.parse(json, 'json');
+
+    expect(imported.tasks.map(task => task.title)).toEqual(['Valid']);
+    expect(errors).toEqual([
+      'Task 2 has no title',
+      'Task 3 has an invalid due date',
+      'Task 4 has tags that are not a list of names',
+      'Task 5 has an unknown priority "urgent"',
+      'Task 6 has an invalid repeat rule',
+      'List 1 has no id'
+    ]);
+  });
+
+  test('rejects files it cannot read', () => {
+    expect(BoardTransferService.parse('{ nope', 'json').board).toBeNull();
+    expect(BoardTransferService.parse('{"lists": []}', 'json').errors).toEqual(['The JSON must contain a "tasks" array']);
+    expect(BoardTransferService.parse('name,done\nA,true', 'csv').errors).toEqual(['The CSV needs a "title" column']);
+    expect(BoardTransferService.parse(',,\n ,\n', 'csv')).toEqual({ board: null, errors: ['The CSV is empty'] });
+    expect(BoardTransferService.parse('Just some notes', 'markdown').board).toBeNull();
+    expect(BoardTransferService.parse('  ', 'json').errors).toEqual(['The file is empty']);
+  });
+
+  test('detects the format from the file name or content', () => {
+    expect(BoardTransferService.detectFormat('', 'board.json')).toBe('json');
+    expect(BoardTransferService.detectFormat('', 'tasks.MD')).toBe('markdown');
+    expect(BoardTransferService.detectFormat('[{"title": "A"}]')).toBe('json');
+    expect(BoardTransferService.detectFormat('# Todo\n- [ ] A')).toBe('markdown');
+    expect(BoardTransferService.detectFormat('title\nA')).toBe('csv');
+  });
+
+  test('gives tasks that reuse an id from the same file a new one', () => {
+    const csv = 'id,title\n5,Keynote\n5,Lab\n,Recap';
+    const { board: imported, errors } = BoardTransferService.parse(csv, 'csv');
+
+    expect(imported.tasks.map(task => task.title)).toEqual(['Keynote', 'Lab', 'Recap']);
+    expect(imported.tasks[0].id).toBe(5);
+    expect(imported.tasks[1].id).toMatch(/^task-/);
+    expect(imported.tasks[2].id).toBeUndefined();
+    expect(errors).toEqual(['1 task had a missing or duplicate id and got a new one: "Lab"']);
+  });
+
+  test('previews merging an import', () => {
+    const incoming = {
+      tasks: [{ ...tasks[1], isCompleted: false }, { title: 'New task', description: '', isCompleted: false, tags: ['AI'] }],
+      tags: ['AI']
+    };
+    const { next, changes } = BoardTransferService.previewImport(board, incoming, 'merge');
+
+    expect(next.tasks.map(task => task.id)).toEqual([1, 2, expect.stringMatching(/^task-/)]);
+    expect(changes.tasks.created.map(task => task.title)).toEqual(['New task']);
+    expect(changes.tasks.updated.map(task => task.title)).toEqual(['Lab']);
+    expect(changes.tasks.removed).toEqual([]);
+    expect(changes.tags).toEqual({ created: ['AI'], updated: [], removed: [] });
+    expect(next.tags.find(tag => tag.name === 'Dev Ops')).toEqual(board.tags[1]);
+    expect(next.taskLists).toBe(board.taskLists);
+  });
+
+  test('merges imported tag records by name', () => {
+    const incoming = {
+      tasks: [],
+      tags: normalizeTags([{ name: 'Build', color: 'red' }, 'Dev Ops', 'Events/Universe'])
+    };
+    const { next, changes } = BoardTransferService.previewImport(board, incoming, 'merge');
+
+    expect(changes.tags).toEqual({ created: ['Events', 'Events/Universe'], updated: ['Build'], removed: [] });
+    expect(next.tags.find(tag => tag.name === 'Build')).toEqual({ ...board.tags[0], color: 'red' });
+    // Names without details keep the current colour and description
+    expect(next.tags.find(tag => tag.name === 'Dev Ops')).toEqual(board.tags[1]);
+    const events = next.tags.find(tag => tag.name === 'Events');
+    expect(next.tags.find(tag => tag.name === 'Events/Universe').parentId).toBe(events.id);
+  });
+
+  test('previews replacing the board, keeping the default list', () => {
+    const incoming = {
+      tasks: [{ id: 9, title: 'Only task', description: '', isCompleted: false, tags: [] }],
+      tags: [],
+      taskLists: [{ id: 'work', title: 'Work', filters: { op: 'and', children: [] } }]
+    };
+    const { next, changes } = BoardTransferService.previewImport(board, incoming, 'replace');
+
+    expect(changes.tasks.removed.map(task => task.id)).toEqual([1, 2]);
+    expect(changes.tasks.created.map(task => task.id)).toEqual([9]);
+    expect(changes.tags.removed).toEqual(['Build', 'Dev Ops']);
+    expect(next.taskLists.map(list => list.id)).toEqual(['default', 'work']);
+    expect(changes.taskLists.created.map(list => list.id)).toEqual(['work']);
+  });
+});
@@ -1,4 +1,36 @@
 import initialData from '../../data/initialData.json';
+import { validateTasks, validateTags, validateTaskLists, validateBoard } from './schema';
+import { BoardTransferService } from './BoardTransferService';
+
+// One conference from the sample data: its tasks, its list and the "All Tasks" list
+const pickConference = (tag, listId) => ({
+  tasks: initialData.tasks.filter(task => task.tags.includes(tag)),
+  taskLists: initialData.taskLists.filter(list => list.id === 'default' || list.id === listId)
+});
+
+/**
+ * Bundled seed data, by the name used in `?seed=<name>`
+ */
+export const SEED_TEMPLATES = {
+  conference2025: { name: 'Build and Universe 2025', data: initialData },
+  build2025: { name: 'Microsoft Build 2025', data: pickConference('Build', 'ms-build-2025') },
+  universe2025: { name: 'GitHub Universe 2025', data: pickConference('Universe', 'github-universe-2025') }
+};
+
+/**
+ * How seed data is combined with the board's existing data
+ */
+export const HYDRATION_STRATEGIES = {
+  'skip-if-nonempty': 'Only if the board has no tasks',
+  'merge-by-id': 'Merge, updating records with the same id',
+  replace: 'Replace the board'
+};
+
+const DEFAULT_STRATEGY = 'skip-if-nonempty';
+
+// Query parameters read by getUrlSource
+const SEED_PARAM = 'seed';
+const STRATEGY_PARAM = 'seedStrategy';
 
 /**
  * Service to hydrate the application with initial sample data
@@ -6,27 +38,33 @@ import initialData from '../../data/initialData.json';
 export const DataHydrationService = {
   /**
    * Load sample task lists into the application
-   * @returns {Array} Array of sample task lists
+   * Flat filter arrays in the sample data are converted to filter expressions
+   * @returns {Array} Array of sample task lists; invalid ones are left out (see getInitialErrors)
    */
-  getInitialTaskLists: () => {
-    return initialData.taskLists;
-  },
+  getInitialTaskLists: () => validateTaskLists(initialData.taskLists).taskLists,
 
   /**
    * Load sample tags into the application
-   * @returns {Array} Array of sample tags
+   * @returns {Array} Array of sample tag records; invalid ones are left out (see getInitialErrors)
    */
-  getInitialTags: () => {
-    return initialData.tags;
-  },
+  getInitialTags: () => validateTags(initialData.tags).tags,
 
   /**
    * Load sample tasks into the application
-   * @returns {Array} Array of sample tasks
+   * @returns {Array} Array of sample tasks; invalid ones are left out (see getInitialErrors)
    */
-  getInitialTasks: () => {
-    return initialData.tasks;
-  },
+  getInitialTasks: () => validateTasks(initialData.tasks).tasks,
+
+  /**
+   * Describe the sample records the getInitial* methods leave out, since the sample data goes
+   * through the same validators as imports
+   * @returns {Array<string>} Messages, e.g. 'Sample task 3 has an invalid due date'
+   */
+  getInitialErrors: () => [
+    ...validateTasks(initialData.tasks, index => `Sample task ${index + 1}`).errors,
+    ...validateTags(initialData.tags).errors,
+    ...validateTaskLists(initialData.taskLists, index => `Sample list ${index + 1}`).errors
+  ],
 
   /**
    * Check if the application should be hydrated with sample data
@@ -37,5 +75,92 @@ export const DataHydrationService = {
     // Check if the VITE_ENABLE_DATA_HYDRATION environment variable is set to 'true'
     // This allows controlling hydration via build configuration or environment
     return import.meta.env.VITE_ENABLE_DATA_HYDRATION === 'true';
+  },
+
+  /**
+   * Read the seed source requested in the page URL, e.g. `?seed=build2025&seedStrategy=merge-by-id`.
+   * The value is a template name, or the path of a JSON endpoint on this site such as `/seeds/team.json`.
+   * @param {Location} location - Page location, replaceable in tests
+   * @returns {Object|null} { source, strategy } or null when no seed was requested
+   */
+  getUrlSource: (location = window.location) => {
+    const params = new URLSearchParams(location.search);
+    const seed = params.get(SEED_PARAM);
+    if (!seed) return null;
+
+    const strategy = params.get(STRATEGY_PARAM) || DEFAULT_STRATEGY;
+    const isPath = /^(\/|\.\/|https?:)/.test(seed);
+    return {
+      source: isPath ? { type: 'endpoint', url: seed } : { type: 'template', name: seed },
+      strategy
+    };
+  },
+
+  /**
+   * Remove the seed parameters from the page URL, so a reload doesn't seed again
+   * @param {Location} location
+   * @param {History} history
+   */
+  clearUrlSource: (location = window.location, history = window.history) => {
+    const url = new URL(location.href);
+    url.searchParams.delete(SEED_PARAM);
+    url.searchParams.delete(STRATEGY_PARAM);
+    history.replaceState(history.state, '', url.toString());
+  },
+
+  /**
+   * Load and validate seed data
+   * @param {Object} source - { type: 'template', name }, { type: 'endpoint', url } or { type: 'file', file }
+   * @returns {Promise<Object>} { board, errors } as validateBoard; board is null when nothing could be read
+   */
+  loadSource: async (source) => {
+    if (source.type === 'template') {
+      const template = SEED_TEMPLATES[source.name];
+      if (!template) return { board: null, errors: [`There is no seed data called "${source.name}"`] };
+      return validateBoard(template.data);
+    }
+
+    let text;
+    try {
+      if (source.type === 'endpoint') {
+        // Only this site's endpoints, so a link can't pull in data from elsewhere
+        const url = new URL(source.url, window.location.origin);
+        if (url.origin !== window.location.origin) {
+          return { board: null, errors: [`Seed data must come from this site, not ${url.origin}`] };
+        }
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`.trim());
+        text = await response.text();
+      } else if (source.type === 'file') {
+        text = await source.file.text();
+      } else {
+        return { board: null, errors: [`Unknown seed source "${source.type}"`] };
+      }
+    } catch (error) {
+      return { board: null, errors: [`Could not load the seed data: ${error.message}`] };
+    }
+
+    try {
+      return validateBoard(JSON.parse(text));
+    } catch (error) {
+      return { board: null, errors: [`The seed data is not valid JSON: ${error.message}`] };
+    }
+  },
+
+  /**
+   * Combine seed data with the current board
+   * 'replace' swaps out every collection the seed contains; 'merge-by-id' updates tasks and lists
+   * with matching ids and adds the rest; 'skip-if-nonempty' replaces the board only while it has no tasks.
+   * @param {Object} current - { tasks, tags, taskLists }
+   * @param {Object} seed - Board returned by loadSource()
+   * @param {string} strategy - One of HYDRATION_STRATEGIES
+   * @returns {Object|null} { next, changes } as BoardTransferService.previewImport, or null when the seed is skipped
+   */
+  applyStrategy: (current, seed, strategy = DEFAULT_STRATEGY) => {
+    if (!HYDRATION_STRATEGIES[strategy]) {
+      throw new Error(`Unknown hydration strategy "${strategy}"`);
+    }
+    if (strategy === 'skip-if-nonempty' && current.tasks.length > 0) return null;
+    return BoardTransferService.previewImport(current, seed, strategy === 'merge-by-id' ? 'merge' : 'replace');
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,108 @@
+import { http, HttpResponse } from 'msw';
+import { setupServer } from 'msw/node';
+import { vi } from 'vitest';
+import { DataHydrationService, SEED_TEMPLATES } from './DataHydrationService';
+
+const server = setupServer();
+// jsdom's File has no text(), so stand in for files picked by the user
+const jsonFile = (content) => ({ name: 'seed.json', text: async () => content });
+const origin = window.location.origin;
+
+const current = {
+  tasks: [{ id: 1, title: 'Mine', description: '', isCompleted: false, tags: [] }],
+  tags: [],
+  taskLists: [{ id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] } }]
+};
+const seed = {
+  tasks: [
+    { id: 1, title: 'Seeded', description: '', isCompleted: true, tags: [] },
+    { id: 2, title: 'Also seeded', description: '', isCompleted: false, tags: ['Build'] }
+  ],
+  tags: [{ id: 'tag-1', name: 'Build' }]
+};
+
+describe('DataHydrationService', () => {
+  beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+  afterAll(() => server.close());
+  afterEach(() => server.resetHandlers());
+
+  test('loads the sample data without invalid records', () => {
+    expect(DataHydrationService.getInitialTasks().length).toBeGreaterThan(0);
+    expect(DataHydrationService.getInitialTaskLists().map(list => list.id)).toContain('default');
+    expect(DataHydrationService.getInitialErrors()).toEqual([]);
+  });
+
+  test('reads the seed source and strategy from the page URL', () => {
+    expect(DataHydrationService.getUrlSource({ search: '?seed=build2025' })).toEqual({
+      source: { type: 'template', name: 'build2025' },
+      strategy: 'skip-if-nonempty'
+    });
+    expect(DataHydrationService.getUrlSource({ search: '?seed=/seeds/team.json&seedStrategy=merge-by-id' })).toEqual({
+      source: { type: 'endpoint', url: '/seeds/team.json' },
+      strategy: 'merge-by-id'
+    });
+    expect(DataHydrationService.getUrlSource({ search: '?view=kanban' })).toBeNull();
+  });
+
+  test('removes the seed parameters from the page URL', () => {
+    const history = { state: null, replaceState: vi.fn() };
+    DataHydrationService.clearUrlSource({ href: 'http://localhost/?seed=build2025&seedStrategy=replace&view=kanban' }, history);
+
+    expect(history.replaceState).toHaveBeenCalledWith(null, '', 'http://localhost/?view=kanban');
+  });
+
+  test('loads bundled templates', async () => {
+    const { board, errors } = await DataHydrationService.loadSource({ type: 'template', name: 'build2025' });
+
+    expect(errors).toEqual([]);
+    expect(board.tasks.length).toBeGreaterThan(0);
+    expect(board.tasks.every(task => task.tags.includes('Build'))).toBe(true);
+    expect(board.taskLists.map(list => list.id)).toEqual(['default', 'ms-build-2025']);
+    expect(SEED_TEMPLATES.conference2025.data.tasks.length).toBeGreaterThan(board.tasks.length);
+
+    expect(await DataHydrationService.loadSource({ type: 'template', name: 'nope' }))
+      .toEqual({ board: null, errors: ['There is no seed data called "nope"'] });
+  });
+
+  test('loads seed data from an endpoint on this site, or a file', async () => {
+    server.use(
+      http.get(`${origin}/seeds/team.json`, () => HttpResponse.json(seed)),
+      http.get(`${origin}/seeds/missing.json`, () => new HttpResponse(null, { status: 404, statusText: 'Not Found' }))
+    );
+
+    const fromEndpoint = await DataHydrationService.loadSource({ type: 'endpoint', url: '/seeds/team.json' });
+    expect(fromEndpoint.board.tasks.map(task => task.title)).toEqual(['Seeded', 'Also seeded']);
+
+    expect(await DataHydrationService.loadSource({ type: 'endpoint', url: '/seeds/missing.json' }))
+      .toEqual({ board: null, errors: ['Could not load the seed data: 404 Not Found'] });
+    expect(await DataHydrationService.loadSource({ type: 'endpoint', url: 'https://elsewhere.test/seed.json' }))
+      .toEqual({ board: null, errors: ['Seed data must come from this site, not https://elsewhere.test'] });
+
+    const file = jsonFile(JSON.stringify({ tasks: [{ title: 'From a file' }, { id: 3 }] }));
+    const fromFile = await DataHydrationService.loadSource({ type: 'file', file });
+    expect(fromFile.board.tasks.map(task => task.title)).toEqual(['From a file']);
+    expect(fromFile.errors).toEqual(['Task 2 has no title']);
+
+    const invalid = await DataHydrationService.loadSource({ type: 'file', file: jsonFile('{') });
+    expect(invalid.board).toBeNull();
+    expect(invalid.errors[0]).toMatch(/^The seed data is not valid JSON/);
+  });
+
+  test('combines seed data with the board using each strategy', () => {
+    expect(DataHydrationService.applyStrategy(current, seed, 'skip-if-nonempty')).toBeNull();
+    expect(DataHydrationService.applyStrategy({ ...current, tasks: [] }, seed, 'skip-if-nonempty').next.tasks)
+      .toEqual(seed.tasks);
+
+    const merged = DataHydrationService.applyStrategy(current, seed, 'merge-by-id');
+    expect(merged.next.tasks.map(task => task.title)).toEqual(['Seeded', 'Also seeded']);
+    expect(merged.changes.tasks.updated).toHaveLength(1);
+    expect(merged.changes.tasks.created).toHaveLength(1);
+
+    const replaced = DataHydrationService.applyStrategy({ ...current, tasks: [{ ...current.tasks[0], id: 9 }] }, seed, 'replace');
+    expect(replaced.next.tasks.map(task => task.id)).toEqual([1, 2]);
+    expect(replaced.changes.tasks.removed.map(task => task.id)).toEqual([9]);
+    expect(replaced.next.taskLists).toEqual(current.taskLists);
+
+    expect(() => DataHydrationService.applyStrategy(current, seed, 'overwrite')).toThrow('Unknown hydration strategy "overwrite"');
+  });
+});
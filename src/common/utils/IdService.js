@@ -0,0 +1,139 @@
+// Crockford's base 32, as used by ULIDs: no I, L, O or U
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+const getRandomBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+    return globalThis.crypto.getRandomValues(bytes);
+  }
+  for (let i = 0; i < length; i += 1) {
+    bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return bytes;
+};
+
+/**
+ * Create a ULID: 48 bits of time followed by 80 random bits, written as 26 characters.
+ * ULIDs created later sort after earlier ones, and two clients practically never create the same one.
+ * @param {number} time - Milliseconds since the epoch
+ * @param {Function} randomBytes - (length) => Uint8Array, replaceable in tests
+ * @returns {string} e.g. '01JAB3K7ZQ8X4N0V5C2R6T9WME'
+ */
+export const createUlid = (time = Date.now(), randomBytes = getRandomBytes) => {
+  let timePart = '';
+  let remaining = time;
+  for (let i = 0; i < TIME_LENGTH; i += 1) {
+    timePart = ENCODING[remaining % 32] + timePart;
+    remaining = Math.floor(remaining / 32);
+  }
+  // 256 is a multiple of 32, so every character is equally likely
+  const randomPart = Array.from(randomBytes(RANDOM_LENGTH), byte => ENCODING[byte % 32]).join('');
+  return timePart + randomPart;
+};
+
+// Numbers (such as the sample data's 1001) and non-empty strings are valid ids
+const isValidId = (id) => (typeof id === 'number' && Number.isFinite(id)) || (typeof id === 'string' && id.trim() !== '');
+
+const describeItem = (item) => item.title || item.name || 'Untitled';
+
+const PLURALS = { status: 'statuses' };
+
+/**
+ * Service creating the ids of every record (tasks, subtasks, lists, tags, statuses, boards and series)
+ * and checking stored or imported collections for ids that are missing or used twice
+ */
+export const IdService = {
+  /**
+   * Create a new id
+   * @param {string} prefix - Kind of record, e.g. 'task'
+   * @returns {string} e.g. 'task-01JAB3K7ZQ8X4N0V5C2R6T9WME'
+   */
+  createId: (prefix) => `${prefix}-${createUlid()}`,
+
+  /**
+   * Give records with a missing or already used id a new one. The first record with an id keeps it.
+   * @param {Array} items - Collection to check
+   * @param {string} prefix - Prefix of the new ids
+   * @param {Object} options - childKey: field holding nested records (e.g. 'subtasks'), whose ids must be unique
+   *   across the tree; allowMissing: leave records without an id alone
+   * @returns {Object} { items, changes } where each change is { from, to, title }; items is unchanged when nothing was wrong
+   */
+  repairIds: (items, prefix, { childKey, allowMissing = false } = {}) => {
+    const seen = new Set();
+    const changes = [];
+
+    const repair = (records) => {
+      let changed = false;
+      const repaired = records.map(record => {
+        let next = record;
+        const isMissing = !isValidId(record.id);
+        if ((isMissing && !allowMissing) || (!isMissing && seen.has(record.id))) {
+          next = { ...record, id: IdService.createId(prefix) };
+          changes.push({ from: record.id, to: next.id, title: describeItem(record) });
+        }
+        if (isValidId(next.id)) seen.add(next.id);
+
+        if (childKey && Array.isArray(record[childKey])) {
+          const children = repair(record[childKey]);
+          if (children !== record[childKey]) next = { ...next, [childKey]: children };
+        }
+        if (next !== record) changed = true;
+        return next;
+      });
+      return changed ? repaired : records;
+    };
+
+    const repairedItems = Array.isArray(items) ? repair(items) : items;
+    return { items: repairedItems, changes };
+  },
+
+  /**
+   * Repair a task collection: task ids across the collection, and subtask ids within each task
+   * @param {Array} tasks
+   * @param {Object} options - { allowMissing }, as repairIds
+   * @returns {Object} { items, changes }, as repairIds
+   */
+  repairTaskIds: (tasks, { allowMissing = false } = {}) => {
+    const { items, changes } = IdService.repairIds(tasks, 'task', { allowMissing });
+    const subtaskChanges = [];
+    const repaired = items.map(task => {
+      const result = IdService.repairIds(task.subtasks || [], 'subtask', { childKey: 'subtasks' });
+      subtaskChanges.push(...result.changes);
+      return result.changes.length > 0 ? { ...task, subtasks: result.items } : task;
+    });
+    return {
+      items: subtaskChanges.length > 0 ? repaired : items,
+      changes: [...changes, ...subtaskChanges]
+    };
+  },
+
+  /**
+   * Update a list of ids, such as a list's manual task order, after a repair: each record that
+   * got a new id is placed right after the record that kept the id they shared
+   * @param {Array} ids
+   * @param {Array} changes - Changes returned by repairIds
+   * @returns {Array} New array, or ids itself when none of them changed
+   */
+  remapIds: (ids, changes) => {
+    const placed = new Set();
+    const remapped = ids.flatMap(id => {
+      const moved = changes.filter(change => change.from === id && !placed.has(change.to)).map(change => change.to);
+      moved.forEach(to => placed.add(to));
+      return [id, ...moved];
+    });
+    return placed.size > 0 ? remapped : ids;
+  },
+
+  /**
+   * Describe repaired ids for the user
+   * @param {string} noun - What the records are, e.g. 'task'
+   * @param {Array} changes - Changes returned by repairIds
+   * @returns {string} e.g. '2 tasks had a missing or duplicate id and got a new one: "Book hotel", "Lab"'
+   */
+  describeRepairs: (noun, changes) => {
+    const count = changes.length === 1 ? `1 ${noun}` : `${changes.length} ${PLURALS[noun] || `${noun}s`}`;
+    return `${count} had a missing or duplicate id and got a new one: ${changes.map(change => `"${change.title}"`).join(', ')}`;
+  }
+};
@@ -0,0 +1,81 @@
+import { IdService, createUlid } from './IdService';
+
+describe('IdService', () => {
+  test('creates ULIDs that sort by creation time', () => {
+    const zeros = (length) => new Uint8Array(length);
+    expect(createUlid(0, zeros)).toBe('0'.repeat(26));
+    expect(createUlid(1469918176385, zeros)).toBe('01ARYZ6S41' + '0'.repeat(16));
+
+    const earlier = createUlid(Date.UTC(2026, 0, 1));
+    const later = createUlid(Date.UTC(2026, 0, 2));
+    expect(earlier).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+    expect(earlier < later).toBe(true);
+  });
+
+  test('creates prefixed ids that do not repeat', () => {
+    const ids = Array.from({ length: 500 }, () => IdService.createId('task'));
+    expect(ids[0]).toMatch(/^task-[0-9A-Z]{26}$/);
+    expect(new Set(ids).size).toBe(500);
+  });
+
+  test('gives records with a missing or duplicate id a new one', () => {
+    const lists = [
+      { id: 'default', title: 'All Tasks' },
+      { id: 'work', title: 'Work' },
+      { id: 'work', title: 'Work copy' },
+      { title: 'No id' }
+    ];
+    const { items, changes } = IdService.repairIds(lists, 'list');
+
+    expect(items.slice(0, 2)).toEqual(lists.slice(0, 2));
+    expect(items[2]).toEqual({ id: expect.stringMatching(/^list-/), title: 'Work copy' });
+    expect(items[3].id).toMatch(/^list-/);
+    expect(new Set(items.map(list => list.id)).size).toBe(4);
+    expect(changes).toEqual([
+      { from: 'work', to: items[2].id, title: 'Work copy' },
+      { from: undefined, to: items[3].id, title: 'No id' }
+    ]);
+
+    // Nothing to repair leaves the collection as it was
+    const clean = IdService.repairIds(items, 'list');
+    expect(clean.items).toBe(items);
+    expect(clean.changes).toEqual([]);
+  });
+
+  test('repairs task ids and subtask ids within each task', () => {
+    const tasks = [
+      { id: 1001, title: 'Keynote', subtasks: [{ id: 's1', title: 'Slides', subtasks: [{ id: 's1', title: 'Outline', subtasks: [] }] }] },
+      { id: 1001, title: 'Lab', subtasks: [{ id: 's1', title: 'Setup', subtasks: [] }] },
+      { title: 'Imported' }
+    ];
+    const { items, changes } = IdService.repairTaskIds(tasks);
+
+    expect(items[0].id).toBe(1001);
+    expect(items[1].id).toMatch(/^task-/);
+    expect(items[0].subtasks[0].id).toBe('s1');
+    expect(items[0].subtasks[0].subtasks[0].id).toMatch(/^subtask-/);
+    // Subtask ids only have to be unique within their task
+    expect(items[1].subtasks[0].id).toBe('s1');
+    expect(changes.map(change => change.title)).toEqual(['Lab', 'Imported', 'Outline']);
+
+    const imported = IdService.repairTaskIds(tasks, { allowMissing: true });
+    expect(imported.items[2]).toEqual({ title: 'Imported' });
+    expect(imported.changes.map(change => change.title)).toEqual(['Lab', 'Outline']);
+  });
+
+  test('places records with a repaired id after the record that kept it', () => {
+    const changes = [{ from: 7, to: 'task-b', title: 'Lab' }, { from: undefined, to: 'task-c', title: 'Imported' }];
+    expect(IdService.remapIds([3, 7, 5], changes)).toEqual([3, 7, 'task-b', 5]);
+    expect(IdService.remapIds([7, 7], changes)).toEqual([7, 'task-b', 7]);
+
+    const untouched = [3, 5];
+    expect(IdService.remapIds(untouched, changes)).toBe(untouched);
+  });
+
+  test('describes repairs', () => {
+    expect(IdService.describeRepairs('task', [{ title: 'Lab' }]))
+      .toBe('1 task had a missing or duplicate id and got a new one: "Lab"');
+    expect(IdService.describeRepairs('status', [{ title: 'Done' }, { title: 'Review' }]))
+      .toBe('2 statuses had a missing or duplicate id and got a new one: "Done", "Review"');
+  });
+});
@@ -0,0 +1,225 @@
+import { normalizeFilters } from './filterExpression';
+import { migrateTaskTitle } from './schema';
+import { normalizeTags } from './tagUtils';
+
+/**
+ * Current version of the persisted data shape.
+ * Bump this and add an entry to `migrations` whenever tasks, tags or lists change shape.
+ */
+export const SCHEMA_VERSION = 4;
+
+/**
+ * Ordered list of schema migrations.
+ * Each entry upgrades data saved with `version - 1` to `version`, per collection key.
+ * @example
+ * { version: 2, migrate: { tasks: (tasks) => tasks.map(...) } }
+ */
+export const migrations = [
+  {
+    // List filters changed from a flat AND-ed array to an expression tree
+    version: 2,
+    migrate: {
+      taskLists: (taskLists) => taskLists.map(list => ({ ...list, filters: normalizeFilters(list.filters) }))
+    }
+  },
+  {
+    // Tasks added to a list were saved with `text` instead of `title`
+    version: 3,
+    migrate: {
+      tasks: (tasks) => tasks.map(migrateTaskTitle)
+    }
+  },
+  {
+    // Tags changed from plain names to records with an id, name, parent and colour
+    version: 4,
+    migrate: {
+      tags: (tags) => normalizeTags(tags)
+    }
+  }
+];
+
+const DEFAULT_NAMESPACE = 'task-dashboard';
+
+/**
+ * Create a storage adapter backed by window.localStorage
+ * @param {string} namespace - Prefix applied to every key
+ * @returns {Object} Storage adapter
+ */
+export const createLocalStorageAdapter = (namespace = DEFAULT_NAMESPACE) => ({
+  name: 'localStorage',
+
+  load: async (key) => {
+    const raw = window.localStorage.getItem(`${namespace}:${key}`);
+    return raw === null ? undefined : JSON.parse(raw);
+  },
+
+  save: async (key, value) => {
+    window.localStorage.setItem(`${namespace}:${key}`, JSON.stringify(value));
+  },
+
+  remove: async (key) => {
+    window.localStorage.removeItem(`${namespace}:${key}`);
+  }
+});
+
+/**
+ * Create a storage adapter backed by IndexedDB
+ * @param {string} dbName - Name of the IndexedDB database
+ * @param {string} storeName - Name of the object store holding the collections
+ * @returns {Object} Storage adapter
+ */
+export const createIndexedDBAdapter = (dbName = DEFAULT_NAMESPACE, storeName = 'collections') => {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    name: 'indexedDB',
+    load: (key) => run('readonly', store => store.get(key)),
+    save: (key, value) => run('readwrite', store => store.put(value, key)),
+    remove: (key) => run('readwrite', store => store.delete(key))
+  };
+};
+
+/**
+ * Create a non-persistent storage adapter, useful for tests or to disable persistence
+ * @returns {Object} Storage adapter
+ */
+export const createMemoryAdapter = () => {
+  const store = new Map();
+  return {
+    name: 'memory',
+    load: async (key) => store.get(key),
+    save: async (key, value) => {
+      store.set(key, value);
+    },
+    remove: async (key) => {
+      store.delete(key);
+    }
+  };
+};
+
+let activeAdapter = null;
+
+/**
+ * Service to persist application state through a pluggable storage adapter
+ */
+export const StorageService = {
+  /**
+   * Get the storage adapter configured through VITE_STORAGE_ADAPTER
+   * Supported values are 'localStorage' (default), 'indexedDB' and 'memory'
+   * @returns {Object} Storage adapter
+   */
+  getAdapter: () => {
+    if (!activeAdapter) {
+      const configured = import.meta.env.VITE_STORAGE_ADAPTER;
+      if (configured === 'indexedDB' && typeof window !== 'undefined' && window.indexedDB) {
+        activeAdapter = createIndexedDBAdapter();
+      } else if (configured === 'memory' || typeof window === 'undefined' || !window.localStorage) {
+        activeAdapter = createMemoryAdapter();
+      } else {
+        activeAdapter = createLocalStorageAdapter();
+      }
+    }
+    return activeAdapter;
+  },
+
+  /**
+   * Replace the active storage adapter
+   * @param {Object} adapter - Object implementing load, save and remove
+   */
+  setAdapter: (adapter) => {
+    activeAdapter = adapter;
+  },
+
+  /**
+   * Wrap data in a versioned schema envelope
+   * @param {*} data - Data to persist
+   * @returns {Object} Envelope with version and data
+   */
+  wrap: (data) => ({
+    version: SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    data
+  }),
+
+  /**
+   * Unwrap a schema envelope, running any migrations needed to reach SCHEMA_VERSION
+   * @param {string} key - Collection key the envelope was stored under
+   * @param {Object} envelope - Stored envelope
+   * @returns {*} Migrated data, or undefined when the envelope is unusable
+   */
+  unwrap: (key, envelope) => {
+    if (!envelope || typeof envelope !== 'object' || !('data' in envelope)) {
+      return undefined;
+    }
+
+    const storedVersion = Number.isInteger(envelope.version) ? envelope.version : 0;
+    if (storedVersion > SCHEMA_VERSION) {
+      // Data written by a newer build; refuse it rather than guess at its shape
+      console.warn(`Ignoring "${key}" saved with schema version ${storedVersion} (current is ${SCHEMA_VERSION})`);
+      return undefined;
+    }
+
+    // Use the collection name (last key segment) to pick the migration step
+    const collection = key.split(':').pop();
+    return migrations
+      .filter(migration => migration.version > storedVersion && migration.version <= SCHEMA_VERSION)
+      .sort((a, b) => a.version - b.version)
+      .reduce((data, migration) => {
+        const step = migration.migrate[collection];
+        return step ? step(data) : data;
+      }, envelope.data);
+  },
+
+  /**
+   * Load a collection from storage
+   * @param {string} key - Collection key, e.g. 'tasks'
+   * @returns {Promise<*>} Stored data, or undefined if nothing was stored
+   */
+  load: async (key) => {
+    const envelope = await StorageService.getAdapter().load(key);
+    return StorageService.unwrap(key, envelope);
+  },
+
+  /**
+   * Save a collection to storage
+   * @param {string} key - Collection key, e.g. 'tasks'
+   * @param {*} data - Data to persist
+   * @returns {Promise<void>}
+   */
+  save: (key, data) => {
+    return StorageService.getAdapter().save(key, StorageService.wrap(data));
+  },
+
+  /**
+   * Remove a collection from storage
+   * @param {string} key - Collection key
+   * @returns {Promise<void>}
+   */
+  remove: (key) => {
+    return StorageService.getAdapter().remove(key);
+  }
+};
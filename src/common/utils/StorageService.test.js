@@ -0,0 +1,130 @@
+import { vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  StorageService,
+  SCHEMA_VERSION,
+  migrations,
+  createLocalStorageAdapter,
+  createIndexedDBAdapter,
+  createMemoryAdapter
+} from './StorageService';
+
+describe('StorageService', () => {
+  const builtInMigrationCount = migrations.length;
+
+  beforeEach(() => {
+    StorageService.setAdapter(createMemoryAdapter());
+  });
+
+  afterEach(() => {
+    // Drop migrations added by a test, keeping the built-in ones
+    migrations.length = builtInMigrationCount;
+  });
+
+  test('round-trips data through a versioned envelope', async () => {
+    const tasks = [{ id: 1, title: 'Task 1', isCompleted: false }];
+    await StorageService.save('tasks', tasks);
+
+    const envelope = await StorageService.getAdapter().load('tasks');
+    expect(envelope.version).toBe(SCHEMA_VERSION);
+    expect(envelope.data).toEqual(tasks);
+    expect(await StorageService.load('tasks')).toEqual(tasks);
+  });
+
+  test('returns undefined when nothing has been stored', async () => {
+    expect(await StorageService.load('tasks')).toBeUndefined();
+  });
+
+  test('runs migrations for older envelopes', async () => {
+    migrations.push({
+      version: SCHEMA_VERSION,
+      migrate: { tasks: (tasks) => tasks.map(task => ({ ...task, migrated: true })) }
+    });
+    await StorageService.getAdapter().save('tasks', { version: SCHEMA_VERSION - 1, data: [{ id: 1 }] });
+
+    expect(await StorageService.load('tasks')).toEqual([{ id: 1, migrated: true }]);
+  });
+
+  test('ignores envelopes written by a newer schema version', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await StorageService.getAdapter().save('tasks', { version: SCHEMA_VERSION + 1, data: [] });
+
+    expect(await StorageService.load('tasks')).toBeUndefined();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  test('localStorage adapter namespaces its keys', async () => {
+    const adapter = createLocalStorageAdapter('test-namespace');
+    await adapter.save('tags', ['work']);
+
+    expect(window.localStorage.getItem('test-namespace:tags')).toBe('["work"]');
+    expect(await adapter.load('tags')).toEqual(['work']);
+
+    await adapter.remove('tags');
+    expect(await adapter.load('tags')).toBeUndefined();
+  });
+
+  test('IndexedDB adapter stores collections in its object store', async () => {
+    const originalIndexedDB = window.indexedDB;
+    window.indexedDB = new IDBFactory();
+    try {
+      const adapter = createIndexedDBAdapter('test-db');
+      expect(await adapter.load('tags')).toBeUndefined();
+
+      await adapter.save('tags', ['work']);
+      expect(await adapter.load('tags')).toEqual(['work']);
+      // A second adapter on the same database sees the data
+      expect(await createIndexedDBAdapter('test-db').load('tags')).toEqual(['work']);
+
+      await adapter.remove('tags');
+      expect(await adapter.load('tags')).toBeUndefined();
+    } finally {
+      window.indexedDB = originalIndexedDB;
+    }
+  });
+
+  test('round-trips envelopes through the IndexedDB adapter', async () => {
+    const originalIndexedDB = window.indexedDB;
+    window.indexedDB = new IDBFactory();
+    try {
+      StorageService.setAdapter(createIndexedDBAdapter());
+      await StorageService.save('tasks', [{ id: 1, title: 'Keynote', isCompleted: false }]);
+      expect(await StorageService.load('tasks')).toEqual([{ id: 1, title: 'Keynote', isCompleted: false }]);
+    } finally {
+      window.indexedDB = originalIndexedDB;
+    }
+  });
+
+  test('migrates flat list filters to filter expressions', async () => {
+    await StorageService.getAdapter().save('taskLists', {
+      version: 1,
+      data: [{ id: 'default', title: 'All Tasks', filters: [{ type: 'tag', value: 'work' }] }]
+    });
+
+    expect(await StorageService.load('taskLists')).toEqual([
+      { id: 'default', title: 'All Tasks', filters: { op: 'and', children: [{ type: 'tag', value: 'work' }] } }
+    ]);
+  });
+
+  test('migrates task text to title', async () => {
+    await StorageService.getAdapter().save('board:board-1:tasks', {
+      version: 2,
+      data: [{ id: 1, text: 'Call Sam', isCompleted: false }, { id: 2, title: 'Book hotel' }]
+    });
+
+    expect(await StorageService.load('board:board-1:tasks')).toEqual([
+      { id: 1, title: 'Call Sam', isCompleted: false },
+      { id: 2, title: 'Book hotel' }
+    ]);
+  });
+
+  test('migrates tag names to tag records', async () => {
+    await StorageService.getAdapter().save('board:board-1:tags', { version: 3, data: ['Build', 'Events/Build'] });
+
+    const tags = await StorageService.load('board:board-1:tags');
+
+    expect(tags.map(tag => tag.name)).toEqual(['Build', 'Events', 'Events/Build']);
+    expect(tags[2]).toEqual({ id: expect.stringMatching(/^tag-/), name: 'Events/Build', color: null, description: '', parentId: tags[1].id });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Collections the REST backend exposes, mapped to their endpoint paths
+ */
+export const SYNC_RESOURCES = {
+  tasks: '/tasks',
+  tags: '/tags',
+  lists: '/lists'
+};
+
+/**
+ * Error raised when the sync backend rejects a request or cannot be reached
+ */
+export class SyncError extends Error {
+  constructor(message, { status = null, resource = null } = {}) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = status;
+    this.resource = resource;
+  }
+}
+
+/**
+ * Create a client for the task dashboard REST API
+ * @param {string} baseUrl - API root, e.g. 'https://example.com/api'
+ * @param {Function} fetchImpl - fetch implementation, injectable for tests
+ * @returns {Object} Client with fetchAll, create, update and remove methods
+ */
+export const createRestClient = (baseUrl, fetchImpl = (...args) => fetch(...args)) => {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const request = async (resource, path, options = {}) => {
+    let response;
+    try {
+      response = await fetchImpl(`${root}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers }
+      });
+    } catch (error) {
+      throw new SyncError(`Could not reach the server: ${error.message}`, { resource });
+    }
+
+    if (!response.ok) {
+      throw new SyncError(`Server rejected the change (${response.status})`, {
+        status: response.status,
+        resource
+      });
+    }
+
+    // 204 No Content and empty bodies are valid for deletes
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  };
+
+  const pathFor = (resource) => {
+    const path = SYNC_RESOURCES[resource];
+    if (!path) {
+      throw new SyncError(`Unknown sync resource "${resource}"`, { resource });
+    }
+    return path;
+  };
+
+  return {
+    fetchAll: async (resource) => request(resource, pathFor(resource)),
+
+    create: async (resource, item) => request(resource, pathFor(resource), {
+      method: 'POST',
+      body: JSON.stringify(item)
+    }),
+
+    update: async (resource, id, item) => request(resource, `${pathFor(resource)}/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(item)
+    }),
+
+    remove: async (resource, id) => request(resource, `${pathFor(resource)}/${encodeURIComponent(id)}`, {
+      method: 'DELETE'
+    })
+  };
+};
+
+/**
+ * Service to configure remote sync with a REST backend
+ */
+export const SyncService = {
+  /**
+   * Get the REST API base URL from VITE_SYNC_API_URL
+   * @returns {string|null}
+   */
+  getBaseUrl: () => {
+    return import.meta.env.VITE_SYNC_API_URL || null;
+  },
+
+  /**
+   * Check if remote sync mode is enabled
+   * @returns {boolean}
+   */
+  isEnabled: () => {
+    return Boolean(SyncService.getBaseUrl());
+  }
+};
@@ -0,0 +1,46 @@
+// @vitest-environment node
+import { http, HttpResponse } from 'msw';
+import { setupServer } from 'msw/node';
+import { createRestClient, SyncError } from './SyncService';
+import { createMockDatabase, createSyncHandlers } from '../../mocks/handlers';
+
+const BASE_URL = 'http://sync.test/api';
+let db = createMockDatabase();
+const server = setupServer();
+
+describe('SyncService REST client', () => {
+  const client = createRestClient(BASE_URL);
+
+  beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    db = createMockDatabase({ tasks: [{ id: 1, title: 'Existing', isCompleted: false }] });
+    server.resetHandlers(...createSyncHandlers(BASE_URL, db));
+  });
+
+  test('fetches a whole collection', async () => {
+    expect(await client.fetchAll('tasks')).toEqual([{ id: 1, title: 'Existing', isCompleted: false }]);
+  });
+
+  test('creates, updates and removes records', async () => {
+    await client.create('tasks', { id: 2, title: 'New', isCompleted: false });
+    await client.update('tasks', 1, { id: 1, title: 'Existing', isCompleted: true });
+    await client.remove('tasks', 2);
+
+    expect(db.tasks).toEqual([{ id: 1, title: 'Existing', isCompleted: true }]);
+  });
+
+  test('throws a SyncError with the status when the server rejects a change', async () => {
+    server.use(http.post(`${BASE_URL}/lists`, () => new HttpResponse(null, { status: 422 })));
+
+    const error = await client.create('lists', { id: 'list-1' }).catch(e => e);
+    expect(error).toBeInstanceOf(SyncError);
+    expect(error.status).toBe(422);
+    expect(error.resource).toBe('lists');
+  });
+
+  test('throws a SyncError for unknown resources', async () => {
+    await expect(client.fetchAll('projects')).rejects.toThrow(SyncError);
+  });
+});
@@ -0,0 +1,73 @@
+import { parseDate, startOfDay, endOfDay, addDays } from './dateUtils';
+
+/**
+ * Analytics are derived from the tasks alone: completion from isCompleted, and the
+ * time-based views from createdAt and completedAt. Tasks from before these were recorded
+ * count as created before any range, and completed tasks without completedAt are left out
+ * of throughput.
+ */
+
+/**
+ * Completion as a whole percentage
+ * @param {Object} counts - { completed, total }
+ * @returns {number} 0-100; 0 when there is nothing to complete
+ */
+export const getCompletionPercent = ({ completed, total }) => {
+  return total === 0 ? 0 : Math.round((completed / total) * 100);
+};
+
+/**
+ * Completion per tag, most used tags first
+ * @param {Array} tasks
+ * @returns {Array} [{ tag, completed, total }]
+ */
+export const getCompletionByTag = (tasks) => {
+  const byTag = new Map();
+  tasks.forEach(task => {
+    new Set(task.tags || []).forEach(tag => {
+      const counts = byTag.get(tag) || { tag, completed: 0, total: 0 };
+      counts.total += 1;
+      if (task.isCompleted) counts.completed += 1;
+      byTag.set(tag, counts);
+    });
+  });
+  return [...byTag.values()].sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Day-by-day activity for the burndown and throughput charts
+ * @param {Array} tasks
+ * @param {number} days - How many days to cover, ending today
+ * @param {Date} now
+ * @returns {Array} [{ date, created, completed, open }] oldest first, where open is the
+ *   number of tasks still open at the end of that day
+ */
+export const getDailyActivity = (tasks, days, now = new Date()) => {
+  const firstDay = startOfDay(addDays(now, 1 - days));
+  return Array.from({ length: days }, (_, index) => {
+    const date = addDays(firstDay, index);
+    const dayStart = startOfDay(date);
+    const dayEnd = endOfDay(date);
+    const isOnDay = (value) => {
+      const time = parseDate(value);
+      return Boolean(time) && time >= dayStart && time <= dayEnd;
+    };
+
+    const existing = tasks.filter(task => {
+      const createdAt = parseDate(task.createdAt);
+      return !createdAt || createdAt <= dayEnd;
+    });
+    const open = existing.filter(task => {
+      if (!task.isCompleted) return true;
+      const completedAt = parseDate(task.completedAt);
+      return Boolean(completedAt) && completedAt > dayEnd;
+    });
+
+    return {
+      date,
+      created: tasks.filter(task => isOnDay(task.createdAt)).length,
+      completed: tasks.filter(task => task.isCompleted && isOnDay(task.completedAt)).length,
+      open: open.length
+    };
+  });
+};
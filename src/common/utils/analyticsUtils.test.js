@@ -0,0 +1,48 @@
+import {
+  getCompletionPercent,
+  getCompletionByTag,
+  getDailyActivity
+} from './analyticsUtils';
+
+describe('analyticsUtils', () => {
+  const at = (day, hours = 9) => new Date(2025, 4, day, hours, 0).toISOString();
+
+  test('works out completion percentages', () => {
+    expect(getCompletionPercent({ completed: 1, total: 3 })).toBe(33);
+    expect(getCompletionPercent({ completed: 0, total: 0 })).toBe(0);
+  });
+
+  test('breaks completion down by tag, most used first', () => {
+    const tasks = [
+      { id: 1, isCompleted: true, tags: ['work', 'urgent'] },
+      { id: 2, isCompleted: false, tags: ['work', 'work'] },
+      { id: 3, isCompleted: true, tags: ['home'] },
+      { id: 4, isCompleted: false }
+    ];
+
+    expect(getCompletionByTag(tasks)).toEqual([
+      { tag: 'work', completed: 1, total: 2 },
+      { tag: 'home', completed: 1, total: 1 },
+      { tag: 'urgent', completed: 1, total: 1 }
+    ]);
+  });
+
+  test('counts tasks created, completed and still open per day', () => {
+    const tasks = [
+      // From before timestamps were recorded: open all along
+      { id: 1, isCompleted: false },
+      { id: 2, isCompleted: false, createdAt: at(18) },
+      { id: 3, isCompleted: true, createdAt: at(17), completedAt: at(19, 15) },
+      // Completed without a recorded time: never counted as open or as throughput
+      { id: 4, isCompleted: true },
+      { id: 5, isCompleted: true, createdAt: at(19), completedAt: at(20) }
+    ];
+
+    const activity = getDailyActivity(tasks, 4, new Date(2025, 4, 20, 12));
+
+    expect(activity.map(day => day.date.getDate())).toEqual([17, 18, 19, 20]);
+    expect(activity.map(day => day.created)).toEqual([1, 1, 1, 0]);
+    expect(activity.map(day => day.completed)).toEqual([0, 0, 1, 1]);
+    expect(activity.map(day => day.open)).toEqual([2, 3, 3, 2]);
+  });
+});
@@ -0,0 +1,52 @@
+import { parseDate, addDays } from './dateUtils';
+
+/**
+ * Archived tasks keep their data, with the time they were archived in archivedAt.
+ * They are left out of the lists (unless a list opts in), the Kanban view and the task
+ * counts, and stay in the archive until restored or purged.
+ */
+
+// Default age, in days, for purging the archive
+export const DEFAULT_PURGE_DAYS = 30;
+
+/**
+ * Whether a task is archived
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export const isArchived = (task) => Boolean(task.archivedAt);
+
+/**
+ * Archive or restore a task
+ * @param {Object} task
+ * @param {boolean} archived
+ * @param {Date} now
+ * @returns {Object} Task with archivedAt set, or cleared
+ */
+export const setArchived = (task, archived, now = new Date()) => ({
+  ...task,
+  archivedAt: archived ? now.toISOString() : null
+});
+
+/**
+ * Archived tasks, most recently archived first
+ * @param {Array} tasks
+ * @returns {Array}
+ */
+export const getArchivedTasks = (tasks) => {
+  return tasks
+    .filter(isArchived)
+    .sort((a, b) => parseDate(b.archivedAt) - parseDate(a.archivedAt));
+};
+
+/**
+ * Archived tasks that were archived more than a number of days ago
+ * @param {Array} tasks
+ * @param {number} days
+ * @param {Date} now
+ * @returns {Array}
+ */
+export const getPurgeableTasks = (tasks, days, now = new Date()) => {
+  const cutoff = addDays(now, -days);
+  return tasks.filter(task => isArchived(task) && parseDate(task.archivedAt) < cutoff);
+};
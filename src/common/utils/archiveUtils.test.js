@@ -0,0 +1,30 @@
+import { isArchived, setArchived, getArchivedTasks, getPurgeableTasks } from './archiveUtils';
+
+describe('archiveUtils', () => {
+  const now = new Date('2025-06-30T12:00:00');
+  const tasks = [
+    { id: 1, title: 'Keynote', archivedAt: '2025-06-29T09:00:00' },
+    { id: 2, title: 'Lab' },
+    { id: 3, title: 'Badge pickup', archivedAt: '2025-05-01T09:00:00' },
+    { id: 4, title: 'Restored', archivedAt: null }
+  ];
+
+  test('treats tasks with archivedAt as archived', () => {
+    expect(tasks.map(isArchived)).toEqual([true, false, true, false]);
+  });
+
+  test('archives and restores a task', () => {
+    expect(setArchived({ id: 2 }, true, now)).toEqual({ id: 2, archivedAt: now.toISOString() });
+    expect(setArchived(tasks[0], false, now)).toEqual({ id: 1, title: 'Keynote', archivedAt: null });
+  });
+
+  test('lists archived tasks, most recent first', () => {
+    expect(getArchivedTasks(tasks).map(task => task.id)).toEqual([1, 3]);
+  });
+
+  test('finds tasks archived longer ago than the given days', () => {
+    expect(getPurgeableTasks(tasks, 30, now).map(task => task.id)).toEqual([3]);
+    expect(getPurgeableTasks(tasks, 0, now).map(task => task.id)).toEqual([1, 3]);
+    expect(getPurgeableTasks(tasks, 90, now)).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Put items back into a collection by id, replacing existing entries and appending missing ones
+ * @param {Array} items - Current collection
+ * @param {Array} replacements - Items to restore
+ * @returns {Array} New collection
+ */
+export const upsertById = (items, replacements) => {
+  const byId = new Map(replacements.map(item => [item.id, item]));
+  const updated = items.map(item => byId.has(item.id) ? byId.get(item.id) : item);
+  const existingIds = new Set(items.map(item => item.id));
+  return [...updated, ...replacements.filter(item => !existingIds.has(item.id))];
+};
+
+/**
+ * Remove items from a collection by id
+ * @param {Array} items - Current collection
+ * @param {Array} ids - Ids to remove
+ * @returns {Array} New collection
+ */
+export const removeById = (items, ids) => {
+  const idSet = new Set(ids);
+  return items.filter(item => !idSet.has(item.id));
+};
+
+/**
+ * Put some items back the way they were in an earlier version of a collection
+ * @param {Array} items - Current collection
+ * @param {Array} previous - Earlier version of the collection
+ * @param {Array} ids - Ids to revert; items that weren't in the earlier version are removed
+ * @returns {Array} New collection
+ */
+export const revertById = (items, previous, ids) => {
+  const idSet = new Set(ids);
+  const restored = previous.filter(item => idSet.has(item.id));
+  const restoredIds = new Set(restored.map(item => item.id));
+  return upsertById(removeById(items, ids.filter(id => !restoredIds.has(id))), restored);
+};
+
+/**
+ * Sort items by a manual order of ids; items missing from the order keep their relative order at the end
+ * @param {Array} items - Items to sort
+ * @param {Array} orderedIds - Ids in the desired order
+ * @returns {Array} New sorted collection
+ */
+export const sortByOrder = (items, orderedIds) => {
+  if (!orderedIds || orderedIds.length === 0) return items;
+  const position = new Map(orderedIds.map((id, index) => [id, index]));
+  const ordered = items.filter(item => position.has(item.id))
+    .sort((a, b) => position.get(a.id) - position.get(b.id));
+  return [...ordered, ...items.filter(item => !position.has(item.id))];
+};
+
+/**
+ * Move an id to just before another id in a list of ids
+ * @param {Array} ids - Current order
+ * @param {*} id - Id to move (added if missing)
+ * @param {*} beforeId - Id to insert before; null or an unknown id moves to the end
+ * @returns {Array} New order
+ */
+export const moveIdBefore = (ids, id, beforeId) => {
+  const remaining = ids.filter(existing => existing !== id);
+  const index = beforeId == null ? -1 : remaining.indexOf(beforeId);
+  remaining.splice(index === -1 ? remaining.length : index, 0, id);
+  return remaining;
+};
+
+/**
+ * Work out which items must be created, updated or removed to turn one collection into another
+ * @param {Array} current - Collection as it is now
+ * @param {Array} target - Collection as it should be
+ * @returns {Object} { created, updated, removed } arrays of items
+ */
+export const diffById = (current, target) => {
+  const currentById = new Map(current.map(item => [item.id, item]));
+  const targetIds = new Set(target.map(item => item.id));
+  return {
+    created: target.filter(item => !currentById.has(item.id)),
+    updated: target.filter(item => currentById.has(item.id) &&
+      JSON.stringify(currentById.get(item.id)) !== JSON.stringify(item)),
+    removed: current.filter(item => !targetIds.has(item.id))
+  };
+};
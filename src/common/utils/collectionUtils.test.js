@@ -0,0 +1,39 @@
+import { upsertById, removeById, revertById, sortByOrder, moveIdBefore, diffById } from './collectionUtils';
+
+describe('collectionUtils', () => {
+  const a = { id: 'a' };
+  const b = { id: 'b' };
+  const c = { id: 'c' };
+
+  test('upserts and removes items by id', () => {
+    expect(upsertById([a, b], [{ id: 'b', done: true }, c])).toEqual([a, { id: 'b', done: true }, c]);
+    expect(removeById([a, b, c], ['a', 'c'])).toEqual([b]);
+  });
+
+  test('reverts some items to an earlier version of the collection', () => {
+    const previous = [a, { id: 'b', title: 'Old' }, c];
+    const current = [a, { id: 'b', title: 'New' }, { id: 'd' }];
+    // b goes back, d was added and goes away, c was removed and comes back; a is left alone
+    expect(revertById(current, previous, ['b', 'c', 'd'])).toEqual([a, { id: 'b', title: 'Old' }, c]);
+    expect(revertById(current, previous, ['d'])).toEqual([a, { id: 'b', title: 'New' }]);
+  });
+
+  test('sorts by a manual order, keeping unordered items at the end', () => {
+    expect(sortByOrder([a, b, c], ['c', 'a'])).toEqual([c, a, b]);
+    expect(sortByOrder([a, b], ['missing', 'b'])).toEqual([b, a]);
+    expect(sortByOrder([a, b], undefined)).toEqual([a, b]);
+  });
+
+  test('moves an id before another id', () => {
+    expect(moveIdBefore(['a', 'b', 'c'], 'c', 'a')).toEqual(['c', 'a', 'b']);
+    expect(moveIdBefore(['a', 'b', 'c'], 'a', 'c')).toEqual(['b', 'a', 'c']);
+    expect(moveIdBefore(['a', 'b', 'c'], 'a', null)).toEqual(['b', 'c', 'a']);
+    expect(moveIdBefore(['a', 'b'], 'new', 'b')).toEqual(['a', 'new', 'b']);
+  });
+
+  test('diffs two collections by id', () => {
+    const changedB = { id: 'b', done: true };
+    expect(diffById([a, b], [changedB, c])).toEqual({ created: [c], updated: [changedB], removed: [a] });
+    expect(diffById([a], [{ id: 'a' }])).toEqual({ created: [], updated: [], removed: [] });
+  });
+});
@@ -0,0 +1,117 @@
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const relativeFormatter = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+
+/**
+ * Parse a stored date value
+ * @param {string|number|Date|null} value - ISO string, timestamp or Date
+ * @returns {Date|null} Valid Date, or null when the value is empty or invalid
+ */
+export const parseDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Get midnight (local time) of the given date
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const startOfDay = (date) => {
+  const result = new Date(date.getTime());
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+/**
+ * Get the last millisecond (local time) of the given date
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const endOfDay = (date) => {
+  const result = new Date(date.getTime());
+  result.setHours(23, 59, 59, 999);
+  return result;
+};
+
+/**
+ * Add calendar days to a date
+ * @param {Date} date
+ * @param {number} days - May be negative
+ * @returns {Date}
+ */
+export const addDays = (date, days) => {
+  const result = new Date(date.getTime());
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Count calendar days between two dates, ignoring the time of day
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number} Positive when `to` is after `from`
+ */
+export const calendarDaysBetween = (from, to) => {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_IN_MS);
+};
+
+/**
+ * Convert a stored date to the value expected by <input type="datetime-local">
+ * @param {string|null} value - Stored ISO date
+ * @returns {string} 'YYYY-MM-DDTHH:mm' in local time, or '' when unset
+ */
+export const toDateTimeInputValue = (value) => {
+  const date = parseDate(value);
+  if (!date) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Convert an <input type="datetime-local"> value to a stored ISO date
+ * @param {string} value - 'YYYY-MM-DDTHH:mm' in local time
+ * @returns {string|null} ISO string, or null when empty or invalid
+ */
+export const fromDateTimeInputValue = (value) => {
+  const date = parseDate(value);
+  return date ? date.toISOString() : null;
+};
+
+/**
+ * Check whether a task's due date has passed while it is still open
+ * @param {Object} task
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isOverdue = (task, now = new Date()) => {
+  const due = parseDate(task.dueDate);
+  return Boolean(due) && !task.isCompleted && due < now;
+};
+
+/**
+ * Format a date as a short label relative to now, e.g. 'today at 14:00', 'tomorrow' or 'in 3 days'
+ * @param {string|Date} value - Date to describe
+ * @param {Date} now
+ * @returns {string} Label, or '' when the date is unset
+ */
+export const formatRelativeDate = (value, now = new Date()) => {
+  const date = parseDate(value);
+  if (!date) return '';
+
+  const days = calendarDaysBetween(now, date);
+  const time = date.toLocaleTimeString('en', { hour: '2-digit', minute: '2-digit', hour12: false });
+
+  if (days === 0) {
+    return `today at ${time}`;
+  }
+  if (Math.abs(days) < 7) {
+    return relativeFormatter.format(days, 'day');
+  }
+  return date.toLocaleDateString('en', {
+    month: 'short',
+    day: 'numeric',
+    year: date.getFullYear() === now.getFullYear() ? undefined : 'numeric'
+  });
+};
@@ -0,0 +1,49 @@
+import {
+  parseDate,
+  calendarDaysBetween,
+  toDateTimeInputValue,
+  fromDateTimeInputValue,
+  isOverdue,
+  formatRelativeDate
+} from './dateUtils';
+
+describe('dateUtils', () => {
+  const now = new Date(2025, 4, 19, 12, 0);
+
+  test('parses valid dates and rejects empty or invalid values', () => {
+    expect(parseDate('2025-05-19T09:00:00.000Z')).toBeInstanceOf(Date);
+    expect(parseDate(null)).toBeNull();
+    expect(parseDate('')).toBeNull();
+    expect(parseDate('not a date')).toBeNull();
+  });
+
+  test('counts calendar days regardless of time of day', () => {
+    expect(calendarDaysBetween(now, new Date(2025, 4, 20, 0, 5))).toBe(1);
+    expect(calendarDaysBetween(now, new Date(2025, 4, 19, 23, 59))).toBe(0);
+    expect(calendarDaysBetween(now, new Date(2025, 4, 17, 8, 0))).toBe(-2);
+  });
+
+  test('round-trips datetime-local input values', () => {
+    const iso = fromDateTimeInputValue('2025-05-19T09:30');
+    expect(iso).toBe(new Date(2025, 4, 19, 9, 30).toISOString());
+    expect(toDateTimeInputValue(iso)).toBe('2025-05-19T09:30');
+    expect(fromDateTimeInputValue('')).toBeNull();
+    expect(toDateTimeInputValue(null)).toBe('');
+  });
+
+  test('treats only open tasks past their due date as overdue', () => {
+    const past = new Date(2025, 4, 18).toISOString();
+    expect(isOverdue({ dueDate: past, isCompleted: false }, now)).toBe(true);
+    expect(isOverdue({ dueDate: past, isCompleted: true }, now)).toBe(false);
+    expect(isOverdue({ isCompleted: false }, now)).toBe(false);
+  });
+
+  test('formats dates relative to now', () => {
+    expect(formatRelativeDate(new Date(2025, 4, 19, 15, 0), now)).toBe('today at 15:00');
+    expect(formatRelativeDate(new Date(2025, 4, 20, 9, 0), now)).toBe('tomorrow');
+    expect(formatRelativeDate(new Date(2025, 4, 16, 9, 0), now)).toBe('3 days ago');
+    expect(formatRelativeDate(new Date(2025, 5, 30, 9, 0), now)).toBe('Jun 30');
+    expect(formatRelativeDate(new Date(2026, 0, 2, 9, 0), now)).toBe('Jan 2, 2026');
+    expect(formatRelativeDate(null, now)).toBe('');
+  });
+});
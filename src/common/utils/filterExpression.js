@@ -0,0 +1,174 @@
+import { parseDate, startOfDay, endOfDay, addDays, isOverdue } from './dateUtils';
+import { parseQuery, matchesQuery } from './queryParser';
+import { isTagOrDescendant } from './tagUtils';
+
+/**
+ * List filters form an expression tree.
+ * Groups combine their children: 'and' (all match), 'or' (any matches) or 'not' (none match).
+ * Leaves are conditions such as { type: 'tag', value: 'Build' }.
+ * @example
+ * // Build OR Universe, but NOT Keynote
+ * { op: 'and', children: [
+ *   { op: 'or', children: [{ type: 'tag', value: 'Build' }, { type: 'tag', value: 'Universe' }] },
+ *   { op: 'not', children: [{ type: 'tag', value: 'Keynote' }] }
+ * ] }
+ */
+export const GROUP_OPERATORS = ['and', 'or', 'not'];
+
+/**
+ * Create an empty filter group
+ * @param {string} op - 'and', 'or' or 'not'
+ * @returns {Object} Filter group
+ */
+export const createFilterGroup = (op = 'and', children = []) => ({ op, children });
+
+/**
+ * Check whether a filter node is a group rather than a condition
+ * @param {Object} node
+ * @returns {boolean}
+ */
+export const isFilterGroup = (node) => {
+  return Boolean(node) && GROUP_OPERATORS.includes(node.op) && Array.isArray(node.children);
+};
+
+/**
+ * Convert any supported filter format to an expression tree.
+ * Legacy flat arrays of conditions were ANDed together, so they become an 'and' group.
+ * @param {Array|Object|null} filters - Flat array, expression tree or nothing
+ * @returns {Object} Root filter group
+ */
+export const normalizeFilters = (filters) => {
+  if (Array.isArray(filters)) {
+    return createFilterGroup('and', filters.map(child => isFilterGroup(child) ? normalizeFilters(child) : child));
+  }
+  if (isFilterGroup(filters)) {
+    return createFilterGroup(filters.op, filters.children.map(child => isFilterGroup(child) ? normalizeFilters(child) : child));
+  }
+  return createFilterGroup('and');
+};
+
+/**
+ * Check whether a filter expression contains no conditions at all
+ * @param {Array|Object|null} filters
+ * @returns {boolean}
+ */
+export const isEmptyFilter = (filters) => {
+  const root = normalizeFilters(filters);
+  return root.children.every(child => isFilterGroup(child) && isEmptyFilter(child));
+};
+
+/**
+ * Check whether a task satisfies a single condition
+ * @param {Object} filter - Condition such as { type: 'tag', value: 'Build' }
+ * @param {Object} task
+ * @param {Date} now - Reference time for date conditions
+ * @returns {boolean}
+ */
+export const matchesCondition = (filter, task, now = new Date()) => {
+  if (filter.type === 'tag') {
+    // A parent tag also matches its descendants, e.g. 'Events' matches 'Events/Build'
+    return Boolean(task.tags) && task.tags.some(tag => isTagOrDescendant(tag, filter.value));
+  }
+  if (filter.type === 'completed') {
+    return task.isCompleted === filter.value;
+  }
+  if (filter.type === 'dueBefore') {
+    // Due strictly before the given date
+    const due = parseDate(task.dueDate);
+    const limit = parseDate(filter.value);
+    return Boolean(due && limit) && due < limit;
+  }
+  if (filter.type === 'dueWithin') {
+    // Due between the start of today and the end of the day N days from now
+    const due = parseDate(task.dueDate);
+    return Boolean(due) && due >= startOfDay(now) && due <= endOfDay(addDays(now, filter.value));
+  }
+  if (filter.type === 'overdue') {
+    return isOverdue(task, now) === filter.value;
+  }
+  if (filter.type === 'query') {
+    // Saved search in the query language, e.g. 'tag:Build -is:done'
+    return matchesQuery(parseQuery(filter.value), task, now);
+  }
+  // Unknown conditions don't exclude anything
+  return true;
+};
+
+/**
+ * Evaluate a filter expression against a task
+ * @param {Object} node - Filter group or condition
+ * @param {Object} task
+ * @param {Date} now - Reference time for date conditions
+ * @returns {boolean}
+ */
+export const matchesFilter = (node, task, now = new Date()) => {
+  if (!isFilterGroup(node)) {
+    return matchesCondition(node, task, now);
+  }
+  switch (node.op) {
+    case 'or':
+      // An empty OR group doesn't restrict anything
+      return node.children.length === 0 || node.children.some(child => matchesFilter(child, task, now));
+    case 'not':
+      return !node.children.some(child => matchesFilter(child, task, now));
+    default:
+      return node.children.every(child => matchesFilter(child, task, now));
+  }
+};
+
+/**
+ * Get the tags every task in a list must have, i.e. tag conditions reachable through 'and' groups only
+ * @param {Array|Object|null} filters
+ * @returns {Array<string>} Tag names
+ */
+export const getRequiredTags = (filters) => {
+  // Tags under an 'or' or 'not' group (the root included) are optional or excluded
+  const collect = (group) => group.op !== 'and' ? [] : group.children.flatMap(child => {
+    if (isFilterGroup(child)) return collect(child);
+    return child.type === 'tag' ? [child.value] : [];
+  });
+  return [...new Set(collect(normalizeFilters(filters)))];
+};
+
+/**
+ * Get the node at a path of child indexes
+ * @param {Object} root - Root filter group
+ * @param {Array<number>} path - e.g. [1, 0] for the first child of the second child
+ * @returns {Object|undefined}
+ */
+export const getNodeAtPath = (root, path) => {
+  return path.reduce((node, index) => node && isFilterGroup(node) ? node.children[index] : undefined, root);
+};
+
+/**
+ * Return a copy of the tree with the node at `path` replaced by `updater(node)`
+ * @param {Object} root - Root filter group
+ * @param {Array<number>} path
+ * @param {Function} updater
+ * @returns {Object} New root
+ */
+export const updateNodeAtPath = (root, path, updater) => {
+  if (path.length === 0) {
+    return updater(root);
+  }
+  const [index, ...rest] = path;
+  return {
+    ...root,
+    children: root.children.map((child, i) => i === index ? updateNodeAtPath(child, rest, updater) : child)
+  };
+};
+
+/**
+ * Return a copy of the tree without the node at `path`
+ * @param {Object} root - Root filter group
+ * @param {Array<number>} path - Must not be empty
+ * @returns {Object} New root
+ */
+export const removeNodeAtPath = (root, path) => {
+  const parentPath = path.slice(0, -1);
+  const index = path[path.length - 1];
+  return updateNodeAtPath(root, parentPath, group => ({
+    ...group,
+    children: group.children.filter((_, i) => i !== index)
+  }));
+};
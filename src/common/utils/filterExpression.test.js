@@ -0,0 +1,94 @@
+import {
+  normalizeFilters,
+  isEmptyFilter,
+  matchesFilter,
+  getRequiredTags,
+  getNodeAtPath,
+  updateNodeAtPath,
+  removeNodeAtPath
+} from './filterExpression';
+
+const tag = (value) => ({ type: 'tag', value });
+
+describe('filterExpression', () => {
+  const keynote = { id: 1, isCompleted: false, tags: ['Build', 'Keynote'] };
+  const lab = { id: 2, isCompleted: true, tags: ['Build', 'Copilot'] };
+  const workshop = { id: 3, isCompleted: false, tags: ['Universe'] };
+  const other = { id: 4, isCompleted: false, tags: [] };
+
+  test('converts legacy flat arrays to an AND group', () => {
+    expect(normalizeFilters([tag('Build')])).toEqual({ op: 'and', children: [tag('Build')] });
+    expect(normalizeFilters(undefined)).toEqual({ op: 'and', children: [] });
+  });
+
+  test('detects expressions without conditions', () => {
+    expect(isEmptyFilter([])).toBe(true);
+    expect(isEmptyFilter({ op: 'and', children: [{ op: 'or', children: [] }] })).toBe(true);
+    expect(isEmptyFilter([tag('Build')])).toBe(false);
+  });
+
+  test('evaluates "Build OR Universe, but NOT Keynote"', () => {
+    const expression = {
+      op: 'and',
+      children: [
+        { op: 'or', children: [tag('Build'), tag('Universe')] },
+        { op: 'not', children: [tag('Keynote')] }
+      ]
+    };
+
+    expect([keynote, lab, workshop, other].filter(task => matchesFilter(expression, task)))
+      .toEqual([lab, workshop]);
+  });
+
+  test('treats empty OR groups as unrestricted', () => {
+    const expression = { op: 'and', children: [{ op: 'or', children: [] }, { type: 'completed', value: true }] };
+    expect(matchesFilter(expression, lab)).toBe(true);
+    expect(matchesFilter(expression, keynote)).toBe(false);
+  });
+
+  test('matches a parent tag on its descendants', () => {
+    const build = { id: 5, isCompleted: false, tags: ['Events/Build'] };
+    const universe = { id: 6, isCompleted: false, tags: ['Events/Universe/Day 1'] };
+    const lookalike = { id: 7, isCompleted: false, tags: ['Eventsy'] };
+
+    expect([build, universe, lookalike, keynote].filter(task => matchesFilter(normalizeFilters([tag('Events')]), task)))
+      .toEqual([build, universe]);
+    expect(matchesFilter(normalizeFilters([tag('Events/Build')]), universe)).toBe(false);
+  });
+
+  test('evaluates saved search queries', () => {
+    const expression = { op: 'and', children: [{ type: 'query', value: 'tag:build -is:done' }] };
+    expect([keynote, lab, workshop, other].filter(task => matchesFilter(expression, task)))
+      .toEqual([keynote]);
+  });
+
+  test('collects tags required through AND groups only', () => {
+    const expression = {
+      op: 'and',
+      children: [
+        tag('Build'),
+        { op: 'and', children: [tag('AI')] },
+        { op: 'or', children: [tag('Universe')] },
+        { op: 'not', children: [tag('Keynote')] }
+      ]
+    };
+    expect(getRequiredTags(expression)).toEqual(['Build', 'AI']);
+    expect(getRequiredTags([tag('work')])).toEqual(['work']);
+  });
+
+  test('requires no tags when the root is an OR or NOT group', () => {
+    expect(getRequiredTags({ op: 'or', children: [tag('Build'), tag('Universe')] })).toEqual([]);
+    expect(getRequiredTags({ op: 'not', children: [tag('Keynote')] })).toEqual([]);
+    expect(getRequiredTags({ op: 'not', children: [{ op: 'and', children: [tag('Keynote')] }] })).toEqual([]);
+  });
+
+  test('reads and edits nodes by path', () => {
+    const expression = { op: 'and', children: [tag('Build'), { op: 'or', children: [tag('AI')] }] };
+
+    expect(getNodeAtPath(expression, [1, 0])).toEqual(tag('AI'));
+    expect(updateNodeAtPath(expression, [1], group => ({ ...group, op: 'not' })).children[1].op).toBe('not');
+    expect(removeNodeAtPath(expression, [0])).toEqual({ op: 'and', children: [{ op: 'or', children: [tag('AI')] }] });
+    // The original tree is left untouched
+    expect(expression.children).toHaveLength(2);
+  });
+});
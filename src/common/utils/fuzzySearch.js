@@ -0,0 +1,75 @@
+import { normalizeText } from './queryParser';
+
+/**
+ * Fuzzy matching for the command palette: every character of the query has to appear in
+ * the text, in order. Matches at the start of words and runs of consecutive characters
+ * score higher, so 'mt' finds "Manage tags" before "Complete all tasks".
+ */
+
+const isWordStart = (text, index) => index === 0 || /[\s/\-_.:([]/.test(text[index - 1]);
+
+// Whether the characters of needle appear in order in haystack from a position
+const isSubsequence = (needle, haystack, from) => {
+  let position = from;
+  for (const char of needle) {
+    position = haystack.indexOf(char, position);
+    if (position === -1) return false;
+    position += 1;
+  }
+  return true;
+};
+
+// Where to match a query character: the next word start with it, if the rest of the
+// query still matches after it, and otherwise its next occurrence
+const findMatch = (haystack, char, position, rest) => {
+  for (let index = haystack.indexOf(char, position); index !== -1; index = haystack.indexOf(char, index + 1)) {
+    if (isWordStart(haystack, index) && isSubsequence(rest, haystack, index + 1)) return index;
+  }
+  return haystack.indexOf(char, position);
+};
+
+/**
+ * Score how well a query matches some text
+ * @param {string} query
+ * @param {string} text
+ * @returns {number|null} Higher is better; null when the query doesn't match
+ */
+export const fuzzyScore = (query, text) => {
+  const needle = normalizeText(query).replace(/\s+/g, '');
+  const haystack = normalizeText(text);
+  if (!needle) return 0;
+
+  let score = 0;
+  let previous = -2;
+  let position = 0;
+  for (let i = 0; i < needle.length; i += 1) {
+    // Keep consecutive runs going rather than jumping to a word start
+    const index = haystack[position] === needle[i] && previous === position - 1
+      ? position
+      : findMatch(haystack, needle[i], position, needle.slice(i + 1));
+    if (index === -1) return null;
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (isWordStart(haystack, index)) score += 3;
+    previous = index;
+    position = index + 1;
+  }
+  // Prefer shorter texts when matches are otherwise equal
+  return score - haystack.length / 100;
+};
+
+/**
+ * Filter and rank items by a fuzzy query
+ * @param {Array} items
+ * @param {string} query
+ * @param {Function} getText - Text of an item to match against
+ * @returns {Array} Matching items, best first; every item, in order, for an empty query
+ */
+export const fuzzyFilter = (items, query, getText) => {
+  if (!query.trim()) return items;
+  return items
+    .map((item, index) => ({ item, index, score: fuzzyScore(query, getText(item)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item }) => item);
+};
@@ -0,0 +1,22 @@
+import { fuzzyScore, fuzzyFilter } from './fuzzySearch';
+
+describe('fuzzySearch', () => {
+  test('matches characters in order, ignoring case and accents', () => {
+    expect(fuzzyScore('mngtg', 'Manage tags')).not.toBeNull();
+    expect(fuzzyScore('CAFE', 'Café meetup')).not.toBeNull();
+    expect(fuzzyScore('tm', 'Manage tags')).toBeNull();
+    expect(fuzzyScore('xyz', 'Manage tags')).toBeNull();
+  });
+
+  test('prefers word starts and consecutive characters', () => {
+    expect(fuzzyScore('mt', 'Manage tags')).toBeGreaterThan(fuzzyScore('mt', 'Complete all tasks'));
+    expect(fuzzyScore('key', 'Attend keynote')).toBeGreaterThan(fuzzyScore('key', 'Kick off the year'));
+  });
+
+  test('ranks matching items and drops the rest', () => {
+    const items = ['Complete all tasks', 'Manage tags', 'New task', 'Import / Export'];
+    expect(fuzzyFilter(items, 'mt', item => item)).toEqual(['Manage tags', 'Complete all tasks', 'Import / Export']);
+    expect(fuzzyFilter(items, 'export', item => item)).toEqual(['Import / Export']);
+    expect(fuzzyFilter(items, '  ', item => item)).toEqual(items);
+  });
+});
@@ -0,0 +1,85 @@
+import { moveIdBefore, sortByOrder } from './collectionUtils';
+
+/**
+ * How a list is laid out on the board is stored on the list itself: `pinned` lists come before
+ * the others, `collapsed` lists show only their header, and `width` / `height` size the list.
+ * The order of the lists is the order of the taskLists collection.
+ * The layout belongs to this device: it isn't sent to the sync server or recorded for undo.
+ */
+
+// Fields of a list that only describe how it is laid out
+export const LAYOUT_FIELDS = ['pinned', 'collapsed', 'width', 'height'];
+
+// Columns a list spans in the board's grid
+export const LIST_WIDTHS = [
+  { value: 'normal', label: 'Normal', className: '' },
+  { value: 'wide', label: 'Wide', className: 'md:col-span-2' },
+  { value: 'full', label: 'Full width', className: 'col-span-full' }
+];
+
+// How tall a list's task area can grow before it scrolls
+export const LIST_HEIGHTS = [
+  { value: 'short', label: 'Short', className: 'max-h-[30vh]' },
+  { value: 'normal', label: 'Normal', className: 'max-h-[50vh]' },
+  { value: 'tall', label: 'Tall', className: 'max-h-[80vh]' },
+  { value: 'auto', label: 'Fit all tasks', className: '' }
+];
+
+/**
+ * Find a list's width, falling back to the normal width
+ * @param {Object} list
+ * @returns {Object} Entry of LIST_WIDTHS
+ */
+export const getListWidth = (list) => LIST_WIDTHS.find(width => width.value === list.width) || LIST_WIDTHS[0];
+
+/**
+ * Find a list's height, falling back to the normal height
+ * @param {Object} list
+ * @returns {Object} Entry of LIST_HEIGHTS
+ */
+export const getListHeight = (list) => LIST_HEIGHTS.find(height => height.value === list.height) || LIST_HEIGHTS[1];
+
+/**
+ * Put lists in the order the board shows them: pinned lists first, each group in collection order
+ * @param {Array} taskLists
+ * @returns {Array} New array
+ */
+export const arrangeLists = (taskLists) => [
+  ...taskLists.filter(list => list.pinned),
+  ...taskLists.filter(list => !list.pinned)
+];
+
+/**
+ * Move a list to just before another one, as the board shows them
+ * @param {Array} taskLists
+ * @param {string} listId - List to move
+ * @param {string|null} beforeListId - List to move before; null moves to the end
+ * @returns {Array} List ids in their new order; pinned lists stay before the others
+ */
+export const moveListBefore = (taskLists, listId, beforeListId) => {
+  const ids = moveIdBefore(arrangeLists(taskLists).map(list => list.id), listId, beforeListId);
+  return arrangeLists(sortByOrder(taskLists, ids)).map(list => list.id);
+};
+
+/**
+ * Leave out a list's layout, e.g. before sending it to the sync server
+ * @param {Object} list
+ * @returns {Object} Copy without LAYOUT_FIELDS
+ */
+export const withoutLayout = (list) => Object.fromEntries(
+  Object.entries(list).filter(([field]) => !LAYOUT_FIELDS.includes(field))
+);
+
+/**
+ * Give lists the layout they have in another version of the collection, e.g. when lists are pulled
+ * from the server or an undo restores older lists
+ * @param {Array} taskLists
+ * @param {Array} layoutLists - Lists whose layout to keep; lists missing here keep their own
+ * @returns {Array} New array
+ */
+export const keepLayout = (taskLists, layoutLists) => taskLists.map(list => {
+  const layoutList = layoutLists.find(candidate => candidate.id === list.id);
+  if (!layoutList) return list;
+  const layout = Object.fromEntries(LAYOUT_FIELDS.filter(field => field in layoutList).map(field => [field, layoutList[field]]));
+  return { ...withoutLayout(list), ...layout };
+});
@@ -0,0 +1,40 @@
+import { getListWidth, getListHeight, arrangeLists, moveListBefore, withoutLayout, keepLayout } from './listLayout';
+
+describe('listLayout', () => {
+  const lists = [
+    { id: 'default', title: 'All Tasks' },
+    { id: 'work', title: 'Work', pinned: true },
+    { id: 'home', title: 'Home' },
+    { id: 'today', title: 'Today', pinned: true }
+  ];
+
+  test('falls back to the normal width and height', () => {
+    expect(getListWidth({ width: 'full' }).className).toBe('col-span-full');
+    expect(getListWidth({}).value).toBe('normal');
+    expect(getListHeight({ height: 'auto' }).className).toBe('');
+    expect(getListHeight({ height: 'huge' })).toMatchObject({ value: 'normal', className: 'max-h-[50vh]' });
+  });
+
+  test('puts pinned lists first and keeps the order within each group', () => {
+    expect(arrangeLists(lists).map(list => list.id)).toEqual(['work', 'today', 'default', 'home']);
+  });
+
+  test('moves a list before another one, as the board shows them', () => {
+    expect(moveListBefore(lists, 'home', 'default')).toEqual(['work', 'today', 'home', 'default']);
+    expect(moveListBefore(lists, 'today', 'work')).toEqual(['today', 'work', 'default', 'home']);
+    expect(moveListBefore(lists, 'work', null)).toEqual(['today', 'work', 'default', 'home']);
+    // A list dropped among the pinned lists stays below them
+    expect(moveListBefore(lists, 'home', 'work')).toEqual(['work', 'today', 'home', 'default']);
+  });
+
+  test('separates a list\'s layout from its other settings', () => {
+    expect(withoutLayout({ id: 'work', title: 'Work', pinned: true, width: 'wide' })).toEqual({ id: 'work', title: 'Work' });
+
+    const local = [{ id: 'work', title: 'Work', collapsed: true }];
+    const pulled = [{ id: 'work', title: 'Work (renamed)', pinned: true }, { id: 'home', title: 'Home', width: 'full' }];
+    expect(keepLayout(pulled, local)).toEqual([
+      { id: 'work', title: 'Work (renamed)', collapsed: true },
+      { id: 'home', title: 'Home', width: 'full' }
+    ]);
+  });
+});
@@ -0,0 +1,142 @@
+import { isOverdue } from './dateUtils';
+import { isTagOrDescendant } from './tagUtils';
+
+/**
+ * Task search query language.
+ * Terms are separated by spaces and must all match:
+ * - `keynote` or `"day 1 keynote"` match words or phrases in the title or description
+ * - `tag:Build` (or `tag:"Dev Ops"`) matches tasks with that tag or one of its subtags, e.g. `tag:Events` matches `Events/Build`
+ * - `is:open`, `is:done` and `is:overdue` match on task state
+ * - a leading `-` negates any term, e.g. `-tag:AI`
+ * Text and tags are compared case- and accent-insensitively.
+ */
+
+const TOKEN_PATTERN = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+
+const STATE_MATCHERS = {
+  open: (task) => !task.isCompleted,
+  active: (task) => !task.isCompleted,
+  done: (task) => Boolean(task.isCompleted),
+  completed: (task) => Boolean(task.isCompleted),
+  overdue: (task, now) => isOverdue(task, now)
+};
+
+/**
+ * Lower-case a string and strip diacritics so 'Café' and 'cafe' compare equal
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+};
+
+/**
+ * Parse a search query into terms
+ * @param {string} query - e.g. 'tag:Build is:open "keynote" -tag:AI'
+ * @returns {Array<Object>} Terms shaped { field: 'text'|'tag'|'is', value, negated }
+ */
+export const parseQuery = (query) => {
+  const terms = [];
+  if (!query) return terms;
+
+  for (const match of String(query).matchAll(TOKEN_PATTERN)) {
+    const [, minus, prefix, quoted, bare] = match;
+    const value = quoted !== undefined ? quoted : bare;
+    const field = prefix ? prefix.toLowerCase() : 'text';
+
+    if (!value || !value.trim()) continue;
+
+    if (field === 'tag' || field === 'is') {
+      terms.push({ field, value: value.trim(), negated: minus === '-' });
+    } else {
+      // Unknown prefixes such as 'http:' are treated as plain text
+      const text = prefix ? `${prefix}:${value}` : value;
+      terms.push({ field: 'text', value: text.trim(), negated: minus === '-' });
+    }
+  }
+  return terms;
+};
+
+const matchesTerm = (term, task, now) => {
+  if (term.field === 'tag') {
+    const wanted = normalizeText(term.value);
+    return (task.tags || []).some(tag => isTagOrDescendant(normalizeText(tag), wanted));
+  }
+  if (term.field === 'is') {
+    const matcher = STATE_MATCHERS[normalizeText(term.value)];
+    return matcher ? matcher(task, now) : false;
+  }
+  const haystack = normalizeText(`${task.title}\n${task.description || ''}`);
+  return haystack.includes(normalizeText(term.value));
+};
+
+/**
+ * Check whether a task matches every term of a parsed query
+ * @param {Array<Object>} terms - Result of parseQuery
+ * @param {Object} task
+ * @param {Date} now - Reference time for `is:overdue`
+ * @returns {boolean}
+ */
+export const matchesQuery = (terms, task, now = new Date()) => {
+  return terms.every(term => matchesTerm(term, task, now) !== term.negated);
+};
+
+/**
+ * Get the words and phrases worth highlighting for a parsed query
+ * @param {Array<Object>} terms - Result of parseQuery
+ * @returns {Array<string>}
+ */
+export const getHighlightTerms = (terms) => {
+  return terms
+    .filter(term => term.field === 'text' && !term.negated)
+    .map(term => term.value);
+};
+
+/**
+ * Find the ranges of `text` that match any of the terms, ignoring case and accents
+ * @param {string} text - Original text
+ * @param {Array<string>} terms - Words or phrases to find
+ * @returns {Array<Array<number>>} Sorted, non-overlapping [start, end) ranges in the original text
+ */
+export const findMatchRanges = (text, terms) => {
+  if (!text || !terms || terms.length === 0) return [];
+
+  // Build the normalised text while remembering which original index each character came from
+  let normalized = '';
+  const originalIndex = [];
+  Array.from(text).reduce((offset, char) => {
+    const normalizedChar = normalizeText(char);
+    for (let i = 0; i < normalizedChar.length; i++) {
+      normalized += normalizedChar[i];
+      originalIndex.push(offset);
+    }
+    return offset + char.length;
+  }, 0);
+
+  const ranges = [];
+  terms.map(normalizeText).filter(Boolean).forEach(term => {
+    let from = normalized.indexOf(term);
+    while (from !== -1) {
+      const lastIndex = from + term.length - 1;
+      const lastChar = text.codePointAt(originalIndex[lastIndex]);
+      ranges.push([originalIndex[from], originalIndex[lastIndex] + (lastChar > 0xffff ? 2 : 1)]);
+      from = normalized.indexOf(term, from + term.length);
+    }
+  });
+
+  // Merge overlapping ranges
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
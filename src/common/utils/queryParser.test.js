@@ -0,0 +1,75 @@
+import {
+  normalizeText,
+  parseQuery,
+  matchesQuery,
+  getHighlightTerms,
+  findMatchRanges
+} from './queryParser';
+
+describe('queryParser', () => {
+  const now = new Date(2025, 4, 20, 12, 0);
+
+  const keynote = {
+    id: 1,
+    title: 'Rehearse the Build keynote',
+    description: 'Day 1 keynote demo',
+    isCompleted: false,
+    tags: ['Build', 'Keynote'],
+    dueDate: new Date(2025, 4, 19, 9, 0).toISOString()
+  };
+  const lab = { id: 2, title: 'Café lab setup', isCompleted: true, tags: ['Build', 'AI'] };
+  const workshop = { id: 3, title: 'Universe workshop', isCompleted: false, tags: ['Universe'] };
+
+  test('normalises case and accents', () => {
+    expect(normalizeText('Café CRÈME')).toBe('cafe creme');
+    expect(normalizeText(undefined)).toBe('');
+  });
+
+  test('parses prefixes, quoted phrases and negation', () => {
+    expect(parseQuery('tag:Build is:open "day 1 keynote" -tag:AI')).toEqual([
+      { field: 'tag', value: 'Build', negated: false },
+      { field: 'is', value: 'open', negated: false },
+      { field: 'text', value: 'day 1 keynote', negated: false },
+      { field: 'tag', value: 'AI', negated: true }
+    ]);
+    expect(parseQuery('tag:"Dev Ops"')).toEqual([{ field: 'tag', value: 'Dev Ops', negated: false }]);
+  });
+
+  test('treats unknown prefixes as plain text', () => {
+    expect(parseQuery('http://example.com')).toEqual([
+      { field: 'text', value: 'http://example.com', negated: false }
+    ]);
+    expect(parseQuery('')).toEqual([]);
+    expect(parseQuery('   ')).toEqual([]);
+  });
+
+  test('matches every term against tasks', () => {
+    const tasks = [keynote, lab, workshop];
+    const search = (query) => tasks.filter(task => matchesQuery(parseQuery(query), task, now)).map(task => task.id);
+
+    expect(search('tag:build')).toEqual([1, 2]);
+    expect(search('tag:universe')).toEqual([3]);
+    expect(tasks.filter(task => matchesQuery(parseQuery('tag:events'), { ...task, tags: ['Events/Universe'] }, now))).toHaveLength(3);
+    expect(search('tag:Build -tag:AI')).toEqual([1]);
+    expect(search('is:done')).toEqual([2]);
+    expect(search('is:open')).toEqual([1, 3]);
+    expect(search('is:overdue')).toEqual([1]);
+    expect(search('"keynote demo"')).toEqual([1]);
+    expect(search('CAFE')).toEqual([2]);
+    expect(search('universe')).toEqual([3]);
+    expect(search('is:unknown')).toEqual([]);
+    expect(search('')).toEqual([1, 2, 3]);
+  });
+
+  test('only highlights positive text terms', () => {
+    expect(getHighlightTerms(parseQuery('keynote tag:Build -demo "day 1"'))).toEqual(['keynote', 'day 1']);
+  });
+
+  test('finds match ranges in the original text', () => {
+    expect(findMatchRanges('Café keynote', ['cafe'])).toEqual([[0, 4]]);
+    expect(findMatchRanges('keynote Keynote', ['keynote'])).toEqual([[0, 7], [8, 15]]);
+    // Overlapping matches are merged
+    expect(findMatchRanges('keynote', ['key', 'eyno'])).toEqual([[0, 5]]);
+    expect(findMatchRanges('keynote', [])).toEqual([]);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Recurring tasks carry an RRULE-style rule:
+ * task.recurrence = { frequency, interval, weekdays, count, until, seriesId, occurrence }
+ * - frequency: 'daily' | 'weekly' | 'monthly', repeating every `interval` days, weeks or months
+ * - weekdays: for weekly rules, days of the week (0 = Sunday) to repeat on
+ * - count / until: the series ends after `count` occurrences, or after the `until` date
+ * - seriesId / occurrence: which series a task belongs to and its 1-based position in it
+ * Only one occurrence exists at a time; completing it creates the next one.
+ */
+import { parseDate, addDays, startOfDay, endOfDay, calendarDaysBetween } from './dateUtils';
+import { IdService } from './IdService';
+
+export const RECURRENCE_FREQUENCIES = {
+  daily: { label: 'Daily', unit: 'day' },
+  weekly: { label: 'Weekly', unit: 'week' },
+  monthly: { label: 'Monthly', unit: 'month' }
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Task fields an occurrence can override without changing the rest of the series
+export const SERIES_FIELDS = ['title', 'description', 'tags', 'priority'];
+
+/**
+ * Start a new series from a rule
+ * @param {Object} rule - { frequency, interval, weekdays, count, until }
+ * @returns {Object} Recurrence for the first occurrence
+ */
+export const createRecurrence = (rule) => {
+  return { ...rule, seriesId: IdService.createId('series'), occurrence: 1 };
+};
+
+// The rule without series bookkeeping, for comparing and editing
+export const getRecurrenceRule = ({ frequency, interval = 1, weekdays = [], count = null, until = null }) => {
+  return { frequency, interval, weekdays, count, until };
+};
+
+const startOfWeek = (date) => addDays(startOfDay(date), -date.getDay());
+
+/**
+ * Get the date of the occurrence after `from`, keeping its time of day
+ * @param {Object} rule
+ * @param {Date} from
+ * @returns {Date}
+ */
+export const getNextOccurrenceDate = (rule, from) => {
+  const interval = Math.max(1, Number(rule.interval) || 1);
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [from.getDay()];
+    const firstWeek = startOfWeek(from);
+    // Look one full cycle ahead for the next selected weekday in a repeating week
+    for (let days = 1; days <= 7 * interval + 7; days++) {
+      const candidate = addDays(from, days);
+      const weeks = Math.round(calendarDaysBetween(firstWeek, startOfWeek(candidate)) / 7);
+      if (weeks % interval === 0 && weekdays.includes(candidate.getDay())) return candidate;
+    }
+  }
+
+  if (rule.frequency === 'monthly') {
+    const result = new Date(from.getTime());
+    result.setDate(1);
+    result.setMonth(result.getMonth() + interval);
+    // Clamp to the end of shorter months, e.g. 31 January → 28 February
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(from.getDate(), lastDay));
+    return result;
+  }
+
+  return addDays(from, interval);
+};
+
+/**
+ * Create the occurrence that follows a task, or null when the series has ended
+ * Dates move by whole days so times of day survive daylight saving changes.
+ * @param {Object} task - The occurrence being completed
+ * @param {Date} now - Used as the anchor when the task has no dates
+ * @returns {Object|null} Next task, without an id
+ */
+export const createNextOccurrence = (task, now = new Date()) => {
+  const { template, ...recurrence } = task.recurrence || {};
+  if (!recurrence.frequency) return null;
+  if (recurrence.count && recurrence.occurrence >= recurrence.count) return null;
+
+  const anchor = parseDate(task.dueDate) || parseDate(task.startDate) || now;
+  const nextDate = getNextOccurrenceDate(recurrence, anchor);
+  const until = parseDate(recurrence.until);
+  if (until && nextDate > endOfDay(until)) return null;
+
+  const days = calendarDaysBetween(anchor, nextDate);
+  const shift = (value) => {
+    const date = parseDate(value);
+    return date ? addDays(date, days).toISOString() : value;
+  };
+  // Every subtask of the new occurrence starts open again
+  const reopen = (subtasks = []) => subtasks.map(subtask => ({ ...subtask, isCompleted: false, subtasks: reopen(subtask.subtasks) }));
+
+  // Occurrence-only edits are replaced by the series values kept in the template
+  const next = {
+    ...task,
+    ...template,
+    isCompleted: false,
+    dueDate: shift(task.dueDate),
+    startDate: shift(task.startDate),
+    subtasks: task.subtasks ? reopen(task.subtasks) : task.subtasks,
+    recurrence: { ...recurrence, occurrence: (recurrence.occurrence || 1) + 1 }
+  };
+  delete next.id;
+  delete next.status;
+  delete next.createdAt;
+  delete next.completedAt;
+  delete next.archivedAt;
+  return next;
+};
+
+/**
+ * Describe a rule, e.g. "Every 2 weeks on Mon, Wed, 5 times"
+ * @param {Object} recurrence
+ * @returns {string}
+ */
+export const describeRecurrence = (recurrence) => {
+  const frequency = RECURRENCE_FREQUENCIES[recurrence.frequency];
+  if (!frequency) return '';
+  const interval = Math.max(1, Number(recurrence.interval) || 1);
+  let text = interval === 1 ? frequency.label : `Every ${interval} ${frequency.unit}s`;
+  if (recurrence.frequency === 'weekly' && recurrence.weekdays && recurrence.weekdays.length > 0) {
+    text += ` on ${[...recurrence.weekdays].sort().map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+  if (recurrence.count) {
+    text += `, ${recurrence.count} times`;
+  } else if (parseDate(recurrence.until)) {
+    text += `, until ${parseDate(recurrence.until).toLocaleDateString('en', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+  return text;
+};
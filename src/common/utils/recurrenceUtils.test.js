@@ -0,0 +1,101 @@
+import {
+  createRecurrence,
+  getNextOccurrenceDate,
+  createNextOccurrence,
+  describeRecurrence
+} from './recurrenceUtils';
+
+describe('recurrenceUtils', () => {
+  const at = (year, month, day, hours = 9) => new Date(year, month - 1, day, hours, 0);
+
+  test('starts a series at its first occurrence', () => {
+    const first = createRecurrence({ frequency: 'daily', interval: 1 });
+    const second = createRecurrence({ frequency: 'daily', interval: 1 });
+
+    expect(first).toEqual(expect.objectContaining({ frequency: 'daily', occurrence: 1 }));
+    expect(first.seriesId).not.toBe(second.seriesId);
+  });
+
+  test('repeats every N days', () => {
+    expect(getNextOccurrenceDate({ frequency: 'daily', interval: 3 }, at(2025, 5, 19))).toEqual(at(2025, 5, 22));
+    expect(getNextOccurrenceDate({ frequency: 'daily' }, at(2025, 5, 31))).toEqual(at(2025, 6, 1));
+  });
+
+  test('repeats weekly on the selected weekdays', () => {
+    const rule = { frequency: 'weekly', interval: 1, weekdays: [1, 3] };
+    // 19 May 2025 is a Monday
+    expect(getNextOccurrenceDate(rule, at(2025, 5, 19))).toEqual(at(2025, 5, 21));
+    expect(getNextOccurrenceDate(rule, at(2025, 5, 21))).toEqual(at(2025, 5, 26));
+    expect(getNextOccurrenceDate({ ...rule, interval: 2 }, at(2025, 5, 21))).toEqual(at(2025, 6, 2));
+    // Without weekdays, on the same day of the week
+    expect(getNextOccurrenceDate({ frequency: 'weekly', interval: 1 }, at(2025, 5, 19))).toEqual(at(2025, 5, 26));
+  });
+
+  test('repeats monthly, clamped to the end of shorter months', () => {
+    expect(getNextOccurrenceDate({ frequency: 'monthly', interval: 1 }, at(2025, 5, 19))).toEqual(at(2025, 6, 19));
+    expect(getNextOccurrenceDate({ frequency: 'monthly', interval: 1 }, at(2025, 1, 31))).toEqual(at(2025, 2, 28));
+    expect(getNextOccurrenceDate({ frequency: 'monthly', interval: 3 }, at(2025, 11, 15))).toEqual(at(2026, 2, 15));
+  });
+
+  test('creates the next occurrence with its dates moved and everything reopened', () => {
+    const task = {
+      id: 7,
+      title: 'Stand-up',
+      isCompleted: true,
+      status: 'done',
+      tags: ['Team'],
+      startDate: at(2025, 5, 19, 8).toISOString(),
+      dueDate: at(2025, 5, 19).toISOString(),
+      subtasks: [{ id: 's1', title: 'Notes', isCompleted: true, subtasks: [] }],
+      recurrence: { frequency: 'daily', interval: 1, seriesId: 'series-1', occurrence: 1 }
+    };
+
+    expect(createNextOccurrence(task)).toEqual({
+      title: 'Stand-up',
+      isCompleted: false,
+      tags: ['Team'],
+      startDate: at(2025, 5, 20, 8).toISOString(),
+      dueDate: at(2025, 5, 20).toISOString(),
+      subtasks: [{ id: 's1', title: 'Notes', isCompleted: false, subtasks: [] }],
+      recurrence: { frequency: 'daily', interval: 1, seriesId: 'series-1', occurrence: 2 }
+    });
+  });
+
+  test('ends a series after its count or its end date', () => {
+    const task = { id: 1, title: 'Review', dueDate: at(2025, 5, 19).toISOString() };
+
+    expect(createNextOccurrence({ ...task, recurrence: { frequency: 'daily', count: 3, occurrence: 3 } })).toBeNull();
+    expect(createNextOccurrence({ ...task, recurrence: { frequency: 'daily', count: 3, occurrence: 2 } })).not.toBeNull();
+
+    const until = at(2025, 5, 20, 0).toISOString();
+    expect(createNextOccurrence({ ...task, recurrence: { frequency: 'daily', until, occurrence: 1 } })).not.toBeNull();
+    expect(createNextOccurrence({
+      ...task,
+      dueDate: at(2025, 5, 20).toISOString(),
+      recurrence: { frequency: 'daily', until, occurrence: 2 }
+    })).toBeNull();
+  });
+
+  test('goes back to the series values after a one-off edit', () => {
+    const next = createNextOccurrence({
+      id: 1,
+      title: 'Stand-up (moved to the lab)',
+      priority: 'P0',
+      recurrence: { frequency: 'daily', seriesId: 'series-1', occurrence: 4, template: { title: 'Stand-up', priority: null } }
+    }, at(2025, 5, 19));
+
+    expect(next.title).toBe('Stand-up');
+    expect(next.priority).toBeNull();
+    expect(next.recurrence).toEqual({ frequency: 'daily', seriesId: 'series-1', occurrence: 5 });
+  });
+
+  test('describes rules', () => {
+    expect(describeRecurrence({ frequency: 'daily', interval: 1 })).toBe('Daily');
+    expect(describeRecurrence({ frequency: 'daily', interval: 3 })).toBe('Every 3 days');
+    expect(describeRecurrence({ frequency: 'weekly', interval: 2, weekdays: [3, 1], count: 5 }))
+      .toBe('Every 2 weeks on Mon, Wed, 5 times');
+    expect(describeRecurrence({ frequency: 'monthly', interval: 1, until: at(2025, 5, 30, 0).toISOString() }))
+      .toBe('Monthly, until May 30, 2025');
+    expect(describeRecurrence({ frequency: 'yearly' })).toBe('');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * A task's `reminder` is how many minutes before its due date to remind about it (0 = at the
+ * due time), or null for no reminder. Reminders need a due date and are kept by the next
+ * occurrence of a repeating task.
+ */
+import { parseDate } from './dateUtils';
+import { isArchived } from './archiveUtils';
+
+// Reminder choices offered by the task forms
+export const REMINDER_OPTIONS = [
+  { value: 0, label: 'At the due time' },
+  { value: 15, label: '15 minutes before' },
+  { value: 60, label: '1 hour before' },
+  { value: 1440, label: '1 day before' }
+];
+
+// Reminders this late are skipped rather than shown, e.g. after the app was closed for a while
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a stored reminder value
+ * @param {*} value
+ * @returns {boolean} Whether it is a whole number of minutes, at least 0
+ */
+export const isValidReminder = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * When to remind about a task
+ * @param {Object} task
+ * @returns {Date|null} Null when the task has no reminder or no due date
+ */
+export const getReminderTime = (task) => {
+  const due = parseDate(task.dueDate);
+  if (!due || !isValidReminder(task.reminder)) return null;
+  return new Date(due.getTime() - task.reminder * 60 * 1000);
+};
+
+/**
+ * Identify one reminder of a task; moving the due date makes a new reminder
+ * @param {Object} task
+ * @returns {string}
+ */
+export const getReminderKey = (task) => `${task.id}@${task.dueDate}`;
+
+/**
+ * Find the open tasks whose reminder is due and hasn't been dismissed
+ * @param {Array} tasks
+ * @param {Array} dismissedKeys - Keys from getReminderKey of reminders already dismissed
+ * @param {Date} now
+ * @returns {Array} Tasks, earliest reminder first
+ */
+export const getDueReminders = (tasks, dismissedKeys = [], now = new Date()) => {
+  const dismissed = new Set(dismissedKeys);
+  return tasks
+    .filter(task => !task.isCompleted && !isArchived(task) && !dismissed.has(getReminderKey(task)))
+    .map(task => ({ task, time: getReminderTime(task) }))
+    .filter(({ time }) => time && time <= now && now - time < STALE_AFTER_MS)
+    .sort((a, b) => a.time - b.time)
+    .map(({ task }) => task);
+};
+
+/**
+ * Describe a reminder, e.g. '1 hour before'
+ * @param {number|null} reminder
+ * @returns {string} Label, or '' without a reminder
+ */
+export const describeReminder = (reminder) => {
+  if (!isValidReminder(reminder)) return '';
+  const option = REMINDER_OPTIONS.find(candidate => candidate.value === reminder);
+  return option ? option.label : `${reminder} minutes before`;
+};
@@ -0,0 +1,37 @@
+import { getReminderTime, getReminderKey, getDueReminders, describeReminder } from './reminderUtils';
+
+describe('reminderUtils', () => {
+  const due = new Date(2025, 4, 19, 14, 0).toISOString();
+  const task = { id: 'task-1', title: 'Keynote', isCompleted: false, dueDate: due, reminder: 60 };
+
+  test('works out when to remind about a task', () => {
+    expect(getReminderTime(task)).toEqual(new Date(2025, 4, 19, 13, 0));
+    expect(getReminderTime({ ...task, reminder: 0 })).toEqual(new Date(2025, 4, 19, 14, 0));
+    expect(getReminderTime({ ...task, reminder: null })).toBeNull();
+    expect(getReminderTime({ ...task, dueDate: null })).toBeNull();
+  });
+
+  test('finds the open tasks whose reminder is due', () => {
+    const tasks = [
+      task,
+      { ...task, id: 'task-2', reminder: 15 },
+      { ...task, id: 'task-3', isCompleted: true },
+      { ...task, id: 'task-4', archivedAt: due },
+      { ...task, id: 'task-5', reminder: null }
+    ];
+
+    expect(getDueReminders(tasks, [], new Date(2025, 4, 19, 12, 59))).toEqual([]);
+    expect(getDueReminders(tasks, [], new Date(2025, 4, 19, 13, 0)).map(t => t.id)).toEqual(['task-1']);
+    expect(getDueReminders(tasks, [], new Date(2025, 4, 19, 13, 50)).map(t => t.id)).toEqual(['task-1', 'task-2']);
+    // Dismissed reminders stay hidden until the due date moves
+    expect(getDueReminders(tasks, [getReminderKey(task)], new Date(2025, 4, 19, 13, 50)).map(t => t.id)).toEqual(['task-2']);
+    // Reminders more than a day late are skipped
+    expect(getDueReminders(tasks, [], new Date(2025, 4, 20, 14, 0))).toEqual([]);
+  });
+
+  test('describes a reminder', () => {
+    expect(describeReminder(60)).toBe('1 hour before');
+    expect(describeReminder(30)).toBe('30 minutes before');
+    expect(describeReminder(null)).toBe('');
+  });
+});
@@ -0,0 +1,274 @@
+import { parseDate } from './dateUtils';
+import { normalizeFilters } from './filterExpression';
+import { getPriorityLevel } from './taskSort';
+import { RECURRENCE_FREQUENCIES } from './recurrenceUtils';
+import { normalizeTags } from './tagUtils';
+import { IdService } from './IdService';
+import { LIST_WIDTHS, LIST_HEIGHTS } from './listLayout';
+import { isValidReminder } from './reminderUtils';
+
+/**
+ * The canonical data model. Everything that enters the app — new tasks, sample data, imports,
+ * the sync server and data saved by older versions — goes through these validators, so the
+ * rest of the code can rely on the shapes below.
+ *
+ * Task: { id, title, description, isCompleted, tags: string[], subtasks?, dueDate?, startDate?, createdAt?,
+ *   completedAt?, archivedAt?, priority?, status?, recurrence?, reminder? } — dates are ISO strings or null,
+ *   reminder is minutes before the due date (see reminderUtils)
+ * Subtask: { id, title, isCompleted, subtasks }
+ * Tag: { id, name, color, description, parentId } (see tagUtils)
+ * List: { id, title, filters, sort?, taskOrder?, completedLast?, countSubtasks?, includeArchived?,
+ *   pinned?, collapsed?, width?, height? } — width and height are values of LIST_WIDTHS and LIST_HEIGHTS
+ *
+ * Validators return { <record> } or { error } with a message naming the record, e.g. 'Task 3 has no title'.
+ * Records are repaired where the intent is clear (a `text` field becomes `title`, 'yes' becomes true)
+ * and rejected otherwise.
+ */
+
+// Task fields holding dates, and how errors name them
+const DATE_FIELDS = { dueDate: 'due', startDate: 'start', createdAt: 'created', completedAt: 'completed', archivedAt: 'archived' };
+
+// Flags stored on lists
+const LIST_FLAGS = ['completedLast', 'countSubtasks', 'includeArchived', 'pinned', 'collapsed'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isValidId = (id) => (typeof id === 'number' && Number.isFinite(id)) || (typeof id === 'string' && id.trim() !== '');
+
+/**
+ * Read a boolean from imported data, where it may be written as text
+ * @param {*} value - e.g. true, 'yes', 'x', '1'
+ * @returns {boolean}
+ */
+export const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', '1', 'x'].includes(String(value).trim().toLowerCase());
+};
+
+/**
+ * Older tasks were saved with `text` instead of `title`
+ * @param {Object} task
+ * @returns {Object} Task with a title and no text field
+ */
+export const migrateTaskTitle = (task) => {
+  if (!isPlainObject(task) || !('text' in task)) return task;
+  const { text, ...rest } = task;
+  return { ...rest, title: typeof task.title === 'string' && task.title.trim() ? task.title : text };
+};
+
+// Validate a subtask tree; subtasks without an id get one
+const validateSubtasks = (rawSubtasks, label) => {
+  if (!Array.isArray(rawSubtasks)) {
+    return { error: `${label} has subtasks that are not a list` };
+  }
+  const subtasks = [];
+  for (const raw of rawSubtasks) {
+    const title = isPlainObject(raw) ? migrateTaskTitle(raw).title : undefined;
+    if (typeof title !== 'string' || !title.trim()) {
+      return { error: `${label} has a subtask without a title` };
+    }
+    const children = validateSubtasks(raw.subtasks || [], label);
+    if (children.error) return children;
+    subtasks.push({
+      id: isValidId(raw.id) ? raw.id : IdService.createId('subtask'),
+      title: title.trim(),
+      isCompleted: parseBoolean(raw.isCompleted || false),
+      subtasks: children.subtasks
+    });
+  }
+  return { subtasks };
+};
+
+/**
+ * Validate a task and convert it to the canonical shape
+ * @param {*} raw
+ * @param {string} label - How errors name the task, e.g. 'Task 3'
+ * @returns {Object} { task } or { error }; tasks without a usable id come back without one
+ */
+export const validateTask = (raw, label) => {
+  if (!isPlainObject(raw)) {
+    return { error: `${label} is not an object` };
+  }
+  const migrated = migrateTaskTitle(raw);
+  const title = migrated.title;
+  if (typeof title !== 'string' || !title.trim()) {
+    return { error: `${label} has no title` };
+  }
+  if (raw.description !== undefined && raw.description !== null && typeof raw.description !== 'string') {
+    return { error: `${label} has a description that is not text` };
+  }
+  if (raw.tags !== undefined && (!Array.isArray(raw.tags) || raw.tags.some(tag => typeof tag !== 'string'))) {
+    return { error: `${label} has tags that are not a list of names` };
+  }
+  for (const [field, name] of Object.entries(DATE_FIELDS)) {
+    if (raw[field] !== undefined && raw[field] !== null && raw[field] !== '' && !parseDate(raw[field])) {
+      return { error: `${label} has an invalid ${name} date` };
+    }
+  }
+  if (raw.priority !== undefined && raw.priority !== null && raw.priority !== '' && !getPriorityLevel(raw.priority)) {
+    return { error: `${label} has an unknown priority "${raw.priority}"` };
+  }
+  if (raw.recurrence !== undefined && raw.recurrence !== null &&
+    (!isPlainObject(raw.recurrence) || !RECURRENCE_FREQUENCIES[raw.recurrence.frequency])) {
+    return { error: `${label} has an invalid repeat rule` };
+  }
+  if (raw.reminder !== undefined && raw.reminder !== null && !isValidReminder(raw.reminder)) {
+    return { error: `${label} has an invalid reminder` };
+  }
+  let subtasks;
+  if (raw.subtasks !== undefined) {
+    const result = validateSubtasks(raw.subtasks, label);
+    if (result.error) return result;
+    subtasks = result.subtasks;
+  }
+
+  const task = {
+    ...migrated,
+    title: title.trim(),
+    description: raw.description || '',
+    isCompleted: parseBoolean(raw.isCompleted || false),
+    tags: [...new Set((raw.tags || []).map(tag => tag.trim()).filter(Boolean))]
+  };
+  if (subtasks) task.subtasks = subtasks;
+  Object.keys(DATE_FIELDS).forEach(field => {
+    if (raw[field] !== undefined) {
+      task[field] = raw[field] ? parseDate(raw[field]).toISOString() : null;
+    }
+  });
+  if (raw.priority !== undefined) {
+    task.priority = raw.priority || null;
+  }
+  if (!isValidId(raw.id)) delete task.id;
+  return { task };
+};
+
+/**
+ * Validate a task list and convert it to the canonical shape
+ * @param {*} raw
+ * @param {string} label - How errors name the list, e.g. 'List 2'
+ * @returns {Object} { list } or { error }
+ */
+export const validateTaskList = (raw, label) => {
+  if (!isPlainObject(raw)) {
+    return { error: `${label} is not an object` };
+  }
+  if (!isValidId(raw.id)) {
+    return { error: `${label} has no id` };
+  }
+  if (typeof raw.title !== 'string' || !raw.title.trim()) {
+    return { error: `${label} has no title` };
+  }
+  if (raw.sort !== undefined && !Array.isArray(raw.sort)) {
+    return { error: `${label} has sort keys that are not a list` };
+  }
+  if (raw.taskOrder !== undefined && !Array.isArray(raw.taskOrder)) {
+    return { error: `${label} has a task order that is not a list` };
+  }
+  if (raw.width !== undefined && !LIST_WIDTHS.some(width => width.value === raw.width)) {
+    return { error: `${label} has an unknown width "${raw.width}"` };
+  }
+  if (raw.height !== undefined && !LIST_HEIGHTS.some(height => height.value === raw.height)) {
+    return { error: `${label} has an unknown height "${raw.height}"` };
+  }
+
+  const list = { ...raw, filters: normalizeFilters(raw.filters) };
+  LIST_FLAGS.forEach(flag => {
+    if (raw[flag] !== undefined) list[flag] = parseBoolean(raw[flag]);
+  });
+  return { list };
+};
+
+// Validate every record of a collection, keeping the valid ones and the errors of the others
+const validateCollection = (rawItems, validate, describe) => {
+  const items = [];
+  const errors = [];
+  rawItems.forEach((raw, index) => {
+    const result = validate(raw, describe(index));
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      items.push(Object.values(result)[0]);
+    }
+  });
+  return { items, errors };
+};
+
+/**
+ * Validate a collection of tasks
+ * @param {Array} rawTasks
+ * @param {Function} describe - (index) => label used in errors, e.g. index => `Row ${index + 2}`
+ * @returns {Object} { tasks, errors }
+ */
+export const validateTasks = (rawTasks, describe = index => `Task ${index + 1}`) => {
+  const { items, errors } = validateCollection(rawTasks, validateTask, describe);
+  return { tasks: items, errors };
+};
+
+/**
+ * Validate a collection of task lists
+ * @param {Array} rawLists
+ * @param {Function} describe - (index) => label used in errors
+ * @returns {Object} { taskLists, errors }
+ */
+export const validateTaskLists = (rawLists, describe = index => `List ${index + 1}`) => {
+  const { items, errors } = validateCollection(rawLists, validateTaskList, describe);
+  return { taskLists: items, errors };
+};
+
+/**
+ * Validate tags given as plain names or { name, color, description } records
+ * @param {Array} rawTags
+ * @returns {Object} { tags, errors } where tags are normalized tag records
+ */
+export const validateTags = (rawTags) => {
+  const isValidTag = (tag) => (typeof tag === 'string' && tag.trim() !== '') ||
+    (isPlainObject(tag) && typeof tag.name === 'string' && tag.name.trim() !== '');
+  const validTags = rawTags.filter(isValidTag);
+  const skipped = rawTags.length - validTags.length;
+  return {
+    tags: normalizeTags(validTags),
+    errors: skipped > 0 ? [`${skipped === 1 ? '1 tag has' : `${skipped} tags have`} no name and ${skipped === 1 ? 'was' : 'were'} skipped`] : []
+  };
+};
+
+/**
+ * Every tag name used by some task
+ * @param {Array} tasks
+ * @returns {Array<string>}
+ */
+export const collectTags = (tasks) => [...new Set(tasks.flatMap(task => task.tags))];
+
+/**
+ * Validate a whole board, or a bare array of tasks
+ * Tags used by tasks are added to the board's tags; collections the data doesn't have are left out, except tags.
+ * @param {*} data - { tasks, tags?, taskLists? }
+ * @returns {Object} { board: { tasks, tags, taskLists? } | null, errors }
+ */
+export const validateBoard = (data) => {
+  const raw = Array.isArray(data) ? { tasks: data } : data;
+  if (!isPlainObject(raw) || !Array.isArray(raw.tasks)) {
+    return { board: null, errors: ['The data must contain a "tasks" array'] };
+  }
+
+  const { tasks, errors } = validateTasks(raw.tasks);
+  const board = { tasks };
+
+  if (raw.tags !== undefined && !Array.isArray(raw.tags)) {
+    errors.push('"tags" is not a list and was skipped');
+  }
+  const tagResult = validateTags([...(Array.isArray(raw.tags) ? raw.tags : []), ...collectTags(tasks)]);
+  board.tags = tagResult.tags;
+  errors.push(...tagResult.errors);
+
+  if (raw.taskLists !== undefined) {
+    if (Array.isArray(raw.taskLists)) {
+      const listResult = validateTaskLists(raw.taskLists);
+      board.taskLists = listResult.taskLists;
+      errors.push(...listResult.errors);
+    } else {
+      errors.push('"taskLists" is not a list and was skipped');
+    }
+  }
+
+  return { board, errors };
+};
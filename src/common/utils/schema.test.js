@@ -0,0 +1,89 @@
+import {
+  migrateTaskTitle,
+  validateTask,
+  validateTaskList,
+  validateTags,
+  validateBoard
+} from './schema';
+
+describe('schema', () => {
+  test('moves the text of older tasks to their title', () => {
+    expect(migrateTaskTitle({ id: 1, text: 'Call Sam' })).toEqual({ id: 1, title: 'Call Sam' });
+    expect(migrateTaskTitle({ id: 2, text: '', title: 'Book hotel' })).toEqual({ id: 2, title: 'Book hotel' });
+
+    const current = { id: 3, title: 'Lab' };
+    expect(migrateTaskTitle(current)).toBe(current);
+  });
+
+  test('converts tasks to the canonical shape', () => {
+    const { task } = validateTask({
+      id: 1,
+      text: '  Call Sam ',
+      isCompleted: 'yes',
+      tags: ['work', ' work', 'calls'],
+      dueDate: '2025-05-19T16:00:00Z',
+      subtasks: [{ text: 'Find number', subtasks: [] }]
+    }, 'Task 1');
+
+    expect(task).toEqual({
+      id: 1,
+      title: 'Call Sam',
+      description: '',
+      isCompleted: true,
+      tags: ['work', 'calls'],
+      dueDate: '2025-05-19T16:00:00.000Z',
+      subtasks: [{ id: expect.stringMatching(/^subtask-/), title: 'Find number', isCompleted: false, subtasks: [] }]
+    });
+    expect(validateTask({ id: '', title: 'New' }, 'Task 2').task).not.toHaveProperty('id');
+  });
+
+  test('rejects tasks it cannot repair, naming them', () => {
+    expect(validateTask('Call Sam', 'Task 1')).toEqual({ error: 'Task 1 is not an object' });
+    expect(validateTask({ title: ' ' }, 'Task 2')).toEqual({ error: 'Task 2 has no title' });
+    expect(validateTask({ title: 'A', description: 4 }, 'Task 3')).toEqual({ error: 'Task 3 has a description that is not text' });
+    expect(validateTask({ title: 'A', startDate: 'soon' }, 'Task 4')).toEqual({ error: 'Task 4 has an invalid start date' });
+    expect(validateTask({ title: 'A', subtasks: [{ title: '' }] }, 'Task 5')).toEqual({ error: 'Task 5 has a subtask without a title' });
+    expect(validateTask({ title: 'A', reminder: -5 }, 'Task 6')).toEqual({ error: 'Task 6 has an invalid reminder' });
+    expect(validateTask({ title: 'A', reminder: 15 }, 'Task 7').task).toMatchObject({ reminder: 15 });
+  });
+
+  test('validates task lists and their filters', () => {
+    expect(validateTaskList({ id: 'work', title: 'Work', filters: [{ type: 'tag', value: 'work' }], completedLast: 'true' }, 'List 1'))
+      .toEqual({ list: {
+        id: 'work',
+        title: 'Work',
+        filters: { op: 'and', children: [{ type: 'tag', value: 'work' }] },
+        completedLast: true
+      } });
+    expect(validateTaskList({ title: 'Work' }, 'List 2')).toEqual({ error: 'List 2 has no id' });
+    expect(validateTaskList({ id: 'work', title: 'Work', sort: 'title' }, 'List 3')).toEqual({ error: 'List 3 has sort keys that are not a list' });
+  });
+
+  test('validates the layout of task lists', () => {
+    expect(validateTaskList({ id: 'work', title: 'Work', pinned: 'yes', collapsed: false, width: 'wide', height: 'auto' }, 'List 1').list)
+      .toMatchObject({ pinned: true, collapsed: false, width: 'wide', height: 'auto' });
+    expect(validateTaskList({ id: 'work', title: 'Work', width: 'huge' }, 'List 2')).toEqual({ error: 'List 2 has an unknown width "huge"' });
+    expect(validateTaskList({ id: 'work', title: 'Work', height: 3 }, 'List 3')).toEqual({ error: 'List 3 has an unknown height "3"' });
+  });
+
+  test('skips tags without a name', () => {
+    const { tags, errors } = validateTags(['work', { name: 'home', color: 'rose' }, { color: 'amber' }, '']);
+
+    expect(tags.map(tag => tag.name)).toEqual(['work', 'home']);
+    expect(errors).toEqual(['2 tags have no name and were skipped']);
+  });
+
+  test('validates a whole board', () => {
+    const { board, errors } = validateBoard({
+      tasks: [{ id: 1, title: 'Keynote', tags: ['Build'] }, { id: 2 }],
+      tags: ['Microsoft'],
+      taskLists: 'all'
+    });
+
+    expect(board.tasks.map(task => task.id)).toEqual([1]);
+    expect(board.tags.map(tag => tag.name)).toEqual(['Microsoft', 'Build']);
+    expect(board).not.toHaveProperty('taskLists');
+    expect(errors).toEqual(['Task 2 has no title', '"taskLists" is not a list and was skipped']);
+    expect(validateBoard({ tags: [] })).toEqual({ board: null, errors: ['The data must contain a "tasks" array'] });
+  });
+});
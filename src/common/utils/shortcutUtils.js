@@ -0,0 +1,133 @@
+/**
+ * Keyboard shortcuts are stored as key strings: a single character such as 'n' or '#',
+ * a key name such as 'Enter', or a combination such as 'Mod+k' (Ctrl, or Cmd on macOS).
+ * Users can rebind any of them; only their changes from the defaults are saved.
+ */
+
+// Every shortcut, in the order the help lists them.
+// 'task' shortcuts act on the focused task; the others work anywhere outside text fields.
+export const SHORTCUTS = [
+  { id: 'commandPalette', key: 'Mod+k', label: 'Open the command palette', scope: 'global' },
+  { id: 'newTask', key: 'n', label: 'New task', scope: 'global' },
+  { id: 'search', key: '/', label: 'Search', scope: 'global' },
+  { id: 'nextTask', key: 'j', label: 'Focus the next task', scope: 'global' },
+  { id: 'previousTask', key: 'k', label: 'Focus the previous task', scope: 'global' },
+  { id: 'toggleTask', key: 'x', label: 'Complete or reopen the focused task', scope: 'task' },
+  { id: 'editTask', key: 'e', label: 'Edit the focused task', scope: 'task' },
+  { id: 'tagTask', key: '#', label: 'Tag the focused task', scope: 'task' },
+  { id: 'showShortcuts', key: '?', label: 'Show keyboard shortcuts', scope: 'global' }
+];
+
+const MODIFIER_KEYS = ['Control', 'Meta', 'Shift', 'Alt', 'AltGraph'];
+
+/**
+ * Keyboard shortcuts are left to the browser while typing
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+export const isEditableTarget = (target) => {
+  return Boolean(target) && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+};
+
+/**
+ * Key string for a keydown event
+ * Shift is part of the character ('?' rather than 'Shift+/'), so it only appears with named keys.
+ * @param {KeyboardEvent} e
+ * @returns {string|null} e.g. 'n', 'Mod+k', 'Alt+ArrowUp'; null for a lone modifier key
+ */
+export const getEventKey = (e) => {
+  if (!e.key || MODIFIER_KEYS.includes(e.key)) return null;
+  const isCharacter = e.key.length === 1;
+  const modifiers = [
+    (e.ctrlKey || e.metaKey) && 'Mod',
+    e.altKey && 'Alt',
+    e.shiftKey && !isCharacter && 'Shift'
+  ].filter(Boolean);
+  const key = isCharacter && modifiers.length > 0 ? e.key.toLowerCase() : e.key;
+  return [...modifiers, key].join('+');
+};
+
+/**
+ * Readable form of a key string
+ * @param {string|null} key - e.g. 'Mod+k'
+ * @returns {string} e.g. 'Ctrl+K'; empty when unbound
+ */
+export const formatShortcut = (key) => {
+  if (!key) return '';
+  // The key itself may be '+', e.g. 'Mod++'
+  const parts = key.split(/\+(?=.)/);
+  return parts
+    .map(part => {
+      if (part === 'Mod') return 'Ctrl';
+      return part.length === 1 && parts.length > 1 ? part.toUpperCase() : part;
+    })
+    .join('+');
+};
+
+/**
+ * Current binding of every shortcut
+ * @param {Object} overrides - { [shortcutId]: key }, as saved; null unbinds a shortcut
+ * @returns {Object} { [shortcutId]: key|null }
+ */
+export const getBindings = (overrides = {}) => {
+  return Object.fromEntries(SHORTCUTS.map(shortcut => [
+    shortcut.id,
+    shortcut.id in overrides ? overrides[shortcut.id] : shortcut.key
+  ]));
+};
+
+/**
+ * Find the shortcut bound to a key
+ * @param {Object} bindings - Result of getBindings
+ * @param {string} key
+ * @param {string} scope - Only look at shortcuts of this scope, if given
+ * @returns {Object|undefined} Shortcut
+ */
+export const findShortcutByKey = (bindings, key, scope) => {
+  return SHORTCUTS.find(shortcut => bindings[shortcut.id] === key && (!scope || shortcut.scope === scope));
+};
+
+// Keys that already do something elsewhere: undo / redo, and closing or leaving dialogs
+export const RESERVED_KEYS = ['Mod+z', 'Mod+y', 'Escape', 'Tab', 'Enter'];
+
+/**
+ * Why a key can't be bound to a shortcut
+ * @param {Object} bindings - Result of getBindings
+ * @param {string} id - Shortcut being changed
+ * @param {string} key - New key string
+ * @returns {string|null} Message, or null when the key is free
+ */
+export const getShortcutConflict = (bindings, id, key) => {
+  if (RESERVED_KEYS.includes(key)) return `${formatShortcut(key)} is reserved`;
+  const owner = SHORTCUTS.find(shortcut => shortcut.id !== id && bindings[shortcut.id] === key);
+  return owner ? `${formatShortcut(key)} is already used by "${owner.label}"` : null;
+};
+
+// Tasks that can take keyboard focus carry data-task-id
+const getTaskElements = () => Array.from(document.querySelectorAll('[data-task-id]'));
+
+/**
+ * Focus a task on the page
+ * @param {string|number} taskId
+ * @returns {boolean} Whether the task is shown
+ */
+export const focusTask = (taskId) => {
+  const element = getTaskElements().find(el => el.dataset.taskId === String(taskId));
+  if (!element) return false;
+  element.focus();
+  return true;
+};
+
+/**
+ * Move focus to the next or previous task on the page, wrapping around
+ * @param {number} direction - 1 for the next task, -1 for the previous one
+ */
+export const moveTaskFocus = (direction) => {
+  const elements = getTaskElements();
+  if (elements.length === 0) return;
+  const current = elements.findIndex(el => el.contains(document.activeElement));
+  const next = current === -1
+    ? (direction > 0 ? 0 : elements.length - 1)
+    : (current + direction + elements.length) % elements.length;
+  elements[next].focus();
+};
@@ -0,0 +1,86 @@
+import {
+  SHORTCUTS,
+  isEditableTarget,
+  getEventKey,
+  formatShortcut,
+  getBindings,
+  findShortcutByKey,
+  getShortcutConflict,
+  focusTask,
+  moveTaskFocus
+} from './shortcutUtils';
+
+describe('shortcutUtils', () => {
+  test('reads key strings from keydown events', () => {
+    expect(getEventKey({ key: 'n' })).toBe('n');
+    expect(getEventKey({ key: '?', shiftKey: true })).toBe('?');
+    expect(getEventKey({ key: '#', shiftKey: true })).toBe('#');
+    expect(getEventKey({ key: 'K', ctrlKey: true, shiftKey: true })).toBe('Mod+k');
+    expect(getEventKey({ key: 'k', metaKey: true })).toBe('Mod+k');
+    expect(getEventKey({ key: 'ArrowUp', altKey: true })).toBe('Alt+ArrowUp');
+    expect(getEventKey({ key: 'Tab', shiftKey: true })).toBe('Shift+Tab');
+    expect(getEventKey({ key: 'Shift', shiftKey: true })).toBeNull();
+  });
+
+  test('formats key strings for display', () => {
+    expect(formatShortcut('Mod+k')).toBe('Ctrl+K');
+    expect(formatShortcut('Mod++')).toBe('Ctrl++');
+    expect(formatShortcut('n')).toBe('n');
+    expect(formatShortcut('Alt+ArrowUp')).toBe('Alt+ArrowUp');
+    expect(formatShortcut(null)).toBe('');
+  });
+
+  test('applies saved bindings over the defaults', () => {
+    const bindings = getBindings({ newTask: 't', search: null });
+    expect(bindings.newTask).toBe('t');
+    expect(bindings.search).toBeNull();
+    expect(bindings.commandPalette).toBe('Mod+k');
+    expect(Object.keys(bindings)).toEqual(SHORTCUTS.map(shortcut => shortcut.id));
+  });
+
+  test('finds the shortcut bound to a key, optionally within a scope', () => {
+    const bindings = getBindings();
+    expect(findShortcutByKey(bindings, 'x').id).toBe('toggleTask');
+    expect(findShortcutByKey(bindings, 'x', 'global')).toBeUndefined();
+    expect(findShortcutByKey(bindings, 'Mod+k', 'global').id).toBe('commandPalette');
+    expect(findShortcutByKey(bindings, 'q')).toBeUndefined();
+  });
+
+  test('recognises text fields', () => {
+    expect(isEditableTarget(document.createElement('input'))).toBe(true);
+    expect(isEditableTarget(document.createElement('select'))).toBe(true);
+    expect(isEditableTarget(document.createElement('div'))).toBe(false);
+    expect(isEditableTarget(null)).toBe(false);
+  });
+
+  test('explains why a key cannot be bound', () => {
+    const bindings = getBindings();
+    expect(getShortcutConflict(bindings, 'newTask', 't')).toBeNull();
+    expect(getShortcutConflict(bindings, 'newTask', 'n')).toBeNull();
+    expect(getShortcutConflict(bindings, 'newTask', 'x')).toBe('x is already used by "Complete or reopen the focused task"');
+    expect(getShortcutConflict(bindings, 'newTask', 'Mod+z')).toBe('Ctrl+Z is reserved');
+  });
+
+  test('moves focus between tasks on the page', () => {
+    document.body.innerHTML = [1, 2, 3].map(id => `<div tabindex="0" data-task-id="${id}"><button>Edit</button></div>`).join('');
+    const [first, second, third] = document.querySelectorAll('[data-task-id]');
+
+    moveTaskFocus(1);
+    expect(document.activeElement).toBe(first);
+    moveTaskFocus(1);
+    expect(document.activeElement).toBe(second);
+    moveTaskFocus(-1);
+    moveTaskFocus(-1);
+    expect(document.activeElement).toBe(third);
+
+    // Focus inside a task counts as that task
+    first.querySelector('button').focus();
+    moveTaskFocus(1);
+    expect(document.activeElement).toBe(second);
+
+    expect(focusTask(3)).toBe(true);
+    expect(document.activeElement).toBe(third);
+    expect(focusTask(4)).toBe(false);
+    document.body.innerHTML = '';
+  });
+});
@@ -0,0 +1,107 @@
+import { IdService } from './IdService';
+
+/**
+ * Task statuses are an ordered workflow, e.g. Backlog → In Progress → Review → Done.
+ * The last status is the terminal one: a task is completed exactly when it has that status,
+ * so isCompleted (and every completed filter) keeps working alongside statuses.
+ */
+
+export const DEFAULT_TASK_STATUSES = [
+  { id: 'backlog', title: 'Backlog' },
+  { id: 'in-progress', title: 'In Progress' },
+  { id: 'review', title: 'Review' },
+  { id: 'done', title: 'Done' }
+];
+
+// Workflows need somewhere to start and somewhere to finish
+export const MIN_TASK_STATUSES = 2;
+
+/**
+ * Create a status
+ * @param {string} title
+ * @returns {Object} Status
+ */
+export const createStatus = (title) => {
+  return { id: IdService.createId('status'), title };
+};
+
+/**
+ * Get the terminal (done) status
+ * @param {Array} statuses
+ * @returns {Object}
+ */
+export const getDoneStatus = (statuses) => statuses[statuses.length - 1];
+
+/**
+ * Get the status a task is in
+ * Tasks without a known status, or whose status disagrees with isCompleted,
+ * are placed in the first status or the done status.
+ * @param {Object} task
+ * @param {Array} statuses
+ * @returns {string} Status id
+ */
+export const getTaskStatus = (task, statuses) => {
+  const doneId = getDoneStatus(statuses).id;
+  if (task.isCompleted) return doneId;
+  const known = statuses.some(status => status.id === task.status && status.id !== doneId);
+  return known ? task.status : statuses[0].id;
+};
+
+/**
+ * Move a task to a status, deriving isCompleted from it
+ * @param {Object} task
+ * @param {string} statusId
+ * @param {Array} statuses
+ * @returns {Object} Updated copy
+ */
+export const applyStatus = (task, statusId, statuses) => {
+  return { ...task, status: statusId, isCompleted: statusId === getDoneStatus(statuses).id };
+};
+
+/**
+ * Complete or reopen a task; reopened tasks go back to the first status
+ * @param {Object} task
+ * @param {boolean} isCompleted
+ * @param {Array} statuses
+ * @returns {Object} Updated copy
+ */
+export const applyCompletion = (task, isCompleted, statuses) => {
+  return applyStatus(task, isCompleted ? getDoneStatus(statuses).id : statuses[0].id, statuses);
+};
+
+/**
+ * Keep completedAt in step with isCompleted: stamped when a task is completed, cleared when it is reopened
+ * @param {Object} original - Task before the change
+ * @param {Object} updated - Task after the change
+ * @param {Date} now
+ * @returns {Object} updated, with completedAt set or cleared when completion changed
+ */
+export const stampCompletion = (original, updated, now = new Date()) => {
+  if (updated.isCompleted && !original.isCompleted) return { ...updated, completedAt: now.toISOString() };
+  if (!updated.isCompleted && original.isCompleted) return { ...updated, completedAt: null };
+  return updated;
+};
+
+/**
+ * Work out how tasks change when the statuses are reconfigured: tasks in a removed status
+ * are placed again, and completion follows whichever status is now the terminal one
+ * @param {Array} tasks
+ * @param {Array} previousStatuses
+ * @param {Array} nextStatuses
+ * @returns {Array} Only the tasks that changed
+ */
+export const restatusTasks = (tasks, previousStatuses, nextStatuses) => {
+  const doneId = getDoneStatus(nextStatuses).id;
+  return tasks
+    .map(task => {
+      const current = getTaskStatus(task, previousStatuses);
+      if (!nextStatuses.some(status => status.id === current)) {
+        // Tasks without an explicit status are already placed by getTaskStatus
+        return task.status === undefined ? null : applyCompletion(task, task.isCompleted, nextStatuses);
+      }
+      const unchanged = (current === doneId) === Boolean(task.isCompleted) &&
+        (task.status === undefined || task.status === current);
+      return unchanged ? null : applyStatus(task, current, nextStatuses);
+    })
+    .filter(Boolean);
+};
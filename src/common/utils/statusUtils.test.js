@@ -0,0 +1,71 @@
+import {
+  DEFAULT_TASK_STATUSES,
+  getDoneStatus,
+  getTaskStatus,
+  applyStatus,
+  applyCompletion,
+  restatusTasks,
+  stampCompletion
+} from './statusUtils';
+
+describe('statusUtils', () => {
+  const statuses = DEFAULT_TASK_STATUSES;
+
+  test('treats the last status as done', () => {
+    expect(getDoneStatus(statuses).id).toBe('done');
+  });
+
+  test('places tasks without a status by their completion', () => {
+    expect(getTaskStatus({ id: 1, isCompleted: false }, statuses)).toBe('backlog');
+    expect(getTaskStatus({ id: 1, isCompleted: true }, statuses)).toBe('done');
+    expect(getTaskStatus({ id: 1, isCompleted: false, status: 'review' }, statuses)).toBe('review');
+    expect(getTaskStatus({ id: 1, isCompleted: false, status: 'removed' }, statuses)).toBe('backlog');
+    // isCompleted wins when the two disagree, e.g. after completing from a list
+    expect(getTaskStatus({ id: 1, isCompleted: true, status: 'review' }, statuses)).toBe('done');
+    expect(getTaskStatus({ id: 1, isCompleted: false, status: 'done' }, statuses)).toBe('backlog');
+  });
+
+  test('derives isCompleted from the status', () => {
+    expect(applyStatus({ id: 1, isCompleted: false }, 'done', statuses)).toEqual({ id: 1, status: 'done', isCompleted: true });
+    expect(applyStatus({ id: 1, isCompleted: true }, 'review', statuses)).toEqual({ id: 1, status: 'review', isCompleted: false });
+  });
+
+  test('moves completed tasks to done and reopened tasks to the first status', () => {
+    expect(applyCompletion({ id: 1, status: 'review' }, true, statuses).status).toBe('done');
+    expect(applyCompletion({ id: 1, status: 'done', isCompleted: true }, false, statuses)).toEqual({
+      id: 1,
+      status: 'backlog',
+      isCompleted: false
+    });
+  });
+
+  test('re-places only the tasks affected by new statuses', () => {
+    const tasks = [
+      { id: 1, isCompleted: false },
+      { id: 2, isCompleted: false, status: 'review' },
+      { id: 3, isCompleted: false, status: 'in-progress' },
+      { id: 4, isCompleted: true, status: 'done' }
+    ];
+    const withoutInProgress = statuses.filter(status => status.id !== 'in-progress');
+    expect(restatusTasks(tasks, statuses, withoutInProgress)).toEqual([
+      { id: 3, isCompleted: false, status: 'backlog' }
+    ]);
+
+    // Dropping "Done" makes "Review" the terminal status
+    expect(restatusTasks(tasks, statuses, statuses.slice(0, -1))).toEqual([
+      { id: 2, isCompleted: true, status: 'review' },
+      { id: 4, isCompleted: true, status: 'review' }
+    ]);
+  });
+
+  test('stamps completedAt when a task is completed and clears it when reopened', () => {
+    const now = new Date(2025, 4, 19, 9, 0);
+    const open = { id: 1, isCompleted: false };
+    const done = { id: 1, isCompleted: true, completedAt: '2025-05-01T00:00:00.000Z' };
+
+    expect(stampCompletion(open, { ...open, isCompleted: true }, now)).toEqual({ id: 1, isCompleted: true, completedAt: now.toISOString() });
+    expect(stampCompletion(done, { ...done, isCompleted: false }, now)).toEqual({ id: 1, isCompleted: false, completedAt: null });
+    // Other edits keep the original time
+    expect(stampCompletion(done, { ...done, title: 'Renamed' }, now).completedAt).toBe('2025-05-01T00:00:00.000Z');
+  });
+});
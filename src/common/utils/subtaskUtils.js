@@ -0,0 +1,142 @@
+import { IdService } from './IdService';
+
+/**
+ * Subtasks are stored inside their task as a tree:
+ * task.subtasks = [{ id, title, isCompleted, subtasks: [...] }]
+ * When task.autoCompleteSubtasks is set, a task or subtask whose children are all done is completed too.
+ */
+
+// Levels of subtasks allowed below a task
+export const MAX_SUBTASK_DEPTH = 3;
+
+/**
+ * Create a subtask
+ * @param {string} title
+ * @returns {Object} Subtask
+ */
+export const createSubtask = (title) => {
+  return { id: IdService.createId('subtask'), title, isCompleted: false, subtasks: [] };
+};
+
+/**
+ * Count the subtasks at every level below a task or subtask
+ * @param {Object} node - Task or subtask
+ * @returns {Object} { completed, total }
+ */
+export const getSubtaskProgress = (node) => {
+  return (node.subtasks || []).reduce((progress, subtask) => {
+    const nested = getSubtaskProgress(subtask);
+    return {
+      completed: progress.completed + nested.completed + (subtask.isCompleted ? 1 : 0),
+      total: progress.total + nested.total + 1
+    };
+  }, { completed: 0, total: 0 });
+};
+
+/**
+ * Find a subtask anywhere in a tree
+ * @param {Array} subtasks
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export const findSubtask = (subtasks = [], id) => {
+  for (const subtask of subtasks) {
+    if (subtask.id === id) return subtask;
+    const nested = findSubtask(subtask.subtasks, id);
+    if (nested) return nested;
+  }
+  return undefined;
+};
+
+/**
+ * Get how deep a subtask sits below its task (1 = direct child)
+ * @param {Array} subtasks
+ * @param {string} id
+ * @returns {number} Depth, or 0 when not found
+ */
+export const getSubtaskDepth = (subtasks = [], id, depth = 1) => {
+  for (const subtask of subtasks) {
+    if (subtask.id === id) return depth;
+    const nested = getSubtaskDepth(subtask.subtasks, id, depth + 1);
+    if (nested) return nested;
+  }
+  return 0;
+};
+
+/**
+ * Return a copy of the tree with one subtask replaced by `updater(subtask)`
+ * @param {Array} subtasks
+ * @param {string} id
+ * @param {Function} updater
+ * @returns {Array}
+ */
+export const updateSubtaskTree = (subtasks = [], id, updater) => {
+  return subtasks.map(subtask => subtask.id === id
+    ? updater(subtask)
+    : { ...subtask, subtasks: updateSubtaskTree(subtask.subtasks, id, updater) });
+};
+
+/**
+ * Return a copy of the tree without a subtask (and its children)
+ * @param {Array} subtasks
+ * @param {string} id
+ * @returns {Array}
+ */
+export const removeSubtaskFromTree = (subtasks = [], id) => {
+  return subtasks
+    .filter(subtask => subtask.id !== id)
+    .map(subtask => ({ ...subtask, subtasks: removeSubtaskFromTree(subtask.subtasks, id) }));
+};
+
+/**
+ * Return a copy of the tree with a subtask added under a parent subtask, or at the top level
+ * @param {Array} subtasks
+ * @param {string|null} parentId - null adds a direct child of the task
+ * @param {Object} subtask
+ * @returns {Array}
+ */
+export const addSubtaskToTree = (subtasks = [], parentId, subtask) => {
+  if (!parentId) return [...subtasks, subtask];
+  return updateSubtaskTree(subtasks, parentId, parent => ({
+    ...parent,
+    subtasks: [...(parent.subtasks || []), subtask]
+  }));
+};
+
+/**
+ * Complete every node whose children are all done, and reopen those with an open child
+ * @param {Object} node - Task or subtask
+ * @returns {Object} Updated copy
+ */
+export const rollUpCompletion = (node) => {
+  if (!node.subtasks || node.subtasks.length === 0) return node;
+  const subtasks = node.subtasks.map(rollUpCompletion);
+  return { ...node, subtasks, isCompleted: subtasks.every(subtask => subtask.isCompleted) };
+};
+
+/**
+ * Apply a change to a task's subtasks, rolling completion up when the task asks for it
+ * @param {Object} task
+ * @param {Function} change - Receives the subtask tree and returns the new one
+ * @returns {Object} Updated task
+ */
+export const changeSubtasks = (task, change) => {
+  const updated = { ...task, subtasks: change(task.subtasks || []) };
+  return task.autoCompleteSubtasks ? rollUpCompletion(updated) : updated;
+};
+
+/**
+ * Count tasks, optionally including every subtask, for progress counters
+ * @param {Array} tasks
+ * @param {boolean} includeSubtasks
+ * @returns {Object} { completed, total }
+ */
+export const countTasks = (tasks, includeSubtasks = false) => {
+  return tasks.reduce((count, task) => {
+    const subtasks = includeSubtasks ? getSubtaskProgress(task) : { completed: 0, total: 0 };
+    return {
+      completed: count.completed + subtasks.completed + (task.isCompleted ? 1 : 0),
+      total: count.total + subtasks.total + 1
+    };
+  }, { completed: 0, total: 0 });
+};
@@ -0,0 +1,75 @@
+import {
+  getSubtaskProgress,
+  findSubtask,
+  getSubtaskDepth,
+  updateSubtaskTree,
+  removeSubtaskFromTree,
+  addSubtaskToTree,
+  rollUpCompletion,
+  changeSubtasks,
+  countTasks
+} from './subtaskUtils';
+
+describe('subtaskUtils', () => {
+  const leaf = (id, isCompleted = false) => ({ id, title: id, isCompleted, subtasks: [] });
+  const task = {
+    id: 1,
+    title: 'Prepare talk',
+    isCompleted: false,
+    subtasks: [
+      { id: 'slides', title: 'Slides', isCompleted: false, subtasks: [leaf('intro', true), leaf('demo')] },
+      leaf('rehearse', true)
+    ]
+  };
+
+  test('counts progress across every level', () => {
+    expect(getSubtaskProgress(task)).toEqual({ completed: 2, total: 4 });
+    expect(getSubtaskProgress({ id: 2 })).toEqual({ completed: 0, total: 0 });
+  });
+
+  test('finds subtasks and their depth', () => {
+    expect(findSubtask(task.subtasks, 'demo').title).toBe('demo');
+    expect(findSubtask(task.subtasks, 'missing')).toBeUndefined();
+    expect(getSubtaskDepth(task.subtasks, 'rehearse')).toBe(1);
+    expect(getSubtaskDepth(task.subtasks, 'demo')).toBe(2);
+    expect(getSubtaskDepth(task.subtasks, 'missing')).toBe(0);
+  });
+
+  test('adds, updates and removes subtasks without mutating the tree', () => {
+    const added = addSubtaskToTree(task.subtasks, 'slides', leaf('outro'));
+    expect(added[0].subtasks.map(subtask => subtask.id)).toEqual(['intro', 'demo', 'outro']);
+    expect(addSubtaskToTree(task.subtasks, null, leaf('book')).map(subtask => subtask.id)).toEqual(['slides', 'rehearse', 'book']);
+
+    const updated = updateSubtaskTree(task.subtasks, 'demo', subtask => ({ ...subtask, isCompleted: true }));
+    expect(findSubtask(updated, 'demo').isCompleted).toBe(true);
+
+    const removed = removeSubtaskFromTree(task.subtasks, 'slides');
+    expect(removed.map(subtask => subtask.id)).toEqual(['rehearse']);
+    expect(task.subtasks[0].subtasks).toHaveLength(2);
+  });
+
+  test('rolls completion up to parents', () => {
+    const done = rollUpCompletion({
+      ...task,
+      subtasks: updateSubtaskTree(task.subtasks, 'demo', subtask => ({ ...subtask, isCompleted: true }))
+    });
+    expect(done.isCompleted).toBe(true);
+    expect(done.subtasks[0].isCompleted).toBe(true);
+
+    const reopened = rollUpCompletion({ ...done, subtasks: [...done.subtasks, leaf('recap')] });
+    expect(reopened.isCompleted).toBe(false);
+    expect(reopened.subtasks[0].isCompleted).toBe(true);
+  });
+
+  test('only rolls up when the task asks for it', () => {
+    const completeAll = subtasks => subtasks.map(subtask => rollUpCompletion({ ...subtask, isCompleted: true, subtasks: [] }));
+    expect(changeSubtasks(task, completeAll).isCompleted).toBe(false);
+    expect(changeSubtasks({ ...task, autoCompleteSubtasks: true }, completeAll).isCompleted).toBe(true);
+  });
+
+  test('counts tasks with or without their subtasks', () => {
+    const tasks = [task, { id: 2, title: 'Done', isCompleted: true }];
+    expect(countTasks(tasks)).toEqual({ completed: 1, total: 2 });
+    expect(countTasks(tasks, true)).toEqual({ completed: 3, total: 6 });
+  });
+});
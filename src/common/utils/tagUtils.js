@@ -0,0 +1,250 @@
+import { IdService } from './IdService';
+
+/**
+ * Tags are records: { id, name, color, description, parentId }.
+ * Names are paths, so 'Events/Build' sits under 'Events' and parentId points at the 'Events' record.
+ * Tasks keep referring to tags by name, and a tag condition matches the tag and all of its descendants.
+ */
+
+export const TAG_SEPARATOR = '/';
+
+// Colours a tag can have; tags without one use the default primary styling
+export const TAG_COLORS = [
+  { value: 'slate', label: 'Slate', className: 'bg-slate-100 text-slate-800', swatchClassName: 'bg-slate-500' },
+  { value: 'red', label: 'Red', className: 'bg-red-100 text-red-800', swatchClassName: 'bg-red-500' },
+  { value: 'amber', label: 'Amber', className: 'bg-amber-100 text-amber-800', swatchClassName: 'bg-amber-500' },
+  { value: 'emerald', label: 'Emerald', className: 'bg-emerald-100 text-emerald-800', swatchClassName: 'bg-emerald-500' },
+  { value: 'sky', label: 'Sky', className: 'bg-sky-100 text-sky-800', swatchClassName: 'bg-sky-500' },
+  { value: 'indigo', label: 'Indigo', className: 'bg-indigo-100 text-indigo-800', swatchClassName: 'bg-indigo-500' },
+  { value: 'violet', label: 'Violet', className: 'bg-violet-100 text-violet-800', swatchClassName: 'bg-violet-500' },
+  { value: 'pink', label: 'Pink', className: 'bg-pink-100 text-pink-800', swatchClassName: 'bg-pink-500' }
+];
+
+export const DEFAULT_TAG_CLASS_NAME = 'bg-primary-100 text-primary-800';
+
+/**
+ * Look up a tag colour
+ * @param {string|null} value - e.g. 'sky'
+ * @returns {Object|null} Colour from TAG_COLORS, or null when unset or unknown
+ */
+export const getTagColor = (value) => TAG_COLORS.find(color => color.value === value) || null;
+
+/**
+ * Create a tag record
+ * @param {string} name - Full path, e.g. 'Events/Build'
+ * @param {Object} fields - Optional color, description and parentId
+ * @returns {Object} Tag
+ */
+export const createTag = (name, fields = {}) => {
+  return { id: IdService.createId('tag'), name, color: null, description: '', parentId: null, ...fields };
+};
+
+// Clean up a path: trim each segment and drop empty ones, so ' Events / Build/' becomes 'Events/Build'
+export const normalizeTagName = (name) => {
+  return String(name).split(TAG_SEPARATOR).map(part => part.trim()).filter(Boolean).join(TAG_SEPARATOR);
+};
+
+// The parent's path, or null for top-level tags
+export const getParentTagName = (name) => {
+  const index = name.lastIndexOf(TAG_SEPARATOR);
+  return index === -1 ? null : name.slice(0, index);
+};
+
+// The last segment of a path, shown in the tag tree
+export const getTagLabel = (name) => name.slice(name.lastIndexOf(TAG_SEPARATOR) + 1);
+
+/**
+ * Check whether a tag is another tag or one of its descendants
+ * @param {string} name - e.g. 'Events/Build'
+ * @param {string} ancestor - e.g. 'Events'
+ * @returns {boolean}
+ */
+export const isTagOrDescendant = (name, ancestor) => {
+  return name === ancestor || name.startsWith(`${ancestor}${TAG_SEPARATOR}`);
+};
+
+/**
+ * Move a tag path when it, or one of its ancestors, is renamed
+ * @param {string} name - Path to update
+ * @param {string} oldName - Renamed tag
+ * @param {string} newName - Its new path
+ * @returns {string} Updated path, or the original when unaffected
+ */
+export const renameTagPath = (name, oldName, newName) => {
+  return isTagOrDescendant(name, oldName) ? `${newName}${name.slice(oldName.length)}` : name;
+};
+
+/**
+ * Turn stored tags into consistent records: plain names (from older data or tasks) become records,
+ * duplicates are dropped, missing ancestors are created and parentId follows each path.
+ * Records that are already consistent are returned as-is.
+ * @param {Array<string|Object>} items
+ * @returns {Array<Object>} Tags
+ */
+export const normalizeTags = (items) => {
+  const byName = new Map();
+  const add = (item) => {
+    const record = typeof item === 'string' ? { name: item } : item;
+    if (!record || typeof record.name !== 'string') return;
+    const name = normalizeTagName(record.name);
+    if (!name || byName.has(name)) return;
+    const parentName = getParentTagName(name);
+    // Parents come first, so the tree keeps its order
+    if (parentName && !byName.has(parentName)) add(parentName);
+    // Ids never come from the name: a renamed tag keeps its id, so the old name may be added again
+    byName.set(name, { record: record.id !== undefined ? record : { ...record, id: IdService.createId('tag') }, name });
+  };
+  items.forEach(add);
+
+  return Array.from(byName.values()).map(({ record, name }) => {
+    const parentName = getParentTagName(name);
+    const parentId = parentName ? byName.get(parentName).record.id : null;
+    const isConsistent = record.name === name && record.parentId === parentId &&
+      record.color !== undefined && record.description !== undefined;
+    return isConsistent ? record : {
+      ...record,
+      name,
+      color: record.color || null,
+      description: record.description || '',
+      parentId
+    };
+  });
+};
+
+/**
+ * Flatten tags into tree order: every tag followed by its children
+ * @param {Array<Object>} tags - Normalized tags
+ * @returns {Array<Object>} [{ tag, depth }]
+ */
+export const buildTagTree = (tags) => {
+  const ids = new Set(tags.map(tag => tag.id));
+  const visit = (parentId, depth) => tags
+    .filter(tag => parentId === null ? !ids.has(tag.parentId) : tag.parentId === parentId)
+    .flatMap(tag => [{ tag, depth }, ...visit(tag.id, depth + 1)]);
+  return visit(null, 0);
+};
+
+/**
+ * Count how many tasks use each tag directly
+ * @param {Array<Object>} tasks
+ * @returns {Map<string, number>} Tag name to task count
+ */
+export const countTagUsage = (tasks) => {
+  const counts = new Map();
+  tasks.forEach(task => {
+    new Set(task.tags || []).forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+  });
+  return counts;
+};
+
+/**
+ * Find tags that no task uses, directly or through one of their subtags
+ * @param {Array<Object>} tags
+ * @param {Array<Object>} tasks
+ * @returns {Array<Object>} Unused tags
+ */
+export const findUnusedTags = (tags, tasks) => {
+  const usedNames = [...countTagUsage(tasks).keys()];
+  return tags.filter(tag => !usedNames.some(name => isTagOrDescendant(name, tag.name)));
+};
+
+/**
+ * Complete a rename mapping so subtags follow their renamed parent, unless they are renamed themselves
+ * @param {Array<Object>} tags
+ * @param {Map<string, string>} mapping - Old name to new name
+ * @returns {Map<string, string>} Mapping covering every affected tag
+ */
+export const expandTagMapping = (tags, mapping) => {
+  const expanded = new Map(mapping);
+  tags.forEach(({ name }) => {
+    if (expanded.has(name)) return;
+    // The closest renamed ancestor decides where a subtag goes
+    const ancestor = [...mapping.keys()]
+      .filter(oldName => isTagOrDescendant(name, oldName))
+      .sort((a, b) => b.length - a.length)[0];
+    if (ancestor) expanded.set(name, renameTagPath(name, ancestor, mapping.get(ancestor)));
+  });
+  expanded.forEach((newName, oldName) => {
+    if (newName === oldName) expanded.delete(oldName);
+  });
+  return expanded;
+};
+
+/**
+ * Build the mapping that merges tags into one
+ * @param {Array<Object>} tags
+ * @param {Array<string>} sourceNames - Tags to merge
+ * @param {string} targetName - Tag they become; may be one of the sources or a new name
+ * @returns {Map<string, string>}
+ */
+export const createMergeMapping = (tags, sourceNames, targetName) => {
+  const target = normalizeTagName(targetName);
+  if (!target) return new Map();
+  // A tag can't be merged into one of its own subtags
+  const sources = sourceNames.filter(name => name === target || !isTagOrDescendant(target, name));
+  return expandTagMapping(tags, new Map(sources.map(name => [name, target])));
+};
+
+/**
+ * Build the mapping for a bulk rename
+ * @param {Array<Object>} tags
+ * @param {Object} rule - { mode: 'prefix' | 'regex', find, replace }; regex replacements may use $1 etc.
+ * @returns {Object} { mapping, error } where error describes an invalid pattern
+ */
+export const createRenameMapping = (tags, { mode, find, replace }) => {
+  if (!find) return { mapping: new Map(), error: null };
+  let rename;
+  if (mode === 'regex') {
+    let pattern;
+    try {
+      pattern = new RegExp(find, 'g');
+    } catch (error) {
+      return { mapping: new Map(), error: `Invalid pattern: ${error.message}` };
+    }
+    rename = (name) => name.replace(pattern, replace);
+  } else {
+    rename = (name) => name.startsWith(find) ? `${replace}${name.slice(find.length)}` : name;
+  }
+  const mapping = new Map();
+  tags.forEach(({ name }) => {
+    const newName = normalizeTagName(rename(name));
+    if (newName && newName !== name) mapping.set(name, newName);
+  });
+  return { mapping: expandTagMapping(tags, mapping), error: null };
+};
+
+/**
+ * Rename tag records. When several tags end up with the same name they become one:
+ * a tag that already had the name keeps its id, colour and description.
+ * @param {Array<Object>} tags
+ * @param {Map<string, string>} mapping
+ * @returns {Array<Object>} Normalized tags
+ */
+export const renameTagRecords = (tags, mapping) => {
+  const keptNames = new Set(tags.filter(tag => !mapping.has(tag.name)).map(tag => tag.name));
+  return normalizeTags(tags
+    .filter(tag => !mapping.has(tag.name) || !keptNames.has(mapping.get(tag.name)))
+    .map(tag => mapping.has(tag.name) ? { ...tag, name: mapping.get(tag.name) } : tag));
+};
+
+/**
+ * Rename a task's tags, dropping duplicates that a merge or rename creates
+ * @param {Array<string>} taskTags
+ * @param {Map<string, string>} mapping
+ * @returns {Array<string>}
+ */
+export const applyTagMapping = (taskTags, mapping) => {
+  return [...new Set(taskTags.map(name => mapping.get(name) || name))];
+};
+
+/**
+ * Work out which tasks a rename or removal changes
+ * @param {Array<Object>} tasks
+ * @param {Function} changeTags - Maps a task's tag names to the new ones
+ * @returns {Array<Object>} [{ task, tags }] for the tasks whose tags change
+ */
+export const previewTaskTagChanges = (tasks, changeTags) => {
+  return tasks
+    .map(task => ({ task, tags: changeTags(task.tags || []) }))
+    .filter(({ task, tags }) => JSON.stringify(tags) !== JSON.stringify(task.tags || []));
+};
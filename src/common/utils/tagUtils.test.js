@@ -0,0 +1,147 @@
+import {
+  createTag,
+  getTagColor,
+  normalizeTagName,
+  getParentTagName,
+  getTagLabel,
+  isTagOrDescendant,
+  renameTagPath,
+  normalizeTags,
+  buildTagTree,
+  countTagUsage,
+  findUnusedTags,
+  expandTagMapping,
+  createMergeMapping,
+  createRenameMapping,
+  renameTagRecords,
+  applyTagMapping,
+  previewTaskTagChanges
+} from './tagUtils';
+
+describe('tagUtils', () => {
+  test('creates tag records', () => {
+    const first = createTag('Events/Build', { color: 'sky' });
+    const second = createTag('Events/Build');
+
+    expect(first).toEqual(expect.objectContaining({ name: 'Events/Build', color: 'sky', description: '', parentId: null }));
+    expect(first.id).not.toBe(second.id);
+  });
+
+  test('reads tag paths', () => {
+    expect(normalizeTagName(' Events / Build/ ')).toBe('Events/Build');
+    expect(getParentTagName('Events/Universe/Day 1')).toBe('Events/Universe');
+    expect(getParentTagName('Events')).toBeNull();
+    expect(getTagLabel('Events/Universe/Day 1')).toBe('Day 1');
+    expect(getTagColor('sky').label).toBe('Sky');
+    expect(getTagColor(null)).toBeNull();
+  });
+
+  test('matches descendants by path', () => {
+    expect(isTagOrDescendant('Events', 'Events')).toBe(true);
+    expect(isTagOrDescendant('Events/Build', 'Events')).toBe(true);
+    expect(isTagOrDescendant('Eventsy', 'Events')).toBe(false);
+    expect(isTagOrDescendant('Events', 'Events/Build')).toBe(false);
+  });
+
+  test('moves descendants along with a renamed tag', () => {
+    expect(renameTagPath('Events/Build', 'Events', 'Conferences')).toBe('Conferences/Build');
+    expect(renameTagPath('Events', 'Events', 'Conferences')).toBe('Conferences');
+    expect(renameTagPath('Eventsy', 'Events', 'Conferences')).toBe('Eventsy');
+  });
+
+  test('upgrades plain names and links parents', () => {
+    const tags = normalizeTags(['Build', 'Events/Universe', { id: 'tag-1', name: 'Events', color: 'pink' }, 'Build']);
+
+    expect(tags).toEqual([
+      { id: expect.stringMatching(/^tag-/), name: 'Build', color: null, description: '', parentId: null },
+      { id: expect.stringMatching(/^tag-/), name: 'Events', color: null, description: '', parentId: null },
+      { id: expect.stringMatching(/^tag-/), name: 'Events/Universe', color: null, description: '', parentId: tags[1].id }
+    ]);
+    expect(tags[0].id).not.toBe(tags[1].id);
+  });
+
+  test('keeps consistent records as they are', () => {
+    const tags = normalizeTags(['Events/Build']);
+    const again = normalizeTags(tags);
+
+    expect(again).toHaveLength(2);
+    again.forEach((tag, index) => expect(tag).toBe(tags[index]));
+  });
+
+  test('lists tags in tree order', () => {
+    const tags = normalizeTags(['Events/Build', 'Work', 'Events/Universe', 'Events/Build/Labs']);
+
+    expect(buildTagTree(tags).map(({ tag, depth }) => `${depth}:${tag.name}`)).toEqual([
+      '0:Events',
+      '1:Events/Build',
+      '2:Events/Build/Labs',
+      '1:Events/Universe',
+      '0:Work'
+    ]);
+  });
+
+  describe('merge and rename tools', () => {
+    const tags = normalizeTags(['bug', 'bugs', 'Events/Build', 'Events/Universe', 'proj-alpha']);
+    const tasks = [
+      { id: 1, title: 'Fix login', tags: ['bug', 'bugs'] },
+      { id: 2, title: 'Keynote', tags: ['Events/Build', 'Events/Build'] },
+      { id: 3, title: 'Notes' }
+    ];
+
+    test('counts tasks per tag', () => {
+      expect(countTagUsage(tasks)).toEqual(new Map([['bug', 1], ['bugs', 1], ['Events/Build', 1]]));
+    });
+
+    test('finds tags used neither directly nor through a subtag', () => {
+      expect(findUnusedTags(tags, tasks).map(tag => tag.name)).toEqual(['Events/Universe', 'proj-alpha']);
+    });
+
+    test('moves subtags with their renamed parent unless renamed themselves', () => {
+      expect(expandTagMapping(tags, new Map([['Events', 'Conferences'], ['Events/Universe', 'Universe']])))
+        .toEqual(new Map([['Events', 'Conferences'], ['Events/Universe', 'Universe'], ['Events/Build', 'Conferences/Build']]));
+    });
+
+    test('merges tags into one of them or into a new name', () => {
+      expect(createMergeMapping(tags, ['bug', 'bugs'], 'bug')).toEqual(new Map([['bugs', 'bug']]));
+      expect(createMergeMapping(tags, ['bug', 'bugs'], ' Defects ')).toEqual(new Map([['bug', 'Defects'], ['bugs', 'Defects']]));
+      expect(createMergeMapping(tags, ['bug', 'bugs'], '')).toEqual(new Map());
+      // A tag can't move into its own subtag
+      expect(createMergeMapping(tags, ['Events', 'bug'], 'Events/Build')).toEqual(new Map([['bug', 'Events/Build']]));
+    });
+
+    test('renames by prefix or pattern', () => {
+      expect(createRenameMapping(tags, { mode: 'prefix', find: 'proj-', replace: 'Projects/' }))
+        .toEqual({ mapping: new Map([['proj-alpha', 'Projects/alpha']]), error: null });
+      expect(createRenameMapping(tags, { mode: 'regex', find: '^bugs?$', replace: 'Defects' }).mapping)
+        .toEqual(new Map([['bug', 'Defects'], ['bugs', 'Defects']]));
+      expect(createRenameMapping(tags, { mode: 'regex', find: '^Events', replace: 'Conferences' }).mapping)
+        .toEqual(new Map([['Events', 'Conferences'], ['Events/Build', 'Conferences/Build'], ['Events/Universe', 'Conferences/Universe']]));
+      expect(createRenameMapping(tags, { mode: 'regex', find: '(', replace: '' }).error).toMatch(/^Invalid pattern/);
+      expect(createRenameMapping(tags, { mode: 'prefix', find: '', replace: 'x' }).mapping.size).toBe(0);
+    });
+
+    test('keeps the existing record when renamed tags collide', () => {
+      const colored = tags.map(tag => tag.name === 'bug' ? { ...tag, color: 'red' } : tag);
+      const renamed = renameTagRecords(colored, new Map([['bugs', 'bug']]));
+
+      expect(renamed.map(tag => tag.name)).toEqual(['bug', 'Events', 'Events/Build', 'Events/Universe', 'proj-alpha']);
+      expect(renamed[0]).toBe(colored[0]);
+    });
+
+    test('gives a re-added name a new id after its tag was renamed', () => {
+      const renamed = renameTagRecords(normalizeTags(['Build']), new Map([['Build', 'MSBuild']]));
+      const readded = normalizeTags([...renamed, 'Build']);
+
+      expect(readded.map(tag => tag.name)).toEqual(['MSBuild', 'Build']);
+      expect(readded[0].id).not.toBe(readded[1].id);
+    });
+
+    test('renames task tags without duplicates and previews the changes', () => {
+      const mapping = new Map([['bugs', 'bug']]);
+
+      expect(applyTagMapping(['bugs', 'bug', 'other'], mapping)).toEqual(['bug', 'other']);
+      expect(previewTaskTagChanges([tasks[0], tasks[2]], taskTags => applyTagMapping(taskTags, mapping)))
+        .toEqual([{ task: tasks[0], tags: ['bug'] }]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { sortTasks, getPriorityLevel, hasSortSpec } from './taskSort';
+
+describe('taskSort', () => {
+  const tasks = [
+    { id: 1, title: 'banana', isCompleted: true, priority: 'P2', dueDate: '2025-05-20T09:00:00.000Z' },
+    { id: 2, title: 'Apple', isCompleted: false, priority: 'P0' },
+    { id: 3, title: 'cherry', isCompleted: false, priority: 'P2', dueDate: '2025-05-19T09:00:00.000Z' },
+    { id: 4, title: 'Date', isCompleted: false }
+  ];
+  const ids = list => list.map(task => task.id);
+
+  test('keeps the incoming order without a sort specification', () => {
+    expect(ids(sortTasks(tasks))).toEqual([1, 2, 3, 4]);
+    expect(ids(sortTasks(tasks, []))).toEqual([1, 2, 3, 4]);
+  });
+
+  test('sorts by several keys in turn', () => {
+    const sortSpec = [{ field: 'priority', direction: 'asc' }, { field: 'dueDate', direction: 'asc' }];
+    expect(ids(sortTasks(tasks, sortSpec))).toEqual([2, 3, 1, 4]);
+  });
+
+  test('reverses a key without moving empty values to the top', () => {
+    expect(ids(sortTasks(tasks, [{ field: 'priority', direction: 'desc' }]))).toEqual([1, 3, 2, 4]);
+    expect(ids(sortTasks(tasks, [{ field: 'dueDate', direction: 'desc' }]))).toEqual([1, 3, 2, 4]);
+  });
+
+  test('sorts titles alphabetically, ignoring case', () => {
+    expect(ids(sortTasks(tasks, [{ field: 'title', direction: 'asc' }]))).toEqual([2, 1, 3, 4]);
+  });
+
+  test('moves completed tasks to the bottom', () => {
+    expect(ids(sortTasks(tasks, [], { completedLast: true }))).toEqual([2, 3, 4, 1]);
+    expect(ids(sortTasks(tasks, [{ field: 'title', direction: 'desc' }], { completedLast: true }))).toEqual([4, 3, 2, 1]);
+  });
+
+  test('ignores unknown sort fields', () => {
+    expect(ids(sortTasks(tasks, [{ field: 'colour', direction: 'asc' }]))).toEqual([1, 2, 3, 4]);
+  });
+
+  test('looks up priority levels and sort specifications', () => {
+    expect(getPriorityLevel('P1').label).toBe('P1 · High');
+    expect(getPriorityLevel('P9')).toBeUndefined();
+    expect(hasSortSpec({ sort: [{ field: 'title', direction: 'asc' }] })).toBe(true);
+    expect(hasSortSpec({})).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+import boardTemplates from '../../data/boardTemplates.json';
+import { validateBoard } from './schema';
+import { IdService } from './IdService';
+import { createFilterGroup } from './filterExpression';
+import { createRecurrence, getRecurrenceRule } from './recurrenceUtils';
+import { parseDate, addDays, endOfDay, calendarDaysBetween } from './dateUtils';
+import { isArchived } from './archiveUtils';
+
+/**
+ * A board template is { id, name, description, tags, taskLists, tasks }.
+ * Its tasks are open and have no ids; `dueInDays` makes a task due that many days after the board
+ * is created, and `recurrence` holds just the repeat rule. Lists and tags are as on a board.
+ */
+
+// Templates that ship with the app, in the order the gallery shows them
+export const BUILT_IN_TEMPLATES = boardTemplates;
+
+// Drop the completion state and bookkeeping of subtasks
+const toTemplateSubtasks = (subtasks = []) => subtasks.map(subtask => ({
+  title: subtask.title,
+  subtasks: toTemplateSubtasks(subtask.subtasks)
+}));
+
+// A board task as a starter task: open, without an id or dates, due relative to today
+const toTemplateTask = (task, now) => {
+  const templateTask = {
+    title: task.title,
+    description: task.description,
+    tags: task.tags,
+    subtasks: toTemplateSubtasks(task.subtasks)
+  };
+  if (task.priority) templateTask.priority = task.priority;
+  if (task.recurrence) templateTask.recurrence = getRecurrenceRule(task.recurrence);
+  const due = parseDate(task.dueDate);
+  if (due) templateTask.dueInDays = Math.max(0, calendarDaysBetween(now, due));
+  return templateTask;
+};
+
+/**
+ * Save a board's structure as a template
+ * @param {Object} board - { tasks, tags, taskLists }
+ * @param {Object} options - name, description, and includeTasks to keep the tasks that aren't archived as starter tasks
+ * @param {Date} now - Due dates are kept relative to this day
+ * @returns {Object} Template
+ */
+export const createTemplateFromBoard = (board, { name, description = '', includeTasks = false }, now = new Date()) => ({
+  id: IdService.createId('template'),
+  name: name.trim(),
+  description: description.trim(),
+  tags: board.tags.map(({ name: tagName, color, description: tagDescription }) => ({ name: tagName, color, description: tagDescription })),
+  // Manual task order refers to the board's task ids, which a new board won't have
+  taskLists: board.taskLists.map(({ taskOrder, ...list }) => list),
+  tasks: includeTasks ? board.tasks.filter(task => !isArchived(task)).map(task => toTemplateTask(task, now)) : []
+});
+
+/**
+ * Create the collections of a new board from a template
+ * @param {Object} template
+ * @param {Date} now - Creation time of the tasks; `dueInDays` counts from this day
+ * @returns {Object} { tasks, tags, taskLists, errors }
+ */
+export const instantiateTemplate = (template, now = new Date()) => {
+  const { board, errors } = validateBoard(template);
+  if (!board) return { tasks: [], tags: [], taskLists: [{ id: 'default', title: 'All Tasks', filters: createFilterGroup() }], errors };
+
+  const tasks = board.tasks.map(({ dueInDays, recurrence, ...task }) => {
+    const created = { ...task, id: IdService.createId('task'), isCompleted: false, createdAt: now.toISOString() };
+    if (Number.isInteger(dueInDays)) created.dueDate = endOfDay(addDays(now, dueInDays)).toISOString();
+    if (recurrence) created.recurrence = createRecurrence(getRecurrenceRule(recurrence));
+    return created;
+  });
+  const taskLists = board.taskLists || [];
+  return {
+    tasks,
+    tags: board.tags,
+    // The default list always exists
+    taskLists: taskLists.some(list => list.id === 'default')
+      ? taskLists
+      : [{ id: 'default', title: 'All Tasks', filters: createFilterGroup() }, ...taskLists],
+    errors
+  };
+};
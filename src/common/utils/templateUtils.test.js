@@ -0,0 +1,91 @@
+import { BUILT_IN_TEMPLATES, createTemplateFromBoard, instantiateTemplate } from './templateUtils';
+
+describe('templateUtils', () => {
+  const now = new Date(2025, 4, 19, 10, 0);
+
+  test('ships the built-in templates', () => {
+    expect(BUILT_IN_TEMPLATES.map(template => template.name))
+      .toEqual(['Conference prep', 'Sprint', 'Release checklist', 'Weekly review']);
+    BUILT_IN_TEMPLATES.forEach(template => {
+      expect(instantiateTemplate(template, now).errors).toEqual([]);
+    });
+  });
+
+  test('creates open tasks with new ids and due dates relative to the day', () => {
+    const sprint = BUILT_IN_TEMPLATES.find(template => template.id === 'sprint');
+    const first = instantiateTemplate(sprint, now);
+    const second = instantiateTemplate(sprint, now);
+
+    const planning = first.tasks.find(task => task.title === 'Sprint planning');
+    expect(planning).toMatchObject({ isCompleted: false, tags: ['Sprint'], priority: 'P1', createdAt: now.toISOString() });
+    expect(planning.id).toMatch(/^task-/);
+    expect(planning).not.toHaveProperty('dueInDays');
+    expect(new Date(planning.dueDate)).toEqual(new Date(2025, 4, 19, 23, 59, 59, 999));
+    expect(first.tasks.find(task => task.title === 'Retrospective').dueDate)
+      .toBe(new Date(2025, 5, 2, 23, 59, 59, 999).toISOString());
+    expect(second.tasks[0].id).not.toBe(first.tasks[0].id);
+
+    expect(first.taskLists[0]).toEqual({ id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] } });
+    expect(first.taskLists[1].filters).toEqual({
+      op: 'and',
+      children: [{ type: 'tag', value: 'Sprint' }, { type: 'completed', value: false }]
+    });
+    expect(first.tags.find(tag => tag.name === 'Bug')).toMatchObject({ color: 'red' });
+  });
+
+  test('starts a new series for repeating starter tasks', () => {
+    const review = BUILT_IN_TEMPLATES.find(template => template.id === 'weekly-review');
+    const [task] = instantiateTemplate(review, now).tasks;
+
+    expect(task.recurrence).toMatchObject({ frequency: 'weekly', occurrence: 1 });
+    expect(task.recurrence.seriesId).toMatch(/^series-/);
+    expect(task.subtasks.map(subtask => subtask.title)).toContain('Empty the inboxes');
+  });
+
+  test('saves a board as a template, with or without its tasks', () => {
+    const board = {
+      tasks: [
+        {
+          id: 'task-1',
+          title: 'Book venue',
+          description: 'Seats 40',
+          isCompleted: true,
+          completedAt: '2025-05-18T09:00:00.000Z',
+          tags: ['Events'],
+          priority: 'P1',
+          dueDate: new Date(2025, 4, 22, 17, 0).toISOString(),
+          recurrence: { frequency: 'monthly', interval: 1, weekdays: [], count: null, until: null, seriesId: 'series-1', occurrence: 3 },
+          subtasks: [{ id: 'subtask-1', title: 'Call', isCompleted: true, subtasks: [] }]
+        },
+        { id: 'task-2', title: 'Old', isCompleted: true, tags: [], archivedAt: '2025-05-01T09:00:00.000Z' }
+      ],
+      tags: [{ id: 'tag-1', name: 'Events', color: 'sky', description: '', parentId: null }],
+      taskLists: [{ id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] }, taskOrder: ['task-1'] }]
+    };
+
+    const structure = createTemplateFromBoard(board, { name: ' Events ' }, now);
+    expect(structure).toEqual({
+      id: expect.stringMatching(/^template-/),
+      name: 'Events',
+      description: '',
+      tags: [{ name: 'Events', color: 'sky', description: '' }],
+      taskLists: [{ id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] } }],
+      tasks: []
+    });
+
+    const withTasks = createTemplateFromBoard(board, { name: 'Events', includeTasks: true }, now);
+    expect(withTasks.tasks).toEqual([{
+      title: 'Book venue',
+      description: 'Seats 40',
+      tags: ['Events'],
+      priority: 'P1',
+      dueInDays: 3,
+      recurrence: { frequency: 'monthly', interval: 1, weekdays: [], count: null, until: null },
+      subtasks: [{ title: 'Call', subtasks: [] }]
+    }]);
+
+    // A saved template creates the same structure again
+    const [task] = instantiateTemplate(withTasks, now).tasks;
+    expect(task).toMatchObject({ title: 'Book venue', isCompleted: false, subtasks: [{ title: 'Call', isCompleted: false }] });
+  });
+});
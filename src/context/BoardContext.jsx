@@ -0,0 +1,226 @@
+import React, { createContext, useContext } from 'react';
+import { usePersistentState } from '../common/hooks/usePersistentState';
+import { StorageService } from '../common/utils/StorageService';
+import { upsertById, removeById } from '../common/utils/collectionUtils';
+import { IdService } from '../common/utils/IdService';
+import { instantiateTemplate } from '../common/utils/templateUtils';
+import { useSyncContext, LocalSyncScope } from './SyncContext';
+
+// The first board keeps the storage keys from before boards existed, and is the only one that syncs
+export const DEFAULT_BOARD_ID = 'default';
+
+// Collections every board keeps for itself
+export const BOARD_COLLECTIONS = ['tasks', 'tags', 'taskLists', 'taskStatuses'];
+
+/**
+ * Storage key of one of a board's collections
+ * @param {string} boardId
+ * @param {string} name - e.g. 'tasks'
+ * @returns {string} e.g. 'board:board-1:tasks', or just 'tasks' for the default board
+ */
+export const getBoardKey = (boardId, name) => {
+  return boardId === DEFAULT_BOARD_ID ? name : `board:${boardId}:${name}`;
+};
+
+const createBoardRecord = (name, id) => {
+  return {
+    id: id || IdService.createId('board'),
+    name,
+    isArchived: false,
+    createdAt: new Date().toISOString()
+  };
+};
+
+// Without a provider there is just the default board, e.g. in tests of a single context
+const BoardContext = createContext({
+  boards: [],
+  activeBoardId: DEFAULT_BOARD_ID,
+  isDefaultBoard: true,
+  boardKey: (name) => name
+});
+
+// Custom hook for using board context
+export const useBoardContext = () => useContext(BoardContext);
+
+// Board provider component; the task, tag and list providers go inside a BoardScope
+export const BoardProvider = ({ children }) => {
+  const [boards, setBoards, boardsLoaded] = usePersistentState('boards', () => [
+    createBoardRecord('My Board', DEFAULT_BOARD_ID)
+  ]);
+  const [activeBoardId, setActiveBoardId, activeLoaded] = usePersistentState('activeBoardId', DEFAULT_BOARD_ID);
+  // Board templates saved by the user; the built-in ones live in templateUtils
+  const [templates, setTemplates, templatesLoaded] = usePersistentState('boardTemplates', []);
+  const { enabled: syncEnabled, sync, reportError } = useSyncContext();
+
+  const activeBoard = boards.find(board => board.id === activeBoardId) || boards[0];
+
+  const switchBoard = (id) => {
+    if (boards.some(board => board.id === id && !board.isArchived)) setActiveBoardId(id);
+  };
+
+  const createBoard = (name) => {
+    const board = createBoardRecord(name.trim() || 'New Board');
+    setBoards(prevBoards => [...prevBoards, board]);
+    setActiveBoardId(board.id);
+    return board;
+  };
+
+  const renameBoard = (id, name) => {
+    const board = boards.find(b => b.id === id);
+    if (!board || !name.trim()) return;
+    setBoards(prevBoards => upsertById(prevBoards, [{ ...board, name: name.trim() }]));
+  };
+
+  // Copy every collection of a board into a new board and switch to it.
+  // Resolves to null, leaving the boards as they were, when the copy can't be saved.
+  const duplicateBoard = async (id) => {
+    const source = boards.find(board => board.id === id);
+    if (!source) return null;
+    const board = createBoardRecord(`${source.name} (copy)`);
+    try {
+      await Promise.all(BOARD_COLLECTIONS.map(async name => {
+        const data = await StorageService.load(getBoardKey(id, name));
+        if (data !== undefined) await StorageService.save(getBoardKey(board.id, name), data);
+      }));
+    } catch (error) {
+      await Promise.allSettled(BOARD_COLLECTIONS.map(name => StorageService.remove(getBoardKey(board.id, name))));
+      reportError(`Could not duplicate the board: ${error.message}`);
+      return null;
+    }
+    setBoards(prevBoards => [...prevBoards, board]);
+    setActiveBoardId(board.id);
+    return board;
+  };
+
+  // Create a board with the lists, tags and starter tasks of a template, and switch to it.
+  // Resolves to null, leaving the boards as they were, when the board can't be saved.
+  const createBoardFromTemplate = async (template, name = template.name) => {
+    const board = createBoardRecord(name.trim() || template.name);
+    const { errors, ...collections } = instantiateTemplate(template);
+    errors.forEach(error => reportError(`Skipped part of the "${template.name}" template: ${error}`));
+    const keys = Object.keys(collections).map(collection => getBoardKey(board.id, collection));
+    try {
+      await Promise.all(Object.entries(collections).map(([collection, data]) =>
+        StorageService.save(getBoardKey(board.id, collection), data)
+      ));
+    } catch (error) {
+      // Don't leave half a board behind
+      await Promise.allSettled(keys.map(key => StorageService.remove(key)));
+      reportError(`Could not create the board: ${error.message}`);
+      return null;
+    }
+    setBoards(prevBoards => [...prevBoards, board]);
+    setActiveBoardId(board.id);
+    return board;
+  };
+
+  const saveTemplate = (template) => {
+    setTemplates(prevTemplates => [...prevTemplates, template]);
+  };
+
+  const deleteTemplate = (id) => {
+    setTemplates(prevTemplates => prevTemplates.filter(template => template.id !== id));
+  };
+
+  // Archived boards keep their data and can be restored; the last open board can't be archived
+  const archiveBoard = (id) => {
+    const openBoards = boards.filter(board => !board.isArchived);
+    const board = openBoards.find(b => b.id === id);
+    if (!board || openBoards.length === 1) return;
+    setBoards(prevBoards => upsertById(prevBoards, [{ ...board, isArchived: true }]));
+    if (id === activeBoard.id) setActiveBoardId(openBoards.find(b => b.id !== id).id);
+  };
+
+  const restoreBoard = (id) => {
+    const board = boards.find(b => b.id === id);
+    if (!board) return;
+    setBoards(prevBoards => upsertById(prevBoards, [{ ...board, isArchived: false }]));
+  };
+
+  // Add tasks to another board's stored tasks. Tasks whose id is taken there get a new one.
+  // Removing them from this board (to move rather than copy) is left to TaskContext.
+  // Resolves to the added tasks, or null when they couldn't be saved.
+  const transferTasks = async (tasks, targetBoardId) => {
+    const key = getBoardKey(targetBoardId, 'tasks');
+    let added;
+    try {
+      const targetTasks = (await StorageService.load(key)) || [];
+      const takenIds = new Set(targetTasks.map(task => task.id));
+      added = tasks.map(task => {
+        const id = takenIds.has(task.id) ? IdService.createId('task') : task.id;
+        takenIds.add(id);
+        return { ...task, id };
+      });
+      await StorageService.save(key, [...targetTasks, ...added]);
+    } catch (error) {
+      reportError(`Could not add the tasks to the board: ${error.message}`);
+      return null;
+    }
+    // The default board is the synced one, so the server has to know about them too
+    if (targetBoardId === DEFAULT_BOARD_ID && syncEnabled) {
+      sync(
+        client => Promise.all(added.map(task => client.create('tasks', task))),
+        () => {},
+        'add the tasks to the board'
+      );
+    }
+    return added;
+  };
+
+  // Take tasks that transferTasks added off the other board again, e.g. when a move is undone
+  const removeTransferredTasks = async (tasks, targetBoardId) => {
+    const key = getBoardKey(targetBoardId, 'tasks');
+    const ids = tasks.map(task => task.id);
+    try {
+      const targetTasks = (await StorageService.load(key)) || [];
+      await StorageService.save(key, removeById(targetTasks, ids));
+    } catch (error) {
+      reportError(`Could not remove the tasks from the board: ${error.message}`);
+      return;
+    }
+    if (targetBoardId === DEFAULT_BOARD_ID && syncEnabled) {
+      sync(
+        client => Promise.all(ids.map(id => client.remove('tasks', id))),
+        () => {},
+        'remove the tasks from the board'
+      );
+    }
+  };
+
+  // Wait for the stored board, so the scoped providers don't load the wrong one first
+  if (!boardsLoaded || !activeLoaded || !templatesLoaded) return null;
+
+  return (
+    <BoardContext.Provider
+      value={{
+        boards,
+        activeBoard,
+        activeBoardId: activeBoard.id,
+        isDefaultBoard: activeBoard.id === DEFAULT_BOARD_ID,
+        boardKey: (name) => getBoardKey(activeBoard.id, name),
+        switchBoard,
+        createBoard,
+        renameBoard,
+        duplicateBoard,
+        archiveBoard,
+        restoreBoard,
+        transferTasks,
+        removeTransferredTasks,
+        templates,
+        createBoardFromTemplate,
+        saveTemplate,
+        deleteTemplate
+      }}
+    >
+      {children}
+    </BoardContext.Provider>
+  );
+};
+
+// Remounts the board's providers whenever the board changes, so their state, storage keys
+// and undo history all start afresh. Only the default board syncs with the server.
+export const BoardScope = ({ children }) => {
+  const { activeBoardId } = useBoardContext();
+  const scoped = <React.Fragment key={activeBoardId}>{children}</React.Fragment>;
+  return activeBoardId === DEFAULT_BOARD_ID ? scoped : <LocalSyncScope>{scoped}</LocalSyncScope>;
+};
@@ -0,0 +1,236 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BoardProvider, BoardScope, useBoardContext, getBoardKey } from './BoardContext';
+import { HistoryProvider } from './HistoryContext';
+import { SyncProvider, useSyncContext } from './SyncContext';
+import { TaskProvider, useTaskContext } from './TaskContext';
+import { StorageService, createMemoryAdapter } from '../common/utils/StorageService';
+import { BUILT_IN_TEMPLATES } from '../common/utils/templateUtils';
+
+// Minimal consumer that exposes the boards and the active board's tasks
+function BoardProbe() {
+  const {
+    boards, activeBoard, createBoard, switchBoard, duplicateBoard, archiveBoard, restoreBoard, transferTasks,
+    removeTransferredTasks, templates, createBoardFromTemplate, saveTemplate
+  } = useBoardContext();
+  const { tasks, addTask } = useTaskContext();
+  const { errors } = useSyncContext();
+  return (
+    <div>
+      <button onClick={() => createBoard('Conference')} data-testid="create">Create</button>
+      <button onClick={() => switchBoard('default')} data-testid="switch-default">Switch</button>
+      <button onClick={() => duplicateBoard(activeBoard.id)} data-testid="duplicate">Duplicate</button>
+      <button onClick={() => archiveBoard(activeBoard.id)} data-testid="archive">Archive</button>
+      <button onClick={() => boards.forEach(board => restoreBoard(board.id))} data-testid="restore-all">Restore</button>
+      <button onClick={() => addTask({ title: 'Book venue', isCompleted: false, tags: [] })} data-testid="add">Add</button>
+      <button onClick={() => createBoardFromTemplate(BUILT_IN_TEMPLATES[1])} data-testid="from-template">From template</button>
+      <button
+        onClick={() => createBoardFromTemplate({ name: 'Offsite', tasks: [{ title: 'Book hotel' }, { title: 42 }] })}
+        data-testid="from-broken-template"
+      >
+        From broken template
+      </button>
+      <button onClick={() => saveTemplate({ id: 'template-1', name: 'Mine', tags: [], taskLists: [], tasks: [] })} data-testid="save-template">
+        Save template
+      </button>
+      <button
+        onClick={() => transferTasks(tasks, boards.find(board => board.id !== activeBoard.id).id)}
+        data-testid="transfer"
+      >
+        Transfer
+      </button>
+      <button
+        onClick={() => removeTransferredTasks(tasks, boards.find(board => board.id !== activeBoard.id).id)}
+        data-testid="remove-transferred"
+      >
+        Remove transferred
+      </button>
+      <p data-testid="boards">{boards.map(board => `${board.name}${board.isArchived ? '(archived)' : ''}`).join(',')}</p>
+      <p data-testid="active">{activeBoard.name}</p>
+      <p data-testid="tasks">{tasks.map(task => task.title).join(',') || 'none'}</p>
+      <p data-testid="templates">{templates.map(template => template.name).join(',')}</p>
+      {errors.map(error => <p key={error.id} role="alert">{error.message}</p>)}
+    </div>
+  );
+}
+
+const renderWithBoards = () => render(
+  <SyncProvider baseUrl={null}>
+    <BoardProvider>
+      <BoardScope>
+        <HistoryProvider>
+          <TaskProvider>
+            <BoardProbe />
+          </TaskProvider>
+        </HistoryProvider>
+      </BoardScope>
+    </BoardProvider>
+  </SyncProvider>
+);
+
+describe('BoardProvider', () => {
+  beforeEach(async () => {
+    StorageService.setAdapter(createMemoryAdapter());
+    await StorageService.save('tasks', [{ id: 1, title: 'Keynote', isCompleted: false, tags: [] }]);
+  });
+
+  test('keeps the default board on the existing storage keys', () => {
+    expect(getBoardKey('default', 'tasks')).toBe('tasks');
+    expect(getBoardKey('board-1', 'tasks')).toBe('board:board-1:tasks');
+  });
+
+  test('gives each board its own tasks', async () => {
+    renderWithBoards();
+    expect(await screen.findByText('Keynote')).toBeInTheDocument();
+    expect(screen.getByTestId('active')).toHaveTextContent('My Board');
+
+    fireEvent.click(screen.getByTestId('create'));
+    await waitFor(() => expect(screen.getByTestId('active')).toHaveTextContent('Conference'));
+    expect(await screen.findByText('none')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('add'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Book venue');
+
+    fireEvent.click(screen.getByTestId('switch-default'));
+    expect(await screen.findByText('Keynote')).toBeInTheDocument();
+    expect(await StorageService.load('tasks')).toEqual([expect.objectContaining({ title: 'Keynote' })]);
+    const [board] = (await StorageService.load('boards')).filter(b => b.name === 'Conference');
+    await waitFor(async () => expect(await StorageService.load(getBoardKey(board.id, 'tasks'))).toEqual([
+      expect.objectContaining({ title: 'Book venue' })
+    ]));
+  });
+
+  test('duplicates a board with its tasks and switches to the copy', async () => {
+    renderWithBoards();
+    await screen.findByText('Keynote');
+
+    fireEvent.click(screen.getByTestId('duplicate'));
+    await waitFor(() => expect(screen.getByTestId('active')).toHaveTextContent('My Board (copy)'));
+    expect(await screen.findByText('Keynote')).toBeInTheDocument();
+
+    // Changes to the copy leave the original alone
+    fireEvent.click(screen.getByTestId('add'));
+    fireEvent.click(screen.getByTestId('switch-default'));
+    expect(await screen.findByText('Keynote')).toBeInTheDocument();
+  });
+
+  test('creates a board from a template and remembers saved templates', async () => {
+    const { unmount } = renderWithBoards();
+    await screen.findByText('Keynote');
+
+    fireEvent.click(screen.getByTestId('from-template'));
+    await waitFor(() => expect(screen.getByTestId('active')).toHaveTextContent('Sprint'));
+    expect(await screen.findByText(/Sprint planning/)).toBeInTheDocument();
+    expect(screen.getByTestId('tasks')).not.toHaveTextContent('Keynote');
+
+    fireEvent.click(screen.getByTestId('save-template'));
+    expect(screen.getByTestId('templates')).toHaveTextContent('Mine');
+    await waitFor(() => expect(StorageService.load('boardTemplates')).resolves.toHaveLength(1));
+    unmount();
+    renderWithBoards();
+    expect(await screen.findByTestId('templates')).toHaveTextContent('Mine');
+  });
+
+  test('reports template problems, and keeps the boards as they were when the board can\'t be saved', async () => {
+    const adapter = StorageService.getAdapter();
+    renderWithBoards();
+    await screen.findByText('Keynote');
+
+    fireEvent.click(screen.getByTestId('from-broken-template'));
+    await waitFor(() => expect(screen.getByTestId('active')).toHaveTextContent('Offsite'));
+    expect(screen.getByRole('alert')).toHaveTextContent('Skipped part of the "Offsite" template: Task 2');
+    fireEvent.click(screen.getByTestId('switch-default'));
+    await screen.findByText('Keynote');
+
+    StorageService.setAdapter({
+      ...adapter,
+      save: async (key, value) => {
+        if (key.startsWith('board:')) throw new Error('Storage is full');
+        return adapter.save(key, value);
+      }
+    });
+    fireEvent.click(screen.getByTestId('from-template'));
+    expect(await screen.findByText('Could not create the board: Storage is full')).toBeInTheDocument();
+    expect(screen.getByTestId('boards')).toHaveTextContent(/^My Board,Offsite$/);
+    expect(screen.getByTestId('active')).toHaveTextContent('My Board');
+  });
+
+  test('archives a board, switching away, but never the last open one', async () => {
+    renderWithBoards();
+    await screen.findByText('Keynote');
+
+    fireEvent.click(screen.getByTestId('archive'));
+    expect(screen.getByTestId('boards')).toHaveTextContent('My Board');
+    expect(screen.getByTestId('boards')).not.toHaveTextContent('archived');
+
+    fireEvent.click(screen.getByTestId('create'));
+    await waitFor(() => expect(screen.getByTestId('active')).toHaveTextContent('Conference'));
+    fireEvent.click(screen.getByTestId('archive'));
+    await waitFor(() => expect(screen.getByTestId('active')).toHaveTextContent('My Board'));
+    expect(screen.getByTestId('boards')).toHaveTextContent('My Board,Conference(archived)');
+
+    fireEvent.click(screen.getByTestId('restore-all'));
+    expect(screen.getByTestId('boards')).toHaveTextContent('My Board,Conference');
+    expect(screen.getByTestId('boards')).not.toHaveTextContent('archived');
+  });
+
+  test('copies tasks to another board, giving taken ids new ones', async () => {
+    await StorageService.save('boards', [
+      { id: 'default', name: 'My Board', isArchived: false },
+      { id: 'board-2', name: 'Conference', isArchived: false }
+    ]);
+    await StorageService.save(getBoardKey('board-2', 'tasks'), [{ id: 1, title: 'Book venue', isCompleted: false, tags: [] }]);
+    renderWithBoards();
+    await screen.findByText('Keynote');
+
+    fireEvent.click(screen.getByTestId('transfer'));
+    await waitFor(async () => expect(await StorageService.load(getBoardKey('board-2', 'tasks'))).toHaveLength(2));
+    const [venue, keynote] = await StorageService.load(getBoardKey('board-2', 'tasks'));
+    expect(venue).toEqual(expect.objectContaining({ id: 1, title: 'Book venue' }));
+    expect(keynote.title).toBe('Keynote');
+    expect(keynote.id).not.toBe(1);
+    // Copying leaves this board's tasks alone
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote');
+  });
+
+  test('takes transferred tasks off the other board again', async () => {
+    await StorageService.save('boards', [
+      { id: 'default', name: 'My Board', isArchived: false },
+      { id: 'board-2', name: 'Conference', isArchived: false }
+    ]);
+    await StorageService.save(getBoardKey('board-2', 'tasks'), [{ id: 2, title: 'Book venue', isCompleted: false, tags: [] }]);
+    renderWithBoards();
+    await screen.findByText('Keynote');
+
+    fireEvent.click(screen.getByTestId('transfer'));
+    await waitFor(async () => expect(await StorageService.load(getBoardKey('board-2', 'tasks'))).toHaveLength(2));
+    fireEvent.click(screen.getByTestId('remove-transferred'));
+    await waitFor(async () => expect(await StorageService.load(getBoardKey('board-2', 'tasks'))).toEqual([
+      expect.objectContaining({ id: 2, title: 'Book venue' })
+    ]));
+  });
+
+  test('reports boards and tasks it can\'t save, changing nothing', async () => {
+    await StorageService.save('boards', [
+      { id: 'default', name: 'My Board', isArchived: false },
+      { id: 'board-2', name: 'Conference', isArchived: false }
+    ]);
+    const adapter = StorageService.getAdapter();
+    renderWithBoards();
+    await screen.findByText('Keynote');
+    StorageService.setAdapter({
+      ...adapter,
+      save: async (key, value) => {
+        if (key.startsWith('board:')) throw new Error('Storage is full');
+        return adapter.save(key, value);
+      }
+    });
+
+    fireEvent.click(screen.getByTestId('transfer'));
+    expect(await screen.findByText('Could not add the tasks to the board: Storage is full')).toBeInTheDocument();
+    fireEvent.click(screen.getByTestId('duplicate'));
+    expect(await screen.findByText('Could not duplicate the board: Storage is full')).toBeInTheDocument();
+    expect(screen.getByTestId('boards')).toHaveTextContent(/^My Board,Conference$/);
+    expect(screen.getByTestId('active')).toHaveTextContent('My Board');
+  });
+});
@@ -0,0 +1,164 @@
+import React, { createContext, useState, useContext, useEffect, useRef, useCallback } from 'react';
+import { useSyncContext } from './SyncContext';
+import { revertById } from '../common/utils/collectionUtils';
+import { isEditableTarget } from '../common/utils/shortcutUtils';
+
+// How many steps can be undone
+export const HISTORY_LIMIT = 50;
+
+// Create the history context; without a provider, nothing is recorded
+const HistoryContext = createContext({
+  canUndo: false,
+  canRedo: false,
+  undoLabel: null,
+  redoLabel: null,
+  toast: null,
+  record: () => {},
+  registerSlice: () => () => {},
+  undo: () => {},
+  redo: () => {},
+  dismissToast: () => {}
+});
+
+// Custom hook for using history context
+export const useHistoryContext = () => useContext(HistoryContext);
+
+/**
+ * Make a piece of context state undoable.
+ * @param {string} name - Slice name, e.g. 'tasks'
+ * @param {Array} value - Current collection
+ * @param {Function} setValue - State setter used to restore snapshots
+ * @param {Object} options - { resource, toRecord } used to send restored data to the sync server;
+ *   { local: true } for state the server doesn't store
+ */
+export const useHistorySlice = (name, value, setValue, options = {}) => {
+  const { registerSlice } = useHistoryContext();
+  const sliceRef = useRef(null);
+  sliceRef.current = { value, setValue, resource: options.local ? null : (options.resource || name), toRecord: options.toRecord };
+
+  useEffect(() => registerSlice(name, sliceRef), [name, registerSlice]);
+};
+
+// History provider component.
+// Contexts call record() before each mutation; every mutation made in the same tick
+// (e.g. renaming a tag and then every task using it) becomes a single undoable step.
+// Changes outside the board's state, such as tasks moved to another board, pass onUndo / onRedo
+// to the record() call that starts the step.
+export const HistoryProvider = ({ children }) => {
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [toast, setToast] = useState(null);
+  const slicesRef = useRef(new Map());
+  const pendingRef = useRef(null);
+  const counterRef = useRef(0);
+  const { syncCollection } = useSyncContext();
+
+  const registerSlice = useCallback((name, sliceRef) => {
+    slicesRef.current.set(name, sliceRef);
+    return () => slicesRef.current.delete(name);
+  }, []);
+
+  const takeSnapshot = () => {
+    const snapshot = {};
+    slicesRef.current.forEach((sliceRef, name) => {
+      snapshot[name] = sliceRef.current.value;
+    });
+    return snapshot;
+  };
+
+  // Put every slice back to a snapshot and send the difference to the server
+  const applySnapshot = (snapshot, description) => {
+    slicesRef.current.forEach((sliceRef, name) => {
+      const { value: current, setValue, resource, toRecord } = sliceRef.current;
+      const target = snapshot[name];
+      if (target === undefined || target === current) return;
+
+      setValue(target);
+      const toRecords = (items) => toRecord ? items.map(toRecord) : items;
+      if (resource) {
+        syncCollection(resource, toRecords(current), toRecords(target), failedIds => setValue(items => revertById(items, current, failedIds)), description);
+      }
+    });
+  };
+
+  const record = useCallback((label, { destructive = false, onUndo = null, onRedo = null } = {}) => {
+    const pending = pendingRef.current;
+    if (pending) {
+      // Part of a step that is already being recorded
+      if (destructive) setToast({ id: pending.id, label: pending.label });
+      return;
+    }
+
+    counterRef.current += 1;
+    const entry = { id: `history-${counterRef.current}`, label, before: takeSnapshot(), onUndo, onRedo };
+    pendingRef.current = entry;
+    queueMicrotask(() => {
+      pendingRef.current = null;
+    });
+
+    setHistory(prev => ({ past: [...prev.past, entry].slice(-HISTORY_LIMIT), future: [] }));
+    setToast(destructive ? { id: entry.id, label } : null);
+  }, []);
+
+  const undo = () => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return;
+    const after = takeSnapshot();
+    applySnapshot(entry.before, `undo "${entry.label}"`);
+    if (entry.onUndo) entry.onUndo();
+    setHistory({ past: history.past.slice(0, -1), future: [...history.future, { ...entry, after }] });
+    setToast(null);
+  };
+
+  const redo = () => {
+    const entry = history.future[history.future.length - 1];
+    if (!entry) return;
+    const before = takeSnapshot();
+    applySnapshot(entry.after, `redo "${entry.label}"`);
+    if (entry.onRedo) entry.onRedo();
+    setHistory({ past: [...history.past, { ...entry, before }], future: history.future.slice(0, -1) });
+    setToast(null);
+  };
+
+  const dismissToast = () => {
+    setToast(null);
+  };
+
+  // Ctrl+Z / Cmd+Z undoes, Ctrl+Shift+Z / Ctrl+Y redoes
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditableTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const lastStep = history.past[history.past.length - 1];
+  const nextStep = history.future[history.future.length - 1];
+
+  return (
+    <HistoryContext.Provider
+      value={{
+        canUndo: Boolean(lastStep),
+        canRedo: Boolean(nextStep),
+        undoLabel: lastStep ? lastStep.label : null,
+        redoLabel: nextStep ? nextStep.label : null,
+        toast,
+        record,
+        registerSlice,
+        undo,
+        redo,
+        dismissToast
+      }}
+    >
+      {children}
+    </HistoryContext.Provider>
+  );
+};
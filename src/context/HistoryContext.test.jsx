@@ -0,0 +1,424 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { setupServer } from 'msw/node';
+import { vi } from 'vitest';
+import { SyncProvider } from './SyncContext';
+import { HistoryProvider, useHistoryContext } from './HistoryContext';
+import { TaskProvider, useTaskContext } from './TaskContext';
+import { TagProvider, useTagContext } from './TagContext';
+import { StorageService, createMemoryAdapter } from '../common/utils/StorageService';
+import { createMockDatabase, createSyncHandlers } from '../mocks/handlers';
+
+const BASE_URL = 'http://sync.test/api';
+
+const mockOnUndo = vi.fn();
+const mockOnRedo = vi.fn();
+
+// Minimal consumer that exposes tasks, tags and the history controls
+function HistoryProbe() {
+  const {
+    tasks,
+    taskStatuses,
+    toggleTask,
+    updateTasksWithDeletedTag,
+    updateTasksWithEditedTag,
+    updateTasksWithRenamedTags,
+    deleteTasks,
+    archiveCompletedTasks,
+    restoreTasks,
+    updateTaskStatuses,
+    toggleSubtask,
+    setSubtaskAutoComplete
+  } = useTaskContext();
+  const { tags, deleteTag, editTag, renameTags } = useTagContext();
+  const { canUndo, canRedo, undoLabel, toast, record, undo, redo } = useHistoryContext();
+  return (
+    <div>
+      <button
+        onClick={() => {
+          deleteTag('Build');
+          updateTasksWithDeletedTag('Build');
+        }}
+        data-testid="delete-build"
+      >
+        Delete tag
+      </button>
+      <button
+        onClick={() => {
+          editTag('Build', 'Conference');
+          updateTasksWithEditedTag('Build', 'Conference');
+        }}
+        data-testid="rename-build"
+      >
+        Rename tag
+      </button>
+      <button
+        onClick={() => {
+          editTag('Events', 'Conferences');
+          updateTasksWithEditedTag('Events', 'Conferences');
+        }}
+        data-testid="rename-events"
+      >
+        Rename parent tag
+      </button>
+      <button
+        onClick={() => {
+          const mapping = new Map([['AI', 'Build']]);
+          renameTags(mapping, '2 tags merged into "Build"');
+          updateTasksWithRenamedTags(mapping, '2 tags merged into "Build"');
+        }}
+        data-testid="merge-ai-into-build"
+      >
+        Merge tags
+      </button>
+      <button onClick={() => deleteTasks([1, 2])} data-testid="delete-selected">Delete selected</button>
+      <button onClick={() => deleteTasks([2])} data-testid="delete-lab">Delete Lab</button>
+      <button
+        onClick={() => {
+          record('Task moved to "Offsite"', { destructive: true, onUndo: mockOnUndo, onRedo: mockOnRedo });
+          deleteTasks([2], 'Task moved to "Offsite"');
+        }}
+        data-testid="move-lab"
+      >
+        Move Lab
+      </button>
+      <button onClick={() => archiveCompletedTasks()} data-testid="archive-completed">Archive completed</button>
+      <button onClick={() => restoreTasks([2])} data-testid="restore-lab">Restore Lab</button>
+      <button onClick={() => toggleTask(1)} data-testid="toggle-keynote">Toggle Keynote</button>
+      <button onClick={() => toggleSubtask(1, 'slides')} data-testid="toggle-slides">Toggle Slides</button>
+      <button onClick={() => setSubtaskAutoComplete(1, true)} data-testid="auto-complete-keynote">Auto-complete Keynote</button>
+      <button onClick={() => updateTaskStatuses(taskStatuses.slice(0, -1))} data-testid="remove-last-status">
+        Remove last status
+      </button>
+      <button onClick={undo} disabled={!canUndo} data-testid="undo">Undo</button>
+      <button onClick={redo} disabled={!canRedo} data-testid="redo">Redo</button>
+      <p data-testid="tasks">{tasks.map(task => `${task.title}[${task.tags.join(',')}]`).join(' ')}</p>
+      <p data-testid="tags">{tags.map(tag => tag.name).join(',')}</p>
+      <p data-testid="statuses">{taskStatuses.map(status => status.title).join(',')}</p>
+      <p data-testid="task-statuses">{tasks.map(task => `${task.title}:${task.status || '-'}`).join(' ')}</p>
+      <p data-testid="archived">{tasks.filter(task => task.archivedAt).map(task => task.title).join(',')}</p>
+      <p data-testid="undo-label">{undoLabel}</p>
+      {toast && <p data-testid="toast">{toast.label}</p>}
+    </div>
+  );
+}
+
+const renderWithHistory = () => render(
+  <HistoryProvider>
+    <TaskProvider>
+      <TagProvider>
+        <HistoryProbe />
+      </TagProvider>
+    </TaskProvider>
+  </HistoryProvider>
+);
+
+describe('HistoryProvider', () => {
+  beforeEach(async () => {
+    StorageService.setAdapter(createMemoryAdapter());
+    await StorageService.save('tasks', [
+      { id: 1, title: 'Keynote', isCompleted: false, tags: ['Build'] },
+      { id: 2, title: 'Lab', isCompleted: true, tags: ['Build', 'AI'] }
+    ]);
+    await StorageService.save('tags', ['Build', 'AI']);
+  });
+
+  test('undoes a tag deletion and the tasks it touched in one step', async () => {
+    renderWithHistory();
+    expect(await screen.findByText('Keynote[Build] Lab[Build,AI]')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('delete-build'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[] Lab[AI]');
+    expect(screen.getByTestId('tags')).toHaveTextContent('AI');
+    expect(screen.getByTestId('toast')).toHaveTextContent('Tag "Build" deleted');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+    expect(screen.getByTestId('tags')).toHaveTextContent('Build,AI');
+    expect(screen.getByTestId('undo')).toBeDisabled();
+    expect(screen.queryByTestId('toast')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('redo'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[] Lab[AI]');
+    expect(screen.getByTestId('redo')).toBeDisabled();
+  });
+
+  test('groups a tag rename across tasks into one step', async () => {
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.click(screen.getByTestId('rename-build'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Conference] Lab[Conference,AI]');
+    expect(screen.getByTestId('undo-label')).toHaveTextContent('Tag "Build" renamed');
+    // Renaming isn't destructive, so no toast
+    expect(screen.queryByTestId('toast')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+    expect(screen.getByTestId('undo')).toBeDisabled();
+  });
+
+  test('renames subtags along with their parent', async () => {
+    await StorageService.save('tasks', [
+      { id: 1, title: 'Keynote', isCompleted: false, tags: ['Events/Build'] },
+      { id: 2, title: 'Lab', isCompleted: true, tags: ['AI'] }
+    ]);
+    renderWithHistory();
+    await screen.findByText('Keynote[Events/Build] Lab[AI]');
+    await screen.findByText('Build,AI,Events,Events/Build');
+
+    fireEvent.click(screen.getByTestId('rename-events'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Conferences/Build] Lab[AI]');
+    expect(screen.getByTestId('tags')).toHaveTextContent('Build,AI,Conferences,Conferences/Build');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('tags')).toHaveTextContent('Build,AI,Events,Events/Build');
+  });
+
+  test('merges tags without duplicating them on tasks, in one step', async () => {
+    await StorageService.save('tags', ['AI', 'Build']);
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+    // Stored tags have loaded once their order shows; let the upgrade to records settle too
+    await screen.findByText('AI,Build');
+    await act(() => Promise.resolve());
+
+    fireEvent.click(screen.getByTestId('merge-ai-into-build'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build]');
+    expect(screen.getByTestId('tags').textContent).toBe('Build');
+    expect(screen.getByTestId('undo-label')).toHaveTextContent('2 tags merged into "Build"');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+    expect(screen.getByTestId('tags').textContent).toBe('AI,Build');
+    expect(screen.getByTestId('undo')).toBeDisabled();
+  });
+
+  test('undoes a bulk delete in one step', async () => {
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.click(screen.getByTestId('delete-selected'));
+    expect(screen.getByTestId('tasks')).toBeEmptyDOMElement();
+    expect(screen.getByTestId('toast')).toHaveTextContent('2 tasks deleted');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+    expect(screen.getByTestId('undo')).toBeDisabled();
+  });
+
+  test('archives completed tasks instead of deleting them, and restores them', async () => {
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.click(screen.getByTestId('archive-completed'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+    expect(screen.getByTestId('archived')).toHaveTextContent('Lab');
+    expect(screen.getByTestId('toast')).toHaveTextContent('Completed task archived');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('archived')).toBeEmptyDOMElement();
+
+    fireEvent.click(screen.getByTestId('redo'));
+    expect(screen.getByTestId('archived')).toHaveTextContent('Lab');
+    await act(() => Promise.resolve());
+    fireEvent.click(screen.getByTestId('restore-lab'));
+    expect(screen.getByTestId('archived')).toBeEmptyDOMElement();
+    expect(screen.getByTestId('undo-label')).toHaveTextContent('Task restored');
+  });
+
+  test('undoes a status change together with the tasks it moved', async () => {
+    await StorageService.save('tasks', [
+      { id: 1, title: 'Keynote', isCompleted: false, tags: ['Build'] },
+      { id: 2, title: 'Lab', isCompleted: true, tags: ['Build', 'AI'], status: 'done' }
+    ]);
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+    expect(screen.getByTestId('statuses')).toHaveTextContent('Backlog,In Progress,Review,Done');
+
+    // Without "Done", completed tasks move to the new last status
+    fireEvent.click(screen.getByTestId('remove-last-status'));
+    expect(screen.getByTestId('statuses')).toHaveTextContent('Backlog,In Progress,Review');
+    expect(screen.getByTestId('task-statuses')).toHaveTextContent('Keynote:- Lab:review');
+    expect(screen.getByTestId('undo-label')).toHaveTextContent('Statuses updated');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('statuses')).toHaveTextContent('Backlog,In Progress,Review,Done');
+    expect(screen.getByTestId('task-statuses')).toHaveTextContent('Keynote:- Lab:done');
+  });
+
+  test('creates the next occurrence of a completed recurring task, undone in the same step', async () => {
+    await StorageService.save('tasks', [
+      {
+        id: 1,
+        title: 'Keynote',
+        isCompleted: false,
+        tags: ['Build'],
+        dueDate: new Date(2025, 4, 19, 9, 0).toISOString(),
+        recurrence: { frequency: 'daily', interval: 1, seriesId: 'series-1', occurrence: 1 }
+      },
+      { id: 2, title: 'Lab', isCompleted: true, tags: ['Build', 'AI'] }
+    ]);
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.click(screen.getByTestId('toggle-keynote'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI] Keynote[Build]');
+    expect(screen.getByTestId('undo-label')).toHaveTextContent('Task completed');
+
+    // Reopening and completing again doesn't create a second follow-up
+    fireEvent.click(screen.getByTestId('toggle-keynote'));
+    fireEvent.click(screen.getByTestId('toggle-keynote'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI] Keynote[Build]');
+    expect(screen.getByTestId('tasks')).not.toHaveTextContent('Keynote[Build] Keynote[Build]');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    fireEvent.click(screen.getByTestId('undo'));
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+    expect(screen.getByTestId('tasks')).not.toHaveTextContent('Lab[Build,AI] Keynote');
+    expect(screen.getByTestId('undo')).toBeDisabled();
+  });
+
+  test('completes a recurring task through its subtasks like toggling it', async () => {
+    await StorageService.save('tasks', [
+      {
+        id: 1,
+        title: 'Keynote',
+        isCompleted: false,
+        tags: ['Build'],
+        dueDate: new Date(2025, 4, 19, 9, 0).toISOString(),
+        recurrence: { frequency: 'daily', interval: 1, seriesId: 'series-1', occurrence: 1 },
+        autoCompleteSubtasks: true,
+        subtasks: [{ id: 'slides', title: 'Slides', isCompleted: false, subtasks: [] }]
+      },
+      { id: 2, title: 'Lab', isCompleted: true, tags: ['Build', 'AI'] }
+    ]);
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.click(screen.getByTestId('toggle-slides'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI] Keynote[Build]');
+    expect(screen.getByTestId('task-statuses')).toHaveTextContent('Keynote:done Lab:- Keynote:-');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+    expect(screen.getByTestId('tasks')).not.toHaveTextContent('Lab[Build,AI] Keynote');
+  });
+
+  test('completes a recurring task when auto-complete is turned on with its subtasks done', async () => {
+    await StorageService.save('tasks', [
+      {
+        id: 1,
+        title: 'Keynote',
+        isCompleted: false,
+        tags: ['Build'],
+        dueDate: new Date(2025, 4, 19, 9, 0).toISOString(),
+        recurrence: { frequency: 'daily', interval: 1, seriesId: 'series-1', occurrence: 1 },
+        subtasks: [{ id: 'slides', title: 'Slides', isCompleted: true, subtasks: [] }]
+      },
+      { id: 2, title: 'Lab', isCompleted: true, tags: ['Build', 'AI'] }
+    ]);
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.click(screen.getByTestId('auto-complete-keynote'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI] Keynote[Build]');
+    expect(screen.getByTestId('task-statuses')).toHaveTextContent('Keynote:done Lab:- Keynote:-');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+    expect(screen.getByTestId('tasks')).not.toHaveTextContent('Lab[Build,AI] Keynote');
+  });
+
+  test('runs the undo and redo steps of changes outside the board', async () => {
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.click(screen.getByTestId('move-lab'));
+    expect(screen.getByTestId('toast')).toHaveTextContent('Task moved to "Offsite"');
+    expect(screen.getByTestId('tasks')).not.toHaveTextContent('Lab');
+
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+    expect(mockOnUndo).toHaveBeenCalledTimes(1);
+    expect(mockOnRedo).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByTestId('redo'));
+    expect(screen.getByTestId('tasks')).not.toHaveTextContent('Lab');
+    expect(mockOnRedo).toHaveBeenCalledTimes(1);
+  });
+
+  test('supports Ctrl+Z and Ctrl+Shift+Z', async () => {
+    renderWithHistory();
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.click(screen.getByTestId('delete-lab'));
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build]');
+    expect(screen.getByTestId('toast')).toHaveTextContent('Task deleted');
+
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.keyDown(window, { key: 'Z', ctrlKey: true, shiftKey: true });
+    expect(screen.getByTestId('tasks')).toHaveTextContent('Keynote[Build]');
+    expect(screen.getByTestId('tasks')).not.toHaveTextContent('Lab');
+  });
+
+  test('ignores shortcuts while typing', async () => {
+    render(
+      <>
+        <input data-testid="text-field" />
+        <HistoryProvider>
+          <TaskProvider>
+            <TagProvider>
+              <HistoryProbe />
+            </TagProvider>
+          </TaskProvider>
+        </HistoryProvider>
+      </>
+    );
+    await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+    fireEvent.click(screen.getByTestId('delete-lab'));
+    fireEvent.keyDown(screen.getByTestId('text-field'), { key: 'z', ctrlKey: true });
+    expect(screen.getByTestId('tasks')).not.toHaveTextContent('Lab');
+  });
+
+  describe('with sync enabled', () => {
+    const server = setupServer();
+
+    beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+    afterAll(() => server.close());
+
+    test('sends undone changes to the server', async () => {
+      const db = createMockDatabase({
+        tasks: [
+          { id: 1, title: 'Keynote', isCompleted: false, tags: ['Build'] },
+          { id: 2, title: 'Lab', isCompleted: true, tags: ['Build', 'AI'] }
+        ],
+        tags: [{ id: 'Build', name: 'Build' }, { id: 'AI', name: 'AI' }]
+      });
+      server.resetHandlers(...createSyncHandlers(BASE_URL, db));
+
+      render(
+        <SyncProvider baseUrl={BASE_URL}>
+          <HistoryProvider>
+            <TaskProvider>
+              <TagProvider>
+                <HistoryProbe />
+              </TagProvider>
+            </TaskProvider>
+          </HistoryProvider>
+        </SyncProvider>
+      );
+      await screen.findByText('Keynote[Build] Lab[Build,AI]');
+
+      fireEvent.click(screen.getByTestId('delete-lab'));
+      await waitFor(() => expect(db.tasks).toHaveLength(1));
+
+      fireEvent.click(screen.getByTestId('undo'));
+      await waitFor(() => expect(db.tasks.map(task => task.title)).toEqual(['Keynote', 'Lab']));
+    });
+  });
+});
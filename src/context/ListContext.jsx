@@ -1,5 +1,17 @@
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useContext, useEffect, useRef } from 'react';
 import { DataHydrationService } from '../common/utils/DataHydrationService';
+import { usePersistentState } from '../common/hooks/usePersistentState';
+import { useIdIntegrityCheck } from '../common/hooks/useIdIntegrityCheck';
+import { IdService } from '../common/utils/IdService';
+import { validateTaskLists } from '../common/utils/schema';
+import { upsertById, removeById, revertById, sortByOrder } from '../common/utils/collectionUtils';
+import { createFilterGroup, normalizeFilters, isEmptyFilter, matchesFilter } from '../common/utils/filterExpression';
+import { isArchived } from '../common/utils/archiveUtils';
+import { withoutLayout, keepLayout } from '../common/utils/listLayout';
+import { useSyncContext } from './SyncContext';
+import { useTaskContext } from './TaskContext';
+import { useBoardContext } from './BoardContext';
+import { useHistoryContext, useHistorySlice } from './HistoryContext';
 
 // Create the list context
 const ListContext = createContext();
@@ -9,64 +21,156 @@ export const useListContext = () => useContext(ListContext);
 
 // List provider component
 export const ListProvider = ({ children }) => {
-  const [taskLists, setTaskLists] = useState(() => {
-    // Initialize with hydrated data if should hydrate
-    return DataHydrationService.shouldHydrate() 
+  const { boardKey, isDefaultBoard } = useBoardContext();
+  // Persisted data takes precedence; otherwise seed with hydrated data if should hydrate
+  const [taskLists, setTaskLists, isLoaded] = usePersistentState(boardKey('taskLists'), () => {
+    return isDefaultBoard && DataHydrationService.shouldHydrate() 
       ? DataHydrationService.getInitialTaskLists() 
-      : [{ id: 'default', title: 'All Tasks', filters: [] }];
+      : [{ id: 'default', title: 'All Tasks', filters: createFilterGroup() }];
   });
 
+  const { enabled: syncEnabled, pull, sync, syncCollection, reportError } = useSyncContext();
+  const { record } = useHistoryContext();
+  // Undo and redo restore the lists without touching their layout, which isn't recorded
+  const restoreTaskLists = (value) => setTaskLists(prevLists => keepLayout(typeof value === 'function' ? value(prevLists) : value, prevLists));
+  useHistorySlice('taskLists', taskLists, restoreTaskLists, { resource: 'lists', toRecord: withoutLayout });
+  useIdIntegrityCheck('list', taskLists, setTaskLists, isLoaded, (lists) => IdService.repairIds(lists, 'list'), {
+    resource: 'lists',
+    toRecord: withoutLayout
+  });
+
+  // Tasks that got a new id on load keep their place in the manual task orders
+  const { repairedTaskIds } = useTaskContext();
+  const remappedRef = useRef(null);
+  useEffect(() => {
+    if (!isLoaded || repairedTaskIds.length === 0 || remappedRef.current === repairedTaskIds) return;
+    remappedRef.current = repairedTaskIds;
+    const updated = taskLists.flatMap(list => {
+      if (!Array.isArray(list.taskOrder)) return [];
+      const taskOrder = IdService.remapIds(list.taskOrder, repairedTaskIds);
+      return taskOrder === list.taskOrder ? [] : [{ ...list, taskOrder }];
+    });
+    if (updated.length === 0) return;
+    setTaskLists(prevLists => upsertById(prevLists, updated));
+    syncCollection('lists', taskLists.map(withoutLayout), upsertById(taskLists, updated).map(withoutLayout), () => {}, 'save the repaired task order');
+  });
+
+  useEffect(() => {
+    // In sync mode the server is the source of truth once local data has loaded
+    if (!syncEnabled || !isLoaded) return;
+    pull('lists').then(remoteLists => {
+      if (!Array.isArray(remoteLists)) return;
+      const { taskLists: validLists, errors } = validateTaskLists(remoteLists, index => `List ${index + 1} from the server`);
+      errors.forEach(reportError);
+      // The server doesn't keep the order or layout of the lists, so keep the local ones
+      if (validLists.length > 0) {
+        setTaskLists(prevLists => keepLayout(sortByOrder(validLists, prevLists.map(list => list.id)), prevLists));
+      }
+    });
+  }, [syncEnabled, isLoaded, pull, setTaskLists, reportError]);
+
   const addTaskList = () => {
     const newList = {
-      id: `list-${Date.now()}`,
+      id: IdService.createId('list'),
       title: 'New List',
-      filters: []
+      filters: createFilterGroup()
     };
-    setTaskLists([...taskLists, newList]);
+    record('List added');
+    setTaskLists(prevLists => [...prevLists, newList]);
+    sync(
+      client => client.create('lists', newList),
+      () => setTaskLists(prevLists => removeById(prevLists, [newList.id])),
+      'add the list'
+    );
     return newList;
   };
 
   const updateTaskList = (id, updates) => {
-    setTaskLists(
-      taskLists.map(list => 
-        list.id === id ? { ...list, ...updates } : list
-      )
+    const list = taskLists.find(l => l.id === id);
+    if (!list) return;
+    const updatedList = { ...list, ...updates };
+    record('List updated');
+    setTaskLists(prevLists => upsertById(prevLists, [updatedList]));
+    sync(
+      client => client.update('lists', id, withoutLayout(updatedList)),
+      () => setTaskLists(prevLists => upsertById(prevLists, keepLayout([list], prevLists))),
+      'update the list'
     );
   };
 
+  // Pin, collapse or size a list. The layout belongs to this device, so it isn't recorded for undo
+  // or sent to the server
+  const updateListLayout = (id, layout) => {
+    setTaskLists(prevLists => prevLists.map(list => list.id === id ? { ...list, ...layout } : list));
+  };
+
+  // Persist a manual task order for a list
+  const reorderListTasks = (id, taskIds) => {
+    record('Tasks reordered');
+    updateTaskList(id, { taskOrder: taskIds });
+  };
+
+  // Put the lists in a new order of ids, e.g. after one is dragged on the board.
+  // The order is part of the board's saved layout and isn't sent to the server
+  const reorderTaskLists = (listIds) => {
+    record('Lists reordered');
+    setTaskLists(prevLists => sortByOrder(prevLists, listIds));
+  };
+
   const deleteTaskList = (id) => {
     // Don't allow deleting the default list
     if (id === 'default') return;
-    setTaskLists(taskLists.filter(list => list.id !== id));
+    const list = taskLists.find(l => l.id === id);
+    if (!list) return;
+    record(`List "${list.title}" deleted`, { destructive: true });
+    setTaskLists(prevLists => removeById(prevLists, [id]));
+    sync(
+      client => client.remove('lists', id),
+      () => setTaskLists(prevLists => upsertById(prevLists, [list])),
+      'delete the list'
+    );
   };
 
-  // Filter tasks according to the task list's filter configuration
-  const getFilteredTasks = (filterConfig, tasks) => {
-    if (!filterConfig || filterConfig.length === 0) {
-      return tasks;
+  // Replace every list at once, e.g. after an import
+  const replaceTaskLists = (nextLists) => {
+    const previousLists = taskLists;
+    record('Lists replaced');
+    setTaskLists(nextLists);
+    syncCollection(
+      'lists',
+      previousLists.map(withoutLayout),
+      nextLists.map(withoutLayout),
+      failedIds => setTaskLists(prevLists => revertById(prevLists, previousLists, failedIds)),
+      'import the lists'
+    );
+  };
+
+  // Filter tasks according to the task list's filter expression
+  // Accepts both expression trees and legacy flat arrays of filters
+  // Archived tasks are left out unless the list opts in with includeArchived
+  const getFilteredTasks = (filterConfig, tasks, { includeArchived = false } = {}) => {
+    const candidates = includeArchived ? tasks : tasks.filter(task => !isArchived(task));
+    if (isEmptyFilter(filterConfig)) {
+      return candidates;
     }
     
-    return tasks.filter(task => {
-      // ALL filters must match (AND logic)
-      return filterConfig.every(filter => {
-        if (filter.type === 'tag') {
-          return task.tags && task.tags.includes(filter.value);
-        }
-        if (filter.type === 'completed') {
-          return task.isCompleted === filter.value;
-        }
-        return true;
-      });
-    });
+    const expression = normalizeFilters(filterConfig);
+    const now = new Date();
+    return candidates.filter(task => matchesFilter(expression, task, now));
   };
 
   return (
     <ListContext.Provider
       value={{
         taskLists,
+        isLoaded,
         addTaskList,
         updateTaskList,
+        updateListLayout,
+        reorderListTasks,
+        reorderTaskLists,
         deleteTaskList,
+        replaceTaskLists,
         getFilteredTasks
       }}
     >
@@ -0,0 +1,133 @@
+import React, { createContext, useContext, useEffect, useRef, useCallback, useMemo } from 'react';
+import { usePersistentState } from '../common/hooks/usePersistentState';
+import { SHORTCUTS, getBindings, getEventKey, findShortcutByKey, isEditableTarget } from '../common/utils/shortcutUtils';
+
+// Create the shortcut context; without a provider, the default bindings are shown and no key does anything
+const ShortcutContext = createContext({
+  bindings: getBindings(),
+  setBinding: () => {},
+  resetBindings: () => {},
+  registerCommand: () => () => {},
+  registerTaskTarget: () => () => {},
+  getCommands: () => []
+});
+
+// Custom hook for using shortcut context
+export const useShortcutContext = () => useContext(ShortcutContext);
+
+/**
+ * Offer an action in the command palette, and run it with its shortcut if it has one.
+ * @param {string} id - Shortcut id from SHORTCUTS, or any other unique name for palette-only commands
+ * @param {Object} command - { title, run, enabled }; disabled commands are hidden and their keys ignored
+ */
+export const useCommand = (id, command) => {
+  const { registerCommand } = useShortcutContext();
+  const commandRef = useRef(null);
+  commandRef.current = command;
+
+  useEffect(() => registerCommand(id, commandRef), [id, registerCommand]);
+};
+
+/**
+ * Let the task shortcuts (toggle, edit, tag) act on a task while it, or anything in it, has focus.
+ * @param {Object} elementRef - Ref to the task's element
+ * @param {Object} handlers - { [shortcutId]: handler } for the task shortcuts
+ */
+export const useTaskShortcuts = (elementRef, handlers) => {
+  const { registerTaskTarget } = useShortcutContext();
+  const targetRef = useRef(null);
+  targetRef.current = { elementRef, handlers };
+
+  useEffect(() => registerTaskTarget(targetRef), [registerTaskTarget]);
+};
+
+// Shortcut provider component.
+// Users' changes to the default bindings are stored; one window listener dispatches every shortcut.
+export const ShortcutProvider = ({ children }) => {
+  const [overrides, setOverrides] = usePersistentState('shortcuts', {});
+  const commandsRef = useRef(new Map());
+  const taskTargetsRef = useRef(new Set());
+  const bindings = useMemo(() => getBindings(overrides), [overrides]);
+
+  const registerCommand = useCallback((id, commandRef) => {
+    commandsRef.current.set(id, commandRef);
+    return () => {
+      if (commandsRef.current.get(id) === commandRef) commandsRef.current.delete(id);
+    };
+  }, []);
+
+  const registerTaskTarget = useCallback((targetRef) => {
+    taskTargetsRef.current.add(targetRef);
+    return () => taskTargetsRef.current.delete(targetRef);
+  }, []);
+
+  // Bind a shortcut to a key string, or unbind it with null
+  const setBinding = (id, key) => {
+    const shortcut = SHORTCUTS.find(s => s.id === id);
+    if (!shortcut) return;
+    setOverrides(prev => {
+      const next = { ...prev, [id]: key };
+      // Only changes from the defaults are stored
+      if (key === shortcut.key) delete next[id];
+      return next;
+    });
+  };
+
+  const resetBindings = () => {
+    setOverrides({});
+  };
+
+  // Commands that can run right now, in the order they were registered
+  const getCommands = () => {
+    return Array.from(commandsRef.current, ([id, commandRef]) => ({ id, ...commandRef.current }))
+      .filter(command => command.enabled !== false)
+      .map(({ id, title, run }) => ({ id, title, run, key: bindings[id] || null }));
+  };
+
+  // The task whose element has focus, or sits inside the focused task wrapper
+  const findTaskTarget = (node) => {
+    const taskElement = node.closest?.('[data-task-id]');
+    return Array.from(taskTargetsRef.current).find(targetRef => {
+      const element = targetRef.current.elementRef.current;
+      return element && (element.contains(node) || (taskElement && taskElement.contains(element)));
+    });
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented) return;
+      const key = getEventKey(e);
+      // Plain keys are left alone while typing; combinations such as Ctrl+K work everywhere
+      if (!key || (isEditableTarget(e.target) && !key.startsWith('Mod+'))) return;
+      const shortcut = findShortcutByKey(bindings, key);
+      if (!shortcut) return;
+
+      let run;
+      if (shortcut.scope === 'task') {
+        const target = e.target instanceof Node ? findTaskTarget(e.target) : null;
+        run = target && target.current.handlers[shortcut.id];
+      } else {
+        const command = commandsRef.current.get(shortcut.id)?.current;
+        run = command && command.enabled !== false ? command.run : null;
+      }
+      if (!run) return;
+      e.preventDefault();
+      run();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  return (
+    <ShortcutContext.Provider value={{
+      bindings,
+      setBinding,
+      resetBindings,
+      registerCommand,
+      registerTaskTarget,
+      getCommands
+    }}>
+      {children}
+    </ShortcutContext.Provider>
+  );
+};
@@ -0,0 +1,108 @@
+import React, { useRef } from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { vi } from 'vitest';
+import { ShortcutProvider, useShortcutContext, useCommand, useTaskShortcuts } from './ShortcutContext';
+import { StorageService, createMemoryAdapter } from '../common/utils/StorageService';
+
+const mockNewTask = vi.fn();
+const mockSearch = vi.fn();
+const mockToggle = vi.fn();
+
+// Minimal consumer that registers commands and a focusable task
+function ShortcutProbe({ searchEnabled = true }) {
+  const { bindings, setBinding, resetBindings, getCommands } = useShortcutContext();
+  const taskRef = useRef(null);
+  useCommand('newTask', { title: 'New task', run: mockNewTask });
+  useCommand('search', { title: 'Search', run: mockSearch, enabled: searchEnabled });
+  useCommand('manageTags', { title: 'Manage tags', run: () => {} });
+  useTaskShortcuts(taskRef, { toggleTask: () => mockToggle(1) });
+
+  return (
+    <div>
+      <input data-testid="text-field" />
+      <div tabIndex={0} data-task-id="1" data-testid="task">
+        <div ref={taskRef}>
+          <button data-testid="task-button">Edit</button>
+        </div>
+      </div>
+      <button onClick={() => setBinding('newTask', 't')} data-testid="rebind">Rebind</button>
+      <button onClick={resetBindings} data-testid="reset">Reset</button>
+      <p data-testid="new-task-key">{bindings.newTask}</p>
+      <p data-testid="commands">{getCommands().map(command => `${command.title}:${command.key || '-'}`).join(',')}</p>
+    </div>
+  );
+}
+
+// Resolves once the saved bindings have been read
+const renderWithShortcuts = async (props) => {
+  const result = render(
+    <ShortcutProvider>
+      <ShortcutProbe {...props} />
+    </ShortcutProvider>
+  );
+  await act(() => Promise.resolve());
+  return result;
+};
+
+describe('ShortcutContext', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    StorageService.setAdapter(createMemoryAdapter());
+  });
+
+  test('runs the command bound to a key, except while typing', async () => {
+    await renderWithShortcuts();
+
+    fireEvent.keyDown(document.body, { key: 'n' });
+    expect(mockNewTask).toHaveBeenCalledTimes(1);
+
+    fireEvent.keyDown(screen.getByTestId('text-field'), { key: 'n' });
+    expect(mockNewTask).toHaveBeenCalledTimes(1);
+
+    fireEvent.keyDown(document.body, { key: 'q' });
+    expect(mockSearch).not.toHaveBeenCalled();
+  });
+
+  test('ignores the keys of disabled commands and leaves them out of the palette', async () => {
+    await renderWithShortcuts({ searchEnabled: false });
+
+    fireEvent.keyDown(document.body, { key: '/' });
+    expect(mockSearch).not.toHaveBeenCalled();
+
+    // Commands are listed once they have registered
+    fireEvent.click(screen.getByTestId('rebind'));
+    await waitFor(() => {
+      expect(screen.getByTestId('commands')).toHaveTextContent('New task:t,Manage tags:-');
+    });
+  });
+
+  test('runs task shortcuts on the focused task', async () => {
+    await renderWithShortcuts();
+
+    fireEvent.keyDown(document.body, { key: 'x' });
+    expect(mockToggle).not.toHaveBeenCalled();
+
+    fireEvent.keyDown(screen.getByTestId('task'), { key: 'x' });
+    fireEvent.keyDown(screen.getByTestId('task-button'), { key: 'x' });
+    expect(mockToggle).toHaveBeenCalledTimes(2);
+  });
+
+  test('remaps shortcuts and remembers the change', async () => {
+    const { unmount } = await renderWithShortcuts();
+
+    fireEvent.click(screen.getByTestId('rebind'));
+    expect(screen.getByTestId('new-task-key')).toHaveTextContent('t');
+    fireEvent.keyDown(document.body, { key: 'n' });
+    expect(mockNewTask).not.toHaveBeenCalled();
+    fireEvent.keyDown(document.body, { key: 't' });
+    expect(mockNewTask).toHaveBeenCalledTimes(1);
+
+    await waitFor(() => expect(StorageService.load('shortcuts')).resolves.toEqual({ newTask: 't' }));
+    unmount();
+    await renderWithShortcuts();
+    expect(screen.getByTestId('new-task-key')).toHaveTextContent('t');
+
+    fireEvent.click(screen.getByTestId('reset'));
+    expect(screen.getByTestId('new-task-key')).toHaveTextContent('n');
+  });
+});
@@ -0,0 +1,114 @@
+import React, { createContext, useState, useContext, useMemo, useCallback } from 'react';
+import { SyncService, createRestClient } from '../common/utils/SyncService';
+import { diffById } from '../common/utils/collectionUtils';
+
+// Create the sync context; without a provider, sync is disabled and changes stay local
+const SyncContext = createContext({
+  enabled: false,
+  errors: [],
+  pull: async () => undefined,
+  sync: () => {},
+  syncCollection: () => {},
+  reportError: () => {},
+  dismissError: () => {}
+});
+
+// Custom hook for using sync context
+export const useSyncContext = () => useContext(SyncContext);
+
+// Sync provider component
+export const SyncProvider = ({ children, baseUrl = SyncService.getBaseUrl() }) => {
+  const [errors, setErrors] = useState([]);
+  const client = useMemo(() => baseUrl ? createRestClient(baseUrl) : null, [baseUrl]);
+  const enabled = Boolean(client);
+
+  const reportError = useCallback((message) => {
+    setErrors(prevErrors => [...prevErrors, { id: `sync-error-${Date.now()}-${prevErrors.length}`, message }]);
+  }, []);
+
+  // Fetch a whole collection from the server; resolves undefined when sync is off or fails
+  const pull = useCallback(async (resource) => {
+    if (!client) return undefined;
+    try {
+      return await client.fetchAll(resource);
+    } catch (error) {
+      reportError(`Could not load ${resource}: ${error.message}`);
+      return undefined;
+    }
+  }, [client, reportError]);
+
+  // Send a change that has already been applied to the UI, rolling it back if the server rejects it
+  const sync = useCallback((request, rollback, description = 'save your change') => {
+    if (!client) return;
+    Promise.resolve()
+      .then(() => request(client))
+      .catch(error => {
+        rollback();
+        reportError(`Could not ${description}: ${error.message}`);
+      });
+  }, [client, reportError]);
+
+  // Send the difference between two versions of a whole collection, e.g. after an undo or an import.
+  // Each record is its own request, so when some fail, rollback(failedIds) reverts just those
+  // and the records the server accepted stay as they are
+  const syncCollection = useCallback((resource, current, target, rollback, description = 'save your change') => {
+    if (!client) return;
+    const { created, updated, removed } = diffById(current, target);
+    const requests = [
+      ...created.map(item => ({ id: item.id, send: () => client.create(resource, item) })),
+      ...updated.map(item => ({ id: item.id, send: () => client.update(resource, item.id, item) })),
+      ...removed.map(item => ({ id: item.id, send: () => client.remove(resource, item.id) }))
+    ];
+    if (requests.length === 0) return;
+
+    Promise.allSettled(requests.map(request => Promise.resolve().then(request.send))).then(results => {
+      const failed = requests.filter((request, index) => results[index].status === 'rejected');
+      if (failed.length === 0) return;
+      rollback(failed.map(request => request.id));
+      const { reason } = results.find(result => result.status === 'rejected');
+      const count = failed.length === requests.length ? '' : ` (${failed.length} of ${requests.length} changes)`;
+      reportError(`Could not ${description}${count}: ${reason.message}`);
+    });
+  }, [client, reportError]);
+
+  const dismissError = (id) => {
+    setErrors(prev => prev.filter(error => error.id !== id));
+  };
+
+  return (
+    <SyncContext.Provider
+      value={{
+        enabled,
+        errors,
+        pull,
+        sync,
+        syncCollection,
+        reportError,
+        dismissError
+      }}
+    >
+      {children}
+    </SyncContext.Provider>
+  );
+};
+
+// Keeps changes below it local, e.g. on boards other than the synced one, while still showing and reporting errors
+export const LocalSyncScope = ({ children }) => {
+  const { errors, reportError, dismissError } = useSyncContext();
+
+  return (
+    <SyncContext.Provider
+      value={{
+        enabled: false,
+        errors,
+        pull: async () => undefined,
+        sync: () => {},
+        syncCollection: () => {},
+        reportError,
+        dismissError
+      }}
+    >
+      {children}
+    </SyncContext.Provider>
+  );
+};
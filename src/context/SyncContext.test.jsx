@@ -0,0 +1,180 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { setupServer } from 'msw/node';
+import { SyncProvider, useSyncContext } from './SyncContext';
+import { TaskProvider, useTaskContext } from './TaskContext';
+import { ListProvider, useListContext } from './ListContext';
+import { HistoryProvider, useHistoryContext } from './HistoryContext';
+import { StorageService, createMemoryAdapter } from '../common/utils/StorageService';
+import { createMockDatabase, createSyncHandlers } from '../mocks/handlers';
+
+const BASE_URL = 'http://sync.test/api';
+let db = createMockDatabase();
+const server = setupServer();
+
+// Minimal consumer that exposes task state and sync errors
+function TaskProbe() {
+  const { tasks, addTask, toggleTask, replaceTasks } = useTaskContext();
+  const { errors } = useSyncContext();
+  return (
+    <div>
+      <button onClick={() => addTask({ title: 'Optimistic', isCompleted: false, tags: [] })} data-testid="add">Add</button>
+      <button
+        onClick={() => replaceTasks([
+          { id: 1, title: 'Renamed', isCompleted: false, tags: [] },
+          { id: 2, title: 'Imported', isCompleted: false, tags: [] }
+        ])}
+        data-testid="replace"
+      >
+        Replace
+      </button>
+      {tasks.map(task => (
+        <button key={task.id} onClick={() => toggleTask(task.id)} data-testid={`task-${task.title}`}>
+          {task.title}:{task.isCompleted ? 'done' : 'open'}
+        </button>
+      ))}
+      {errors.map(error => <p key={error.id} role="alert">{error.message}</p>)}
+    </div>
+  );
+}
+
+const renderWithSync = () => render(
+  <SyncProvider baseUrl={BASE_URL}>
+    <TaskProvider>
+      <TaskProbe />
+    </TaskProvider>
+  </SyncProvider>
+);
+
+// Minimal consumer that shows the lists in order and changes them
+function ListProbe() {
+  const { taskLists, reorderTaskLists, updateTaskList, updateListLayout } = useListContext();
+  const { undo } = useHistoryContext();
+  return (
+    <div>
+      <button onClick={() => reorderTaskLists(['home', 'default', 'work'])} data-testid="home-first">Home first</button>
+      <button onClick={() => updateTaskList('work', { title: 'Office' })} data-testid="rename-work">Rename Work</button>
+      <button onClick={() => updateListLayout('work', { collapsed: true })} data-testid="collapse-work">Collapse Work</button>
+      <button onClick={undo} data-testid="undo">Undo</button>
+      <p data-testid="lists">
+        {taskLists.map(list => `${list.title}${list.pinned ? '(pinned)' : ''}${list.collapsed ? '(collapsed)' : ''}`).join(',')}
+      </p>
+    </div>
+  );
+}
+
+describe('SyncProvider', () => {
+  beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    StorageService.setAdapter(createMemoryAdapter());
+    db = createMockDatabase({ tasks: [{ id: 1, title: 'Remote', isCompleted: false, tags: [] }] });
+    server.resetHandlers(...createSyncHandlers(BASE_URL, db));
+  });
+
+  test('loads tasks from the server', async () => {
+    renderWithSync();
+    expect(await screen.findByText('Remote:open')).toBeInTheDocument();
+  });
+
+  test('skips invalid tasks from the server and reports them', async () => {
+    db.tasks.push({ id: 2, isCompleted: false }, { id: 3, text: 'Old client', isCompleted: false });
+    renderWithSync();
+
+    expect(await screen.findByText('Old client:open')).toBeInTheDocument();
+    expect(screen.getByText('Remote:open')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Task 2 from the server has no title');
+  });
+
+  test('applies changes immediately and sends them to the server', async () => {
+    renderWithSync();
+    fireEvent.click(await screen.findByTestId('task-Remote'));
+
+    expect(screen.getByText('Remote:done')).toBeInTheDocument();
+    await waitFor(() => expect(db.tasks[0].isCompleted).toBe(true));
+  });
+
+  test('rolls back and reports an error when the server rejects a change', async () => {
+    server.use(http.post(`${BASE_URL}/tasks`, () => new HttpResponse(null, { status: 500 })));
+    renderWithSync();
+    await screen.findByText('Remote:open');
+
+    fireEvent.click(screen.getByTestId('add'));
+    expect(screen.getByText('Optimistic:open')).toBeInTheDocument();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not add the task');
+    expect(screen.queryByText('Optimistic:open')).not.toBeInTheDocument();
+    expect(db.tasks).toHaveLength(1);
+  });
+
+  test('rolls back only the changes the server rejected', async () => {
+    server.use(http.post(`${BASE_URL}/tasks`, () => new HttpResponse(null, { status: 500 })));
+    renderWithSync();
+    await screen.findByText('Remote:open');
+
+    fireEvent.click(screen.getByTestId('replace'));
+    expect(screen.getByText('Imported:open')).toBeInTheDocument();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not import the tasks (1 of 2 changes)');
+    expect(screen.queryByText('Imported:open')).not.toBeInTheDocument();
+    // The update the server accepted stays, so the UI matches the server
+    expect(screen.getByText('Renamed:open')).toBeInTheDocument();
+    expect(db.tasks).toEqual([expect.objectContaining({ id: 1, title: 'Renamed' })]);
+  });
+
+  test('keeps the local order of lists loaded from the server', async () => {
+    db.lists.push(
+      { id: 'default', title: 'All Tasks', filters: [] },
+      { id: 'work', title: 'Work', filters: [] },
+      { id: 'home', title: 'Home', filters: [] }
+    );
+    await StorageService.save('taskLists', [
+      { id: 'work', title: 'Work', filters: [] },
+      { id: 'default', title: 'All Tasks', filters: [] }
+    ]);
+    render(
+      <SyncProvider baseUrl={BASE_URL}>
+        <TaskProvider>
+          <ListProvider>
+            <ListProbe />
+          </ListProvider>
+        </TaskProvider>
+      </SyncProvider>
+    );
+
+    await waitFor(() => expect(screen.getByTestId('lists')).toHaveTextContent('Work,All Tasks,Home'));
+    fireEvent.click(screen.getByTestId('home-first'));
+    expect(screen.getByTestId('lists')).toHaveTextContent('Home,All Tasks,Work');
+  });
+
+  test('keeps the layout of lists on this device, out of sync and undo', async () => {
+    db.lists.push({ id: 'default', title: 'All Tasks', filters: [] }, { id: 'work', title: 'Work', filters: [], pinned: true });
+    await StorageService.save('taskLists', [{ id: 'work', title: 'Work', filters: [] }]);
+    render(
+      <SyncProvider baseUrl={BASE_URL}>
+        <HistoryProvider>
+          <TaskProvider>
+            <ListProvider>
+              <ListProbe />
+            </ListProvider>
+          </TaskProvider>
+        </HistoryProvider>
+      </SyncProvider>
+    );
+
+    // Lists pulled from the server keep their local layout
+    await waitFor(() => expect(screen.getByTestId('lists')).toHaveTextContent(/^Work,All Tasks$/));
+
+    fireEvent.click(screen.getByTestId('rename-work'));
+    fireEvent.click(screen.getByTestId('collapse-work'));
+    expect(screen.getByTestId('lists')).toHaveTextContent(/^Office\(collapsed\),All Tasks$/);
+    await waitFor(() => expect(db.lists[1].title).toBe('Office'));
+    expect(db.lists[1]).not.toHaveProperty('collapsed');
+
+    // Undoing the rename leaves the list collapsed
+    fireEvent.click(screen.getByTestId('undo'));
+    expect(screen.getByTestId('lists')).toHaveTextContent(/^Work\(collapsed\),All Tasks$/);
+  });
+});
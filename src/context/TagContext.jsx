@@ -1,6 +1,23 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useContext, useEffect, useMemo } from 'react';
 import { useTaskContext } from './TaskContext';
+import { useSyncContext } from './SyncContext';
+import { useBoardContext } from './BoardContext';
+import { useHistoryContext, useHistorySlice } from './HistoryContext';
 import { DataHydrationService } from '../common/utils/DataHydrationService';
+import { usePersistentState } from '../common/hooks/usePersistentState';
+import { useIdIntegrityCheck } from '../common/hooks/useIdIntegrityCheck';
+import { IdService } from '../common/utils/IdService';
+import { validateTags } from '../common/utils/schema';
+import { removeById, revertById } from '../common/utils/collectionUtils';
+import {
+  TAG_SEPARATOR,
+  createTag,
+  normalizeTags,
+  normalizeTagName,
+  isTagOrDescendant,
+  expandTagMapping,
+  renameTagRecords
+} from '../common/utils/tagUtils';
 
 // Create the tag context
 const TagContext = createContext();
@@ -10,53 +27,129 @@ export const useTagContext = () => useContext(TagContext);
 
 // Tag provider component
 export const TagProvider = ({ children }) => {
-  const [tags, setTags] = useState(() => {
-    // Initialize with hydrated data if should hydrate
-    return DataHydrationService.shouldHydrate() 
-      ? DataHydrationService.getInitialTags() 
+  const { boardKey, isDefaultBoard } = useBoardContext();
+  // Persisted data takes precedence; otherwise seed with hydrated data if should hydrate
+  const [storedTags, setTags, isLoaded] = usePersistentState(boardKey('tags'), () => {
+    return isDefaultBoard && DataHydrationService.shouldHydrate() 
+      ? normalizeTags(DataHydrationService.getInitialTags()) 
       : [];
   });
+  // Older data stores tags as plain names; read them as records straight away
+  const tags = useMemo(() => normalizeTags(storedTags), [storedTags]);
   const { tasks } = useTaskContext();
+  const { enabled: syncEnabled, pull, sync, syncCollection, reportError } = useSyncContext();
+  const { record } = useHistoryContext();
 
-  // Extract and collect all unique tags from tasks when tasks change
   useEffect(() => {
-    const uniqueTags = new Set();
-    
-    // Collect all tags from all tasks
-    tasks.forEach(task => {
-      if (task.tags && Array.isArray(task.tags)) {
-        task.tags.forEach(tag => uniqueTags.add(tag));
-      }
+    // In sync mode the server is the source of truth once local data has loaded
+    if (!syncEnabled || !isLoaded) return;
+    pull('tags').then(remoteTags => {
+      if (!Array.isArray(remoteTags)) return;
+      const { tags: validTags, errors } = validateTags(remoteTags);
+      errors.forEach(reportError);
+      setTags(validTags);
     });
-    
-    // Add these to our existing tags (without duplicates)
-    const updatedTags = Array.from(uniqueTags);
+  }, [syncEnabled, isLoaded, pull, setTags, reportError]);
+
+  // Add tags used by tasks but missing from the list, and store upgraded records
+  useEffect(() => {
+    const taskTags = tasks.flatMap(task => Array.isArray(task.tags) ? task.tags : []);
     setTags(prevTags => {
-      const allTags = new Set([...prevTags, ...updatedTags]);
-      return Array.from(allTags);
+      const nextTags = normalizeTags([...prevTags, ...taskTags]);
+      const unchanged = nextTags.length === prevTags.length && nextTags.every((tag, index) => tag === prevTags[index]);
+      return unchanged ? prevTags : nextTags;
     });
-  }, [tasks]);
+  }, [tasks, storedTags, setTags]);
 
-  const addTag = (tag) => {
-    if (!tags.includes(tag)) {
-      setTags([...tags, tag]);
-    }
+  useHistorySlice('tags', tags, setTags);
+  useIdIntegrityCheck('tag', tags, setTags, isLoaded, (records) => IdService.repairIds(records, 'tag'), { resource: 'tags' });
+
+  const findTag = (name) => tags.find(tag => tag.name === name);
+
+  // Replace the tag list and send the difference to the server
+  const commitTags = (nextTags, label, description, options) => {
+    const previousTags = tags;
+    record(label, options);
+    setTags(nextTags);
+    syncCollection('tags', previousTags, nextTags, failedIds => setTags(prevTags => revertById(prevTags, previousTags, failedIds)), description);
   };
 
-  const editTag = (oldTag, newTag) => {
-    // Update the tag in our tags list
-    setTags(tags.map(tag => tag === oldTag ? newTag : tag));
+  // Add a tag by its path; missing parents, e.g. 'Events' for 'Events/Build', are added too
+  const addTag = (tagName, fields = {}) => {
+    const name = normalizeTagName(tagName);
+    if (!name || findTag(name)) return;
+    const segments = name.split(TAG_SEPARATOR);
+    const created = segments
+      .map((segment, index) => segments.slice(0, index + 1).join(TAG_SEPARATOR))
+      .filter(path => !findTag(path))
+      .map(path => createTag(path, path === name ? fields : {}));
+    const createdIds = created.map(tag => tag.id);
+
+    record(`Tag "${name}" added`);
+    // Functional update, so adding several tags in one go keeps them all
+    setTags(prevTags => normalizeTags([...prevTags, ...created]));
+    sync(
+      client => Promise.all(normalizeTags([...tags, ...created])
+        .filter(tag => createdIds.includes(tag.id))
+        .map(tag => client.create('tags', tag))),
+      () => setTags(prevTags => removeById(prevTags, createdIds)),
+      `add the tag "${name}"`
+    );
+  };
+
+  // Change a tag's name (path), colour or description; renaming moves its descendants with it,
+  // and renaming onto an existing tag merges the two
+  const updateTag = (tagName, changes) => {
+    const tag = findTag(tagName);
+    if (!tag) return;
+    const newName = changes.name !== undefined ? normalizeTagName(changes.name) : tag.name;
+    if (!newName) return;
+    const updatedTags = tags.map(t => t.id === tag.id ? { ...t, ...changes, name: t.name } : t);
+    const nextTags = renameTagRecords(updatedTags, expandTagMapping(tags, new Map([[tag.name, newName]])));
+    commitTags(
+      nextTags,
+      newName !== tag.name ? `Tag "${tag.name}" renamed` : `Tag "${tag.name}" updated`,
+      `update the tag "${tag.name}"`
+    );
     
     // The task updates will be handled inside the TaskContext
   };
 
+  const editTag = (oldTag, newTag) => {
+    updateTag(oldTag, { name: newTag });
+  };
+
+  // Delete a tag together with its descendants
   const deleteTag = (tagToDelete) => {
-    // Remove the tag from our tags list
-    setTags(tags.filter(tag => tag !== tagToDelete));
+    commitTags(
+      tags.filter(tag => !isTagOrDescendant(tag.name, tagToDelete)),
+      `Tag "${tagToDelete}" deleted`,
+      `delete the tag "${tagToDelete}"`,
+      { destructive: true }
+    );
     
     // The task updates will be handled inside the TaskContext
   };
 
+  // Rename many tags at once, e.g. a merge or bulk rename; mapping is a Map of old to new names
+  const renameTags = (mapping, label) => {
+    if (mapping.size === 0) return;
+    commitTags(renameTagRecords(tags, mapping), label, 'rename the tags');
+    
+    // The task updates will be handled inside the TaskContext
+  };
+
+  // Remove exactly the named tags, e.g. unused ones
+  const removeTags = (names, label) => {
+    if (names.length === 0) return;
+    commitTags(tags.filter(tag => !names.includes(tag.name)), label, 'remove the tags', { destructive: true });
+  };
+
+  // Replace every tag at once, e.g. after an import
+  const replaceTags = (nextTags) => {
+    commitTags(normalizeTags(nextTags), 'Tags replaced', 'import the tags');
+  };
+
   const handleManageTags = (operation, oldTag, newTag = null) => {
     switch (operation) {
       case 'add':
@@ -80,9 +173,14 @@ export const TagProvider = ({ children }) => {
     <TagContext.Provider
       value={{
         tags,
+        isLoaded,
         addTag,
+        updateTag,
         editTag,
         deleteTag,
+        renameTags,
+        removeTags,
+        replaceTags,
         handleManageTags
       }}
     >
@@ -1,5 +1,35 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { DataHydrationService } from '../common/utils/DataHydrationService';
+import { usePersistentState } from '../common/hooks/usePersistentState';
+import { useIdIntegrityCheck } from '../common/hooks/useIdIntegrityCheck';
+import { IdService } from '../common/utils/IdService';
+import { validateTask, validateTasks } from '../common/utils/schema';
+import { upsertById, removeById, revertById } from '../common/utils/collectionUtils';
+import {
+  MAX_SUBTASK_DEPTH,
+  createSubtask,
+  getSubtaskDepth,
+  updateSubtaskTree,
+  removeSubtaskFromTree,
+  addSubtaskToTree,
+  changeSubtasks,
+  rollUpCompletion
+} from '../common/utils/subtaskUtils';
+import {
+  DEFAULT_TASK_STATUSES,
+  MIN_TASK_STATUSES,
+  applyStatus,
+  applyCompletion,
+  getTaskStatus,
+  restatusTasks,
+  stampCompletion
+} from '../common/utils/statusUtils';
+import { SERIES_FIELDS, createNextOccurrence } from '../common/utils/recurrenceUtils';
+import { isTagOrDescendant, renameTagPath, applyTagMapping } from '../common/utils/tagUtils';
+import { isArchived, setArchived, getPurgeableTasks } from '../common/utils/archiveUtils';
+import { useSyncContext } from './SyncContext';
+import { useBoardContext } from './BoardContext';
+import { useHistoryContext, useHistorySlice } from './HistoryContext';
 
 // Create the task context
 const TaskContext = createContext();
@@ -7,88 +37,373 @@ const TaskContext = createContext();
 // Custom hook for using task context
 export const useTaskContext = () => useContext(TaskContext);
 
+// New tasks record when they were created, for the analytics; imported tasks may bring their own time
+const createTaskRecord = (task) => ({ id: IdService.createId('task'), createdAt: new Date().toISOString(), ...task });
+
 // Task provider component
 export const TaskProvider = ({ children }) => {
-  const [tasks, setTasks] = useState(() => {
-    // Initialize with hydrated data if should hydrate
-    return DataHydrationService.shouldHydrate() 
+  const { boardKey, isDefaultBoard } = useBoardContext();
+  // Persisted data takes precedence; otherwise seed with hydrated data if should hydrate.
+  // New boards start empty.
+  const [tasks, setTasks, isLoaded] = usePersistentState(boardKey('tasks'), () => {
+    return isDefaultBoard && DataHydrationService.shouldHydrate() 
       ? DataHydrationService.getInitialTasks() 
       : [];
   });
+  // Workflow statuses are a board setting; they are kept locally rather than synced
+  const [taskStatuses, setTaskStatuses, statusesLoaded] = usePersistentState(boardKey('taskStatuses'), DEFAULT_TASK_STATUSES);
   const [stats, setStats] = useState({ total: 0, completed: 0, remaining: 0 });
+  const { enabled: syncEnabled, pull, sync, syncCollection, reportError } = useSyncContext();
+  const { record } = useHistoryContext();
+  useHistorySlice('tasks', tasks, setTasks);
+  useHistorySlice('taskStatuses', taskStatuses, setTaskStatuses, { local: true });
+  // Tasks (not subtasks) that got a new id on load, so lists can update their manual task order
+  const [repairedTaskIds, setRepairedTaskIds] = useState([]);
+  useIdIntegrityCheck('task', tasks, setTasks, isLoaded, IdService.repairTaskIds, {
+    resource: 'tasks',
+    onRepair: (changes, repairedTasks) => setRepairedTaskIds(changes.filter(change => repairedTasks.some(task => task.id === change.to)))
+  });
+  useIdIntegrityCheck('status', taskStatuses, setTaskStatuses, statusesLoaded, (statuses) => IdService.repairIds(statuses, 'status'));
+
+  useEffect(() => {
+    // In sync mode the server is the source of truth once local data has loaded
+    if (!syncEnabled || !isLoaded) return;
+    pull('tasks').then(remoteTasks => {
+      if (!Array.isArray(remoteTasks)) return;
+      const { tasks: validTasks, errors } = validateTasks(remoteTasks, index => `Task ${index + 1} from the server`);
+      errors.forEach(reportError);
+      setTasks(validTasks);
+    });
+  }, [syncEnabled, isLoaded, pull, setTasks, reportError]);
 
   useEffect(() => {
-    // Update stats whenever tasks change
-    const completed = tasks.filter(task => task.isCompleted).length;
+    // Update stats whenever tasks change; archived tasks no longer count
+    const activeTasks = tasks.filter(task => !isArchived(task));
+    const completed = activeTasks.filter(task => task.isCompleted).length;
     setStats({
-      total: tasks.length,
+      total: activeTasks.length,
       completed,
-      remaining: tasks.length - completed
+      remaining: activeTasks.length - completed
     });
   }, [tasks]);
 
+  // Apply changed tasks locally and send them to the server, restoring the originals on failure.
+  // Every change goes through here, so this is where completedAt is kept up to date.
+  const syncUpdatedTasks = (originalTasks, changedTasks, description) => {
+    if (changedTasks.length === 0) return;
+    const updatedTasks = changedTasks.map(task => stampCompletion(originalTasks.find(t => t.id === task.id) || task, task));
+    setTasks(prevTasks => upsertById(prevTasks, updatedTasks));
+    sync(
+      client => Promise.all(updatedTasks.map(task => client.update('tasks', task.id, task))),
+      () => setTasks(prevTasks => upsertById(prevTasks, originalTasks)),
+      description
+    );
+  };
+
+  // Remove tasks locally and on the server, putting them back on failure
+  const syncRemovedTasks = (removedTasks, description) => {
+    if (removedTasks.length === 0) return;
+    setTasks(prevTasks => removeById(prevTasks, removedTasks.map(task => task.id)));
+    sync(
+      client => Promise.all(removedTasks.map(task => client.remove('tasks', task.id))),
+      () => setTasks(prevTasks => upsertById(prevTasks, removedTasks)),
+      description
+    );
+  };
+
+  // Add tasks locally and on the server, taking them out again on failure
+  const syncCreatedTasks = (createdTasks, description) => {
+    if (createdTasks.length === 0) return;
+    setTasks(prevTasks => [...prevTasks, ...createdTasks]);
+    sync(
+      client => Promise.all(createdTasks.map(task => client.create('tasks', task))),
+      () => setTasks(prevTasks => removeById(prevTasks, createdTasks.map(task => task.id))),
+      description
+    );
+  };
+
+  // Create the next occurrence of recurring tasks that were just completed,
+  // unless a later occurrence of the series already exists (e.g. when completed again after reopening)
+  const createFollowUpOccurrences = (originalTasks, updatedTasks) => {
+    const followUps = updatedTasks
+      .filter(task => task.isCompleted && task.recurrence && !originalTasks.find(t => t.id === task.id).isCompleted)
+      .filter(task => !tasks.some(other => other.recurrence &&
+        other.recurrence.seriesId === task.recurrence.seriesId &&
+        other.recurrence.occurrence > task.recurrence.occurrence))
+      .map(task => createNextOccurrence(task))
+      .filter(Boolean)
+      .map(createTaskRecord);
+    syncCreatedTasks(followUps, 'add the next occurrence');
+  };
+
+  // Update tasks, creating next occurrences for any recurring task this completes
+  const syncCompletedTasks = (originalTasks, updatedTasks, description) => {
+    syncUpdatedTasks(originalTasks, updatedTasks, description);
+    createFollowUpOccurrences(originalTasks, updatedTasks);
+  };
+
+  // Returns the new task, or null when the task is invalid
   const addTask = (task) => {
-    const id = Math.floor(Math.random() * 10000) + 1;
-    const newTask = { id, ...task };
-    setTasks([...tasks, newTask]);
+    const { task: validTask, error } = validateTask(task, 'The new task');
+    if (error) {
+      reportError(error);
+      return null;
+    }
+    const newTask = createTaskRecord(validTask);
+    record('Task added');
+    setTasks(prevTasks => [...prevTasks, newTask]);
+    sync(
+      client => client.create('tasks', newTask),
+      () => setTasks(prevTasks => removeById(prevTasks, [newTask.id])),
+      'add the task'
+    );
     return newTask;
   };
 
   const toggleTask = (id) => {
-    setTasks(
-      tasks.map((task) =>
-        task.id === id ? { ...task, isCompleted: !task.isCompleted } : task
-      )
-    );
+    const task = tasks.find(t => t.id === id);
+    if (!task) return;
+    record(task.isCompleted ? 'Task reopened' : 'Task completed');
+    syncCompletedTasks([task], [applyCompletion(task, !task.isCompleted, taskStatuses)], 'update the task');
+  };
+
+  const updateTask = (id, updates) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task) return;
+    record('Task updated');
+    syncUpdatedTasks([task], [{ ...task, ...updates, id }], 'update the task');
+  };
+
+  // Edit an occurrence of a recurring task.
+  // 'this' changes only this occurrence: the series values it overrides are kept in
+  // recurrence.template so the next occurrence goes back to them.
+  // 'future' changes the series: this occurrence and any later ones, and the rule itself
+  // (updates.recurrence: null stops the series repeating).
+  const updateRecurringTask = (id, updates, scope = 'this') => {
+    const task = tasks.find(t => t.id === id);
+    if (!task || !task.recurrence) return;
+    const { recurrence, ...fieldUpdates } = updates;
+
+    if (scope === 'this') {
+      const template = task.recurrence.template ||
+        Object.fromEntries(SERIES_FIELDS.filter(field => field in task).map(field => [field, task[field]]));
+      record('Task updated');
+      syncUpdatedTasks([task], [{ ...task, ...fieldUpdates, id, recurrence: { ...task.recurrence, template } }], 'update the task');
+      return;
+    }
+
+    const { seriesId, occurrence } = task.recurrence;
+    const affected = tasks.filter(t => t.id === id || (t.recurrence &&
+      t.recurrence.seriesId === seriesId && t.recurrence.occurrence > occurrence && !t.isCompleted));
+    const seriesUpdates = Object.fromEntries(Object.entries(fieldUpdates).filter(([field]) => SERIES_FIELDS.includes(field)));
+    const updated = affected.map(t => {
+      const next = { ...t, ...(t.id === id ? fieldUpdates : seriesUpdates) };
+      if (recurrence === null) {
+        delete next.recurrence;
+      } else {
+        // The series values change here, so occurrence-only overrides no longer apply
+        next.recurrence = { ...t.recurrence, ...(recurrence || {}), seriesId, occurrence: t.recurrence.occurrence };
+        delete next.recurrence.template;
+      }
+      return next;
+    });
+    record('Recurring task updated');
+    syncUpdatedTasks(affected, updated, 'update the recurring task');
   };
 
   const deleteTask = (id) => {
-    setTasks(tasks.filter((task) => task.id !== id));
+    const removed = tasks.filter(task => task.id === id);
+    if (removed.length === 0) return;
+    record('Task deleted', { destructive: true });
+    syncRemovedTasks(removed, 'delete the task');
   };
 
   const completeAllTasks = (taskIds = null) => {
-    if (taskIds) {
-      // Complete specific tasks (for task lists)
-      setTasks(tasks.map(task => 
-        taskIds.includes(task.id) ? { ...task, isCompleted: true } : task
-      ));
-    } else {
-      // Complete all tasks
-      setTasks(tasks.map(task => ({ ...task, isCompleted: true })));
-    }
+    // Complete specific tasks (for task lists), or all tasks
+    const affected = tasks.filter(task => 
+      !task.isCompleted && (!taskIds || taskIds.includes(task.id))
+    );
+    if (affected.length === 0) return;
+    record(affected.length === 1 ? 'Task completed' : `${affected.length} tasks completed`);
+    syncCompletedTasks(affected, affected.map(task => applyCompletion(task, true, taskStatuses)), 'complete the tasks');
   };
 
-  const deleteCompletedTasks = (taskIds = null) => {
-    if (taskIds && taskIds.length > 0) {
-      // Delete specific completed tasks (for task lists)
-      setTasks(tasks.filter(task => !taskIds.includes(task.id)));
-    } else {
-      // Delete all completed tasks
-      setTasks(tasks.filter(task => !task.isCompleted));
-    }
+  // Move a task to a workflow status; it is completed exactly when the status is the last one
+  const setTaskStatus = (id, statusId) => {
+    const task = tasks.find(t => t.id === id);
+    const status = taskStatuses.find(s => s.id === statusId);
+    if (!task || !status || getTaskStatus(task, taskStatuses) === statusId) return;
+    record(`Task moved to "${status.title}"`);
+    syncCompletedTasks([task], [applyStatus(task, statusId, taskStatuses)], 'update the task');
+  };
+
+  // Reconfigure the workflow, re-placing tasks whose status was removed or changed meaning
+  const updateTaskStatuses = (nextStatuses) => {
+    if (nextStatuses.length < MIN_TASK_STATUSES) return;
+    record('Statuses updated');
+    setTaskStatuses(nextStatuses);
+    const updated = restatusTasks(tasks, taskStatuses, nextStatuses);
+    syncUpdatedTasks(tasks.filter(task => updated.some(u => u.id === task.id)), updated, 'update the task statuses');
   };
 
-  // Tag-related task operations
+  // Batch operations on a selection of tasks; each is one state update and one undoable step
+  const countLabel = (count, action) => count === 1 ? `Task ${action}` : `${count} tasks ${action}`;
+
+  // Archive specific completed tasks (for task lists), or all completed tasks, keeping them for the record
+  const archiveCompletedTasks = (taskIds = null) => {
+    const affected = tasks.filter(task => task.isCompleted && !isArchived(task) && (!taskIds || taskIds.includes(task.id)));
+    if (affected.length === 0) return;
+    record(affected.length === 1 ? 'Completed task archived' : `${affected.length} completed tasks archived`, { destructive: true });
+    syncUpdatedTasks(affected, affected.map(task => setArchived(task, true)), 'archive the tasks');
+  };
+
+  const archiveTasks = (taskIds) => {
+    const affected = tasks.filter(task => taskIds.includes(task.id) && !isArchived(task));
+    if (affected.length === 0) return;
+    record(countLabel(affected.length, 'archived'), { destructive: true });
+    syncUpdatedTasks(affected, affected.map(task => setArchived(task, true)), 'archive the tasks');
+  };
+
+  const restoreTasks = (taskIds) => {
+    const affected = tasks.filter(task => taskIds.includes(task.id) && isArchived(task));
+    if (affected.length === 0) return;
+    record(countLabel(affected.length, 'restored'));
+    syncUpdatedTasks(affected, affected.map(task => setArchived(task, false)), 'restore the tasks');
+  };
+
+  // Permanently delete tasks that have been archived for longer than the given number of days
+  const purgeArchivedTasks = (days) => {
+    const removed = getPurgeableTasks(tasks, days);
+    if (removed.length === 0) return;
+    record(countLabel(removed.length, 'purged from the archive'), { destructive: true });
+    syncRemovedTasks(removed, 'purge the archive');
+  };
+
+  const setTasksCompleted = (taskIds, isCompleted) => {
+    const affected = tasks.filter(task => taskIds.includes(task.id) && Boolean(task.isCompleted) !== isCompleted);
+    if (affected.length === 0) return;
+    record(countLabel(affected.length, isCompleted ? 'completed' : 'reopened'));
+    syncCompletedTasks(affected, affected.map(task => applyCompletion(task, isCompleted, taskStatuses)), 'update the tasks');
+  };
+
+  const deleteTasks = (taskIds, label) => {
+    const removed = tasks.filter(task => taskIds.includes(task.id));
+    if (removed.length === 0) return;
+    record(label || countLabel(removed.length, 'deleted'), { destructive: true });
+    syncRemovedTasks(removed, 'delete the tasks');
+  };
+
+  // Add and remove tags on several tasks, e.g. to move them from one list to another
+  const retagTasks = (taskIds, { add = [], remove = [] }, label) => {
+    const changed = tasks
+      .filter(task => taskIds.includes(task.id))
+      .map(task => {
+        const currentTags = task.tags || [];
+        const tags = [...new Set([...currentTags.filter(tag => !remove.includes(tag)), ...add])];
+        return { task, tags, isChanged: tags.length !== currentTags.length || tags.some((tag, i) => tag !== currentTags[i]) };
+      })
+      .filter(({ isChanged }) => isChanged);
+    if (changed.length === 0) return;
+    record(label || countLabel(changed.length, 'retagged'));
+    syncUpdatedTasks(changed.map(({ task }) => task), changed.map(({ task, tags }) => ({ ...task, tags })), 'update the tags on tasks');
+  };
+
+  const setTasksPriority = (taskIds, priority) => {
+    const affected = tasks.filter(task => taskIds.includes(task.id) && (task.priority || null) !== priority);
+    if (affected.length === 0) return;
+    record(countLabel(affected.length, 'reprioritised'));
+    syncUpdatedTasks(affected, affected.map(task => ({ ...task, priority })), 'update the tasks');
+  };
+
+  // Tag-related task operations; renaming or deleting a tag also applies to its descendants
   const updateTasksWithEditedTag = (oldTag, newTag) => {
-    setTasks(tasks.map(task => {
-      if (task.tags && task.tags.includes(oldTag)) {
-        const updatedTags = task.tags.map(tag => 
-          tag === oldTag ? newTag : tag
-        );
-        return { ...task, tags: updatedTags };
-      }
-      return task;
+    const affected = tasks.filter(task => task.tags && task.tags.some(tag => isTagOrDescendant(tag, oldTag)));
+    const updated = affected.map(task => ({
+      ...task,
+      tags: [...new Set(task.tags.map(tag => renameTagPath(tag, oldTag, newTag)))]
     }));
+    if (affected.length > 0) record(`Tag "${oldTag}" renamed`);
+    syncUpdatedTasks(affected, updated, 'rename the tag on tasks');
   };
 
   const updateTasksWithDeletedTag = (tagToDelete) => {
-    setTasks(tasks.map(task => {
-      if (task.tags && task.tags.includes(tagToDelete)) {
-        const updatedTags = task.tags.filter(tag => tag !== tagToDelete);
-        return { ...task, tags: updatedTags };
-      }
-      return task;
+    const affected = tasks.filter(task => task.tags && task.tags.some(tag => isTagOrDescendant(tag, tagToDelete)));
+    const updated = affected.map(task => ({
+      ...task,
+      tags: task.tags.filter(tag => !isTagOrDescendant(tag, tagToDelete))
     }));
+    if (affected.length > 0) record(`Tag "${tagToDelete}" removed from tasks`, { destructive: true });
+    syncUpdatedTasks(affected, updated, 'remove the tag from tasks');
+  };
+
+  // Apply a merge or bulk rename (a Map of old to new tag names) to every task
+  const updateTasksWithRenamedTags = (mapping, label) => {
+    const affected = tasks.filter(task => task.tags && task.tags.some(tag => mapping.has(tag)));
+    const updated = affected.map(task => ({ ...task, tags: applyTagMapping(task.tags, mapping) }));
+    if (affected.length > 0) record(label);
+    syncUpdatedTasks(affected, updated, 'rename the tags on tasks');
+  };
+
+  // Subtask operations; subtasks are stored inside their task
+  const changeTaskSubtasks = (taskId, change, label, options) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    record(label, options);
+    const changed = changeSubtasks(task, change);
+    // Completing or reopening the task through its subtasks works like toggling it
+    const updated = Boolean(changed.isCompleted) !== Boolean(task.isCompleted)
+      ? applyCompletion(changed, changed.isCompleted, taskStatuses)
+      : changed;
+    syncCompletedTasks([task], [updated], 'update the subtasks');
+  };
+
+  const addSubtask = (taskId, parentSubtaskId, title) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task || !title.trim()) return;
+    // Subtasks can only be nested so deep
+    if (parentSubtaskId && getSubtaskDepth(task.subtasks, parentSubtaskId) >= MAX_SUBTASK_DEPTH) return;
+    changeTaskSubtasks(taskId, subtasks => addSubtaskToTree(subtasks, parentSubtaskId, createSubtask(title.trim())), 'Subtask added');
+  };
+
+  const toggleSubtask = (taskId, subtaskId) => {
+    changeTaskSubtasks(
+      taskId,
+      subtasks => updateSubtaskTree(subtasks, subtaskId, subtask => ({ ...subtask, isCompleted: !subtask.isCompleted })),
+      'Subtask updated'
+    );
+  };
+
+  const deleteSubtask = (taskId, subtaskId) => {
+    changeTaskSubtasks(taskId, subtasks => removeSubtaskFromTree(subtasks, subtaskId), 'Subtask deleted', { destructive: true });
+  };
+
+  // Turn on or off completing tasks and subtasks once all their children are done
+  const setSubtaskAutoComplete = (taskId, enabled) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    record('Task updated');
+    const changed = enabled
+      ? rollUpCompletion({ ...task, autoCompleteSubtasks: enabled })
+      : { ...task, autoCompleteSubtasks: enabled };
+    // A task whose subtasks are already done completes like toggling it
+    const updated = Boolean(changed.isCompleted) !== Boolean(task.isCompleted)
+      ? applyCompletion(changed, changed.isCompleted, taskStatuses)
+      : changed;
+    syncCompletedTasks([task], [updated], 'update the task');
+  };
+
+  // Replace every task at once, e.g. after an import
+  const replaceTasks = (nextTasks) => {
+    const previousTasks = tasks;
+    record('Tasks replaced');
+    setTasks(nextTasks);
+    syncCollection(
+      'tasks',
+      previousTasks,
+      nextTasks,
+      failedIds => setTasks(prevTasks => revertById(prevTasks, previousTasks, failedIds)),
+      'import the tasks'
+    );
   };
 
   return (
@@ -96,13 +411,33 @@ export const TaskProvider = ({ children }) => {
       value={{
         tasks,
         stats,
+        isLoaded,
+        repairedTaskIds,
+        taskStatuses,
         addTask,
         toggleTask,
+        updateTask,
+        updateRecurringTask,
         deleteTask,
         completeAllTasks,
-        deleteCompletedTasks,
+        archiveCompletedTasks,
+        archiveTasks,
+        restoreTasks,
+        purgeArchivedTasks,
+        setTasksCompleted,
+        deleteTasks,
+        retagTasks,
+        setTasksPriority,
+        setTaskStatus,
+        updateTaskStatuses,
         updateTasksWithEditedTag,
-        updateTasksWithDeletedTag
+        updateTasksWithDeletedTag,
+        updateTasksWithRenamedTags,
+        addSubtask,
+        toggleSubtask,
+        deleteSubtask,
+        setSubtaskAutoComplete,
+        replaceTasks
       }}
     >
       {children}
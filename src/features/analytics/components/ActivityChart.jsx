@@ -0,0 +1,61 @@
+import React from 'react';
+
+const DAY_WIDTH = 12;
+const HEIGHT = 80;
+
+const formatDay = (date) => date.toLocaleDateString('en', { month: 'short', day: 'numeric' });
+
+// Burndown (tasks still open, as a line) and throughput (tasks completed, as bars) per day
+function ActivityChart({ activity }) {
+  const max = Math.max(1, ...activity.map(day => Math.max(day.open, day.completed)));
+  const width = activity.length * DAY_WIDTH;
+  const y = (value) => HEIGHT - (value / max) * (HEIGHT - 4);
+  const openLine = activity
+    .map((day, index) => `${index * DAY_WIDTH + DAY_WIDTH / 2},${y(day.open)}`)
+    .join(' ');
+
+  return (
+    <div data-testid="activity-chart">
+      <svg
+        viewBox={`0 0 ${width} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-24"
+        role="img"
+        aria-label="Open and completed tasks per day"
+      >
+        {activity.map((day, index) => (
+          <rect
+            key={day.date.toISOString()}
+            x={index * DAY_WIDTH + 2}
+            y={y(day.completed)}
+            width={DAY_WIDTH - 4}
+            height={HEIGHT - y(day.completed)}
+            className="fill-secondary-300"
+            data-testid={`activity-completed-${index}`}
+          >
+            <title>{`${formatDay(day.date)}: ${day.completed} completed, ${day.created} created, ${day.open} open`}</title>
+          </rect>
+        ))}
+        <polyline points={openLine} fill="none" strokeWidth="2" vectorEffect="non-scaling-stroke" className="stroke-primary-500" />
+      </svg>
+      {activity.length > 0 && (
+        <div className="flex justify-between text-xs text-neutral-400">
+          <span>{formatDay(activity[0].date)}</span>
+          <span>{formatDay(activity[activity.length - 1].date)}</span>
+        </div>
+      )}
+      <div className="flex gap-4 mt-1 text-xs text-neutral-600">
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-0.5 w-3 bg-primary-500" />
+          Open
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-2 w-2 bg-secondary-300" />
+          Completed
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default ActivityChart;
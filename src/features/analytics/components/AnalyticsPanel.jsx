@@ -0,0 +1,96 @@
+import React, { useMemo, useState } from 'react';
+import { useTaskContext } from '../../../context/TaskContext';
+import { useListContext } from '../../../context/ListContext';
+import { countTasks } from '../../../common/utils/subtaskUtils';
+import { isArchived } from '../../../common/utils/archiveUtils';
+import { getCompletionPercent, getCompletionByTag, getDailyActivity } from '../../../common/utils/analyticsUtils';
+import CompletionRing from './CompletionRing';
+import ActivityChart from './ActivityChart';
+
+// Periods the activity chart can cover, in days
+export const ACTIVITY_RANGES = [7, 14, 30];
+
+// How many tags the breakdown shows
+const MAX_TAGS = 8;
+
+function AnalyticsPanel() {
+  const { tasks, stats } = useTaskContext();
+  const { taskLists, getFilteredTasks } = useListContext();
+  const [days, setDays] = useState(ACTIVITY_RANGES[1]);
+
+  // Archived tasks stay out of the charts, like they stay out of the task counts
+  const activeTasks = useMemo(() => tasks.filter(task => !isArchived(task)), [tasks]);
+  const tagCompletion = useMemo(() => getCompletionByTag(activeTasks).slice(0, MAX_TAGS), [activeTasks]);
+  const activity = useMemo(() => getDailyActivity(activeTasks, days), [activeTasks, days]);
+  const createdInRange = activity.reduce((sum, day) => sum + day.created, 0);
+  const completedInRange = activity.reduce((sum, day) => sum + day.completed, 0);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6 pt-4 border-t border-neutral-100" data-testid="analytics-panel">
+      <section>
+        <h3 className="text-sm font-medium text-neutral-700 mb-3">Completion</h3>
+        <div className="flex flex-wrap gap-4">
+          <CompletionRing completed={stats.completed} total={stats.total} size={72} label="All tasks" testId="completion-overall" />
+          {taskLists.map(list => {
+            // Lists count the same way as their own progress counter
+            const progress = countTasks(getFilteredTasks(list.filters, tasks, { includeArchived: list.includeArchived }), list.countSubtasks);
+            return (
+              <CompletionRing
+                key={list.id}
+                completed={progress.completed}
+                total={progress.total}
+                label={list.title}
+                testId={`completion-list-${list.id}`}
+              />
+            );
+          })}
+        </div>
+      </section>
+
+      <section>
+        <h3 className="text-sm font-medium text-neutral-700 mb-3">By tag</h3>
+        {tagCompletion.length === 0 ? (
+          <p className="text-xs text-neutral-500">No tagged tasks yet</p>
+        ) : (
+          <ul className="flex flex-col gap-2">
+            {tagCompletion.map(({ tag, completed, total }) => (
+              <li key={tag} className="text-xs" data-testid={`completion-tag-${tag}`}>
+                <div className="flex justify-between text-neutral-600 mb-0.5">
+                  <span className="truncate">{tag}</span>
+                  <span>{completed}/{total}</span>
+                </div>
+                <div className="h-1.5 rounded-full bg-neutral-100 overflow-hidden">
+                  <div
+                    className="h-full rounded-full bg-primary-400"
+                    style={{ width: `${getCompletionPercent({ completed, total })}%` }}
+                  />
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section>
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-sm font-medium text-neutral-700">Activity</h3>
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="py-0.5 px-1.5 text-xs text-neutral-700 rounded-md border border-neutral-200 bg-white outline-hidden"
+            aria-label="Activity period"
+            data-testid="analytics-range"
+          >
+            {ACTIVITY_RANGES.map(range => <option key={range} value={range}>Last {range} days</option>)}
+          </select>
+        </div>
+        <ActivityChart activity={activity} />
+        <p className="mt-2 text-xs text-neutral-500" data-testid="activity-summary">
+          {completedInRange} completed, {createdInRange} created
+        </p>
+      </section>
+    </div>
+  );
+}
+
+export default AnalyticsPanel;
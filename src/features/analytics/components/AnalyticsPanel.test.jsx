@@ -0,0 +1,82 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import AnalyticsPanel from './AnalyticsPanel';
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString();
+};
+
+// Mock the context hooks
+const mockTasks = [
+  { id: 1, title: 'Write report', isCompleted: true, tags: ['work'], createdAt: daysAgo(10), completedAt: daysAgo(9) },
+  { id: 2, title: 'Plan sprint', isCompleted: false, tags: ['work'], createdAt: daysAgo(2) },
+  {
+    id: 3,
+    title: 'Buy milk',
+    isCompleted: true,
+    tags: ['home'],
+    completedAt: daysAgo(0),
+    subtasks: [{ id: 'a', title: 'Find shop', isCompleted: false, subtasks: [] }]
+  },
+  { id: 4, title: 'Old talk', isCompleted: true, tags: ['work', 'talks'], createdAt: daysAgo(3), completedAt: daysAgo(1), archivedAt: daysAgo(0) }
+];
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    tasks: mockTasks,
+    stats: { total: 3, completed: 2, remaining: 1 }
+  })
+}));
+
+vi.mock('../../../context/ListContext', () => ({
+  useListContext: () => ({
+    taskLists: [
+      { id: 'default', title: 'All Tasks', filters: [] },
+      { id: 'home', title: 'Home', filters: [{ type: 'tag', value: 'home' }], countSubtasks: true }
+    ],
+    getFilteredTasks: (filters, tasks, { includeArchived } = {}) => tasks
+      .filter(task => includeArchived || !task.archivedAt)
+      .filter(task => filters.length === 0 || task.tags.includes(filters[0].value))
+  })
+}));
+
+describe('AnalyticsPanel Component', () => {
+  test('shows overall and per-list completion', () => {
+    render(<AnalyticsPanel />);
+
+    expect(screen.getByTestId('completion-overall')).toHaveTextContent('67%');
+    expect(screen.getByRole('img', { name: 'All tasks: 2 of 3 completed' })).toBeInTheDocument();
+    expect(screen.getByTestId('completion-list-default')).toHaveTextContent('67%');
+    // The home list counts its subtasks too
+    expect(screen.getByRole('img', { name: 'Home: 1 of 2 completed' })).toBeInTheDocument();
+  });
+
+  test('breaks completion down by tag', () => {
+    render(<AnalyticsPanel />);
+
+    expect(screen.getByTestId('completion-tag-work')).toHaveTextContent('1/2');
+    expect(screen.getByTestId('completion-tag-home')).toHaveTextContent('1/1');
+  });
+
+  test('charts activity over the chosen period', () => {
+    render(<AnalyticsPanel />);
+
+    expect(screen.getAllByTestId(/^activity-completed-/)).toHaveLength(14);
+    expect(screen.getByTestId('activity-summary')).toHaveTextContent('2 completed, 2 created');
+
+    fireEvent.change(screen.getByTestId('analytics-range'), { target: { value: '7' } });
+    expect(screen.getAllByTestId(/^activity-completed-/)).toHaveLength(7);
+    expect(screen.getByTestId('activity-summary')).toHaveTextContent('1 completed, 1 created');
+  });
+
+  test('leaves archived tasks out of the tag breakdown and activity', () => {
+    render(<AnalyticsPanel />);
+
+    expect(screen.queryByTestId('completion-tag-talks')).not.toBeInTheDocument();
+    expect(screen.getByTestId('completion-tag-work')).toHaveTextContent('1/2');
+    expect(screen.getByTestId('activity-summary')).toHaveTextContent('2 completed, 2 created');
+  });
+});
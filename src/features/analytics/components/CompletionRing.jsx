@@ -0,0 +1,47 @@
+import React from 'react';
+import { getCompletionPercent } from '../../../common/utils/analyticsUtils';
+
+const STROKE_WIDTH = 4;
+
+// Circular progress for a { completed, total } count, with the percentage in the middle
+function CompletionRing({ completed, total, size = 56, label, testId }) {
+  const percent = getCompletionPercent({ completed, total });
+  const radius = (size - STROKE_WIDTH) / 2;
+  const circumference = 2 * Math.PI * radius;
+
+  return (
+    <figure className="flex flex-col items-center gap-1 m-0" data-testid={testId}>
+      <svg
+        width={size}
+        height={size}
+        viewBox={`0 0 ${size} ${size}`}
+        role="img"
+        aria-label={`${label ? `${label}: ` : ''}${completed} of ${total} completed`}
+      >
+        <circle cx={size / 2} cy={size / 2} r={radius} fill="none" strokeWidth={STROKE_WIDTH} className="stroke-neutral-100" />
+        <circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          fill="none"
+          strokeWidth={STROKE_WIDTH}
+          strokeLinecap="round"
+          strokeDasharray={circumference}
+          strokeDashoffset={circumference * (1 - percent / 100)}
+          transform={`rotate(-90 ${size / 2} ${size / 2})`}
+          className="stroke-primary-500 transition-all"
+        />
+        <text x="50%" y="50%" dominantBaseline="central" textAnchor="middle" className="fill-neutral-700 text-xs font-medium">
+          {percent}%
+        </text>
+      </svg>
+      {label && (
+        <figcaption className="text-xs text-neutral-600 text-center max-w-20 truncate" title={label}>
+          {label}
+        </figcaption>
+      )}
+    </figure>
+  );
+}
+
+export default CompletionRing;
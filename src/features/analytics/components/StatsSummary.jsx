@@ -0,0 +1,28 @@
+import React from 'react';
+import { ChartBarIcon } from '@heroicons/react/24/outline';
+import { useTaskContext } from '../../../context/TaskContext';
+
+// Header counter of completed tasks that opens the analytics panel
+function StatsSummary({ expanded, onToggle }) {
+  const { stats } = useTaskContext();
+
+  return (
+    <button
+      type="button"
+      onClick={onToggle}
+      aria-expanded={expanded}
+      className={`flex items-center gap-2 px-3 py-1.5 text-sm font-medium rounded-lg transition-colors ${
+        expanded ? 'bg-primary-50 text-primary-700' : 'text-neutral-600 hover:bg-neutral-100'
+      }`}
+      data-testid="stats-summary"
+    >
+      <ChartBarIcon className="h-5 w-5" />
+      <span>
+        {stats.completed}/{stats.total} done
+        <span className="text-neutral-400"> · {stats.remaining} left</span>
+      </span>
+    </button>
+  );
+}
+
+export default StatsSummary;
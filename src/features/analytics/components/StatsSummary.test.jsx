@@ -0,0 +1,24 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import StatsSummary from './StatsSummary';
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    stats: { total: 5, completed: 3, remaining: 2 }
+  })
+}));
+
+describe('StatsSummary Component', () => {
+  test('shows the task counts and toggles the analytics', () => {
+    const mockOnToggle = vi.fn();
+    render(<StatsSummary expanded={false} onToggle={mockOnToggle} />);
+
+    const summary = screen.getByTestId('stats-summary');
+    expect(summary).toHaveTextContent('3/5 done · 2 left');
+    expect(summary).toHaveAttribute('aria-expanded', 'false');
+
+    fireEvent.click(summary);
+    expect(mockOnToggle).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from 'react';
+import { XMarkIcon, MagnifyingGlassIcon, ArrowUturnLeftIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useTaskContext } from '../../../context/TaskContext';
+import { parseQuery, matchesQuery, getHighlightTerms } from '../../../common/utils/queryParser';
+import { DEFAULT_PURGE_DAYS, getArchivedTasks, getPurgeableTasks } from '../../../common/utils/archiveUtils';
+import { formatRelativeDate } from '../../../common/utils/dateUtils';
+import HighlightedText from '../../../common/components/HighlightedText';
+
+// Archived tasks with search, restore, permanent deletion and purging by age
+function ArchiveView({ onClose }) {
+  const { tasks, restoreTasks, deleteTasks, purgeArchivedTasks } = useTaskContext();
+  const [query, setQuery] = useState('');
+  const [purgeDays, setPurgeDays] = useState(DEFAULT_PURGE_DAYS);
+
+  const archivedTasks = useMemo(() => getArchivedTasks(tasks), [tasks]);
+  const searchTerms = useMemo(() => parseQuery(query), [query]);
+  const highlightTerms = useMemo(() => getHighlightTerms(searchTerms), [searchTerms]);
+  const shownTasks = useMemo(() => {
+    const now = new Date();
+    return archivedTasks.filter(task => matchesQuery(searchTerms, task, now));
+  }, [archivedTasks, searchTerms]);
+  const purgeCount = Number.isInteger(purgeDays) && purgeDays >= 0 ? getPurgeableTasks(tasks, purgeDays).length : 0;
+
+  return (
+    <div className="archive-view bg-white rounded-xl shadow-lg p-5 text-left" data-testid="archive-view">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-medium text-neutral-800">Archive</h3>
+        <button
+          className="p-2 text-neutral-500 hover:text-neutral-700 hover:bg-neutral-100 rounded-full transition-colors"
+          onClick={onClose}
+          data-testid="close-archive"
+        >
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="relative mb-4">
+        <div className="absolute left-3 top-1/2 -translate-y-1/2">
+          <MagnifyingGlassIcon className="h-4 w-4 text-neutral-500" />
+        </div>
+        <input
+          type="search"
+          placeholder="Search the archive, e.g. tag:Build"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="w-full py-2 px-4 pl-9 text-sm text-neutral-800 rounded-lg border border-neutral-300 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden transition-all"
+          data-testid="archive-search"
+        />
+      </div>
+
+      <ul className="flex flex-col gap-2 max-h-80 overflow-y-auto" data-testid="archive-list">
+        {shownTasks.length === 0 ? (
+          <li className="text-center text-neutral-500 py-3" data-testid="archive-empty">
+            {archivedTasks.length === 0 ? 'No archived tasks' : 'No archived tasks match your search'}
+          </li>
+        ) : (
+          shownTasks.map(task => (
+            <li
+              key={task.id}
+              className="flex items-center justify-between gap-2 p-2 bg-neutral-50 hover:bg-neutral-100 rounded-lg transition-colors"
+              data-testid={`archived-task-${task.id}`}
+            >
+              <div className="min-w-0">
+                <p className={`text-sm truncate ${task.isCompleted ? 'line-through text-neutral-500' : 'text-neutral-800'}`}>
+                  <HighlightedText text={task.title} terms={highlightTerms} />
+                </p>
+                <p className="text-xs text-neutral-500" title={new Date(task.archivedAt).toLocaleString()}>
+                  Archived {formatRelativeDate(task.archivedAt)}
+                  {task.tags && task.tags.length > 0 && ` · ${task.tags.join(', ')}`}
+                </p>
+              </div>
+              <div className="flex shrink-0 gap-1">
+                <button
+                  type="button"
+                  onClick={() => restoreTasks([task.id])}
+                  className="p-1.5 text-neutral-500 hover:text-primary-600 hover:bg-primary-50 rounded-full"
+                  aria-label={`Restore ${task.title}`}
+                  data-testid={`restore-task-${task.id}`}
+                >
+                  <ArrowUturnLeftIcon className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => deleteTasks([task.id])}
+                  className="p-1.5 text-neutral-500 hover:text-rose-600 hover:bg-rose-50 rounded-full"
+                  aria-label={`Delete ${task.title} permanently`}
+                  data-testid={`delete-archived-task-${task.id}`}
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))
+        )}
+      </ul>
+
+      {shownTasks.length > 1 && (
+        <button
+          type="button"
+          onClick={() => restoreTasks(shownTasks.map(task => task.id))}
+          className="mt-3 text-xs font-medium text-primary-600 hover:text-primary-800"
+          data-testid="restore-shown"
+        >
+          Restore {shownTasks.length === archivedTasks.length ? 'all' : `these ${shownTasks.length}`}
+        </button>
+      )}
+
+      {/* Purging permanently deletes tasks that have been archived for a while */}
+      <div className="flex items-center gap-2 mt-4 pt-4 border-t border-neutral-100 text-sm text-neutral-700">
+        <label htmlFor="purge-days">Purge tasks archived more than</label>
+        <input
+          id="purge-days"
+          type="number"
+          min="0"
+          value={Number.isNaN(purgeDays) ? '' : purgeDays}
+          onChange={(e) => setPurgeDays(parseInt(e.target.value, 10))}
+          className="w-16 py-1 px-2 text-sm border border-neutral-300 rounded-md focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+          data-testid="purge-days"
+        />
+        <span>days ago</span>
+        <button
+          type="button"
+          onClick={() => purgeArchivedTasks(purgeDays)}
+          disabled={purgeCount === 0}
+          className="ml-auto px-3 py-1 text-xs font-medium rounded-md text-rose-600 hover:bg-rose-50 disabled:text-neutral-300 disabled:hover:bg-transparent"
+          data-testid="purge-archive"
+        >
+          Purge {purgeCount}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ArchiveView;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import ArchiveView from './ArchiveView';
+
+// Mock the task context
+const mockRestoreTasks = vi.fn();
+const mockDeleteTasks = vi.fn();
+const mockPurgeArchivedTasks = vi.fn();
+const mockOnClose = vi.fn();
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+let mockTasks = [];
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    tasks: mockTasks,
+    restoreTasks: mockRestoreTasks,
+    deleteTasks: mockDeleteTasks,
+    purgeArchivedTasks: mockPurgeArchivedTasks
+  })
+}));
+
+describe('ArchiveView Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockTasks = [
+      { id: 1, title: 'Attend keynote', isCompleted: true, tags: ['Build'], archivedAt: daysAgo(2) },
+      { id: 2, title: 'Book hotel', isCompleted: false, tags: [] },
+      { id: 3, title: 'Pick up badge', isCompleted: true, tags: ['Travel'], archivedAt: daysAgo(45) }
+    ];
+  });
+
+  test('lists archived tasks, most recently archived first', () => {
+    render(<ArchiveView onClose={mockOnClose} />);
+
+    const items = screen.getAllByTestId(/^archived-task-/);
+    expect(items.map(item => item.dataset.testid)).toEqual(['archived-task-1', 'archived-task-3']);
+    expect(screen.queryByTestId('archived-task-2')).not.toBeInTheDocument();
+  });
+
+  test('shows a message when nothing is archived', () => {
+    mockTasks = [{ id: 2, title: 'Book hotel', isCompleted: false, tags: [] }];
+    render(<ArchiveView onClose={mockOnClose} />);
+
+    expect(screen.getByTestId('archive-empty')).toHaveTextContent('No archived tasks');
+    expect(screen.getByTestId('purge-archive')).toBeDisabled();
+  });
+
+  test('searches the archive with the query language', () => {
+    render(<ArchiveView onClose={mockOnClose} />);
+
+    fireEvent.change(screen.getByTestId('archive-search'), { target: { value: 'tag:Travel' } });
+    expect(screen.queryByTestId('archived-task-1')).not.toBeInTheDocument();
+    expect(screen.getByTestId('archived-task-3')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByTestId('archive-search'), { target: { value: 'hotel' } });
+    expect(screen.getByTestId('archive-empty')).toHaveTextContent('No archived tasks match your search');
+  });
+
+  test('restores and permanently deletes archived tasks', () => {
+    render(<ArchiveView onClose={mockOnClose} />);
+
+    fireEvent.click(screen.getByTestId('restore-task-1'));
+    expect(mockRestoreTasks).toHaveBeenCalledWith([1]);
+    fireEvent.click(screen.getByTestId('delete-archived-task-3'));
+    expect(mockDeleteTasks).toHaveBeenCalledWith([3]);
+
+    fireEvent.click(screen.getByTestId('restore-shown'));
+    expect(mockRestoreTasks).toHaveBeenLastCalledWith([1, 3]);
+  });
+
+  test('purges tasks archived more than the given days ago', () => {
+    render(<ArchiveView onClose={mockOnClose} />);
+
+    expect(screen.getByTestId('purge-days')).toHaveValue(30);
+    expect(screen.getByTestId('purge-archive')).toHaveTextContent('Purge 1');
+
+    fireEvent.change(screen.getByTestId('purge-days'), { target: { value: '1' } });
+    expect(screen.getByTestId('purge-archive')).toHaveTextContent('Purge 2');
+    fireEvent.click(screen.getByTestId('purge-archive'));
+    expect(mockPurgeArchivedTasks).toHaveBeenCalledWith(1);
+
+    fireEvent.change(screen.getByTestId('purge-days'), { target: { value: '90' } });
+    expect(screen.getByTestId('purge-archive')).toBeDisabled();
+  });
+
+  test('closes', () => {
+    render(<ArchiveView onClose={mockOnClose} />);
+
+    fireEvent.click(screen.getByTestId('close-archive'));
+    expect(mockOnClose).toHaveBeenCalled();
+  });
+});
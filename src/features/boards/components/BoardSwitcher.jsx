@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  ChevronDownIcon,
+  CheckIcon,
+  PencilIcon,
+  DocumentDuplicateIcon,
+  ArchiveBoxIcon,
+  ArrowUturnLeftIcon,
+  PlusIcon,
+  XMarkIcon,
+  RectangleStackIcon
+} from '@heroicons/react/24/outline';
+import { useBoardContext } from '../../../context/BoardContext';
+import { useCommand } from '../../../context/ShortcutContext';
+import TemplateGallery from './TemplateGallery';
+
+// Header dropdown for picking, creating and managing boards
+function BoardSwitcher() {
+  const { boards, activeBoardId, switchBoard, createBoard, renameBoard, duplicateBoard, archiveBoard, restoreBoard } =
+    useBoardContext();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [newBoardName, setNewBoardName] = useState('');
+  const [editingBoardId, setEditingBoardId] = useState(null);
+  const [editedName, setEditedName] = useState('');
+  const [showTemplates, setShowTemplates] = useState(false);
+
+  useCommand('boardTemplates', { title: 'Board templates', run: () => setShowTemplates(true) });
+
+  const openBoards = boards.filter(board => !board.isArchived);
+  const archivedBoards = boards.filter(board => board.isArchived);
+  const activeBoard = boards.find(board => board.id === activeBoardId);
+
+  const handleSwitch = (id) => {
+    switchBoard(id);
+    setIsOpen(false);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newBoardName.trim()) return;
+    createBoard(newBoardName);
+    setNewBoardName('');
+    setIsOpen(false);
+  };
+
+  const startEditing = (board) => {
+    setEditingBoardId(board.id);
+    setEditedName(board.name);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    renameBoard(editingBoardId, editedName);
+    setEditingBoardId(null);
+  };
+
+  const openTemplates = () => {
+    setShowTemplates(true);
+    setIsOpen(false);
+  };
+
+  const handleDuplicate = async (id) => {
+    await duplicateBoard(id);
+    setIsOpen(false);
+  };
+
+  if (!activeBoard) return null;
+
+  return (
+    <div
+      className="relative"
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          setIsOpen(false);
+          setShowTemplates(false);
+        }
+      }}
+      data-testid="board-switcher"
+    >
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-neutral-700 rounded-lg border border-neutral-200 hover:bg-neutral-50 transition-colors"
+        data-testid="board-switcher-toggle"
+      >
+        <span className="max-w-40 truncate">{activeBoard.name}</span>
+        <ChevronDownIcon className="h-4 w-4 text-neutral-500" />
+      </button>
+
+      {isOpen && (
+        <div
+          className="absolute left-0 z-20 mt-2 w-72 bg-white rounded-xl shadow-lg border border-neutral-100 p-2 text-left"
+          data-testid="board-menu"
+        >
+          <ul className="flex flex-col gap-0.5">
+            {openBoards.map(board => (
+              <li key={board.id} className="group flex items-center gap-1 rounded-lg hover:bg-neutral-50" data-testid={`board-item-${board.id}`}>
+                {editingBoardId === board.id ? (
+                  <form onSubmit={handleRename} className="flex grow items-center gap-1 p-1">
+                    <input
+                      type="text"
+                      value={editedName}
+                      onChange={(e) => setEditedName(e.target.value)}
+                      className="w-full py-1 px-2 text-sm border border-primary-300 rounded-xs focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+                      aria-label="Board name"
+                      autoFocus
+                      data-testid="edit-board-name"
+                    />
+                    <button type="submit" className="p-1 text-green-600 hover:bg-green-50 rounded-full" data-testid="save-board-name">
+                      <CheckIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditingBoardId(null)}
+                      className="p-1 text-neutral-500 hover:bg-neutral-100 rounded-full"
+                      data-testid="cancel-board-name"
+                    >
+                      <XMarkIcon className="h-4 w-4" />
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => handleSwitch(board.id)}
+                      aria-current={board.id === activeBoardId}
+                      className="flex grow items-center gap-2 px-2 py-1.5 text-sm text-neutral-700 min-w-0"
+                      data-testid={`switch-board-${board.id}`}
+                    >
+                      <CheckIcon className={`h-4 w-4 shrink-0 ${board.id === activeBoardId ? 'text-primary-500' : 'invisible'}`} />
+                      <span className="truncate">{board.name}</span>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => startEditing(board)}
+                      className="p-1 text-neutral-400 hover:text-primary-600 rounded-full"
+                      aria-label={`Rename ${board.name}`}
+                      data-testid={`rename-board-${board.id}`}
+                    >
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDuplicate(board.id)}
+                      className="p-1 text-neutral-400 hover:text-primary-600 rounded-full"
+                      aria-label={`Duplicate ${board.name}`}
+                      data-testid={`duplicate-board-${board.id}`}
+                    >
+                      <DocumentDuplicateIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => archiveBoard(board.id)}
+                      disabled={openBoards.length === 1}
+                      className="p-1 text-neutral-400 hover:text-rose-600 rounded-full disabled:opacity-30 disabled:hover:text-neutral-400"
+                      aria-label={`Archive ${board.name}`}
+                      data-testid={`archive-board-${board.id}`}
+                    >
+                      <ArchiveBoxIcon className="h-4 w-4" />
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <form onSubmit={handleCreate} className="flex gap-2 mt-2 pt-2 border-t border-neutral-100">
+            <input
+              type="text"
+              placeholder="New board"
+              value={newBoardName}
+              onChange={(e) => setNewBoardName(e.target.value)}
+              className="w-full py-1.5 px-2 text-sm text-neutral-800 rounded-lg border border-neutral-300 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden"
+              data-testid="new-board-input"
+            />
+            <button
+              type="submit"
+              disabled={!newBoardName.trim()}
+              className={`px-2 rounded-lg transition-colors ${
+                newBoardName.trim()
+                ? 'bg-primary-500 text-white hover:bg-primary-600'
+                : 'bg-neutral-200 text-neutral-400 cursor-not-allowed'
+              }`}
+              aria-label="Create board"
+              data-testid="create-board"
+            >
+              <PlusIcon className="h-4 w-4" />
+            </button>
+          </form>
+          <button
+            type="button"
+            onClick={openTemplates}
+            className="flex w-full items-center gap-2 mt-1 px-2 py-1.5 text-sm text-primary-600 rounded-lg hover:bg-primary-50"
+            data-testid="open-template-gallery"
+          >
+            <RectangleStackIcon className="h-4 w-4" />
+            New board from a template…
+          </button>
+
+          {archivedBoards.length > 0 && (
+            <div className="mt-2 pt-2 border-t border-neutral-100" data-testid="archived-boards">
+              <p className="px-2 mb-1 text-xs font-medium text-neutral-500">Archived</p>
+              <ul className="flex flex-col gap-0.5">
+                {archivedBoards.map(board => (
+                  <li key={board.id} className="flex items-center justify-between px-2 py-1 text-sm text-neutral-500">
+                    <span className="truncate">{board.name}</span>
+                    <button
+                      type="button"
+                      onClick={() => restoreBoard(board.id)}
+                      className="p-1 text-neutral-400 hover:text-primary-600 rounded-full"
+                      aria-label={`Restore ${board.name}`}
+                      data-testid={`restore-board-${board.id}`}
+                    >
+                      <ArrowUturnLeftIcon className="h-4 w-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Template Gallery Modal */}
+      <AnimatePresence>
+        {showTemplates && (
+          <motion.div
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={() => setShowTemplates(false)}
+            data-testid="template-gallery-modal"
+          >
+            <motion.div
+              className="p-1 rounded-xl max-w-2xl w-full"
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              onClick={e => e.stopPropagation()}
+            >
+              <TemplateGallery onClose={() => setShowTemplates(false)} />
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default BoardSwitcher;
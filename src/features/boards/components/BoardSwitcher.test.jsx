@@ -0,0 +1,120 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { vi } from 'vitest';
+import BoardSwitcher from './BoardSwitcher';
+
+// Mock the board context
+const mockSwitchBoard = vi.fn();
+const mockCreateBoard = vi.fn();
+const mockRenameBoard = vi.fn();
+const mockDuplicateBoard = vi.fn(() => Promise.resolve());
+const mockArchiveBoard = vi.fn();
+const mockRestoreBoard = vi.fn();
+let mockBoards = [];
+
+vi.mock('../../../context/BoardContext', () => ({
+  useBoardContext: () => ({
+    boards: mockBoards,
+    activeBoardId: 'default',
+    switchBoard: mockSwitchBoard,
+    createBoard: mockCreateBoard,
+    renameBoard: mockRenameBoard,
+    duplicateBoard: mockDuplicateBoard,
+    archiveBoard: mockArchiveBoard,
+    restoreBoard: mockRestoreBoard
+  })
+}));
+
+vi.mock('./TemplateGallery', () => ({
+  default: function MockTemplateGallery({ onClose }) {
+    return <button onClick={onClose} data-testid="mock-template-gallery">Templates</button>;
+  }
+}));
+
+describe('BoardSwitcher Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockBoards = [
+      { id: 'default', name: 'My Board', isArchived: false },
+      { id: 'board-2', name: 'Conference', isArchived: false },
+      { id: 'board-3', name: 'Old plans', isArchived: true }
+    ];
+  });
+
+  test('shows the active board and opens the board menu', () => {
+    render(<BoardSwitcher />);
+
+    expect(screen.getByTestId('board-switcher-toggle')).toHaveTextContent('My Board');
+    expect(screen.queryByTestId('board-menu')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('board-switcher-toggle'));
+    expect(screen.getByTestId('board-item-default')).toBeInTheDocument();
+    expect(screen.getByTestId('board-item-board-2')).toBeInTheDocument();
+    expect(screen.queryByTestId('board-item-board-3')).not.toBeInTheDocument();
+    expect(screen.getByTestId('archived-boards')).toHaveTextContent('Old plans');
+  });
+
+  test('switches to another board and closes', () => {
+    render(<BoardSwitcher />);
+    fireEvent.click(screen.getByTestId('board-switcher-toggle'));
+
+    fireEvent.click(screen.getByTestId('switch-board-board-2'));
+    expect(mockSwitchBoard).toHaveBeenCalledWith('board-2');
+    expect(screen.queryByTestId('board-menu')).not.toBeInTheDocument();
+  });
+
+  test('creates a new board', () => {
+    render(<BoardSwitcher />);
+    fireEvent.click(screen.getByTestId('board-switcher-toggle'));
+
+    expect(screen.getByTestId('create-board')).toBeDisabled();
+    fireEvent.change(screen.getByTestId('new-board-input'), { target: { value: 'Launch' } });
+    fireEvent.click(screen.getByTestId('create-board'));
+    expect(mockCreateBoard).toHaveBeenCalledWith('Launch');
+  });
+
+  test('renames a board', () => {
+    render(<BoardSwitcher />);
+    fireEvent.click(screen.getByTestId('board-switcher-toggle'));
+
+    fireEvent.click(screen.getByTestId('rename-board-board-2'));
+    expect(screen.getByTestId('edit-board-name')).toHaveValue('Conference');
+    fireEvent.change(screen.getByTestId('edit-board-name'), { target: { value: 'Conference 2025' } });
+    fireEvent.click(screen.getByTestId('save-board-name'));
+    expect(mockRenameBoard).toHaveBeenCalledWith('board-2', 'Conference 2025');
+    expect(screen.queryByTestId('edit-board-name')).not.toBeInTheDocument();
+  });
+
+  test('duplicates, archives and restores boards', async () => {
+    render(<BoardSwitcher />);
+    fireEvent.click(screen.getByTestId('board-switcher-toggle'));
+
+    fireEvent.click(screen.getByTestId('archive-board-board-2'));
+    expect(mockArchiveBoard).toHaveBeenCalledWith('board-2');
+    fireEvent.click(screen.getByTestId('restore-board-board-3'));
+    expect(mockRestoreBoard).toHaveBeenCalledWith('board-3');
+
+    fireEvent.click(screen.getByTestId('duplicate-board-default'));
+    expect(mockDuplicateBoard).toHaveBeenCalledWith('default');
+    await waitFor(() => expect(screen.queryByTestId('board-menu')).not.toBeInTheDocument());
+  });
+
+  test('does not offer to archive the only open board', () => {
+    mockBoards = [{ id: 'default', name: 'My Board', isArchived: false }];
+    render(<BoardSwitcher />);
+    fireEvent.click(screen.getByTestId('board-switcher-toggle'));
+
+    expect(screen.getByTestId('archive-board-default')).toBeDisabled();
+    expect(screen.queryByTestId('archived-boards')).not.toBeInTheDocument();
+  });
+
+  test('opens the template gallery from the menu', () => {
+    render(<BoardSwitcher />);
+    fireEvent.click(screen.getByTestId('board-switcher-toggle'));
+
+    fireEvent.click(screen.getByTestId('open-template-gallery'));
+    expect(screen.queryByTestId('board-menu')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByTestId('mock-template-gallery'));
+    expect(screen.queryByTestId('template-gallery-modal')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { XMarkIcon, TrashIcon, BookmarkIcon } from '@heroicons/react/24/outline';
+import { useBoardContext } from '../../../context/BoardContext';
+import { useTaskContext } from '../../../context/TaskContext';
+import { useTagContext } from '../../../context/TagContext';
+import { useListContext } from '../../../context/ListContext';
+import { BUILT_IN_TEMPLATES, createTemplateFromBoard } from '../../../common/utils/templateUtils';
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// What a template creates, e.g. "3 lists · 4 tags · 6 tasks"; the "All Tasks" list isn't counted
+const describeContents = (template) => [
+  plural((template.taskLists || []).filter(list => list.id !== 'default').length, 'list'),
+  plural((template.tags || []).length, 'tag'),
+  plural((template.tasks || []).length, 'task')
+].join(' · ');
+
+function TemplateCard({ template, onUse, onDelete }) {
+  return (
+    <li className="flex flex-col justify-between gap-2 p-3 rounded-lg border border-neutral-200" data-testid={`template-${template.id}`}>
+      <div>
+        <p className="text-sm font-medium text-neutral-800">{template.name}</p>
+        {template.description && <p className="text-xs text-neutral-500">{template.description}</p>}
+        <p className="mt-1 text-xs text-neutral-400">{describeContents(template)}</p>
+      </div>
+      <div className="flex items-center justify-end gap-1">
+        {onDelete && (
+          <button
+            type="button"
+            onClick={onDelete}
+            className="p-1 text-neutral-400 hover:text-rose-600 rounded-full"
+            aria-label={`Delete the ${template.name} template`}
+            data-testid={`delete-template-${template.id}`}
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onUse}
+          className="px-3 py-1 rounded-md text-xs font-medium bg-primary-500 text-white hover:bg-primary-600"
+          data-testid={`use-template-${template.id}`}
+        >
+          Create board
+        </button>
+      </div>
+    </li>
+  );
+}
+
+// Create a board from a built-in or saved template, or save the current board as a template
+function TemplateGallery({ onClose }) {
+  const { activeBoard, templates, createBoardFromTemplate, saveTemplate, deleteTemplate } = useBoardContext();
+  const { tasks } = useTaskContext();
+  const { tags } = useTagContext();
+  const { taskLists } = useListContext();
+
+  const [name, setName] = useState(activeBoard ? activeBoard.name : '');
+  const [includeTasks, setIncludeTasks] = useState(false);
+
+  const handleUse = async (template) => {
+    await createBoardFromTemplate(template);
+    onClose();
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    saveTemplate(createTemplateFromBoard({ tasks, tags, taskLists }, { name, includeTasks }));
+    setName('');
+    setIncludeTasks(false);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-5 text-left" data-testid="template-gallery">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-medium text-neutral-800">Board Templates</h3>
+        <button
+          className="p-2 text-neutral-500 hover:text-neutral-700 hover:bg-neutral-100 rounded-full transition-colors"
+          onClick={onClose}
+          aria-label="Close"
+          data-testid="close-template-gallery"
+        >
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      <ul className="grid grid-cols-1 sm:grid-cols-2 gap-2" data-testid="built-in-templates">
+        {BUILT_IN_TEMPLATES.map(template => (
+          <TemplateCard key={template.id} template={template} onUse={() => handleUse(template)} />
+        ))}
+      </ul>
+
+      {templates.length > 0 && (
+        <>
+          <h4 className="mt-4 mb-2 text-sm font-medium text-neutral-700">Your templates</h4>
+          <ul className="grid grid-cols-1 sm:grid-cols-2 gap-2" data-testid="saved-templates">
+            {templates.map(template => (
+              <TemplateCard
+                key={template.id}
+                template={template}
+                onUse={() => handleUse(template)}
+                onDelete={() => deleteTemplate(template.id)}
+              />
+            ))}
+          </ul>
+        </>
+      )}
+
+      <form onSubmit={handleSave} className="mt-4 pt-4 border-t border-neutral-100">
+        <h4 className="mb-2 text-sm font-medium text-neutral-700">Save this board as a template</h4>
+        <p className="mb-2 text-xs text-neutral-500">Keeps the lists, their filters and the tags. Tasks are saved open, with due dates relative to today.</p>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Template name"
+            className="grow py-1.5 px-2 text-sm text-neutral-800 rounded-lg border border-neutral-300 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden"
+            aria-label="Template name"
+            data-testid="template-name-input"
+          />
+          <label className="flex items-center gap-1 text-neutral-600">
+            <input
+              type="checkbox"
+              checked={includeTasks}
+              onChange={(e) => setIncludeTasks(e.target.checked)}
+              data-testid="template-include-tasks"
+            />
+            Include tasks
+          </label>
+          <button
+            type="submit"
+            disabled={!name.trim()}
+            className="inline-flex items-center px-3 py-1.5 rounded-lg text-sm bg-neutral-100 text-neutral-700 hover:bg-neutral-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            data-testid="save-template"
+          >
+            <BookmarkIcon className="h-4 w-4 mr-1.5" />
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default TemplateGallery;
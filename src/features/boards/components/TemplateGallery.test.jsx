@@ -0,0 +1,95 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { vi } from 'vitest';
+import TemplateGallery from './TemplateGallery';
+
+const mockCreateBoardFromTemplate = vi.fn(() => Promise.resolve());
+const mockSaveTemplate = vi.fn();
+const mockDeleteTemplate = vi.fn();
+const mockOnClose = vi.fn();
+let mockTemplates = [];
+
+vi.mock('../../../context/BoardContext', () => ({
+  useBoardContext: () => ({
+    activeBoard: { id: 'default', name: 'My Board' },
+    templates: mockTemplates,
+    createBoardFromTemplate: mockCreateBoardFromTemplate,
+    saveTemplate: mockSaveTemplate,
+    deleteTemplate: mockDeleteTemplate
+  })
+}));
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    tasks: [{ id: 1, title: 'Keynote', description: '', isCompleted: false, tags: ['Build'] }]
+  })
+}));
+
+vi.mock('../../../context/TagContext', () => ({
+  useTagContext: () => ({
+    tags: [{ id: 'Build', name: 'Build', color: null, description: '', parentId: null }]
+  })
+}));
+
+vi.mock('../../../context/ListContext', () => ({
+  useListContext: () => ({
+    taskLists: [
+      { id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] } },
+      { id: 'build', title: 'Build', filters: { op: 'and', children: [{ type: 'tag', value: 'Build' }] }, taskOrder: [1] }
+    ]
+  })
+}));
+
+describe('TemplateGallery Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockTemplates = [];
+  });
+
+  test('creates a board from a built-in template', async () => {
+    render(<TemplateGallery onClose={mockOnClose} />);
+
+    expect(screen.getByTestId('template-sprint')).toHaveTextContent('3 lists · 4 tags · 5 tasks');
+    expect(screen.queryByTestId('saved-templates')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('use-template-sprint'));
+    expect(mockCreateBoardFromTemplate).toHaveBeenCalledWith(expect.objectContaining({ id: 'sprint', name: 'Sprint' }));
+    await waitFor(() => expect(mockOnClose).toHaveBeenCalled());
+  });
+
+  test('saves the current board as a template', () => {
+    render(<TemplateGallery onClose={mockOnClose} />);
+
+    expect(screen.getByTestId('template-name-input')).toHaveValue('My Board');
+    fireEvent.change(screen.getByTestId('template-name-input'), { target: { value: 'Events' } });
+    fireEvent.click(screen.getByTestId('save-template'));
+
+    expect(mockSaveTemplate).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Events',
+      tags: [{ name: 'Build', color: null, description: '' }],
+      tasks: []
+    }));
+    expect(mockSaveTemplate.mock.calls[0][0].taskLists[1]).not.toHaveProperty('taskOrder');
+    expect(screen.getByTestId('save-template')).toBeDisabled();
+
+    fireEvent.change(screen.getByTestId('template-name-input'), { target: { value: 'Events with tasks' } });
+    fireEvent.click(screen.getByTestId('template-include-tasks'));
+    fireEvent.click(screen.getByTestId('save-template'));
+    expect(mockSaveTemplate.mock.calls[1][0].tasks).toEqual([
+      { title: 'Keynote', description: '', tags: ['Build'], subtasks: [] }
+    ]);
+  });
+
+  test('uses and deletes saved templates', () => {
+    mockTemplates = [{ id: 'template-1', name: 'Events', description: '', tags: [], taskLists: [], tasks: [] }];
+    render(<TemplateGallery onClose={mockOnClose} />);
+
+    expect(screen.getByTestId('saved-templates')).toHaveTextContent('Events');
+    expect(screen.queryByTestId('delete-template-sprint')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('delete-template-template-1'));
+    expect(mockDeleteTemplate).toHaveBeenCalledWith('template-1');
+    fireEvent.click(screen.getByTestId('use-template-template-1'));
+    expect(mockCreateBoardFromTemplate).toHaveBeenCalledWith(mockTemplates[0]);
+  });
+});
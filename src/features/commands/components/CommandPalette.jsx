@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { MagnifyingGlassIcon, CommandLineIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { useShortcutContext } from '../../../context/ShortcutContext';
+import { useTaskContext } from '../../../context/TaskContext';
+import { fuzzyFilter } from '../../../common/utils/fuzzySearch';
+import { formatShortcut } from '../../../common/utils/shortcutUtils';
+import { isArchived } from '../../../common/utils/archiveUtils';
+
+// Most results shown at once; typing narrows them down
+const MAX_RESULTS = 20;
+
+// Ctrl+K palette: fuzzy search over every available command and every task that isn't archived.
+// Picking a task calls onSelectTask(taskId) so the dashboard can bring it into view.
+function CommandPalette({ onClose, onSelectTask }) {
+  const { getCommands } = useShortcutContext();
+  const { tasks } = useTaskContext();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const items = [
+    ...getCommands()
+      .filter(command => command.id !== 'commandPalette')
+      .map(command => ({ type: 'command', id: command.id, title: command.title, key: command.key, run: command.run })),
+    ...tasks
+      .filter(task => !isArchived(task))
+      .map(task => ({ type: 'task', id: task.id, title: task.title, isCompleted: task.isCompleted }))
+  ];
+  const results = fuzzyFilter(items, query, item => item.title).slice(0, MAX_RESULTS);
+  const active = Math.min(activeIndex, results.length - 1);
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    setActiveIndex(0);
+  };
+
+  const handleSelect = (item) => {
+    onClose();
+    if (item.type === 'task') {
+      onSelectTask(item.id);
+    } else {
+      item.run();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      const offset = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((active + offset + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[active]) handleSelect(results[active]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center pt-24 px-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      data-testid="command-palette"
+    >
+      <motion.div
+        className="bg-white rounded-xl shadow-lg max-w-lg w-full overflow-hidden"
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="relative border-b border-neutral-100">
+          <MagnifyingGlassIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-5 w-5 text-neutral-400" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => handleQueryChange(e.target.value)}
+            onKeyDown={handleKeyDown}
+            className="w-full py-4 pl-12 pr-4 text-neutral-800 outline-hidden"
+            placeholder="Type a command or a task..."
+            aria-label="Search commands and tasks"
+            aria-controls="command-palette-results"
+            aria-activedescendant={results[active] ? `command-option-${active}` : undefined}
+            autoComplete="off"
+            data-testid="command-palette-input"
+          />
+        </div>
+
+        {results.length > 0 ? (
+          <ul id="command-palette-results" role="listbox" className="max-h-80 overflow-y-auto py-2" data-testid="command-palette-results">
+            {results.map((item, index) => (
+              <li
+                key={`${item.type}-${item.id}`}
+                id={`command-option-${index}`}
+                role="option"
+                aria-selected={index === active}
+                onClick={() => handleSelect(item)}
+                onMouseMove={() => setActiveIndex(index)}
+                className={`flex items-center justify-between px-4 py-2 text-sm cursor-pointer ${
+                  index === active ? 'bg-primary-50 text-primary-700' : 'text-neutral-700'
+                }`}
+                data-testid={item.type === 'task' ? `command-task-${item.id}` : `command-${item.id}`}
+              >
+                <span className="flex items-center min-w-0">
+                  {item.type === 'task' ? (
+                    <CheckCircleIcon className={`h-4 w-4 mr-2 shrink-0 ${item.isCompleted ? 'text-green-500' : 'text-neutral-400'}`} />
+                  ) : (
+                    <CommandLineIcon className="h-4 w-4 mr-2 shrink-0 text-neutral-400" />
+                  )}
+                  <span className={`truncate ${item.isCompleted ? 'line-through text-neutral-500' : ''}`}>{item.title}</span>
+                </span>
+                {item.key && (
+                  <kbd className="ml-3 shrink-0 px-1.5 py-0.5 rounded-sm border border-neutral-200 bg-neutral-50 text-xs text-neutral-500">
+                    {formatShortcut(item.key)}
+                  </kbd>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="px-4 py-6 text-center text-sm text-neutral-500" data-testid="command-palette-empty">
+            Nothing matches "{query}"
+          </p>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default CommandPalette;
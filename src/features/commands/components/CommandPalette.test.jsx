@@ -0,0 +1,90 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import CommandPalette from './CommandPalette';
+
+// Mock the shortcut and task contexts
+const mockManageTags = vi.fn();
+const mockNewTask = vi.fn();
+const mockOnClose = vi.fn();
+const mockOnSelectTask = vi.fn();
+
+vi.mock('../../../context/ShortcutContext', () => ({
+  useShortcutContext: () => ({
+    getCommands: () => [
+      { id: 'commandPalette', title: 'Open the command palette', key: 'Mod+k', run: () => {} },
+      { id: 'newTask', title: 'New task', key: 'n', run: mockNewTask },
+      { id: 'manageTags', title: 'Manage tags', key: null, run: mockManageTags }
+    ]
+  })
+}));
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    tasks: [
+      { id: 1, title: 'Attend keynote', isCompleted: false, tags: [] },
+      { id: 2, title: 'Book hotel', isCompleted: true, tags: [] },
+      { id: 3, title: 'Meet the team', isCompleted: true, tags: [], archivedAt: '2026-01-01T00:00:00.000Z' }
+    ]
+  })
+}));
+
+describe('CommandPalette Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('lists commands with their shortcuts and tasks that are not archived', () => {
+    render(<CommandPalette onClose={mockOnClose} onSelectTask={mockOnSelectTask} />);
+
+    expect(screen.getByTestId('command-palette-input')).toHaveFocus();
+    expect(screen.queryByTestId('command-commandPalette')).not.toBeInTheDocument();
+    expect(screen.getByTestId('command-newTask')).toHaveTextContent('New taskn');
+    expect(screen.getByTestId('command-task-1')).toBeInTheDocument();
+    expect(screen.getByTestId('command-task-2')).toBeInTheDocument();
+    expect(screen.queryByTestId('command-task-3')).not.toBeInTheDocument();
+  });
+
+  test('fuzzy-filters the results', () => {
+    render(<CommandPalette onClose={mockOnClose} onSelectTask={mockOnSelectTask} />);
+
+    fireEvent.change(screen.getByTestId('command-palette-input'), { target: { value: 'mtg' } });
+    const options = screen.getAllByRole('option');
+    expect(options.map(option => option.dataset.testid)).toEqual(['command-manageTags']);
+
+    fireEvent.change(screen.getByTestId('command-palette-input'), { target: { value: 'zzz' } });
+    expect(screen.getByTestId('command-palette-empty')).toHaveTextContent('Nothing matches "zzz"');
+  });
+
+  test('runs the highlighted command with the keyboard', () => {
+    render(<CommandPalette onClose={mockOnClose} onSelectTask={mockOnSelectTask} />);
+    const input = screen.getByTestId('command-palette-input');
+
+    expect(screen.getByTestId('command-newTask')).toHaveAttribute('aria-selected', 'true');
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(screen.getByTestId('command-manageTags')).toHaveAttribute('aria-selected', 'true');
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(mockOnClose).toHaveBeenCalled();
+    expect(mockManageTags).toHaveBeenCalled();
+    expect(mockNewTask).not.toHaveBeenCalled();
+  });
+
+  test('jumps to a task', () => {
+    render(<CommandPalette onClose={mockOnClose} onSelectTask={mockOnSelectTask} />);
+
+    fireEvent.change(screen.getByTestId('command-palette-input'), { target: { value: 'hotel' } });
+    fireEvent.click(screen.getByTestId('command-task-2'));
+
+    expect(mockOnClose).toHaveBeenCalled();
+    expect(mockOnSelectTask).toHaveBeenCalledWith(2);
+  });
+
+  test('closes with Escape or a click outside', () => {
+    render(<CommandPalette onClose={mockOnClose} onSelectTask={mockOnSelectTask} />);
+
+    fireEvent.keyDown(screen.getByTestId('command-palette-input'), { key: 'Escape' });
+    fireEvent.click(screen.getByTestId('command-palette'));
+    expect(mockOnClose).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { useShortcutContext } from '../../../context/ShortcutContext';
+import { SHORTCUTS, formatShortcut, getEventKey, getShortcutConflict } from '../../../common/utils/shortcutUtils';
+
+// Lists every keyboard shortcut. "Change" records the next key pressed as the new binding.
+function ShortcutHelp({ onClose }) {
+  const { bindings, setBinding, resetBindings } = useShortcutContext();
+  // Shortcut waiting for a new key, and why the last key pressed couldn't be used
+  const [recordingId, setRecordingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const startRecording = (id) => {
+    setRecordingId(recordingId === id ? null : id);
+    setError(null);
+  };
+
+  // Keys pressed while recording never reach the other shortcuts
+  const handleRecordKeyDown = (e, id) => {
+    if (recordingId !== id || e.key === 'Tab') return;
+    e.preventDefault();
+    e.stopPropagation();
+    const key = getEventKey(e);
+    if (!key) return;
+    if (key === 'Escape') {
+      setRecordingId(null);
+      setError(null);
+      return;
+    }
+
+    const conflict = getShortcutConflict(bindings, id, key);
+    if (conflict) {
+      setError({ id, message: conflict });
+      return;
+    }
+    setBinding(id, key);
+    setRecordingId(null);
+    setError(null);
+  };
+
+  const handleClear = (id) => {
+    setBinding(id, null);
+    setRecordingId(null);
+    setError(null);
+  };
+
+  const handleReset = () => {
+    resetBindings();
+    setRecordingId(null);
+    setError(null);
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center px-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      data-testid="shortcut-help"
+    >
+      <motion.div
+        className="bg-white rounded-xl shadow-lg max-w-lg w-full p-6"
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        onClick={e => e.stopPropagation()}
+        role="dialog"
+        aria-label="Keyboard shortcuts"
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold text-neutral-800">Keyboard Shortcuts</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 text-neutral-400 hover:text-neutral-600 rounded-full hover:bg-neutral-100"
+            aria-label="Close"
+            data-testid="close-shortcut-help"
+          >
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+
+        <p className="mb-3 text-xs text-neutral-500 text-left">
+          Shortcuts don't work while typing in a text field, except combinations with Ctrl. Task shortcuts act on the
+          focused task; use the next and previous task keys to move between tasks.
+        </p>
+
+        <ul className="divide-y divide-neutral-100" data-testid="shortcut-list">
+          {SHORTCUTS.map(shortcut => {
+            const key = bindings[shortcut.id];
+            const isRecording = recordingId === shortcut.id;
+
+            return (
+              <li key={shortcut.id} className="py-2" data-testid={`shortcut-${shortcut.id}`}>
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-sm text-neutral-700 text-left">{shortcut.label}</span>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <kbd
+                      className={`px-1.5 py-0.5 rounded-sm border text-xs ${
+                        key ? 'border-neutral-200 bg-neutral-50 text-neutral-600' : 'border-dashed border-neutral-200 text-neutral-400'
+                      }`}
+                      data-testid={`shortcut-key-${shortcut.id}`}
+                    >
+                      {key ? formatShortcut(key) : 'Not set'}
+                    </kbd>
+                    <button
+                      type="button"
+                      onClick={() => startRecording(shortcut.id)}
+                      onKeyDown={(e) => handleRecordKeyDown(e, shortcut.id)}
+                      onBlur={() => isRecording && setRecordingId(null)}
+                      className={`text-xs px-2 py-1 rounded-sm ${
+                        isRecording ? 'bg-primary-100 text-primary-700' : 'text-primary-600 hover:bg-primary-50'
+                      }`}
+                      data-testid={`change-shortcut-${shortcut.id}`}
+                    >
+                      {isRecording ? 'Press a key…' : 'Change'}
+                    </button>
+                    {key && (
+                      <button
+                        type="button"
+                        onClick={() => handleClear(shortcut.id)}
+                        className="text-xs px-2 py-1 rounded-sm text-neutral-500 hover:bg-neutral-100"
+                        data-testid={`clear-shortcut-${shortcut.id}`}
+                      >
+                        Clear
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {error && error.id === shortcut.id && (
+                  <p className="mt-1 text-xs text-rose-600 text-left" role="alert" data-testid="shortcut-error">
+                    {error.message}
+                  </p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="mt-4 flex justify-end">
+          <button
+            type="button"
+            onClick={handleReset}
+            className="text-sm text-neutral-600 hover:text-neutral-800 px-3 py-1.5 hover:bg-neutral-100 rounded-lg"
+            data-testid="reset-shortcuts"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default ShortcutHelp;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import ShortcutHelp from './ShortcutHelp';
+import { SHORTCUTS, getBindings } from '../../../common/utils/shortcutUtils';
+
+// Mock the shortcut context
+const mockSetBinding = vi.fn();
+const mockResetBindings = vi.fn();
+const mockOnClose = vi.fn();
+
+vi.mock('../../../context/ShortcutContext', () => ({
+  useShortcutContext: () => ({
+    bindings: getBindings({ search: null }),
+    setBinding: mockSetBinding,
+    resetBindings: mockResetBindings
+  })
+}));
+
+describe('ShortcutHelp Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('lists every shortcut with its current key', () => {
+    render(<ShortcutHelp onClose={mockOnClose} />);
+
+    expect(screen.getAllByTestId(/^shortcut-key-/)).toHaveLength(SHORTCUTS.length);
+    expect(screen.getByTestId('shortcut-key-commandPalette')).toHaveTextContent('Ctrl+K');
+    expect(screen.getByTestId('shortcut-key-tagTask')).toHaveTextContent('#');
+    expect(screen.getByTestId('shortcut-key-search')).toHaveTextContent('Not set');
+    expect(screen.queryByTestId('clear-shortcut-search')).not.toBeInTheDocument();
+  });
+
+  test('records the next key pressed as the new binding', () => {
+    render(<ShortcutHelp onClose={mockOnClose} />);
+    const button = screen.getByTestId('change-shortcut-newTask');
+
+    fireEvent.click(button);
+    expect(button).toHaveTextContent('Press a key');
+    // A lone modifier keeps waiting
+    fireEvent.keyDown(button, { key: 'Shift', shiftKey: true });
+    fireEvent.keyDown(button, { key: 'T', ctrlKey: true, shiftKey: true });
+
+    expect(mockSetBinding).toHaveBeenCalledWith('newTask', 'Mod+t');
+    expect(button).toHaveTextContent('Change');
+  });
+
+  test('refuses keys that are already taken', () => {
+    render(<ShortcutHelp onClose={mockOnClose} />);
+    const button = screen.getByTestId('change-shortcut-newTask');
+
+    fireEvent.click(button);
+    fireEvent.keyDown(button, { key: 'x' });
+    expect(screen.getByTestId('shortcut-error')).toHaveTextContent('x is already used by "Complete or reopen the focused task"');
+    fireEvent.keyDown(button, { key: 'z', ctrlKey: true });
+    expect(screen.getByTestId('shortcut-error')).toHaveTextContent('Ctrl+Z is reserved');
+    expect(mockSetBinding).not.toHaveBeenCalled();
+
+    // Escape stops recording without closing the help
+    fireEvent.keyDown(button, { key: 'Escape' });
+    expect(button).toHaveTextContent('Change');
+    expect(screen.queryByTestId('shortcut-error')).not.toBeInTheDocument();
+    expect(mockOnClose).not.toHaveBeenCalled();
+  });
+
+  test('clears a binding and resets to the defaults', () => {
+    render(<ShortcutHelp onClose={mockOnClose} />);
+
+    fireEvent.click(screen.getByTestId('clear-shortcut-editTask'));
+    expect(mockSetBinding).toHaveBeenCalledWith('editTask', null);
+    fireEvent.click(screen.getByTestId('reset-shortcuts'));
+    expect(mockResetBindings).toHaveBeenCalled();
+  });
+
+  test('closes with Escape', () => {
+    render(<ShortcutHelp onClose={mockOnClose} />);
+
+    fireEvent.keyDown(document.body, { key: 'Escape' });
+    expect(mockOnClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import TaskItem from '../../tasks/components/TaskItem';
+import { TASK_DRAG_TYPE } from '../../tasks/components/TaskList';
+import { useTaskContext } from '../../../context/TaskContext';
+import { getTaskStatus } from '../../../common/utils/statusUtils';
+
+const hasDraggedTask = (e) => Array.from(e.dataTransfer?.types || []).includes(TASK_DRAG_TYPE);
+
+const readDraggedTask = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(TASK_DRAG_TYPE));
+  } catch {
+    return null;
+  }
+};
+
+// Kanban view: one column per status. Dragging a card onto a column, or pressing
+// Alt+Left/Right while it has focus, moves the task to that status.
+function KanbanBoard({ tasks, highlightTerms = [] }) {
+  const { taskStatuses, setTaskStatus } = useTaskContext();
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData(TASK_DRAG_TYPE, JSON.stringify({ taskId: task.id, listId: null }));
+  };
+
+  const handleDragOver = (e, statusId) => {
+    if (!hasDraggedTask(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTargetId(statusId);
+  };
+
+  const handleDrop = (e, statusId) => {
+    e.preventDefault();
+    setDropTargetId(null);
+    const dragged = readDraggedTask(e);
+    if (dragged) setTaskStatus(dragged.taskId, statusId);
+  };
+
+  const handleKeyDown = (e, task, columnIndex) => {
+    if (!e.altKey || e.target !== e.currentTarget) return;
+    const offset = e.key === 'ArrowLeft' ? -1 : e.key === 'ArrowRight' ? 1 : 0;
+    const target = taskStatuses[columnIndex + offset];
+    if (!offset || !target) return;
+    e.preventDefault();
+    setTaskStatus(task.id, target.id);
+  };
+
+  return (
+    <div className="kanban-board flex gap-4 overflow-x-auto pb-2" data-testid="kanban-board">
+      {taskStatuses.map((status, columnIndex) => {
+        const columnTasks = tasks.filter(task => getTaskStatus(task, taskStatuses) === status.id);
+
+        return (
+          <div
+            key={status.id}
+            className={`kanban-column bg-white rounded-xl shadow-soft w-72 shrink-0 flex flex-col ${
+              dropTargetId === status.id ? 'ring-2 ring-primary-200' : ''
+            }`}
+            onDragOver={(e) => handleDragOver(e, status.id)}
+            onDragLeave={() => setDropTargetId(null)}
+            onDrop={(e) => handleDrop(e, status.id)}
+            data-testid={`kanban-column-${status.id}`}
+          >
+            <div className="p-4 border-b border-neutral-100 flex justify-between items-center">
+              <h2 className="font-medium text-lg">{status.title}</h2>
+              <span
+                className="text-xs font-medium text-neutral-500 bg-neutral-100 px-2 py-0.5 rounded-xs"
+                data-testid={`kanban-count-${status.id}`}
+              >
+                {columnTasks.length}
+              </span>
+            </div>
+            <div className="p-4 flex flex-col gap-2 grow min-h-24 overflow-y-auto max-h-[60vh]">
+              <AnimatePresence>
+                {columnTasks.map(task => (
+                  <motion.div
+                    key={task.id}
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, x: -10 }}
+                    transition={{ duration: 0.2 }}
+                  >
+                    <div
+                      draggable
+                      tabIndex={0}
+                      onDragStart={(e) => handleDragStart(e, task)}
+                      onDragEnd={() => setDropTargetId(null)}
+                      onKeyDown={(e) => handleKeyDown(e, task, columnIndex)}
+                      className="rounded-xl focus:outline-hidden focus-visible:ring-2 focus-visible:ring-primary-400"
+                      aria-label={`${task.title}. Drag or press Alt and the left or right arrow keys to change its status`}
+                      data-task-id={task.id}
+                      data-testid={`kanban-card-${task.id}`}
+                    >
+                      <TaskItem task={task} highlightTerms={highlightTerms} />
+                    </div>
+                  </motion.div>
+                ))}
+              </AnimatePresence>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default KanbanBoard;
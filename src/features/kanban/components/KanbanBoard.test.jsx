@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import KanbanBoard from './KanbanBoard';
+import { TASK_DRAG_TYPE } from '../../tasks/components/TaskList';
+
+const mockSetTaskStatus = vi.fn();
+const mockStatuses = [
+  { id: 'backlog', title: 'Backlog' },
+  { id: 'review', title: 'Review' },
+  { id: 'done', title: 'Done' }
+];
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    taskStatuses: mockStatuses,
+    setTaskStatus: mockSetTaskStatus
+  })
+}));
+
+vi.mock('../../tasks/components/TaskItem', () => {
+  return {
+    default: function MockTaskItem({ task }) {
+      return <div data-testid={`mocked-task-item-${task.id}`}>{task.title}</div>;
+    }
+  };
+});
+
+// Minimal DataTransfer stand-in for drag events in jsdom
+const createDataTransfer = () => {
+  const data = {};
+  return {
+    types: [],
+    setData(type, value) {
+      data[type] = value;
+      this.types.push(type);
+    },
+    getData: (type) => data[type]
+  };
+};
+
+describe('KanbanBoard Component', () => {
+  const tasks = [
+    { id: 1, title: 'Draft talk', isCompleted: false },
+    { id: 2, title: 'Peer review', isCompleted: false, status: 'review' },
+    { id: 3, title: 'Book flights', isCompleted: true, status: 'done' }
+  ];
+
+  beforeEach(() => {
+    mockSetTaskStatus.mockClear();
+  });
+
+  test('renders a column per status with its cards', () => {
+    render(<KanbanBoard tasks={tasks} />);
+
+    expect(screen.getByTestId('kanban-column-backlog')).toHaveTextContent('Draft talk');
+    expect(screen.getByTestId('kanban-column-review')).toHaveTextContent('Peer review');
+    expect(screen.getByTestId('kanban-column-done')).toHaveTextContent('Book flights');
+    expect(screen.getByTestId('kanban-count-backlog')).toHaveTextContent('1');
+  });
+
+  test('changes the status when a card is dropped on another column', () => {
+    render(<KanbanBoard tasks={tasks} />);
+    const dataTransfer = createDataTransfer();
+
+    fireEvent.dragStart(screen.getByTestId('kanban-card-1'), { dataTransfer });
+    fireEvent.dragOver(screen.getByTestId('kanban-column-review'), { dataTransfer });
+    expect(screen.getByTestId('kanban-column-review')).toHaveClass('ring-2');
+    fireEvent.drop(screen.getByTestId('kanban-column-review'), { dataTransfer });
+
+    expect(mockSetTaskStatus).toHaveBeenCalledWith(1, 'review');
+    expect(dataTransfer.getData(TASK_DRAG_TYPE)).toBe(JSON.stringify({ taskId: 1, listId: null }));
+  });
+
+  test('moves a focused card between columns with Alt+Left/Right', () => {
+    render(<KanbanBoard tasks={tasks} />);
+
+    fireEvent.keyDown(screen.getByTestId('kanban-card-2'), { key: 'ArrowRight', altKey: true });
+    expect(mockSetTaskStatus).toHaveBeenCalledWith(2, 'done');
+
+    fireEvent.keyDown(screen.getByTestId('kanban-card-1'), { key: 'ArrowLeft', altKey: true });
+    fireEvent.keyDown(screen.getByTestId('kanban-card-1'), { key: 'ArrowRight' });
+    expect(mockSetTaskStatus).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { XMarkIcon, PlusIcon, TrashIcon, ArrowUpIcon, ArrowDownIcon } from '@heroicons/react/24/outline';
+import { useTaskContext } from '../../../context/TaskContext';
+import { MIN_TASK_STATUSES, createStatus } from '../../../common/utils/statusUtils';
+
+// Edits a draft of the workflow statuses, applied in one step on save
+function StatusManager({ onClose }) {
+  const { taskStatuses, updateTaskStatuses } = useTaskContext();
+  const [draft, setDraft] = useState(taskStatuses);
+  const [newStatusTitle, setNewStatusTitle] = useState('');
+
+  const canSave = draft.length >= MIN_TASK_STATUSES && draft.every(status => status.title.trim());
+
+  const renameStatus = (id, title) => {
+    setDraft(draft.map(status => status.id === id ? { ...status, title } : status));
+  };
+
+  // Move a status one column left (-1) or right (+1)
+  const moveStatus = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= draft.length) return;
+    const next = [...draft];
+    [next[index], next[target]] = [next[target], next[index]];
+    setDraft(next);
+  };
+
+  const handleAddStatus = () => {
+    if (!newStatusTitle.trim()) return;
+    // New statuses go before the terminal one, so "Done" stays last
+    setDraft([...draft.slice(0, -1), createStatus(newStatusTitle.trim()), draft[draft.length - 1]]);
+    setNewStatusTitle('');
+  };
+
+  const handleSave = () => {
+    if (!canSave) return;
+    updateTaskStatuses(draft.map(status => ({ ...status, title: status.title.trim() })));
+    onClose();
+  };
+
+  return (
+    <div className="status-manager bg-white rounded-xl shadow-lg p-5 text-left" data-testid="status-manager">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-medium text-neutral-800">Edit Statuses</h3>
+        <button
+          className="p-2 text-neutral-500 hover:text-neutral-700 hover:bg-neutral-100 rounded-full transition-colors"
+          onClick={onClose}
+          data-testid="close-status-manager"
+        >
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      <p className="text-xs text-neutral-500 mb-3">Tasks in the last status count as completed.</p>
+
+      <ol className="flex flex-col gap-2 mb-4">
+        {draft.map((status, index) => (
+          <li key={status.id} className="flex items-center gap-2" data-testid={`status-row-${status.id}`}>
+            <input
+              type="text"
+              value={status.title}
+              onChange={(e) => renameStatus(status.id, e.target.value)}
+              className="grow px-3 py-1.5 border border-neutral-300 rounded-md text-sm focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+              aria-label="Status name"
+              data-testid={`status-title-${status.id}`}
+            />
+            <button
+              type="button"
+              onClick={() => moveStatus(index, -1)}
+              disabled={index === 0}
+              className="p-1 text-neutral-400 hover:text-neutral-700 disabled:opacity-30"
+              aria-label="Move status earlier"
+              data-testid={`move-status-up-${status.id}`}
+            >
+              <ArrowUpIcon className="h-4 w-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => moveStatus(index, 1)}
+              disabled={index === draft.length - 1}
+              className="p-1 text-neutral-400 hover:text-neutral-700 disabled:opacity-30"
+              aria-label="Move status later"
+              data-testid={`move-status-down-${status.id}`}
+            >
+              <ArrowDownIcon className="h-4 w-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft(draft.filter(s => s.id !== status.id))}
+              disabled={draft.length <= MIN_TASK_STATUSES}
+              className="p-1 text-neutral-400 hover:text-rose-600 disabled:opacity-30"
+              aria-label="Remove status"
+              data-testid={`remove-status-${status.id}`}
+            >
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex gap-2 mb-5">
+        <input
+          type="text"
+          value={newStatusTitle}
+          onChange={(e) => setNewStatusTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAddStatus();
+            }
+          }}
+          placeholder="Add a status"
+          className="grow px-3 py-1.5 border border-neutral-300 rounded-md text-sm focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+          data-testid="new-status-input"
+        />
+        <button
+          type="button"
+          onClick={handleAddStatus}
+          disabled={!newStatusTitle.trim()}
+          className="px-3 py-1.5 rounded-md bg-primary-500 text-white hover:bg-primary-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label="Add status"
+          data-testid="add-status-button"
+        >
+          <PlusIcon className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 border border-neutral-300 text-neutral-700 rounded-md hover:bg-neutral-50"
+          data-testid="cancel-statuses"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!canSave}
+          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          data-testid="save-statuses"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default StatusManager;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import StatusManager from './StatusManager';
+
+const mockUpdateTaskStatuses = vi.fn();
+const mockOnClose = vi.fn();
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    taskStatuses: [
+      { id: 'backlog', title: 'Backlog' },
+      { id: 'review', title: 'Review' },
+      { id: 'done', title: 'Done' }
+    ],
+    updateTaskStatuses: mockUpdateTaskStatuses
+  })
+}));
+
+describe('StatusManager Component', () => {
+  beforeEach(() => {
+    mockUpdateTaskStatuses.mockClear();
+    mockOnClose.mockClear();
+  });
+
+  test('adds new statuses before the done status and saves them', () => {
+    render(<StatusManager onClose={mockOnClose} />);
+
+    fireEvent.change(screen.getByTestId('new-status-input'), { target: { value: 'In Progress' } });
+    fireEvent.keyDown(screen.getByTestId('new-status-input'), { key: 'Enter' });
+    fireEvent.change(screen.getByTestId('status-title-review'), { target: { value: ' QA ' } });
+    fireEvent.click(screen.getByTestId('save-statuses'));
+
+    const saved = mockUpdateTaskStatuses.mock.calls[0][0];
+    expect(saved.map(status => status.title)).toEqual(['Backlog', 'QA', 'In Progress', 'Done']);
+    expect(mockOnClose).toHaveBeenCalled();
+  });
+
+  test('reorders and removes statuses, keeping at least two', () => {
+    render(<StatusManager onClose={mockOnClose} />);
+
+    fireEvent.click(screen.getByTestId('move-status-up-review'));
+    fireEvent.click(screen.getByTestId('remove-status-backlog'));
+    expect(screen.getByTestId('remove-status-done')).toBeDisabled();
+    fireEvent.click(screen.getByTestId('save-statuses'));
+
+    expect(mockUpdateTaskStatuses).toHaveBeenCalledWith([
+      { id: 'review', title: 'Review' },
+      { id: 'done', title: 'Done' }
+    ]);
+  });
+
+  test('does not save blank names and discards changes on cancel', () => {
+    render(<StatusManager onClose={mockOnClose} />);
+
+    fireEvent.change(screen.getByTestId('status-title-backlog'), { target: { value: '  ' } });
+    expect(screen.getByTestId('save-statuses')).toBeDisabled();
+
+    fireEvent.click(screen.getByTestId('cancel-statuses'));
+    expect(mockUpdateTaskStatuses).not.toHaveBeenCalled();
+    expect(mockOnClose).toHaveBeenCalled();
+  });
+});
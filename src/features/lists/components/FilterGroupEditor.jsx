@@ -0,0 +1,144 @@
+import React from 'react';
+import { XMarkIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { isFilterGroup } from '../../../common/utils/filterExpression';
+
+export const OPERATOR_LABELS = {
+  and: 'All of',
+  or: 'Any of',
+  not: 'None of'
+};
+
+// Describe a single filter condition for display
+export const describeFilter = (filter) => {
+  switch (filter.type) {
+    case 'tag':
+      return `Tag: ${filter.value}`;
+    case 'completed':
+      return `Status: ${filter.value ? 'Completed' : 'Active'}`;
+    case 'dueWithin':
+      return filter.value === 0 ? 'Due today' : `Due within ${filter.value + 1} days`;
+    case 'dueBefore':
+      return `Due before ${new Date(filter.value).toLocaleDateString()}`;
+    case 'overdue':
+      return filter.value ? 'Overdue' : 'Not overdue';
+    case 'query':
+      return `Query: ${filter.value}`;
+    default:
+      return `${filter.type}: ${String(filter.value)}`;
+  }
+};
+
+const pathId = (path) => path.join('-');
+
+const isSamePath = (a, b) => a.length === b.length && a.every((index, i) => index === b[i]);
+
+// Recursive editor for a group of list filters; new conditions are added to the selected group
+function FilterGroupEditor({ group, path = [], activePath, onSelect, onOperatorChange, onAddGroup, onRemove }) {
+  const isRoot = path.length === 0;
+  const isActive = isSamePath(path, activePath);
+
+  const handleSelect = (e) => {
+    e.stopPropagation();
+    onSelect(path);
+  };
+
+  return (
+    <div
+      className={`filter-group rounded-lg border p-2 ${
+        isActive ? 'border-primary-400 bg-primary-50/50' : 'border-neutral-200 bg-white'
+      }`}
+      onClick={handleSelect}
+      data-testid={isRoot ? 'filter-group-root' : `filter-group-${pathId(path)}`}
+    >
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <select
+          value={group.op}
+          onChange={(e) => onOperatorChange(path, e.target.value)}
+          onClick={(e) => e.stopPropagation()}
+          className="text-xs font-medium text-neutral-700 border border-neutral-300 rounded-md px-2 py-1 focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+          aria-label="Group operator"
+          data-testid={isRoot ? 'group-operator-root' : `group-operator-${pathId(path)}`}
+        >
+          {Object.entries(OPERATOR_LABELS).map(([op, label]) => (
+            <option key={op} value={op}>{label}</option>
+          ))}
+        </select>
+        <div className="flex items-center gap-1">
+          {isActive && (
+            <span className="text-xs text-primary-600">Adding here</span>
+          )}
+          {!isRoot && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onRemove(path);
+              }}
+              className="p-0.5 text-neutral-500 hover:text-neutral-700 rounded-full hover:bg-neutral-100"
+              aria-label="Remove group"
+              data-testid={`remove-group-${pathId(path)}`}
+            >
+              <XMarkIcon className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {group.children.length === 0 ? (
+        isRoot ? (
+          <p className="text-sm text-neutral-500" data-testid="no-filters-message">No filters applied. This list will show all tasks.</p>
+        ) : (
+          <p className="text-xs text-neutral-500">Empty group. Select it and add filters below.</p>
+        )
+      ) : (
+        <div className="flex flex-col gap-2" data-testid={isRoot ? 'filter-list' : `filter-list-${pathId(path)}`}>
+          <div className="flex flex-wrap gap-2">
+            {group.children.map((child, index) => !isFilterGroup(child) && (
+              <div key={index} className="inline-flex items-center bg-neutral-100 px-3 py-1 rounded-full text-sm" data-testid={`filter-item-${pathId([...path, index])}`}>
+                <span>{describeFilter(child)}</span>
+                <button
+                  type="button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRemove([...path, index]);
+                  }}
+                  className="ml-1 text-neutral-500 hover:text-neutral-700"
+                  data-testid={`remove-filter-${pathId([...path, index])}`}
+                >
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          {group.children.map((child, index) => isFilterGroup(child) && (
+            <FilterGroupEditor
+              key={index}
+              group={child}
+              path={[...path, index]}
+              activePath={activePath}
+              onSelect={onSelect}
+              onOperatorChange={onOperatorChange}
+              onAddGroup={onAddGroup}
+              onRemove={onRemove}
+            />
+          ))}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={(e) => {
+          e.stopPropagation();
+          onAddGroup(path);
+        }}
+        className="mt-2 inline-flex items-center text-xs font-medium text-neutral-600 hover:text-primary-600"
+        data-testid={isRoot ? 'add-group-root' : `add-group-${pathId(path)}`}
+      >
+        <PlusIcon className="h-3 w-3 mr-1" />
+        Add group
+      </button>
+    </div>
+  );
+}
+
+export default FilterGroupEditor;
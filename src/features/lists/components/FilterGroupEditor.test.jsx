@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import FilterGroupEditor, { describeFilter } from './FilterGroupEditor';
+
+describe('FilterGroupEditor Component', () => {
+  const mockOnSelect = vi.fn();
+  const mockOnOperatorChange = vi.fn();
+  const mockOnAddGroup = vi.fn();
+  const mockOnRemove = vi.fn();
+
+  const group = {
+    op: 'and',
+    children: [
+      { type: 'tag', value: 'Build' },
+      { op: 'not', children: [{ type: 'tag', value: 'Keynote' }] }
+    ]
+  };
+
+  const renderEditor = (props = {}) => render(
+    <FilterGroupEditor
+      group={group}
+      activePath={[]}
+      onSelect={mockOnSelect}
+      onOperatorChange={mockOnOperatorChange}
+      onAddGroup={mockOnAddGroup}
+      onRemove={mockOnRemove}
+      {...props}
+    />
+  );
+
+  beforeEach(() => {
+    mockOnSelect.mockClear();
+    mockOnOperatorChange.mockClear();
+    mockOnAddGroup.mockClear();
+    mockOnRemove.mockClear();
+  });
+
+  test('renders conditions and nested groups', () => {
+    renderEditor();
+
+    expect(screen.getByTestId('filter-item-0')).toHaveTextContent('Tag: Build');
+    expect(screen.getByTestId('filter-group-1')).toBeInTheDocument();
+    expect(screen.getByTestId('filter-item-1-0')).toHaveTextContent('Tag: Keynote');
+    expect(screen.getByTestId('group-operator-1').value).toBe('not');
+  });
+
+  test('shows the empty message for an empty root group', () => {
+    renderEditor({ group: { op: 'and', children: [] } });
+
+    expect(screen.getByTestId('no-filters-message')).toBeInTheDocument();
+  });
+
+  test('selects the clicked group', () => {
+    renderEditor();
+
+    fireEvent.click(screen.getByTestId('filter-group-1'));
+    expect(mockOnSelect).toHaveBeenCalledTimes(1);
+    expect(mockOnSelect).toHaveBeenCalledWith([1]);
+  });
+
+  test('reports operator changes, new groups and removals by path', () => {
+    renderEditor();
+
+    fireEvent.change(screen.getByTestId('group-operator-root'), { target: { value: 'or' } });
+    expect(mockOnOperatorChange).toHaveBeenCalledWith([], 'or');
+
+    fireEvent.click(screen.getByTestId('add-group-1'));
+    expect(mockOnAddGroup).toHaveBeenCalledWith([1]);
+
+    fireEvent.click(screen.getByTestId('remove-filter-1-0'));
+    expect(mockOnRemove).toHaveBeenCalledWith([1, 0]);
+
+    fireEvent.click(screen.getByTestId('remove-group-1'));
+    expect(mockOnRemove).toHaveBeenCalledWith([1]);
+    expect(mockOnSelect).not.toHaveBeenCalled();
+  });
+
+  test('describes each kind of condition', () => {
+    expect(describeFilter({ type: 'completed', value: false })).toBe('Status: Active');
+    expect(describeFilter({ type: 'dueWithin', value: 6 })).toBe('Due within 7 days');
+    expect(describeFilter({ type: 'overdue', value: true })).toBe('Overdue');
+    expect(describeFilter({ type: 'query', value: 'is:open' })).toBe('Query: is:open');
+  });
+});
@@ -2,17 +2,16 @@ import React, { useState, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import { useTaskContext } from '../../../context/TaskContext';
+import { getRequiredTags } from '../../../common/utils/filterExpression';
 
 function ListAddTask({ onCancel, listFilters }) {
   const { addTask } = useTaskContext();
   const [text, setText] = useState('');
   const inputRef = useRef(null);
 
-  // Extract tag filters from the list's filters
+  // Extract the tags every task in this list must have from the list's filters
   const getTagFilters = () => {
-    return listFilters
-      .filter(filter => filter.type === 'tag')
-      .map(filter => filter.value);
+    return getRequiredTags(listFilters);
   };
 
   useEffect(() => {
@@ -30,7 +29,7 @@ function ListAddTask({ onCancel, listFilters }) {
     const tagFilters = getTagFilters();
     
     addTask({ 
-      text, 
+      title: text, 
       isCompleted: false, 
       tags: tagFilters
     });
@@ -61,7 +61,7 @@ describe('ListAddTask Component', () => {
     fireEvent.click(submitButton);
     
     expect(mockAddTask).toHaveBeenCalledWith({
-      text: 'Submit Test Task',
+      title: 'Submit Test Task',
       isCompleted: false,
       tags: ['work']
     });
@@ -88,4 +88,21 @@ describe('ListAddTask Component', () => {
     
     expect(submitButton).not.toBeDisabled();
   });
-});
\ No newline at end of file
+
+  test('only applies tags required by every branch of a filter expression', () => {
+    const expressionFilters = {
+      op: 'and',
+      children: [
+        { type: 'tag', value: 'work' },
+        { op: 'or', children: [{ type: 'tag', value: 'Build' }, { type: 'tag', value: 'Universe' }] },
+        { op: 'not', children: [{ type: 'tag', value: 'Keynote' }] }
+      ]
+    };
+    render(<ListAddTask onCancel={mockOnCancel} listFilters={expressionFilters} />);
+    
+    fireEvent.change(screen.getByTestId('list-task-input'), { target: { value: 'Expression task' } });
+    fireEvent.click(screen.getByTestId('list-submit-button'));
+    
+    expect(mockAddTask).toHaveBeenCalledWith(expect.objectContaining({ tags: ['work'] }));
+  });
+});
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { ArrowsPointingOutIcon } from '@heroicons/react/24/outline';
+import { LIST_WIDTHS, LIST_HEIGHTS, getListWidth, getListHeight } from '../../../common/utils/listLayout';
+
+const selectClassName = 'w-full py-1 px-2 text-sm text-neutral-700 rounded-md border border-neutral-300 focus:outline-hidden focus:ring-1 focus:ring-primary-500';
+
+// Header dropdown for a list's width and height; onChange(updates) saves them on the list
+function ListLayoutMenu({ list, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div
+      className="relative"
+      onKeyDown={(e) => e.key === 'Escape' && setIsOpen(false)}
+    >
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        aria-label={`Size of ${list.title}`}
+        className="p-1 text-neutral-400 hover:text-neutral-700 hover:bg-neutral-100 rounded-xs"
+        data-testid={`list-layout-${list.id}`}
+      >
+        <ArrowsPointingOutIcon className="h-4 w-4" />
+      </button>
+
+      {isOpen && (
+        <div
+          className="absolute right-0 z-20 mt-2 w-44 bg-white rounded-xl shadow-lg border border-neutral-100 p-3 flex flex-col gap-2 text-left"
+          data-testid={`list-layout-menu-${list.id}`}
+        >
+          <label className="text-xs font-medium text-neutral-500">
+            Width
+            <select
+              value={getListWidth(list).value}
+              onChange={(e) => onChange({ width: e.target.value })}
+              className={selectClassName}
+              data-testid={`list-width-${list.id}`}
+            >
+              {LIST_WIDTHS.map(width => <option key={width.value} value={width.value}>{width.label}</option>)}
+            </select>
+          </label>
+          <label className="text-xs font-medium text-neutral-500">
+            Height
+            <select
+              value={getListHeight(list).value}
+              onChange={(e) => onChange({ height: e.target.value })}
+              className={selectClassName}
+              data-testid={`list-height-${list.id}`}
+            >
+              {LIST_HEIGHTS.map(height => <option key={height.value} value={height.value}>{height.label}</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ListLayoutMenu;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import ListLayoutMenu from './ListLayoutMenu';
+
+describe('ListLayoutMenu Component', () => {
+  const mockOnChange = vi.fn();
+
+  beforeEach(() => {
+    mockOnChange.mockClear();
+  });
+
+  test('shows the list\'s size, with normal as the default', () => {
+    render(<ListLayoutMenu list={{ id: 'work', title: 'Work', height: 'tall' }} onChange={mockOnChange} />);
+
+    expect(screen.queryByTestId('list-layout-menu-work')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByTestId('list-layout-work'));
+
+    expect(screen.getByTestId('list-width-work')).toHaveValue('normal');
+    expect(screen.getByTestId('list-height-work')).toHaveValue('tall');
+  });
+
+  test('saves a new width or height', () => {
+    render(<ListLayoutMenu list={{ id: 'work', title: 'Work' }} onChange={mockOnChange} />);
+
+    fireEvent.click(screen.getByTestId('list-layout-work'));
+    fireEvent.change(screen.getByTestId('list-width-work'), { target: { value: 'full' } });
+    expect(mockOnChange).toHaveBeenCalledWith({ width: 'full' });
+    fireEvent.change(screen.getByTestId('list-height-work'), { target: { value: 'auto' } });
+    expect(mockOnChange).toHaveBeenCalledWith({ height: 'auto' });
+
+    fireEvent.keyDown(screen.getByTestId('list-height-work'), { key: 'Escape' });
+    expect(screen.queryByTestId('list-layout-menu-work')).not.toBeInTheDocument();
+  });
+});
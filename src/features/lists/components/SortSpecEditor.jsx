@@ -0,0 +1,91 @@
+import React from 'react';
+import { XMarkIcon, ArrowUpIcon, ArrowDownIcon } from '@heroicons/react/24/outline';
+import { SORT_FIELDS } from '../../../common/utils/taskSort';
+
+// Editor for a list's sort keys; earlier keys take precedence over later ones
+function SortSpecEditor({ sortSpec, onChange }) {
+  const unusedFields = Object.keys(SORT_FIELDS).filter(field => !sortSpec.some(key => key.field === field));
+
+  const updateKey = (index, updates) => {
+    onChange(sortSpec.map((key, i) => i === index ? { ...key, ...updates } : key));
+  };
+
+  // Move a key one place up (-1) or down (+1)
+  const moveKey = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= sortSpec.length) return;
+    const next = [...sortSpec];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="flex flex-col gap-2" data-testid="sort-spec-editor">
+      {sortSpec.length === 0 ? (
+        <p className="text-sm text-neutral-500" data-testid="no-sort-message">Manual order</p>
+      ) : (
+        <ol className="flex flex-col gap-1">
+          {sortSpec.map((key, index) => (
+            <li key={key.field} className="flex items-center gap-2 text-sm" data-testid={`sort-key-${index}`}>
+              <span className="w-5 text-xs text-neutral-400">{index + 1}.</span>
+              <span className="grow text-neutral-700">{SORT_FIELDS[key.field] ? SORT_FIELDS[key.field].label : key.field}</span>
+              <button
+                type="button"
+                onClick={() => updateKey(index, { direction: key.direction === 'desc' ? 'asc' : 'desc' })}
+                className="px-2 py-0.5 rounded-md text-xs bg-neutral-100 text-neutral-700 hover:bg-neutral-200"
+                data-testid={`sort-direction-${index}`}
+              >
+                {key.direction === 'desc' ? 'Descending' : 'Ascending'}
+              </button>
+              <button
+                type="button"
+                onClick={() => moveKey(index, -1)}
+                disabled={index === 0}
+                className="p-1 text-neutral-400 hover:text-neutral-700 disabled:opacity-30"
+                aria-label="Sort by this first"
+                data-testid={`sort-key-up-${index}`}
+              >
+                <ArrowUpIcon className="h-3 w-3" />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveKey(index, 1)}
+                disabled={index === sortSpec.length - 1}
+                className="p-1 text-neutral-400 hover:text-neutral-700 disabled:opacity-30"
+                aria-label="Sort by this later"
+                data-testid={`sort-key-down-${index}`}
+              >
+                <ArrowDownIcon className="h-3 w-3" />
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(sortSpec.filter((_, i) => i !== index))}
+                className="p-1 text-neutral-400 hover:text-rose-600"
+                aria-label="Remove sort key"
+                data-testid={`remove-sort-key-${index}`}
+              >
+                <XMarkIcon className="h-3 w-3" />
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+      {unusedFields.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange([...sortSpec, { field: e.target.value, direction: 'asc' }])}
+          className="self-start border border-neutral-300 rounded-md px-2 py-1 text-sm"
+          aria-label="Add sort key"
+          data-testid="add-sort-key"
+        >
+          <option value="">{sortSpec.length === 0 ? 'Sort by…' : 'Then by…'}</option>
+          {unusedFields.map(field => (
+            <option key={field} value={field}>{SORT_FIELDS[field].label}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
+
+export default SortSpecEditor;
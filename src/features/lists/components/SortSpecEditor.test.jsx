@@ -0,0 +1,48 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import SortSpecEditor from './SortSpecEditor';
+
+describe('SortSpecEditor Component', () => {
+  const mockOnChange = vi.fn();
+  const sortSpec = [
+    { field: 'priority', direction: 'asc' },
+    { field: 'dueDate', direction: 'desc' }
+  ];
+
+  beforeEach(() => {
+    mockOnChange.mockClear();
+  });
+
+  test('shows manual order when there are no sort keys', () => {
+    render(<SortSpecEditor sortSpec={[]} onChange={mockOnChange} />);
+
+    expect(screen.getByTestId('no-sort-message')).toHaveTextContent('Manual order');
+    fireEvent.change(screen.getByTestId('add-sort-key'), { target: { value: 'title' } });
+    expect(mockOnChange).toHaveBeenCalledWith([{ field: 'title', direction: 'asc' }]);
+  });
+
+  test('renders keys in order and only offers unused fields', () => {
+    render(<SortSpecEditor sortSpec={sortSpec} onChange={mockOnChange} />);
+
+    expect(screen.getByTestId('sort-key-0')).toHaveTextContent('Priority');
+    expect(screen.getByTestId('sort-key-1')).toHaveTextContent('Due date');
+    expect(screen.getByTestId('sort-direction-1')).toHaveTextContent('Descending');
+    const options = Array.from(screen.getByTestId('add-sort-key').options).map(option => option.value);
+    expect(options).toEqual(['', 'startDate', 'title']);
+  });
+
+  test('toggles direction, reorders and removes keys', () => {
+    render(<SortSpecEditor sortSpec={sortSpec} onChange={mockOnChange} />);
+
+    fireEvent.click(screen.getByTestId('sort-direction-0'));
+    expect(mockOnChange).toHaveBeenLastCalledWith([{ field: 'priority', direction: 'desc' }, sortSpec[1]]);
+
+    expect(screen.getByTestId('sort-key-up-0')).toBeDisabled();
+    fireEvent.click(screen.getByTestId('sort-key-up-1'));
+    expect(mockOnChange).toHaveBeenLastCalledWith([sortSpec[1], sortSpec[0]]);
+
+    fireEvent.click(screen.getByTestId('remove-sort-key-0'));
+    expect(mockOnChange).toHaveBeenLastCalledWith([sortSpec[1]]);
+  });
+});
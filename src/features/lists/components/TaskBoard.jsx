@@ -1,22 +1,218 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { PlusIcon, CheckCircleIcon, TrashIcon, TagIcon } from '@heroicons/react/24/outline';
+import {
+  PlusIcon,
+  CheckCircleIcon,
+  ArchiveBoxIcon,
+  TagIcon,
+  ArrowsUpDownIcon,
+  Squares2X2Icon,
+  ViewColumnsIcon,
+  AdjustmentsHorizontalIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  StarIcon,
+  Bars2Icon
+} from '@heroicons/react/24/outline';
 import TaskList from '../../tasks/components/TaskList';
+import BulkActionBar from '../../tasks/components/BulkActionBar';
 import TaskListConfig from './TaskListConfig';
 import TagManager from '../../tags/components/TagManager';
+import BoardTransfer from '../../transfer/components/BoardTransfer';
+import ArchiveView from '../../archive/components/ArchiveView';
 import ListAddTask from './ListAddTask';
+import ListLayoutMenu from './ListLayoutMenu';
+import KanbanBoard from '../../kanban/components/KanbanBoard';
+import StatusManager from '../../kanban/components/StatusManager';
 import { useTaskContext } from '../../../context/TaskContext';
 import { useTagContext } from '../../../context/TagContext';
 import { useListContext } from '../../../context/ListContext';
+import { useCommand } from '../../../context/ShortcutContext';
+import { parseQuery, matchesQuery, getHighlightTerms } from '../../../common/utils/queryParser';
+import { getRequiredTags } from '../../../common/utils/filterExpression';
+import { sortByOrder, moveIdBefore } from '../../../common/utils/collectionUtils';
+import { countTasks } from '../../../common/utils/subtaskUtils';
+import { sortTasks } from '../../../common/utils/taskSort';
+import { isArchived } from '../../../common/utils/archiveUtils';
+import { moveTaskFocus } from '../../../common/utils/shortcutUtils';
+import { arrangeLists, moveListBefore, getListWidth, getListHeight } from '../../../common/utils/listLayout';
 
-function TaskBoard() {
-  const { tasks, completeAllTasks, deleteCompletedTasks } = useTaskContext();
+// Data transfer type used to drag lists into a new order
+export const LIST_DRAG_TYPE = 'application/x-task-dashboard-list';
+
+const hasDraggedList = (e) => Array.from(e.dataTransfer?.types || []).includes(LIST_DRAG_TYPE);
+
+const readDraggedList = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(LIST_DRAG_TYPE));
+  } catch {
+    return null;
+  }
+};
+
+// view is 'lists' (the task lists) or 'kanban' (one column per status)
+function TaskBoard({ searchQuery = '', view = 'lists', onViewChange = () => {} }) {
+  const { tasks, updateTask, completeAllTasks, archiveCompletedTasks, retagTasks } = useTaskContext();
   const { tags } = useTagContext();
-  const { taskLists, addTaskList, updateTaskList, deleteTaskList, getFilteredTasks } = useListContext();
+  const {
+    taskLists, addTaskList, updateTaskList, updateListLayout, reorderListTasks, reorderTaskLists, deleteTaskList, getFilteredTasks
+  } = useListContext();
   
   const [editingListId, setEditingListId] = useState(null);
   const [showTagManager, setShowTagManager] = useState(false);
+  const [showBoardTransfer, setShowBoardTransfer] = useState(false);
+  const [showArchive, setShowArchive] = useState(false);
   const [addingTaskToListId, setAddingTaskToListId] = useState(null);
+  const [showStatusManager, setShowStatusManager] = useState(false);
+  // Selected tasks belong to one list at a time
+  const [selection, setSelection] = useState({ listId: null, taskIds: [] });
+  // The list a dragged list would be dropped before; 'end' is after the last list
+  const [listDropTargetId, setListDropTargetId] = useState(null);
+
+  // Lists in the order the board shows them, pinned lists first
+  const arrangedLists = arrangeLists(taskLists);
+
+  const searchTerms = useMemo(() => parseQuery(searchQuery), [searchQuery]);
+  const highlightTerms = useMemo(() => getHighlightTerms(searchTerms), [searchTerms]);
+  const isSearching = searchTerms.length > 0;
+
+  // Tasks matching a list's filters, sorted by the list's sort keys; the manual order breaks ties
+  const getOrderedTasks = (list) => sortTasks(
+    sortByOrder(getFilteredTasks(list.filters, tasks, { includeArchived: list.includeArchived }), list.taskOrder),
+    list.sort,
+    { completedLast: list.completedLast }
+  );
+
+  // Tasks shown in a list: its own filters narrowed down by the global search
+  const getVisibleTasks = (list) => {
+    const orderedTasks = getOrderedTasks(list);
+    if (!isSearching) return orderedTasks;
+    const now = new Date();
+    return orderedTasks.filter(task => matchesQuery(searchTerms, task, now));
+  };
+
+  // Every task that isn't archived, narrowed down by the global search, for the Kanban view
+  const getSearchedTasks = () => {
+    const activeTasks = tasks.filter(task => !isArchived(task));
+    if (!isSearching) return activeTasks;
+    const now = new Date();
+    return activeTasks.filter(task => matchesQuery(searchTerms, task, now));
+  };
+
+  // Only tasks still shown in the selection's list count as selected
+  const selectionList = view === 'lists' ? taskLists.find(l => l.id === selection.listId) : null;
+  const selectedTaskIds = selectionList
+    ? getVisibleTasks(selectionList).map(task => task.id).filter(id => selection.taskIds.includes(id))
+    : [];
+  const hasSelection = selectedTaskIds.length > 0;
+
+  const clearSelection = () => setSelection({ listId: null, taskIds: [] });
+
+  useEffect(() => {
+    if (!hasSelection) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setSelection({ listId: null, taskIds: [] });
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [hasSelection]);
+
+  // Keyboard shortcuts and command palette entries for the board
+  useCommand('nextTask', { title: 'Focus the next task', run: () => moveTaskFocus(1) });
+  useCommand('previousTask', { title: 'Focus the previous task', run: () => moveTaskFocus(-1) });
+  useCommand('switchView', {
+    title: view === 'kanban' ? 'Switch to the list view' : 'Switch to the Kanban view',
+    run: () => onViewChange(view === 'kanban' ? 'lists' : 'kanban')
+  });
+  useCommand('addList', { title: 'Add a new list', run: addTaskList, enabled: view === 'lists' });
+  useCommand('editStatuses', { title: 'Edit statuses', run: () => setShowStatusManager(true), enabled: view === 'kanban' });
+  useCommand('manageTags', { title: 'Manage tags', run: () => setShowTagManager(true) });
+  useCommand('boardTransfer', { title: 'Import / Export', run: () => setShowBoardTransfer(true) });
+  useCommand('openArchive', { title: 'Open the archive', run: () => setShowArchive(true) });
+
+  // Move the selected tasks to another list, swapping tags the same way as dragging does
+  const handleMoveSelectionToList = (targetListId) => {
+    const targetList = taskLists.find(l => l.id === targetListId);
+    if (!selectionList || !targetList) return;
+    const count = selectedTaskIds.length;
+    retagTasks(
+      selectedTaskIds,
+      { remove: getRequiredTags(selectionList.filters), add: getRequiredTags(targetList.filters) },
+      `${count === 1 ? '1 task' : `${count} tasks`} moved to "${targetList.title}"`
+    );
+    clearSelection();
+  };
+
+  // Move a task before another task (null = at the end), within a list or from another list
+  const handleMoveTask = (targetListId, taskId, beforeTaskId, sourceListId) => {
+    const targetList = taskLists.find(l => l.id === targetListId);
+    const task = tasks.find(t => t.id === taskId);
+    if (!targetList || !task) return;
+
+    const sourceList = taskLists.find(l => l.id === sourceListId);
+    if (sourceList && sourceList.id !== targetList.id) {
+      // Swap the tags the source list requires for the ones the target list requires
+      const removedTags = getRequiredTags(sourceList.filters);
+      const addedTags = getRequiredTags(targetList.filters);
+      const currentTags = task.tags || [];
+      const newTags = [...new Set([...currentTags.filter(tag => !removedTags.includes(tag)), ...addedTags])];
+      if (newTags.length !== currentTags.length || newTags.some((tag, i) => tag !== currentTags[i])) {
+        updateTask(taskId, { tags: newTags });
+      }
+    }
+
+    const orderedIds = getOrderedTasks(targetList).map(t => t.id);
+    reorderListTasks(targetListId, moveIdBefore(orderedIds, taskId, beforeTaskId));
+  };
+
+  // Keyboard equivalent of dragging a task onto the previous or next list
+  const handleMoveToAdjacentList = (sourceListId, taskId, direction) => {
+    const index = arrangedLists.findIndex(l => l.id === sourceListId);
+    const targetList = arrangedLists[index + direction];
+    if (index === -1 || !targetList) return;
+    handleMoveTask(targetList.id, taskId, null, sourceListId);
+  };
+
+  // Move a list before another list (null = at the end); pinned lists stay first
+  const handleMoveList = (listId, beforeListId) => {
+    reorderTaskLists(moveListBefore(taskLists, listId, beforeListId));
+  };
+
+  const handleListDragStart = (e, list) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData(LIST_DRAG_TYPE, JSON.stringify({ listId: list.id }));
+  };
+
+  const handleListDragOver = (e, targetId) => {
+    if (!hasDraggedList(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setListDropTargetId(targetId);
+  };
+
+  const handleListDrop = (e, beforeListId) => {
+    if (!hasDraggedList(e)) return;
+    e.preventDefault();
+    setListDropTargetId(null);
+    const dragged = readDraggedList(e);
+    if (!dragged || dragged.listId === beforeListId) return;
+    handleMoveList(dragged.listId, beforeListId);
+  };
+
+  // Alt+Arrow keys on a list's handle move the list one place earlier or later
+  const handleListKeyDown = (e, index) => {
+    if (!e.altKey) return;
+    const list = arrangedLists[index];
+
+    if ((e.key === 'ArrowLeft' || e.key === 'ArrowUp') && index > 0) {
+      handleMoveList(list.id, arrangedLists[index - 1].id);
+    } else if ((e.key === 'ArrowRight' || e.key === 'ArrowDown') && index < arrangedLists.length - 1) {
+      handleMoveList(list.id, arrangedLists[index + 2] ? arrangedLists[index + 2].id : null);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
 
   // Start editing a task list's configuration
   const handleEditTaskList = (id) => {
@@ -38,8 +234,8 @@ function TaskBoard() {
     const list = taskLists.find(l => l.id === listId);
     if (!list) return;
     
-    // Get the tasks that are visible in this list based on its filters
-    const filteredTasks = getFilteredTasks(list.filters, tasks);
+    // Get the tasks that are visible in this list based on its filters and the search
+    const filteredTasks = getVisibleTasks(list);
     
     // Extract just the IDs of these filtered tasks to complete
     const filteredTaskIds = filteredTasks.map(task => task.id);
@@ -48,21 +244,21 @@ function TaskBoard() {
     completeAllTasks(filteredTaskIds);
   };
 
-  // Delete completed tasks in a specific list
-  const handleDeleteListCompletedTasks = (listId) => {
+  // Archive completed tasks in a specific list; they can be restored or purged from the archive
+  const handleArchiveListCompletedTasks = (listId) => {
     const list = taskLists.find(l => l.id === listId);
     if (!list) return;
     
-    // Get the tasks that are visible in this list based on its filters
-    const filteredTasks = getFilteredTasks(list.filters, tasks);
+    // Get the tasks that are visible in this list based on its filters and the search
+    const filteredTasks = getVisibleTasks(list);
     
     // Extract just the IDs of the completed tasks in this filtered list
     const completedFilteredTaskIds = filteredTasks
-      .filter(task => task.isCompleted)
+      .filter(task => task.isCompleted && !isArchived(task))
       .map(task => task.id);
     
-    // Pass these IDs to the deleteCompletedTasks function
-    deleteCompletedTasks(completedFilteredTaskIds);
+    // Pass these IDs to the archiveCompletedTasks function
+    archiveCompletedTasks(completedFilteredTaskIds);
   };
 
   // Handle saving list configuration and closing the editor
@@ -74,16 +270,69 @@ function TaskBoard() {
   return (
     <div className="task-board" data-testid="task-board">
       <div className="mb-4 flex justify-between items-center">
-        <h2 className="font-semibold text-lg text-neutral-700">Task Lists</h2>
-        <button 
-          type="button"
-          className="flex items-center text-sm font-medium text-primary-600 hover:text-primary-800 transition-colors px-3 py-1.5 hover:bg-primary-50 rounded-lg"
-          onClick={handleManageTags}
-          data-testid="manage-tags-button"
-        >
-          <TagIcon className="h-4 w-4 mr-2" />
-          Manage Tags
-        </button>
+        <div className="flex items-center gap-3">
+          <h2 className="font-semibold text-lg text-neutral-700">{view === 'kanban' ? 'Kanban' : 'Task Lists'}</h2>
+          <div className="flex rounded-lg bg-neutral-100 p-0.5" role="group" aria-label="Board view">
+            {[
+              ['lists', 'Lists', Squares2X2Icon],
+              ['kanban', 'Kanban', ViewColumnsIcon]
+            ].map(([mode, label, Icon]) => (
+              <button
+                key={mode}
+                type="button"
+                onClick={() => onViewChange(mode)}
+                aria-pressed={view === mode}
+                className={`flex items-center px-2 py-1 rounded-md text-xs font-medium transition-colors ${
+                  view === mode ? 'bg-white text-primary-700 shadow-xs' : 'text-neutral-500 hover:text-neutral-700'
+                }`}
+                data-testid={`view-${mode}-button`}
+              >
+                <Icon className="h-4 w-4 mr-1" />
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          {view === 'kanban' && (
+            <button 
+              type="button"
+              className="flex items-center text-sm font-medium text-primary-600 hover:text-primary-800 transition-colors px-3 py-1.5 hover:bg-primary-50 rounded-lg"
+              onClick={() => setShowStatusManager(true)}
+              data-testid="edit-statuses-button"
+            >
+              <AdjustmentsHorizontalIcon className="h-4 w-4 mr-2" />
+              Edit Statuses
+            </button>
+          )}
+          <button 
+            type="button"
+            className="flex items-center text-sm font-medium text-primary-600 hover:text-primary-800 transition-colors px-3 py-1.5 hover:bg-primary-50 rounded-lg"
+            onClick={() => setShowBoardTransfer(true)}
+            data-testid="board-transfer-button"
+          >
+            <ArrowsUpDownIcon className="h-4 w-4 mr-2" />
+            Import / Export
+          </button>
+          <button 
+            type="button"
+            className="flex items-center text-sm font-medium text-primary-600 hover:text-primary-800 transition-colors px-3 py-1.5 hover:bg-primary-50 rounded-lg"
+            onClick={() => setShowArchive(true)}
+            data-testid="archive-button"
+          >
+            <ArchiveBoxIcon className="h-4 w-4 mr-2" />
+            Archive
+          </button>
+          <button 
+            type="button"
+            className="flex items-center text-sm font-medium text-primary-600 hover:text-primary-800 transition-colors px-3 py-1.5 hover:bg-primary-50 rounded-lg"
+            onClick={handleManageTags}
+            data-testid="manage-tags-button"
+          >
+            <TagIcon className="h-4 w-4 mr-2" />
+            Manage Tags
+          </button>
+        </div>
       </div>
       
       {/* Tag Manager Modal */}
@@ -110,130 +359,278 @@ function TaskBoard() {
         )}
       </AnimatePresence>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-[repeat(auto-fill,minmax(20rem,1fr))] gap-4" data-testid="task-lists-container">
-        {taskLists.map(list => {
-          const filteredTasks = getFilteredTasks(list.filters, tasks);
-          const completedTasksCount = filteredTasks.filter(task => task.isCompleted).length;
-          const hasCompletedTasks = completedTasksCount > 0;
-          const allTasksCompleted = filteredTasks.length > 0 && filteredTasks.every(task => task.isCompleted);
-          
-          return (
-            <div 
-              key={list.id} 
-              className="task-list-container bg-white rounded-xl shadow-soft w-full flex flex-col"
-              data-testid={`task-list-${list.id}`}
+      {/* Import / Export Modal */}
+      <AnimatePresence>
+        {showBoardTransfer && (
+          <motion.div 
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={() => setShowBoardTransfer(false)}
+            data-testid="board-transfer-modal"
+          >
+            <motion.div 
+              className="p-1 rounded-xl max-w-lg w-full"
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              onClick={e => e.stopPropagation()}
+            >
+              <BoardTransfer onClose={() => setShowBoardTransfer(false)} />
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Archive Modal */}
+      <AnimatePresence>
+        {showArchive && (
+          <motion.div 
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={() => setShowArchive(false)}
+            data-testid="archive-modal"
+          >
+            <motion.div 
+              className="p-1 rounded-xl max-w-lg w-full"
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              onClick={e => e.stopPropagation()}
             >
-              {editingListId === list.id ? (
-                <TaskListConfig 
-                  taskList={list}
-                  onSave={(updates) => handleSaveListConfig(list.id, updates)}
-                  onCancel={() => setEditingListId(null)}
-                />
-              ) : (
-                <>
-                  <div className="list-header p-4 border-b border-neutral-100 flex justify-between items-center">
-                    <h2 className="font-medium text-lg" data-testid={`list-title-${list.id}`}>{list.title}</h2>
-                    <div className="flex items-center gap-2">
-                      <span 
-                        className="text-xs font-medium text-neutral-500 bg-neutral-100 px-2 py-0.5 rounded-xs"
-                        data-testid={`task-count-${list.id}`}
-                      >
-                        {completedTasksCount}/{filteredTasks.length}
-                      </span>
-                      <button 
-                        type="button"
-                        className="text-sm text-neutral-500 hover:text-neutral-700 px-2 py-1 hover:bg-neutral-100 rounded-xs"
-                        onClick={() => handleEditTaskList(list.id)}
-                        data-testid={`edit-list-${list.id}`}
-                      >
-                        Edit
-                      </button>
-                      {list.id !== 'default' && (
+              <ArchiveView onClose={() => setShowArchive(false)} />
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Status Manager Modal */}
+      <AnimatePresence>
+        {showStatusManager && (
+          <motion.div 
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={() => setShowStatusManager(false)}
+            data-testid="status-manager-modal"
+          >
+            <motion.div 
+              className="p-1 rounded-xl max-w-md w-full"
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              onClick={e => e.stopPropagation()}
+            >
+              <StatusManager onClose={() => setShowStatusManager(false)} />
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {view === 'kanban' ? (
+        <KanbanBoard tasks={getSearchedTasks()} highlightTerms={highlightTerms} />
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-[repeat(auto-fill,minmax(20rem,1fr))] gap-4" data-testid="task-lists-container">
+          {arrangedLists.map((list, index) => {
+            const filteredTasks = getVisibleTasks(list);
+            // Lists can count subtasks in their progress too
+            const progress = countTasks(filteredTasks, list.countSubtasks);
+            const hasCompletedTasks = filteredTasks.some(task => task.isCompleted && !isArchived(task));
+            const allTasksCompleted = filteredTasks.length > 0 && filteredTasks.every(task => task.isCompleted);
+          
+            return (
+              <div 
+                key={list.id} 
+                className={`task-list-container bg-white rounded-xl shadow-soft w-full flex flex-col self-start ${getListWidth(list).className} ${
+                  listDropTargetId === list.id ? 'ring-2 ring-primary-300' : ''
+                }`}
+                onDragOver={(e) => handleListDragOver(e, list.id)}
+                onDragLeave={() => setListDropTargetId(null)}
+                onDrop={(e) => handleListDrop(e, list.id)}
+                data-testid={`task-list-${list.id}`}
+              >
+                {editingListId === list.id ? (
+                  <TaskListConfig 
+                    taskList={list}
+                    onSave={(updates) => handleSaveListConfig(list.id, updates)}
+                    onCancel={() => setEditingListId(null)}
+                  />
+                ) : (
+                  <>
+                    <div
+                      className={`list-header p-4 flex justify-between items-center ${list.collapsed ? '' : 'border-b border-neutral-100'}`}
+                      draggable
+                      onDragStart={(e) => handleListDragStart(e, list)}
+                      onDragEnd={() => setListDropTargetId(null)}
+                      data-testid={`list-header-${list.id}`}
+                    >
+                      <div className="flex items-center gap-1 min-w-0">
+                        <button
+                          type="button"
+                          className="p-1 text-neutral-300 hover:text-neutral-500 cursor-grab rounded-xs focus:outline-hidden focus-visible:ring-2 focus-visible:ring-primary-400"
+                          onKeyDown={(e) => handleListKeyDown(e, index)}
+                          aria-label={`${list.title}. Drag or press Alt and the arrow keys to move the list`}
+                          data-testid={`drag-list-${list.id}`}
+                        >
+                          <Bars2Icon className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          className="p-1 text-neutral-400 hover:text-neutral-700 rounded-xs"
+                          onClick={() => updateListLayout(list.id, { collapsed: !list.collapsed })}
+                          aria-expanded={!list.collapsed}
+                          aria-label={`${list.collapsed ? 'Expand' : 'Collapse'} ${list.title}`}
+                          data-testid={`collapse-list-${list.id}`}
+                        >
+                          {list.collapsed ? <ChevronRightIcon className="h-4 w-4" /> : <ChevronDownIcon className="h-4 w-4" />}
+                        </button>
+                        <h2 className="font-medium text-lg truncate" data-testid={`list-title-${list.id}`}>{list.title}</h2>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span 
+                          className="text-xs font-medium text-neutral-500 bg-neutral-100 px-2 py-0.5 rounded-xs"
+                          data-testid={`task-count-${list.id}`}
+                        >
+                          {progress.completed}/{progress.total}
+                        </span>
+                        <button
+                          type="button"
+                          className={`p-1 rounded-xs hover:bg-neutral-100 ${list.pinned ? 'text-amber-500' : 'text-neutral-400 hover:text-neutral-700'}`}
+                          onClick={() => updateListLayout(list.id, { pinned: !list.pinned })}
+                          aria-pressed={Boolean(list.pinned)}
+                          aria-label={`${list.pinned ? 'Unpin' : 'Pin'} ${list.title}`}
+                          data-testid={`pin-list-${list.id}`}
+                        >
+                          <StarIcon className={`h-4 w-4 ${list.pinned ? 'fill-current' : ''}`} />
+                        </button>
+                        <ListLayoutMenu list={list} onChange={(updates) => updateListLayout(list.id, updates)} />
                         <button 
                           type="button"
-                          className="text-sm text-rose-500 hover:text-rose-700 px-2 py-1 hover:bg-rose-50 rounded-xs"
-                          onClick={() => deleteTaskList(list.id)}
-                          data-testid={`delete-list-${list.id}`}
+                          className="text-sm text-neutral-500 hover:text-neutral-700 px-2 py-1 hover:bg-neutral-100 rounded-xs"
+                          onClick={() => handleEditTaskList(list.id)}
+                          data-testid={`edit-list-${list.id}`}
                         >
-                          Delete
+                          Edit
                         </button>
-                      )}
+                        {list.id !== 'default' && (
+                          <button 
+                            type="button"
+                            className="text-sm text-rose-500 hover:text-rose-700 px-2 py-1 hover:bg-rose-50 rounded-xs"
+                            onClick={() => deleteTaskList(list.id)}
+                            data-testid={`delete-list-${list.id}`}
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
                     </div>
-                  </div>
                   
-                  <div className="list-body p-4 grow overflow-y-auto max-h-[50vh]">
-                    {/* Show add task form when adding to this list */}
-                    {addingTaskToListId === list.id ? (
-                      <div className="mb-3">
-                        <ListAddTask 
-                          onCancel={() => setAddingTaskToListId(null)}
-                          listFilters={list.filters}
-                        />
-                      </div>
-                    ) : (
-                      <button
-                        type="button"
-                        onClick={() => handleAddTaskToList(list.id)}
-                        className="mb-3 w-full py-2 px-3 flex items-center justify-center text-sm text-neutral-600 hover:text-primary-600 bg-neutral-50 hover:bg-neutral-100 rounded-lg border border-dashed border-neutral-300 hover:border-primary-300 transition-colors"
-                        data-testid={`add-task-to-list-${list.id}`}
-                      >
-                        <PlusIcon className="h-4 w-4 mr-1.5" />
-                        Add task to this list
-                      </button>
-                    )}
+                    {!list.collapsed && (
+                      <>
+                        <div className={`list-body p-4 grow overflow-y-auto ${getListHeight(list).className}`}>
+                          {/* Show add task form when adding to this list */}
+                          {addingTaskToListId === list.id ? (
+                            <div className="mb-3">
+                              <ListAddTask 
+                                onCancel={() => setAddingTaskToListId(null)}
+                                listFilters={list.filters}
+                              />
+                            </div>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => handleAddTaskToList(list.id)}
+                              className="mb-3 w-full py-2 px-3 flex items-center justify-center text-sm text-neutral-600 hover:text-primary-600 bg-neutral-50 hover:bg-neutral-100 rounded-lg border border-dashed border-neutral-300 hover:border-primary-300 transition-colors"
+                              data-testid={`add-task-to-list-${list.id}`}
+                            >
+                              <PlusIcon className="h-4 w-4 mr-1.5" />
+                              Add task to this list
+                            </button>
+                          )}
                     
-                    <TaskList tasks={filteredTasks} />
-                  </div>
+                          <TaskList 
+                            tasks={filteredTasks}
+                            listId={list.id}
+                            onMoveTask={(taskId, beforeTaskId, sourceListId) => handleMoveTask(list.id, taskId, beforeTaskId, sourceListId)}
+                            onMoveToAdjacentList={(taskId, direction) => handleMoveToAdjacentList(list.id, taskId, direction)}
+                            selectedTaskIds={selectionList && selectionList.id === list.id ? selectedTaskIds : []}
+                            onSelectionChange={(taskIds) => setSelection({ listId: list.id, taskIds })}
+                            highlightTerms={highlightTerms}
+                            emptyMessage={isSearching ? 'No tasks match your search' : undefined}
+                          />
+                        </div>
                   
-                  {/* List action buttons */}
-                  {filteredTasks.length > 0 && (
-                    <div className="list-actions p-3 border-t border-neutral-100 flex justify-between">
-                      <motion.button 
-                        type="button"
-                        onClick={() => handleCompleteListTasks(list.id)} 
-                        className="flex items-center text-xs font-medium text-primary-600 hover:text-primary-800 transition-colors px-2 py-1 hover:bg-primary-50 rounded-lg"
-                        disabled={allTasksCompleted}
-                        whileHover={{ scale: allTasksCompleted ? 1 : 1.02 }}
-                        whileTap={{ scale: allTasksCompleted ? 1 : 0.98 }}
-                        data-testid={`complete-all-${list.id}`}
-                      >
-                        <CheckCircleIcon className="h-3 w-3 mr-1" />
-                        Complete All
-                      </motion.button>
+                        {/* List action buttons */}
+                        {filteredTasks.length > 0 && (
+                          <div className="list-actions p-3 border-t border-neutral-100 flex justify-between">
+                            <motion.button 
+                              type="button"
+                              onClick={() => handleCompleteListTasks(list.id)} 
+                              className="flex items-center text-xs font-medium text-primary-600 hover:text-primary-800 transition-colors px-2 py-1 hover:bg-primary-50 rounded-lg"
+                              disabled={allTasksCompleted}
+                              whileHover={{ scale: allTasksCompleted ? 1 : 1.02 }}
+                              whileTap={{ scale: allTasksCompleted ? 1 : 0.98 }}
+                              data-testid={`complete-all-${list.id}`}
+                            >
+                              <CheckCircleIcon className="h-3 w-3 mr-1" />
+                              Complete All
+                            </motion.button>
                       
-                      <motion.button 
-                        type="button"
-                        onClick={() => handleDeleteListCompletedTasks(list.id)} 
-                        className="flex items-center text-xs font-medium text-rose-500 hover:text-rose-700 transition-colors px-2 py-1 hover:bg-rose-50 rounded-lg"
-                        disabled={!hasCompletedTasks}
-                        whileHover={{ scale: !hasCompletedTasks ? 1 : 1.02 }}
-                        whileTap={{ scale: !hasCompletedTasks ? 1 : 0.98 }}
-                        data-testid={`clear-completed-${list.id}`}
-                      >
-                        <TrashIcon className="h-3 w-3 mr-1" />
-                        Clear Completed
-                      </motion.button>
-                    </div>
-                  )}
-                </>
-              )}
-            </div>
-          );
-        })}
-
-        {/* Add new task list button */}
-        <motion.button
-          type="button"
-          className="add-list-button h-48 rounded-xl border-2 border-dashed border-neutral-200 flex flex-col items-center justify-center text-neutral-400 hover:text-primary-600 hover:border-primary-300 transition-colors"
-          onClick={addTaskList}
-          whileHover={{ scale: 1.02 }}
-          whileTap={{ scale: 0.98 }}
-          data-testid="add-list-button"
-        >
-          <PlusIcon className="h-10 w-10" />
-          <span className="mt-2 font-medium">Add New List</span>
-        </motion.button>
-      </div>
+                            <motion.button 
+                              type="button"
+                              onClick={() => handleArchiveListCompletedTasks(list.id)} 
+                              className="flex items-center text-xs font-medium text-neutral-500 hover:text-neutral-700 transition-colors px-2 py-1 hover:bg-neutral-100 rounded-lg"
+                              disabled={!hasCompletedTasks}
+                              whileHover={{ scale: !hasCompletedTasks ? 1 : 1.02 }}
+                              whileTap={{ scale: !hasCompletedTasks ? 1 : 0.98 }}
+                              data-testid={`clear-completed-${list.id}`}
+                            >
+                              <ArchiveBoxIcon className="h-3 w-3 mr-1" />
+                              Archive Completed
+                            </motion.button>
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
+            );
+          })}
+
+          {/* Add new task list button */}
+          <motion.button
+            type="button"
+            className={`add-list-button h-48 rounded-xl border-2 border-dashed flex flex-col items-center justify-center text-neutral-400 hover:text-primary-600 hover:border-primary-300 transition-colors ${
+              listDropTargetId === 'end' ? 'border-primary-300' : 'border-neutral-200'
+            }`}
+            onClick={addTaskList}
+            // Dropping a list here moves it to the end
+            onDragOver={(e) => handleListDragOver(e, 'end')}
+            onDragLeave={() => setListDropTargetId(null)}
+            onDrop={(e) => handleListDrop(e, null)}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            data-testid="add-list-button"
+          >
+            <PlusIcon className="h-10 w-10" />
+            <span className="mt-2 font-medium">Add New List</span>
+          </motion.button>
+        </div>
+      )}
+
+      {hasSelection && (
+        <BulkActionBar
+          taskIds={selectedTaskIds}
+          targetLists={taskLists.filter(l => l.id !== selectionList.id)}
+          onMoveToList={handleMoveSelectionToList}
+          onClear={clearSelection}
+        />
+      )}
     </div>
   );
 }
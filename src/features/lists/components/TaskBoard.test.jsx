@@ -1,15 +1,33 @@
 import React from 'react';
 import { render, screen, fireEvent } from '@testing-library/react';
 import { vi } from 'vitest';
-import TaskBoard from './TaskBoard';
+import TaskBoard, { LIST_DRAG_TYPE } from './TaskBoard';
 
 // Mock dependencies
 vi.mock('../../tasks/components/TaskList', () => {
   return {
-    default: function MockTaskList({ tasks }) {
+    default: function MockTaskList({
+      tasks,
+      listId,
+      onMoveTask,
+      onMoveToAdjacentList,
+      selectedTaskIds,
+      onSelectionChange,
+      highlightTerms,
+      emptyMessage
+    }) {
       return (
         <div data-testid="mocked-task-list">
+          <span data-testid={`mocked-selection-${listId}`}>{selectedTaskIds.join(',')}</span>
+          <button onClick={() => onSelectionChange([1, 3])} data-testid={`mock-select-1-3-${listId}`}>Select</button>
           Tasks count: {tasks.length}
+          <span data-testid={`mocked-task-order-${listId}`}>{tasks.map(task => task.id).join(',')}</span>
+          <button onClick={() => onMoveTask(3, 1, listId)} data-testid={`mock-move-3-before-1-${listId}`}>Move</button>
+          <button onClick={() => onMoveTask(2, null, 'default')} data-testid={`mock-drop-2-from-default-${listId}`}>Drop</button>
+          <button onClick={() => onMoveTask(1, null, 'list-123')} data-testid={`mock-drop-1-from-work-${listId}`}>Drop</button>
+          <button onClick={() => onMoveToAdjacentList(1, 1)} data-testid={`mock-move-1-right-${listId}`}>Right</button>
+          {highlightTerms && highlightTerms.length > 0 && <span data-testid="mocked-highlight-terms">{highlightTerms.join(',')}</span>}
+          {emptyMessage && <span data-testid="mocked-empty-message">{emptyMessage}</span>}
         </div>
       );
     }
@@ -28,6 +46,50 @@ vi.mock('../../tags/components/TagManager', () => {
   };
 });
 
+vi.mock('../../transfer/components/BoardTransfer', () => {
+  return {
+    default: function MockBoardTransfer({ onClose }) {
+      return (
+        <div data-testid="mocked-board-transfer">
+          <button onClick={onClose} data-testid="mock-board-transfer-close">Close</button>
+        </div>
+      );
+    }
+  };
+});
+
+vi.mock('../../archive/components/ArchiveView', () => {
+  return {
+    default: function MockArchiveView({ onClose }) {
+      return (
+        <div data-testid="mocked-archive-view">
+          <button onClick={onClose} data-testid="mock-archive-close">Close</button>
+        </div>
+      );
+    }
+  };
+});
+
+vi.mock('../../kanban/components/KanbanBoard', () => {
+  return {
+    default: function MockKanbanBoard({ tasks }) {
+      return <div data-testid="mocked-kanban-board">{tasks.map(task => task.id).join(',')}</div>;
+    }
+  };
+});
+
+vi.mock('../../kanban/components/StatusManager', () => {
+  return {
+    default: function MockStatusManager({ onClose }) {
+      return (
+        <div data-testid="mocked-status-manager">
+          <button onClick={onClose} data-testid="mock-status-manager-close">Close</button>
+        </div>
+      );
+    }
+  };
+});
+
 vi.mock('./ListAddTask', () => {
   return {
     default: function MockListAddTask({ onCancel, listFilters }) {
@@ -41,6 +103,21 @@ vi.mock('./ListAddTask', () => {
   };
 });
 
+vi.mock('../../tasks/components/BulkActionBar', () => {
+  return {
+    default: function MockBulkActionBar({ taskIds, targetLists, onMoveToList, onClear }) {
+      return (
+        <div data-testid="mocked-bulk-action-bar">
+          <span data-testid="mocked-bulk-task-ids">{taskIds.join(',')}</span>
+          <span data-testid="mocked-bulk-target-lists">{targetLists.map(list => list.id).join(',')}</span>
+          <button onClick={() => onMoveToList(targetLists[0].id)} data-testid="mock-bulk-move">Move</button>
+          <button onClick={onClear} data-testid="mock-bulk-clear">Clear</button>
+        </div>
+      );
+    }
+  };
+});
+
 vi.mock('./TaskListConfig', () => {
   return {
     default: function MockTaskListConfig({ taskList, onSave, onCancel }) {
@@ -66,20 +143,33 @@ vi.mock('./TaskListConfig', () => {
 
 // Mock context hooks
 const mockTasks = [
-  { id: 1, text: 'Task 1', isCompleted: false },
-  { id: 2, text: 'Task 2', isCompleted: true },
-  { id: 3, text: 'Task 3', isCompleted: false }
+  { id: 1, title: 'Task 1', isCompleted: false, tags: ['work'] },
+  { id: 2, title: 'Task 2', isCompleted: true, tags: ['personal'] },
+  {
+    id: 3,
+    title: 'Task 3',
+    isCompleted: false,
+    subtasks: [
+      { id: 'a', title: 'Subtask A', isCompleted: true, subtasks: [] },
+      { id: 'b', title: 'Subtask B', isCompleted: false, subtasks: [] }
+    ]
+  }
 ];
 
 const mockTaskLists = [
   { id: 'default', title: 'All Tasks', filters: [] },
-  { id: 'list-123', title: 'Work Tasks', filters: [{ type: 'tag', value: 'work' }] }
+  { id: 'list-123', title: 'Work Tasks', filters: [{ type: 'tag', value: 'work' }], taskOrder: [3, 1], countSubtasks: true }
 ];
 
 const mockCompleteAllTasks = vi.fn();
-const mockDeleteCompletedTasks = vi.fn();
+const mockArchiveCompletedTasks = vi.fn();
+const mockUpdateTask = vi.fn();
+const mockRetagTasks = vi.fn();
+const mockReorderListTasks = vi.fn();
+const mockReorderTaskLists = vi.fn();
 const mockAddTaskList = vi.fn();
 const mockUpdateTaskList = vi.fn();
+const mockUpdateListLayout = vi.fn();
 const mockDeleteTaskList = vi.fn();
 const mockGetFilteredTasks = vi.fn().mockImplementation((filters, tasks) => {
   // Simple implementation to return all tasks for testing
@@ -89,14 +179,16 @@ const mockGetFilteredTasks = vi.fn().mockImplementation((filters, tasks) => {
 vi.mock('../../../context/TaskContext', () => ({
   useTaskContext: () => ({
     tasks: mockTasks,
+    updateTask: mockUpdateTask,
+    retagTasks: mockRetagTasks,
     completeAllTasks: mockCompleteAllTasks,
-    deleteCompletedTasks: mockDeleteCompletedTasks
+    archiveCompletedTasks: mockArchiveCompletedTasks
   })
 }));
 
 vi.mock('../../../context/TagContext', () => ({
   useTagContext: () => ({
-    tags: ['work', 'personal', 'urgent']
+    tags: [{ id: 'work', name: 'work' }, { id: 'personal', name: 'personal' }, { id: 'urgent', name: 'urgent' }]
   })
 }));
 
@@ -105,6 +197,9 @@ vi.mock('../../../context/ListContext', () => ({
     taskLists: mockTaskLists,
     addTaskList: mockAddTaskList,
     updateTaskList: mockUpdateTaskList,
+    updateListLayout: mockUpdateListLayout,
+    reorderListTasks: mockReorderListTasks,
+    reorderTaskLists: mockReorderTaskLists,
     deleteTaskList: mockDeleteTaskList,
     getFilteredTasks: mockGetFilteredTasks
   })
@@ -113,9 +208,15 @@ vi.mock('../../../context/ListContext', () => ({
 describe('TaskBoard Component', () => {
   beforeEach(() => {
     mockCompleteAllTasks.mockClear();
-    mockDeleteCompletedTasks.mockClear();
+    mockArchiveCompletedTasks.mockClear();
+    mockGetFilteredTasks.mockClear();
+    mockUpdateTask.mockClear();
+    mockRetagTasks.mockClear();
+    mockReorderListTasks.mockClear();
+    mockReorderTaskLists.mockClear();
     mockAddTaskList.mockClear();
     mockUpdateTaskList.mockClear();
+    mockUpdateListLayout.mockClear();
     mockDeleteTaskList.mockClear();
     mockGetFilteredTasks.mockClear();
   });
@@ -165,6 +266,26 @@ describe('TaskBoard Component', () => {
     expect(screen.queryByTestId('tag-manager-modal')).not.toBeInTheDocument();
   });
 
+  test('opens and closes the archive', () => {
+    render(<TaskBoard />);
+    
+    fireEvent.click(screen.getByTestId('archive-button'));
+    expect(screen.getByTestId('mocked-archive-view')).toBeInTheDocument();
+    
+    fireEvent.click(screen.getByTestId('mock-archive-close'));
+    expect(screen.queryByTestId('archive-modal')).not.toBeInTheDocument();
+  });
+
+  test('opens and closes the import / export dialog', () => {
+    render(<TaskBoard />);
+    
+    fireEvent.click(screen.getByTestId('board-transfer-button'));
+    expect(screen.getByTestId('mocked-board-transfer')).toBeInTheDocument();
+    
+    fireEvent.click(screen.getByTestId('mock-board-transfer-close'));
+    expect(screen.queryByTestId('board-transfer-modal')).not.toBeInTheDocument();
+  });
+
   test('shows task list config when edit button is clicked', () => {
     render(<TaskBoard />);
     
@@ -237,14 +358,27 @@ describe('TaskBoard Component', () => {
     expect(mockCompleteAllTasks).toHaveBeenCalled();
   });
 
-  test('clears completed tasks in a list when clear completed button is clicked', () => {
+  test('archives completed tasks in a list when archive completed button is clicked', () => {
     render(<TaskBoard />);
     
     const clearCompletedButton = screen.getByTestId('clear-completed-default');
+    expect(clearCompletedButton).toHaveTextContent('Archive Completed');
     fireEvent.click(clearCompletedButton);
     
-    // Should call deleteCompletedTasks with IDs of completed tasks in the list
-    expect(mockDeleteCompletedTasks).toHaveBeenCalled();
+    // Should call archiveCompletedTasks with IDs of completed tasks in the list
+    expect(mockArchiveCompletedTasks).toHaveBeenCalledWith([2]);
+  });
+
+  test('asks for archived tasks only in lists that include them', () => {
+    mockTaskLists.push({ id: 'list-archive', title: 'Done at the conference', filters: [], includeArchived: true });
+    try {
+      render(<TaskBoard />);
+    } finally {
+      mockTaskLists.pop();
+    }
+    
+    expect(mockGetFilteredTasks).toHaveBeenCalledWith([], mockTasks, { includeArchived: undefined });
+    expect(mockGetFilteredTasks).toHaveBeenCalledWith([], mockTasks, { includeArchived: true });
   });
 
   test('deletes a task list when delete button is clicked', () => {
@@ -256,4 +390,284 @@ describe('TaskBoard Component', () => {
     
     expect(mockDeleteTaskList).toHaveBeenCalledWith('list-123');
   });
-});
\ No newline at end of file
+
+  test('counts subtasks in the progress of lists that ask for it', () => {
+    render(<TaskBoard />);
+    
+    expect(screen.getByTestId('task-count-default')).toHaveTextContent('1/3');
+    expect(screen.getByTestId('task-count-list-123')).toHaveTextContent('2/5');
+  });
+
+  test('narrows every list down to tasks matching the search query', () => {
+    render(<TaskBoard searchQuery="task 2" />);
+    
+    expect(screen.getByTestId('task-count-default')).toHaveTextContent('1/1');
+    expect(screen.getByTestId('task-count-list-123')).toHaveTextContent('1/1');
+    expect(screen.getAllByTestId('mocked-highlight-terms')[0]).toHaveTextContent('task,2');
+  });
+
+  test('shows a search specific empty message', () => {
+    render(<TaskBoard searchQuery="nothing-matches" />);
+    
+    expect(screen.getByTestId('task-count-default')).toHaveTextContent('0/0');
+    expect(screen.getAllByTestId('mocked-empty-message')[0]).toHaveTextContent('No tasks match your search');
+  });
+
+  test('only completes the tasks matching the search', () => {
+    render(<TaskBoard searchQuery="is:open" />);
+    
+    fireEvent.click(screen.getByTestId('complete-all-default'));
+    expect(mockCompleteAllTasks).toHaveBeenCalledWith([1, 3]);
+  });
+
+  test('shows tasks in the list\'s manual order', () => {
+    render(<TaskBoard />);
+    
+    expect(screen.getByTestId('mocked-task-order-default')).toHaveTextContent('1,2,3');
+    expect(screen.getByTestId('mocked-task-order-list-123')).toHaveTextContent('3,1,2');
+  });
+
+  test('sorts a list by its sort keys, with completed tasks at the bottom', () => {
+    mockTaskLists.push({
+      id: 'sorted',
+      title: 'Sorted',
+      filters: [],
+      taskOrder: [1, 2, 3],
+      sort: [{ field: 'title', direction: 'desc' }],
+      completedLast: true
+    });
+    try {
+      render(<TaskBoard />);
+      expect(screen.getByTestId('mocked-task-order-sorted')).toHaveTextContent('3,1,2');
+    } finally {
+      mockTaskLists.pop();
+    }
+  });
+
+  test('persists a new order when a task is moved within a list', () => {
+    render(<TaskBoard />);
+    
+    fireEvent.click(screen.getByTestId('mock-move-3-before-1-default'));
+    expect(mockReorderListTasks).toHaveBeenCalledWith('default', [3, 1, 2]);
+    expect(mockUpdateTask).not.toHaveBeenCalled();
+  });
+
+  test('adds the target list\'s required tags when a task is dropped onto it', () => {
+    render(<TaskBoard />);
+    
+    fireEvent.click(screen.getByTestId('mock-drop-2-from-default-list-123'));
+    expect(mockUpdateTask).toHaveBeenCalledWith(2, { tags: ['personal', 'work'] });
+    expect(mockReorderListTasks).toHaveBeenCalledWith('list-123', [3, 1, 2]);
+  });
+
+  test('removes the source list\'s required tags when a task is dragged out of it', () => {
+    render(<TaskBoard />);
+    
+    fireEvent.click(screen.getByTestId('mock-drop-1-from-work-default'));
+    expect(mockUpdateTask).toHaveBeenCalledWith(1, { tags: [] });
+    expect(mockReorderListTasks).toHaveBeenCalledWith('default', [2, 3, 1]);
+  });
+
+  test('moves a task onto the adjacent list with the keyboard', () => {
+    render(<TaskBoard />);
+    
+    // Task 1 already has the work list's tag, so only the order changes...
+    fireEvent.click(screen.getByTestId('mock-move-1-right-default'));
+    expect(mockUpdateTask).not.toHaveBeenCalled();
+    expect(mockReorderListTasks).toHaveBeenCalledWith('list-123', [3, 2, 1]);
+    
+    // ...and there is no list to the right of the work list
+    mockReorderListTasks.mockClear();
+    fireEvent.click(screen.getByTestId('mock-move-1-right-list-123'));
+    expect(mockReorderListTasks).not.toHaveBeenCalled();
+  });
+
+  test('asks to switch between the list and Kanban views', () => {
+    const mockOnViewChange = vi.fn();
+    render(<TaskBoard onViewChange={mockOnViewChange} />);
+    
+    expect(screen.getByTestId('view-lists-button')).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.click(screen.getByTestId('view-kanban-button'));
+    expect(mockOnViewChange).toHaveBeenCalledWith('kanban');
+  });
+
+  test('shows every task matching the search in the Kanban view', () => {
+    render(<TaskBoard view="kanban" searchQuery="is:open" />);
+    
+    expect(screen.getByTestId('view-kanban-button')).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.queryByTestId('task-lists-container')).not.toBeInTheDocument();
+    expect(screen.getByTestId('mocked-kanban-board')).toHaveTextContent('1,3');
+    
+    fireEvent.click(screen.getByTestId('edit-statuses-button'));
+    expect(screen.getByTestId('mocked-status-manager')).toBeInTheDocument();
+    fireEvent.click(screen.getByTestId('mock-status-manager-close'));
+    expect(screen.queryByTestId('mocked-status-manager')).not.toBeInTheDocument();
+  });
+
+  test('leaves archived tasks out of the Kanban view', () => {
+    mockTasks.push({ id: 4, title: 'Task 4', isCompleted: true, tags: [], archivedAt: '2025-06-01T09:00:00.000Z' });
+    try {
+      render(<TaskBoard view="kanban" />);
+    } finally {
+      mockTasks.pop();
+    }
+    
+    expect(screen.getByTestId('mocked-kanban-board')).toHaveTextContent('1,2,3');
+    expect(screen.getByTestId('mocked-kanban-board')).not.toHaveTextContent('4');
+  });
+
+  describe('list layout', () => {
+    const createDataTransfer = () => {
+      const data = {};
+      return {
+        get types() { return Object.keys(data); },
+        setData: (type, value) => { data[type] = value; },
+        getData: (type) => data[type]
+      };
+    };
+
+    const withLists = (lists, callback) => {
+      const saved = mockTaskLists.splice(0, mockTaskLists.length, ...lists);
+      try {
+        callback();
+      } finally {
+        mockTaskLists.splice(0, mockTaskLists.length, ...saved);
+      }
+    };
+
+    const listOrder = () => Array.from(screen.getByTestId('task-lists-container').querySelectorAll('[data-testid^="list-title-"]'))
+      .map(title => title.textContent);
+
+    test('shows pinned lists first and pins or unpins a list', () => {
+      withLists([
+        { id: 'default', title: 'All Tasks', filters: [] },
+        { id: 'work', title: 'Work', filters: [], pinned: true }
+      ], () => {
+        render(<TaskBoard />);
+
+        expect(listOrder()).toEqual(['Work', 'All Tasks']);
+        expect(screen.getByTestId('pin-list-work')).toHaveAttribute('aria-pressed', 'true');
+        fireEvent.click(screen.getByTestId('pin-list-work'));
+        expect(mockUpdateListLayout).toHaveBeenCalledWith('work', { pinned: false });
+        fireEvent.click(screen.getByTestId('pin-list-default'));
+        expect(mockUpdateListLayout).toHaveBeenCalledWith('default', { pinned: true });
+      });
+    });
+
+    test('collapses a list to its header', () => {
+      withLists([
+        { id: 'default', title: 'All Tasks', filters: [] },
+        { id: 'work', title: 'Work', filters: [], collapsed: true }
+      ], () => {
+        render(<TaskBoard />);
+
+        expect(screen.getByTestId('task-count-work')).toHaveTextContent('1/3');
+        expect(screen.queryByTestId('add-task-to-list-work')).not.toBeInTheDocument();
+        expect(screen.queryByTestId('complete-all-work')).not.toBeInTheDocument();
+        expect(screen.getByTestId('collapse-list-work')).toHaveAttribute('aria-expanded', 'false');
+        fireEvent.click(screen.getByTestId('collapse-list-work'));
+        expect(mockUpdateListLayout).toHaveBeenCalledWith('work', { collapsed: false });
+
+        expect(screen.getByTestId('add-task-to-list-default')).toBeInTheDocument();
+        fireEvent.click(screen.getByTestId('collapse-list-default'));
+        expect(mockUpdateListLayout).toHaveBeenCalledWith('default', { collapsed: true });
+      });
+    });
+
+    test('sizes lists by their width and height', () => {
+      withLists([
+        { id: 'default', title: 'All Tasks', filters: [] },
+        { id: 'work', title: 'Work', filters: [], width: 'full', height: 'auto' }
+      ], () => {
+        render(<TaskBoard />);
+
+        expect(screen.getByTestId('task-list-work')).toHaveClass('col-span-full');
+        expect(screen.getByTestId('task-list-default')).not.toHaveClass('col-span-full');
+        expect(screen.getByTestId('add-task-to-list-work').parentElement).not.toHaveClass('max-h-[50vh]');
+        expect(screen.getByTestId('add-task-to-list-default').parentElement).toHaveClass('max-h-[50vh]');
+
+        fireEvent.click(screen.getByTestId('list-layout-default'));
+        fireEvent.change(screen.getByTestId('list-width-default'), { target: { value: 'wide' } });
+        expect(mockUpdateListLayout).toHaveBeenCalledWith('default', { width: 'wide' });
+      });
+    });
+
+    test('reorders lists by dragging one onto another or onto the end', () => {
+      render(<TaskBoard />);
+
+      const dataTransfer = createDataTransfer();
+      fireEvent.dragStart(screen.getByTestId('list-header-list-123'), { dataTransfer });
+      expect(JSON.parse(dataTransfer.getData(LIST_DRAG_TYPE))).toEqual({ listId: 'list-123' });
+      fireEvent.dragOver(screen.getByTestId('task-list-default'), { dataTransfer });
+      expect(screen.getByTestId('task-list-default')).toHaveClass('ring-2');
+      fireEvent.drop(screen.getByTestId('task-list-default'), { dataTransfer });
+      expect(mockReorderTaskLists).toHaveBeenCalledWith(['list-123', 'default']);
+
+      const endTransfer = createDataTransfer();
+      fireEvent.dragStart(screen.getByTestId('list-header-default'), { dataTransfer: endTransfer });
+      fireEvent.drop(screen.getByTestId('add-list-button'), { dataTransfer: endTransfer });
+      expect(mockReorderTaskLists).toHaveBeenLastCalledWith(['list-123', 'default']);
+
+      // Dragged tasks are left to the task lists
+      mockReorderTaskLists.mockClear();
+      fireEvent.drop(screen.getByTestId('task-list-default'), { dataTransfer: createDataTransfer() });
+      expect(mockReorderTaskLists).not.toHaveBeenCalled();
+    });
+
+    test('moves a list with Alt and the arrow keys', () => {
+      render(<TaskBoard />);
+
+      fireEvent.keyDown(screen.getByTestId('drag-list-default'), { key: 'ArrowRight', altKey: true });
+      expect(mockReorderTaskLists).toHaveBeenCalledWith(['list-123', 'default']);
+
+      mockReorderTaskLists.mockClear();
+      fireEvent.keyDown(screen.getByTestId('drag-list-default'), { key: 'ArrowLeft', altKey: true });
+      fireEvent.keyDown(screen.getByTestId('drag-list-list-123'), { key: 'ArrowRight' });
+      expect(mockReorderTaskLists).not.toHaveBeenCalled();
+      fireEvent.keyDown(screen.getByTestId('drag-list-list-123'), { key: 'ArrowUp', altKey: true });
+      expect(mockReorderTaskLists).toHaveBeenCalledWith(['list-123', 'default']);
+    });
+  });
+
+  describe('selection', () => {
+    test('shows the action bar for tasks selected in one list', () => {
+      render(<TaskBoard />);
+
+      expect(screen.queryByTestId('mocked-bulk-action-bar')).not.toBeInTheDocument();
+      fireEvent.click(screen.getByTestId('mock-select-1-3-list-123'));
+
+      // Listed in the list's order
+      expect(screen.getByTestId('mocked-bulk-task-ids')).toHaveTextContent('3,1');
+      expect(screen.getByTestId('mocked-selection-list-123')).toHaveTextContent('3,1');
+      expect(screen.getByTestId('mocked-selection-default')).toBeEmptyDOMElement();
+      expect(screen.getByTestId('mocked-bulk-target-lists')).toHaveTextContent('default');
+
+      // Selecting in another list starts over
+      fireEvent.click(screen.getByTestId('mock-select-1-3-default'));
+      expect(screen.getByTestId('mocked-selection-list-123')).toBeEmptyDOMElement();
+      expect(screen.getByTestId('mocked-bulk-target-lists')).toHaveTextContent('list-123');
+    });
+
+    test('moves the selection to another list by swapping the required tags', () => {
+      render(<TaskBoard />);
+
+      fireEvent.click(screen.getByTestId('mock-select-1-3-list-123'));
+      fireEvent.click(screen.getByTestId('mock-bulk-move'));
+
+      expect(mockRetagTasks).toHaveBeenCalledWith([3, 1], { remove: ['work'], add: [] }, '2 tasks moved to "All Tasks"');
+      expect(screen.queryByTestId('mocked-bulk-action-bar')).not.toBeInTheDocument();
+    });
+
+    test('clears the selection with the bar or Escape', () => {
+      render(<TaskBoard />);
+
+      fireEvent.click(screen.getByTestId('mock-select-1-3-default'));
+      fireEvent.click(screen.getByTestId('mock-bulk-clear'));
+      expect(screen.queryByTestId('mocked-bulk-action-bar')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId('mock-select-1-3-default'));
+      fireEvent.keyDown(window, { key: 'Escape' });
+      expect(screen.queryByTestId('mocked-bulk-action-bar')).not.toBeInTheDocument();
+    });
+  });
+});
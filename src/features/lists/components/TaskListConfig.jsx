@@ -1,36 +1,106 @@
 import React, { useState } from 'react';
-import { XMarkIcon, TagIcon } from '@heroicons/react/24/outline';
+import { TagIcon, CalendarIcon } from '@heroicons/react/24/outline';
 import { useTagContext } from '../../../context/TagContext';
+import { fromDateTimeInputValue } from '../../../common/utils/dateUtils';
+import { buildTagTree } from '../../../common/utils/tagUtils';
+import {
+  createFilterGroup,
+  normalizeFilters,
+  isFilterGroup,
+  getNodeAtPath,
+  updateNodeAtPath,
+  removeNodeAtPath
+} from '../../../common/utils/filterExpression';
+import FilterGroupEditor from './FilterGroupEditor';
+import SortSpecEditor from './SortSpecEditor';
+
+// Preset due-date filters for common "Today", "This week" and "Overdue" lists
+const DUE_PRESETS = [
+  { label: 'Due today', filter: { type: 'dueWithin', value: 0 }, testId: 'due-today-filter' },
+  { label: 'Due this week', filter: { type: 'dueWithin', value: 6 }, testId: 'due-week-filter' },
+  { label: 'Overdue', filter: { type: 'overdue', value: true }, testId: 'overdue-filter' }
+];
 
 function TaskListConfig({ taskList, onSave, onCancel }) {
   const { tags } = useTagContext();
   const [title, setTitle] = useState(taskList.title);
-  const [filters, setFilters] = useState(taskList.filters || []);
+  const [filters, setFilters] = useState(() => normalizeFilters(taskList.filters));
+  // Path of the group that new filters are added to; [] is the root group
+  const [activePath, setActivePath] = useState([]);
+  const [dueBeforeInput, setDueBeforeInput] = useState('');
+  const [queryInput, setQueryInput] = useState('');
+  const [countSubtasks, setCountSubtasks] = useState(Boolean(taskList.countSubtasks));
+  const [sortSpec, setSortSpec] = useState(taskList.sort || []);
+  const [completedLast, setCompletedLast] = useState(Boolean(taskList.completedLast));
+  const [includeArchived, setIncludeArchived] = useState(Boolean(taskList.includeArchived));
+
+  const activeGroup = getNodeAtPath(filters, activePath) || filters;
+  const activeConditions = activeGroup.children.filter(child => !isFilterGroup(child));
+
+  // Replace conditions of the same type (when exclusive) and add the new one to the active group
+  const addToActiveGroup = (filter, { exclusive = false } = {}) => {
+    setFilters(updateNodeAtPath(filters, activePath, group => ({
+      ...group,
+      children: [
+        ...group.children.filter(child => !exclusive || isFilterGroup(child) || child.type !== filter.type),
+        filter
+      ]
+    })));
+  };
+
+  const isFilterActive = (filter) => activeConditions.some(f => f.type === filter.type && f.value === filter.value);
 
   const handleAddTagFilter = (tag) => {
-    // Check if the tag is already in filters
-    if (filters.some(f => f.type === 'tag' && f.value === tag)) return;
+    // Check if the tag is already in the group
+    if (isFilterActive({ type: 'tag', value: tag })) return;
     
     // Add the tag filter
-    setFilters([...filters, { type: 'tag', value: tag }]);
+    addToActiveGroup({ type: 'tag', value: tag });
   };
 
   const handleAddCompletionFilter = (isCompleted) => {
-    // Remove any existing completion filter
-    const updatedFilters = filters.filter(f => f.type !== 'completed');
-    
-    // Add the new completion filter
-    setFilters([...updatedFilters, { type: 'completed', value: isCompleted }]);
+    // Replace any existing completion filter in the group
+    addToActiveGroup({ type: 'completed', value: isCompleted }, { exclusive: true });
+  };
+
+  const handleAddDueFilter = (filter) => {
+    // Keep only one due-date filter of each type per group
+    addToActiveGroup(filter, { exclusive: true });
+  };
+
+  const handleAddDueBeforeFilter = () => {
+    // Date inputs give a local date; the list shows tasks due before that day starts
+    const value = fromDateTimeInputValue(`${dueBeforeInput}T00:00`);
+    if (!value) return;
+    handleAddDueFilter({ type: 'dueBefore', value });
+    setDueBeforeInput('');
+  };
+
+  const handleAddQueryFilter = () => {
+    if (!queryInput.trim()) return;
+    addToActiveGroup({ type: 'query', value: queryInput.trim() });
+    setQueryInput('');
   };
 
-  const removeFilter = (index) => {
-    const newFilters = [...filters];
-    newFilters.splice(index, 1);
-    setFilters(newFilters);
+  const handleOperatorChange = (path, op) => {
+    setFilters(updateNodeAtPath(filters, path, group => ({ ...group, op })));
+  };
+
+  const handleAddGroup = (path) => {
+    const group = getNodeAtPath(filters, path);
+    setFilters(updateNodeAtPath(filters, path, g => ({ ...g, children: [...g.children, createFilterGroup('or')] })));
+    // Start adding filters to the new group straight away
+    setActivePath([...path, group.children.length]);
+  };
+
+  const removeFilter = (path) => {
+    setFilters(removeNodeAtPath(filters, path));
+    // Removing a node shifts its siblings, so fall back to the root group
+    setActivePath([]);
   };
 
   const handleSave = () => {
-    onSave({ title, filters });
+    onSave({ title, filters, countSubtasks, sort: sortSpec, completedLast, includeArchived });
     // The modal should close after saving
   };
 
@@ -55,31 +125,14 @@ function TaskListConfig({ taskList, onSave, onCancel }) {
       {/* Current filters */}
       <div className="mb-4">
         <label className="block text-sm font-medium text-neutral-700 mb-1">Current Filters</label>
-        
-        {filters.length === 0 ? (
-          <p className="text-sm text-neutral-500" data-testid="no-filters-message">No filters applied. This list will show all tasks.</p>
-        ) : (
-          <div className="flex flex-wrap gap-2" data-testid="filter-list">
-            {filters.map((filter, index) => (
-              <div key={index} className="inline-flex items-center bg-neutral-100 px-3 py-1 rounded-full text-sm" data-testid={`filter-item-${index}`}>
-                {filter.type === 'tag' && (
-                  <span>Tag: {filter.value}</span>
-                )}
-                {filter.type === 'completed' && (
-                  <span>Status: {filter.value ? 'Completed' : 'Active'}</span>
-                )}
-                <button 
-                  type="button"
-                  onClick={() => removeFilter(index)}
-                  className="ml-1 text-neutral-500 hover:text-neutral-700"
-                  data-testid={`remove-filter-${index}`}
-                >
-                  <XMarkIcon className="h-4 w-4" />
-                </button>
-              </div>
-            ))}
-          </div>
-        )}
+        <FilterGroupEditor
+          group={filters}
+          activePath={activePath}
+          onSelect={setActivePath}
+          onOperatorChange={handleOperatorChange}
+          onAddGroup={handleAddGroup}
+          onRemove={removeFilter}
+        />
       </div>
       
       {/* Add tag filter */}
@@ -89,21 +142,22 @@ function TaskListConfig({ taskList, onSave, onCancel }) {
           <p className="text-sm text-neutral-500" data-testid="no-tags-available-message">No tags available. Add tags to tasks first.</p>
         ) : (
           <div className="flex flex-wrap gap-2" data-testid="available-tags">
-            {tags.map((tag) => (
+            {buildTagTree(tags).map(({ tag: { name, description } }) => (
               <button
-                key={tag}
+                key={name}
                 type="button"
-                onClick={() => handleAddTagFilter(tag)}
-                disabled={filters.some(f => f.type === 'tag' && f.value === tag)}
+                onClick={() => handleAddTagFilter(name)}
+                disabled={isFilterActive({ type: 'tag', value: name })}
                 className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium 
-                  ${filters.some(f => f.type === 'tag' && f.value === tag)
+                  ${isFilterActive({ type: 'tag', value: name })
                     ? 'bg-primary-200 text-primary-700 opacity-50 cursor-not-allowed'
                     : 'bg-primary-100 text-primary-700 hover:bg-primary-200'
                   }`}
-                data-testid={`tag-filter-${tag}`}
+                title={description || undefined}
+                data-testid={`tag-filter-${name}`}
               >
                 <TagIcon className="h-3 w-3 mr-1" />
-                {tag}
+                {name}
               </button>
             ))}
           </div>
@@ -117,9 +171,9 @@ function TaskListConfig({ taskList, onSave, onCancel }) {
           <button
             type="button"
             onClick={() => handleAddCompletionFilter(false)}
-            disabled={filters.some(f => f.type === 'completed' && f.value === false)}
+            disabled={isFilterActive({ type: 'completed', value: false })}
             className={`px-3 py-1 rounded-md text-sm font-medium 
-              ${filters.some(f => f.type === 'completed' && f.value === false)
+              ${isFilterActive({ type: 'completed', value: false })
                 ? 'bg-blue-200 text-blue-700 opacity-50 cursor-not-allowed'
                 : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
               }`}
@@ -130,9 +184,9 @@ function TaskListConfig({ taskList, onSave, onCancel }) {
           <button
             type="button"
             onClick={() => handleAddCompletionFilter(true)}
-            disabled={filters.some(f => f.type === 'completed' && f.value === true)}
+            disabled={isFilterActive({ type: 'completed', value: true })}
             className={`px-3 py-1 rounded-md text-sm font-medium 
-              ${filters.some(f => f.type === 'completed' && f.value === true)
+              ${isFilterActive({ type: 'completed', value: true })
                 ? 'bg-green-200 text-green-700 opacity-50 cursor-not-allowed'
                 : 'bg-green-100 text-green-700 hover:bg-green-200'
               }`}
@@ -143,6 +197,117 @@ function TaskListConfig({ taskList, onSave, onCancel }) {
         </div>
       </div>
       
+      {/* Add due date filter */}
+      <div className="mb-6">
+        <label className="block text-sm font-medium text-neutral-700 mb-1">Filter by Due Date</label>
+        <div className="flex flex-wrap gap-2 mb-2">
+          {DUE_PRESETS.map(preset => (
+            <button
+              key={preset.testId}
+              type="button"
+              onClick={() => handleAddDueFilter(preset.filter)}
+              disabled={isFilterActive(preset.filter)}
+              className={`inline-flex items-center px-3 py-1 rounded-md text-sm font-medium 
+                ${isFilterActive(preset.filter)
+                  ? 'bg-amber-200 text-amber-700 opacity-50 cursor-not-allowed'
+                  : 'bg-amber-100 text-amber-700 hover:bg-amber-200'
+                }`}
+              data-testid={preset.testId}
+            >
+              <CalendarIcon className="h-3 w-3 mr-1" />
+              {preset.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="date"
+            value={dueBeforeInput}
+            onChange={(e) => setDueBeforeInput(e.target.value)}
+            className="px-3 py-1 border border-neutral-300 rounded-md text-sm focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+            aria-label="Due before date"
+            data-testid="due-before-input"
+          />
+          <button
+            type="button"
+            onClick={handleAddDueBeforeFilter}
+            disabled={!dueBeforeInput}
+            className="px-3 py-1 rounded-md text-sm font-medium bg-amber-100 text-amber-700 hover:bg-amber-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            data-testid="add-due-before-filter"
+          >
+            Due before
+          </button>
+        </div>
+      </div>
+      
+      {/* Add query filter */}
+      <div className="mb-6">
+        <label className="block text-sm font-medium text-neutral-700 mb-1" htmlFor="list-query">Filter by Query</label>
+        <div className="flex gap-2">
+          <input
+            id="list-query"
+            type="text"
+            value={queryInput}
+            onChange={(e) => setQueryInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleAddQueryFilter();
+              }
+            }}
+            className="grow px-3 py-1 border border-neutral-300 rounded-md text-sm focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+            placeholder='e.g. tag:Build is:open "keynote" -tag:AI'
+            data-testid="query-filter-input"
+          />
+          <button
+            type="button"
+            onClick={handleAddQueryFilter}
+            disabled={!queryInput.trim()}
+            className="px-3 py-1 rounded-md text-sm font-medium bg-neutral-100 text-neutral-700 hover:bg-neutral-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            data-testid="add-query-filter"
+          >
+            Add
+          </button>
+        </div>
+      </div>
+      
+      {/* Sorting */}
+      <div className="mb-6">
+        <label className="block text-sm font-medium text-neutral-700 mb-1">Sort Tasks</label>
+        <SortSpecEditor sortSpec={sortSpec} onChange={setSortSpec} />
+        <label className="flex items-center gap-2 mt-2 text-sm text-neutral-700">
+          <input
+            type="checkbox"
+            checked={completedLast}
+            onChange={(e) => setCompletedLast(e.target.checked)}
+            data-testid="completed-last-checkbox"
+          />
+          Move completed tasks to the bottom
+        </label>
+      </div>
+      
+      {/* Progress counter */}
+      <div className="mb-6">
+        <label className="flex items-center gap-2 text-sm text-neutral-700">
+          <input
+            type="checkbox"
+            checked={countSubtasks}
+            onChange={(e) => setCountSubtasks(e.target.checked)}
+            data-testid="count-subtasks-checkbox"
+          />
+          Count subtasks in the list's progress
+        </label>
+        <label className="flex items-center gap-2 mt-2 text-sm text-neutral-700">
+          <input
+            type="checkbox"
+            checked={includeArchived}
+            onChange={(e) => setIncludeArchived(e.target.checked)}
+            data-testid="include-archived-checkbox"
+          />
+          Include archived tasks
+        </label>
+      </div>
+      
       {/* Actions */}
       <div className="flex justify-end gap-2">
         <button
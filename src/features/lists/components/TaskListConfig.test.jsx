@@ -4,7 +4,7 @@ import { vi } from 'vitest';
 import TaskListConfig from './TaskListConfig';
 
 // Mock variables to control the mocked context values
-let mockTagsValue = ['work', 'personal', 'urgent', 'home'];
+let mockTagsValue = ['work', 'personal', 'urgent', 'home'].map(name => ({ id: name, name }));
 
 // Mock the tag context
 vi.mock('../../../context/TagContext', () => ({
@@ -29,7 +29,7 @@ describe('TaskListConfig Component', () => {
     mockOnSave.mockClear();
     mockOnCancel.mockClear();
     // Reset the mock tags to the default value before each test
-    mockTagsValue = ['work', 'personal', 'urgent', 'home'];
+    mockTagsValue = ['work', 'personal', 'urgent', 'home'].map(name => ({ id: name, name }));
   });
 
   test('renders the task list config correctly', () => {
@@ -161,11 +161,18 @@ describe('TaskListConfig Component', () => {
     // Check that onSave was called with the updated configuration
     expect(mockOnSave).toHaveBeenCalledWith({
       title: 'Updated List Title',
-      filters: [
-        { type: 'tag', value: 'work' },
-        { type: 'tag', value: 'home' },
-        { type: 'completed', value: false }
-      ]
+      filters: {
+        op: 'and',
+        children: [
+          { type: 'tag', value: 'work' },
+          { type: 'tag', value: 'home' },
+          { type: 'completed', value: false }
+        ]
+      },
+      countSubtasks: false,
+      sort: [],
+      completedLast: false,
+      includeArchived: false
     });
   });
 
@@ -225,4 +232,208 @@ describe('TaskListConfig Component', () => {
     expect(screen.getByTestId('no-filters-message')).toBeInTheDocument();
     expect(screen.getByText('No filters applied. This list will show all tasks.')).toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  test('adds due date preset filters', () => {
+    render(
+      <TaskListConfig 
+        taskList={{ id: 'today', title: 'Today', filters: [] }}
+        onSave={mockOnSave}
+        onCancel={mockOnCancel}
+      />
+    );
+    
+    fireEvent.click(screen.getByTestId('due-week-filter'));
+    fireEvent.click(screen.getByTestId('due-today-filter'));
+    fireEvent.click(screen.getByTestId('overdue-filter'));
+    
+    // Presets of the same type replace each other
+    expect(screen.getByTestId('filter-item-0')).toHaveTextContent('Due today');
+    expect(screen.getByTestId('filter-item-1')).toHaveTextContent('Overdue');
+    expect(screen.getByTestId('due-today-filter')).toBeDisabled();
+    
+    fireEvent.click(screen.getByTestId('save-config'));
+    expect(mockOnSave).toHaveBeenCalledWith({
+      title: 'Today',
+      filters: {
+        op: 'and',
+        children: [
+          { type: 'dueWithin', value: 0 },
+          { type: 'overdue', value: true }
+        ]
+      },
+      countSubtasks: false,
+      sort: [],
+      completedLast: false,
+      includeArchived: false
+    });
+  });
+
+  test('adds a due before filter from the date input', () => {
+    render(
+      <TaskListConfig 
+        taskList={{ id: 'soon', title: 'Soon', filters: [] }}
+        onSave={mockOnSave}
+        onCancel={mockOnCancel}
+      />
+    );
+    
+    expect(screen.getByTestId('add-due-before-filter')).toBeDisabled();
+    fireEvent.change(screen.getByTestId('due-before-input'), { target: { value: '2025-05-19' } });
+    fireEvent.click(screen.getByTestId('add-due-before-filter'));
+    fireEvent.click(screen.getByTestId('save-config'));
+    
+    expect(mockOnSave).toHaveBeenCalledWith({
+      title: 'Soon',
+      filters: { op: 'and', children: [{ type: 'dueBefore', value: new Date(2025, 4, 19).toISOString() }] },
+      countSubtasks: false,
+      sort: [],
+      completedLast: false,
+      includeArchived: false
+    });
+  });
+
+  test('adds a saved search query filter', () => {
+    render(
+      <TaskListConfig 
+        taskList={{ id: 'search', title: 'Search', filters: [] }}
+        onSave={mockOnSave}
+        onCancel={mockOnCancel}
+      />
+    );
+    
+    expect(screen.getByTestId('add-query-filter')).toBeDisabled();
+    fireEvent.change(screen.getByTestId('query-filter-input'), { target: { value: ' tag:Build -is:done ' } });
+    fireEvent.click(screen.getByTestId('add-query-filter'));
+    expect(screen.getByTestId('filter-item-0')).toHaveTextContent('Query: tag:Build -is:done');
+    expect(screen.getByTestId('query-filter-input').value).toBe('');
+    
+    fireEvent.click(screen.getByTestId('save-config'));
+    expect(mockOnSave).toHaveBeenCalledWith({
+      title: 'Search',
+      filters: { op: 'and', children: [{ type: 'query', value: 'tag:Build -is:done' }] },
+      countSubtasks: false,
+      sort: [],
+      completedLast: false,
+      includeArchived: false
+    });
+  });
+
+  test('builds nested OR and NOT groups', () => {
+    render(
+      <TaskListConfig 
+        taskList={{ id: 'events', title: 'Events', filters: [] }}
+        onSave={mockOnSave}
+        onCancel={mockOnCancel}
+      />
+    );
+    
+    // "work OR home" group, selected automatically once added
+    fireEvent.click(screen.getByTestId('add-group-root'));
+    fireEvent.click(screen.getByTestId('tag-filter-work'));
+    fireEvent.click(screen.getByTestId('tag-filter-home'));
+    expect(screen.getByTestId('filter-item-0-0')).toHaveTextContent('Tag: work');
+    
+    // "NOT urgent" group added at the root
+    fireEvent.click(screen.getByTestId('add-group-root'));
+    fireEvent.change(screen.getByTestId('group-operator-1'), { target: { value: 'not' } });
+    fireEvent.click(screen.getByTestId('tag-filter-urgent'));
+    
+    fireEvent.click(screen.getByTestId('save-config'));
+    expect(mockOnSave).toHaveBeenCalledWith({
+      title: 'Events',
+      filters: {
+        op: 'and',
+        children: [
+          { op: 'or', children: [{ type: 'tag', value: 'work' }, { type: 'tag', value: 'home' }] },
+          { op: 'not', children: [{ type: 'tag', value: 'urgent' }] }
+        ]
+      },
+      countSubtasks: false,
+      sort: [],
+      completedLast: false,
+      includeArchived: false
+    });
+  });
+
+  test('adds filters to the selected group and removes groups', () => {
+    render(
+      <TaskListConfig 
+        taskList={{
+          id: 'events',
+          title: 'Events',
+          filters: { op: 'and', children: [{ op: 'or', children: [] }] }
+        }}
+        onSave={mockOnSave}
+        onCancel={mockOnCancel}
+      />
+    );
+    
+    // The root group is selected initially
+    fireEvent.click(screen.getByTestId('tag-filter-work'));
+    expect(screen.getByTestId('filter-item-1')).toHaveTextContent('Tag: work');
+    
+    // Selecting the nested group enables tags already used at the root
+    fireEvent.click(screen.getByTestId('filter-group-0'));
+    expect(screen.getByTestId('tag-filter-work')).not.toBeDisabled();
+    fireEvent.click(screen.getByTestId('tag-filter-work'));
+    expect(screen.getByTestId('filter-item-0-0')).toHaveTextContent('Tag: work');
+    
+    fireEvent.click(screen.getByTestId('remove-group-0'));
+    expect(screen.queryByTestId('filter-group-0')).not.toBeInTheDocument();
+    expect(screen.getByTestId('filter-item-0')).toHaveTextContent('Tag: work');
+  });
+
+  test('saves whether subtasks count towards the list progress', () => {
+    render(
+      <TaskListConfig 
+        taskList={{ ...mockTaskList, countSubtasks: true }}
+        onSave={mockOnSave}
+        onCancel={mockOnCancel}
+      />
+    );
+    
+    const checkbox = screen.getByTestId('count-subtasks-checkbox');
+    expect(checkbox).toBeChecked();
+    
+    fireEvent.click(checkbox);
+    fireEvent.click(screen.getByTestId('save-config'));
+    expect(mockOnSave).toHaveBeenCalledWith(expect.objectContaining({ countSubtasks: false }));
+  });
+
+  test('saves the sort keys and the completed-last option', () => {
+    render(
+      <TaskListConfig 
+        taskList={{ ...mockTaskList, sort: [{ field: 'priority', direction: 'asc' }] }}
+        onSave={mockOnSave}
+        onCancel={mockOnCancel}
+      />
+    );
+    
+    expect(screen.getByTestId('sort-key-0')).toHaveTextContent('Priority');
+    fireEvent.change(screen.getByTestId('add-sort-key'), { target: { value: 'dueDate' } });
+    fireEvent.click(screen.getByTestId('completed-last-checkbox'));
+    fireEvent.click(screen.getByTestId('save-config'));
+    
+    expect(mockOnSave).toHaveBeenCalledWith(expect.objectContaining({
+      sort: [{ field: 'priority', direction: 'asc' }, { field: 'dueDate', direction: 'asc' }],
+      completedLast: true
+    }));
+  });
+
+  test('saves whether the list includes archived tasks', () => {
+    render(
+      <TaskListConfig 
+        taskList={mockTaskList}
+        onSave={mockOnSave}
+        onCancel={mockOnCancel}
+      />
+    );
+    
+    const checkbox = screen.getByTestId('include-archived-checkbox');
+    expect(checkbox).not.toBeChecked();
+    
+    fireEvent.click(checkbox);
+    fireEvent.click(screen.getByTestId('save-config'));
+    expect(mockOnSave).toHaveBeenCalledWith(expect.objectContaining({ includeArchived: true }));
+  });
+});
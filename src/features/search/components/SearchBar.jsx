@@ -0,0 +1,44 @@
+import React from 'react';
+import { MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+// Global search box; the query is parsed by common/utils/queryParser
+function SearchBar({ value, onChange, inputRef }) {
+  return (
+    <div className="search-bar" data-testid="search-bar">
+      <div className="relative">
+        <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-neutral-400" />
+        <input
+          ref={inputRef}
+          type="search"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') {
+              onChange('');
+            }
+          }}
+          className="w-full pl-9 pr-9 py-2 border border-neutral-200 rounded-xl text-sm focus:outline-hidden focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          placeholder="Search all lists..."
+          aria-label="Search tasks"
+          data-testid="search-input"
+        />
+        {value && (
+          <button
+            type="button"
+            onClick={() => onChange('')}
+            className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-neutral-400 hover:text-neutral-600 rounded-full hover:bg-neutral-100"
+            aria-label="Clear search"
+            data-testid="clear-search-button"
+          >
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+      <p className="mt-1 text-xs text-neutral-500 text-left" data-testid="search-syntax-hint">
+        Try <code>tag:Build</code>, <code>is:open</code>, <code>is:overdue</code>, <code>"exact phrase"</code> or <code>-tag:AI</code> to exclude.
+      </p>
+    </div>
+  );
+}
+
+export default SearchBar;
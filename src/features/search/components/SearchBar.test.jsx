@@ -0,0 +1,36 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import SearchBar from './SearchBar';
+
+describe('SearchBar Component', () => {
+  const mockOnChange = vi.fn();
+
+  beforeEach(() => {
+    mockOnChange.mockClear();
+  });
+
+  test('reports typed queries', () => {
+    render(<SearchBar value="" onChange={mockOnChange} />);
+
+    fireEvent.change(screen.getByTestId('search-input'), { target: { value: 'tag:Build' } });
+    expect(mockOnChange).toHaveBeenCalledWith('tag:Build');
+    expect(screen.getByTestId('search-syntax-hint')).toBeInTheDocument();
+  });
+
+  test('only shows the clear button for a non-empty query', () => {
+    const { rerender } = render(<SearchBar value="" onChange={mockOnChange} />);
+    expect(screen.queryByTestId('clear-search-button')).not.toBeInTheDocument();
+
+    rerender(<SearchBar value="keynote" onChange={mockOnChange} />);
+    fireEvent.click(screen.getByTestId('clear-search-button'));
+    expect(mockOnChange).toHaveBeenCalledWith('');
+  });
+
+  test('clears the query on Escape', () => {
+    render(<SearchBar value="keynote" onChange={mockOnChange} />);
+
+    fireEvent.keyDown(screen.getByTestId('search-input'), { key: 'Escape' });
+    expect(mockOnChange).toHaveBeenCalledWith('');
+  });
+});
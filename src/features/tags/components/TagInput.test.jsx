@@ -0,0 +1,67 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import TagInput from './TagInput';
+
+vi.mock('../../../context/TagContext', () => ({
+  useTagContext: () => ({
+    tags: [{ id: 'work', name: 'work' }, { id: 'workshop', name: 'workshop' }, { id: 'personal', name: 'personal' }]
+  })
+}));
+
+describe('TagInput Component', () => {
+  const mockOnChange = vi.fn();
+  const mockOnInputChange = vi.fn();
+
+  const renderTagInput = (props = {}) => render(
+    <TagInput
+      selectedTags={[]}
+      onChange={mockOnChange}
+      inputValue=""
+      onInputChange={mockOnInputChange}
+      {...props}
+    />
+  );
+
+  beforeEach(() => {
+    mockOnChange.mockClear();
+    mockOnInputChange.mockClear();
+  });
+
+  test('reports typed text to the parent', () => {
+    renderTagInput();
+
+    fireEvent.change(screen.getByTestId('tag-input'), { target: { value: 'wo' } });
+    expect(mockOnInputChange).toHaveBeenCalledWith('wo');
+  });
+
+  test('suggests matching tags that are not selected yet', () => {
+    renderTagInput({ inputValue: 'wo', selectedTags: ['work'] });
+
+    expect(screen.getByTestId('tag-suggestion-workshop')).toBeInTheDocument();
+    expect(screen.queryByTestId('tag-suggestion-work')).not.toBeInTheDocument();
+  });
+
+  test('adds the typed tag on Enter and clears the input', () => {
+    renderTagInput({ inputValue: 'urgent', selectedTags: ['work'] });
+
+    fireEvent.keyDown(screen.getByTestId('tag-input'), { key: 'Enter' });
+    expect(mockOnChange).toHaveBeenCalledWith(['work', 'urgent']);
+    expect(mockOnInputChange).toHaveBeenCalledWith('');
+  });
+
+  test('ignores a tag that is already selected', () => {
+    renderTagInput({ inputValue: 'work', selectedTags: ['work'] });
+
+    fireEvent.keyDown(screen.getByTestId('tag-input'), { key: ',' });
+    expect(mockOnChange).not.toHaveBeenCalled();
+    expect(screen.queryByTestId('add-tag-button')).not.toBeInTheDocument();
+  });
+
+  test('removes a selected tag', () => {
+    renderTagInput({ selectedTags: ['work', 'personal'] });
+
+    fireEvent.click(screen.getByTestId('remove-tag-work'));
+    expect(mockOnChange).toHaveBeenCalledWith(['personal']);
+  });
+});
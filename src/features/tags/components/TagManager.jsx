@@ -1,16 +1,33 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { TagIcon, PencilIcon, TrashIcon, CheckIcon, XMarkIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { TagIcon, PencilIcon, TrashIcon, CheckIcon, XMarkIcon, PlusIcon, WrenchScrewdriverIcon } from '@heroicons/react/24/outline';
 import { useTagContext } from '../../../context/TagContext';
 import { useTaskContext } from '../../../context/TaskContext';
+import {
+  TAG_COLORS,
+  TAG_SEPARATOR,
+  getTagColor,
+  getTagLabel,
+  getParentTagName,
+  normalizeTagName,
+  isTagOrDescendant,
+  buildTagTree,
+  countTagUsage
+} from '../../../common/utils/tagUtils';
+import TagTools from './TagTools';
 
 function TagManager({ onClose }) {
-  const { tags, addTag, editTag, deleteTag } = useTagContext();
-  const { updateTasksWithEditedTag, updateTasksWithDeletedTag } = useTaskContext();
+  const { tags, addTag, updateTag, deleteTag } = useTagContext();
+  const { tasks, updateTasksWithEditedTag, updateTasksWithDeletedTag } = useTaskContext();
+  const usage = useMemo(() => countTagUsage(tasks), [tasks]);
 
   const [newTagName, setNewTagName] = useState('');
   const [editingTag, setEditingTag] = useState(null);
   const [editedTagName, setEditedTagName] = useState('');
+  const [editedParent, setEditedParent] = useState('');
+  const [editedColor, setEditedColor] = useState(null);
+  const [editedDescription, setEditedDescription] = useState('');
+  const [showTools, setShowTools] = useState(false);
 
   const handleAddTag = () => {
     if (!newTagName.trim()) return;
@@ -18,17 +35,22 @@ function TagManager({ onClose }) {
     setNewTagName('');
   };
 
+  // The name is edited as the last path segment plus a parent, e.g. 'Build' under 'Events'
   const startEditingTag = (tag) => {
-    setEditingTag(tag);
-    setEditedTagName(tag);
+    setEditingTag(tag.name);
+    setEditedTagName(getTagLabel(tag.name));
+    setEditedParent(getParentTagName(tag.name) || '');
+    setEditedColor(tag.color);
+    setEditedDescription(tag.description || '');
   };
 
   const saveEditedTag = (originalTag) => {
-    if (!editedTagName.trim()) return;
+    const newName = normalizeTagName(editedParent ? `${editedParent}${TAG_SEPARATOR}${editedTagName}` : editedTagName);
+    if (!editedTagName.trim() || !newName) return;
     // Update in tag context
-    editTag(originalTag, editedTagName.trim());
+    updateTag(originalTag, { name: newName, color: editedColor, description: editedDescription.trim() });
     // Update in task context
-    updateTasksWithEditedTag(originalTag, editedTagName.trim());
+    if (newName !== originalTag) updateTasksWithEditedTag(originalTag, newName);
 
     setEditingTag(null);
     setEditedTagName('');
@@ -45,15 +67,30 @@ function TagManager({ onClose }) {
     <div className="tag-manager bg-white rounded-xl shadow-lg p-5" data-testid="tag-manager">
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-lg font-medium text-neutral-800">Manage Tags</h3>
-        <button
-          className="p-2 text-neutral-500 hover:text-neutral-700 hover:bg-neutral-100 rounded-full transition-colors"
-          onClick={onClose}
-          data-testid="close-tag-manager"
-        >
-          <XMarkIcon className="h-5 w-5" />
-        </button>
+        <div className="flex gap-1">
+          <button
+            className={`p-2 rounded-full transition-colors ${
+              showTools ? 'text-primary-600 bg-primary-50' : 'text-neutral-500 hover:text-neutral-700 hover:bg-neutral-100'
+            }`}
+            onClick={() => setShowTools(!showTools)}
+            aria-label="Merge, rename and clean up tags"
+            aria-pressed={showTools}
+            data-testid="toggle-tag-tools"
+          >
+            <WrenchScrewdriverIcon className="h-5 w-5" />
+          </button>
+          <button
+            className="p-2 text-neutral-500 hover:text-neutral-700 hover:bg-neutral-100 rounded-full transition-colors"
+            onClick={onClose}
+            data-testid="close-tag-manager"
+          >
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
       </div>
 
+      {showTools && <TagTools />}
+
       {/* Add new tag */}
       <div className="mb-5">
         <div className="flex gap-2">
@@ -63,7 +100,7 @@ function TagManager({ onClose }) {
             </div>
             <input
               type="text"
-              placeholder="Add a new tag"
+              placeholder="Add a new tag, e.g. Events/Build"
               value={newTagName}
               onChange={(e) => setNewTagName(e.target.value)}
               className="w-full py-2 px-4 pl-9 text-sm text-neutral-800 rounded-lg border border-neutral-300 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden transition-all"
@@ -86,74 +123,145 @@ function TagManager({ onClose }) {
         </div>
       </div>
 
-      {/* Tag list */}
-      <div className="flex flex-col gap-2 max-h-64 overflow-y-auto" data-testid="tag-list">
+      {/* Tag tree */}
+      <div className="flex flex-col gap-2 max-h-80 overflow-y-auto" data-testid="tag-list">
         {tags.length === 0 ? (
           <p className="text-center text-neutral-500 py-3" data-testid="no-tags-message">No tags yet</p>
         ) : (
-          tags.map((tag, index) => (
+          buildTagTree(tags).map(({ tag, depth }) => (
             <div 
-              key={index} 
-              className="flex items-center justify-between p-2 bg-neutral-50 hover:bg-neutral-100 rounded-lg transition-colors"
-              data-testid={`tag-item-${tag}`}
+              key={tag.id} 
+              className="p-2 bg-neutral-50 hover:bg-neutral-100 rounded-lg transition-colors"
+              style={{ marginLeft: `${depth * 1.25}rem` }}
+              data-testid={`tag-item-${tag.name}`}
             >
-              {editingTag === tag ? (
-                <input
-                  type="text"
-                  value={editedTagName}
-                  onChange={(e) => setEditedTagName(e.target.value)}
-                  className="w-full py-1 px-2 text-sm border border-primary-300 rounded-xs focus:outline-hidden focus:ring-1 focus:ring-primary-500"
-                  autoFocus
-                  data-testid="edit-tag-input"
-                />
-              ) : (
-                <div className="flex items-center">
-                  <TagIcon className="h-4 w-4 text-primary-600 mr-2" />
-                  <span className="text-neutral-800">{tag}</span>
+              {editingTag === tag.name ? (
+                <div className="flex flex-col gap-2">
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={editedParent}
+                      onChange={(e) => setEditedParent(e.target.value)}
+                      className="py-1 px-2 text-sm border border-neutral-300 rounded-xs focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+                      aria-label="Parent tag"
+                      data-testid="edit-tag-parent"
+                    >
+                      <option value="">No parent</option>
+                      {tags
+                        .filter(other => !isTagOrDescendant(other.name, tag.name))
+                        .map(other => <option key={other.id} value={other.name}>{other.name}</option>)}
+                    </select>
+                    <input
+                      type="text"
+                      value={editedTagName}
+                      onChange={(e) => setEditedTagName(e.target.value)}
+                      className="w-full py-1 px-2 text-sm border border-primary-300 rounded-xs focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+                      autoFocus
+                      data-testid="edit-tag-input"
+                    />
+                  </div>
+                  <input
+                    type="text"
+                    value={editedDescription}
+                    onChange={(e) => setEditedDescription(e.target.value)}
+                    placeholder="Description (optional)"
+                    className="w-full py-1 px-2 text-sm border border-neutral-300 rounded-xs focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+                    data-testid="edit-tag-description"
+                  />
+                  <div className="flex items-center justify-between">
+                    <div className="flex gap-1" role="group" aria-label="Tag colour">
+                      <button
+                        type="button"
+                        onClick={() => setEditedColor(null)}
+                        aria-pressed={!editedColor}
+                        aria-label="No colour"
+                        className={`h-5 w-5 rounded-full border border-neutral-300 bg-white ${!editedColor ? 'ring-2 ring-offset-1 ring-primary-400' : ''}`}
+                        data-testid="tag-color-none"
+                      />
+                      {TAG_COLORS.map(color => (
+                        <button
+                          key={color.value}
+                          type="button"
+                          onClick={() => setEditedColor(color.value)}
+                          aria-pressed={editedColor === color.value}
+                          aria-label={color.label}
+                          className={`h-5 w-5 rounded-full ${color.swatchClassName} ${
+                            editedColor === color.value ? 'ring-2 ring-offset-1 ring-primary-400' : ''
+                          }`}
+                          data-testid={`tag-color-${color.value}`}
+                        />
+                      ))}
+                    </div>
+                    <div className="flex gap-1">
+                      <motion.button
+                        className="p-1.5 text-green-600 hover:bg-green-50 rounded-full"
+                        onClick={() => saveEditedTag(tag.name)}
+                        whileTap={{ scale: 0.9 }}
+                        data-testid="save-tag-edit"
+                      >
+                        <CheckIcon className="h-4 w-4" />
+                      </motion.button>
+                      <motion.button
+                        className="p-1.5 text-neutral-500 hover:bg-neutral-200 rounded-full"
+                        onClick={() => setEditingTag(null)}
+                        whileTap={{ scale: 0.9 }}
+                        data-testid="cancel-tag-edit"
+                      >
+                        <XMarkIcon className="h-4 w-4" />
+                      </motion.button>
+                    </div>
+                  </div>
                 </div>
-              )}
-              
-              <div className="flex gap-1">
-                {editingTag === tag ? (
-                  <>
-                    <motion.button
-                      className="p-1.5 text-green-600 hover:bg-green-50 rounded-full"
-                      onClick={() => saveEditedTag(tag)}
-                      whileTap={{ scale: 0.9 }}
-                      data-testid="save-tag-edit"
+              ) : (
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center min-w-0">
+                    <span
+                      className={`h-3 w-3 shrink-0 rounded-full mr-2 ${getTagColor(tag.color) ? getTagColor(tag.color).swatchClassName : 'bg-primary-200'}`}
+                      data-testid={`tag-swatch-${tag.name}`}
+                    />
+                    <div className="min-w-0">
+                      <span className="text-neutral-800">{getTagLabel(tag.name)}</span>
+                      {tag.description && (
+                        <p className="text-xs text-neutral-500 truncate">{tag.description}</p>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <span
+                      className="text-xs text-neutral-500 tabular-nums mr-1"
+                      title="Tasks with this tag"
+                      data-testid={`tag-usage-${tag.name}`}
                     >
-                      <CheckIcon className="h-4 w-4" />
-                    </motion.button>
+                      {usage.get(tag.name) || 0}
+                    </span>
                     <motion.button
                       className="p-1.5 text-neutral-500 hover:bg-neutral-200 rounded-full"
-                      onClick={() => setEditingTag(null)}
+                      onClick={() => setNewTagName(`${tag.name}${TAG_SEPARATOR}`)}
                       whileTap={{ scale: 0.9 }}
-                      data-testid="cancel-tag-edit"
+                      aria-label="Add subtag"
+                      data-testid={`add-subtag-${tag.name}`}
                     >
-                      <XMarkIcon className="h-4 w-4" />
+                      <PlusIcon className="h-4 w-4" />
                     </motion.button>
-                  </>
-                ) : (
-                  <>
                     <motion.button
                       className="p-1.5 text-primary-600 hover:bg-primary-50 rounded-full"
                       onClick={() => startEditingTag(tag)}
                       whileTap={{ scale: 0.9 }}
-                      data-testid={`edit-tag-${tag}`}
+                      data-testid={`edit-tag-${tag.name}`}
                     >
                       <PencilIcon className="h-4 w-4" />
                     </motion.button>
                     <motion.button
                       className="p-1.5 text-rose-500 hover:bg-rose-50 rounded-full"
-                      onClick={() => handleDeleteTag(tag)}
+                      onClick={() => handleDeleteTag(tag.name)}
                       whileTap={{ scale: 0.9 }}
-                      data-testid={`delete-tag-${tag}`}
+                      aria-label={tags.some(other => other.parentId === tag.id) ? 'Delete tag and its subtags' : 'Delete tag'}
+                      data-testid={`delete-tag-${tag.name}`}
                     >
                       <TrashIcon className="h-4 w-4" />
                     </motion.button>
-                  </>
-                )}
-              </div>
+                  </div>
+                </div>
+              )}
             </div>
           ))
         )}
@@ -5,42 +5,59 @@ import TagManager from './TagManager';
 
 // Mock the context hooks
 const mockAddTag = vi.fn();
-const mockEditTag = vi.fn();
+const mockUpdateTag = vi.fn();
 const mockDeleteTag = vi.fn();
 const mockUpdateTasksWithEditedTag = vi.fn();
 const mockUpdateTasksWithDeletedTag = vi.fn();
 
 // Mock data to control context values in tests
-let mockTagsValue = ['work', 'personal', 'urgent'];
+const createMockTags = () => [
+  { id: 'work', name: 'work', color: null, description: '', parentId: null },
+  { id: 'personal', name: 'personal', color: null, description: '', parentId: null },
+  { id: 'urgent', name: 'urgent', color: null, description: '', parentId: null }
+];
+let mockTagsValue = createMockTags();
 
 vi.mock('../../../context/TagContext', () => ({
   useTagContext: () => ({
     tags: mockTagsValue,
     addTag: mockAddTag,
-    editTag: mockEditTag,
+    updateTag: mockUpdateTag,
     deleteTag: mockDeleteTag
   })
 }));
 
 vi.mock('../../../context/TaskContext', () => ({
   useTaskContext: () => ({
+    tasks: [
+      { id: 1, title: 'Write report', tags: ['work', 'urgent'] },
+      { id: 2, title: 'Plan sprint', tags: ['work'] }
+    ],
     updateTasksWithEditedTag: mockUpdateTasksWithEditedTag,
     updateTasksWithDeletedTag: mockUpdateTasksWithDeletedTag
   })
 }));
 
+vi.mock('./TagTools', () => {
+  return {
+    default: function MockTagTools() {
+      return <div data-testid="mocked-tag-tools" />;
+    }
+  };
+});
+
 describe('TagManager Component', () => {
   const mockOnClose = vi.fn();
   
   beforeEach(() => {
     mockAddTag.mockClear();
-    mockEditTag.mockClear();
+    mockUpdateTag.mockClear();
     mockDeleteTag.mockClear();
     mockUpdateTasksWithEditedTag.mockClear();
     mockUpdateTasksWithDeletedTag.mockClear();
     mockOnClose.mockClear();
     // Reset the mock tags to the default value before each test
-    mockTagsValue = ['work', 'personal', 'urgent'];
+    mockTagsValue = createMockTags();
   });
 
   test('renders the tag manager correctly', () => {
@@ -103,7 +120,7 @@ describe('TagManager Component', () => {
     const saveButton = screen.getByTestId('save-tag-edit');
     fireEvent.click(saveButton);
     
-    expect(mockEditTag).toHaveBeenCalledWith('work', 'work-edited');
+    expect(mockUpdateTag).toHaveBeenCalledWith('work', { name: 'work-edited', color: null, description: '' });
     expect(mockUpdateTasksWithEditedTag).toHaveBeenCalledWith('work', 'work-edited');
   });
 
@@ -119,7 +136,7 @@ describe('TagManager Component', () => {
     fireEvent.click(cancelButton);
     
     expect(screen.queryByTestId('edit-tag-input')).not.toBeInTheDocument();
-    expect(mockEditTag).not.toHaveBeenCalled();
+    expect(mockUpdateTag).not.toHaveBeenCalled();
   });
 
   test('deletes a tag when delete button is clicked', () => {
@@ -175,7 +192,84 @@ describe('TagManager Component', () => {
     const saveButton = screen.getByTestId('save-tag-edit');
     fireEvent.click(saveButton);
     
-    expect(mockEditTag).not.toHaveBeenCalled();
+    expect(mockUpdateTag).not.toHaveBeenCalled();
     expect(mockUpdateTasksWithEditedTag).not.toHaveBeenCalled();
   });
-});
\ No newline at end of file
+
+  test('shows how many tasks use each tag', () => {
+    render(<TagManager onClose={mockOnClose} />);
+
+    expect(screen.getByTestId('tag-usage-work')).toHaveTextContent('2');
+    expect(screen.getByTestId('tag-usage-urgent')).toHaveTextContent('1');
+    expect(screen.getByTestId('tag-usage-personal')).toHaveTextContent('0');
+  });
+
+  test('opens the merge, rename and clean-up tools', () => {
+    render(<TagManager onClose={mockOnClose} />);
+
+    expect(screen.queryByTestId('mocked-tag-tools')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByTestId('toggle-tag-tools'));
+    expect(screen.getByTestId('mocked-tag-tools')).toBeInTheDocument();
+  });
+
+  describe('with nested tags', () => {
+    beforeEach(() => {
+      mockTagsValue = [
+        { id: 'events', name: 'Events', color: 'sky', description: 'Conferences', parentId: null },
+        { id: 'work', name: 'work', color: null, description: '', parentId: null },
+        { id: 'build', name: 'Events/Build', color: null, description: '', parentId: 'events' }
+      ];
+    });
+
+    test('shows tags as a tree', () => {
+      render(<TagManager onClose={mockOnClose} />);
+
+      const items = screen.getAllByTestId(/^tag-item-/).map(item => item.dataset.testid);
+      expect(items).toEqual(['tag-item-Events', 'tag-item-Events/Build', 'tag-item-work']);
+      expect(screen.getByTestId('tag-item-Events/Build')).toHaveTextContent('Build');
+      expect(screen.getByTestId('tag-item-Events/Build')).not.toHaveTextContent('Events');
+      expect(screen.getByText('Conferences')).toBeInTheDocument();
+    });
+
+    test('changes the colour and description', () => {
+      render(<TagManager onClose={mockOnClose} />);
+
+      fireEvent.click(screen.getByTestId('edit-tag-Events'));
+      expect(screen.getByTestId('tag-color-sky')).toHaveAttribute('aria-pressed', 'true');
+      fireEvent.click(screen.getByTestId('tag-color-pink'));
+      fireEvent.change(screen.getByTestId('edit-tag-description'), { target: { value: 'Trade shows' } });
+      fireEvent.click(screen.getByTestId('save-tag-edit'));
+
+      expect(mockUpdateTag).toHaveBeenCalledWith('Events', { name: 'Events', color: 'pink', description: 'Trade shows' });
+      expect(mockUpdateTasksWithEditedTag).not.toHaveBeenCalled();
+    });
+
+    test('moves a tag under another parent', () => {
+      render(<TagManager onClose={mockOnClose} />);
+
+      fireEvent.click(screen.getByTestId('edit-tag-Events/Build'));
+      expect(screen.getByTestId('edit-tag-input')).toHaveValue('Build');
+      expect(screen.getByTestId('edit-tag-parent')).toHaveValue('Events');
+      fireEvent.change(screen.getByTestId('edit-tag-parent'), { target: { value: 'work' } });
+      fireEvent.click(screen.getByTestId('save-tag-edit'));
+
+      expect(mockUpdateTag).toHaveBeenCalledWith('Events/Build', expect.objectContaining({ name: 'work/Build' }));
+      expect(mockUpdateTasksWithEditedTag).toHaveBeenCalledWith('Events/Build', 'work/Build');
+    });
+
+    test('does not offer a tag or its descendants as its own parent', () => {
+      render(<TagManager onClose={mockOnClose} />);
+
+      fireEvent.click(screen.getByTestId('edit-tag-Events'));
+      const options = Array.from(screen.getByTestId('edit-tag-parent').options).map(option => option.value);
+      expect(options).toEqual(['', 'work']);
+    });
+
+    test('starts a subtag from its parent', () => {
+      render(<TagManager onClose={mockOnClose} />);
+
+      fireEvent.click(screen.getByTestId('add-subtag-Events'));
+      expect(screen.getByTestId('new-tag-input')).toHaveValue('Events/');
+    });
+  });
+});
@@ -0,0 +1,217 @@
+import React, { useMemo, useState } from 'react';
+import { useTagContext } from '../../../context/TagContext';
+import { useTaskContext } from '../../../context/TaskContext';
+import {
+  createMergeMapping,
+  createRenameMapping,
+  findUnusedTags,
+  normalizeTagName,
+  applyTagMapping,
+  previewTaskTagChanges
+} from '../../../common/utils/tagUtils';
+
+const TOOLS = [
+  { value: 'merge', label: 'Merge' },
+  { value: 'rename', label: 'Bulk rename' },
+  { value: 'unused', label: 'Unused' }
+];
+
+// What an operation will do: the tags it renames or removes and the tasks whose tags change
+function TagChangePreview({ tagChanges, taskChanges }) {
+  if (tagChanges.length === 0) {
+    return <p className="text-xs text-neutral-500 py-1" data-testid="tag-preview-empty">Nothing to change</p>;
+  }
+
+  return (
+    <div className="text-xs text-neutral-600 flex flex-col gap-1 max-h-40 overflow-y-auto" data-testid="tag-preview">
+      <ul>
+        {tagChanges.map(({ from, to }) => (
+          <li key={from} data-testid={`tag-preview-tag-${from}`}>
+            {from} → {to || <span className="text-rose-600">removed</span>}
+          </li>
+        ))}
+      </ul>
+      <p className="font-medium text-neutral-700">
+        {taskChanges.length === 1 ? '1 task affected' : `${taskChanges.length} tasks affected`}
+      </p>
+      <ul>
+        {taskChanges.map(({ task, tags }) => (
+          <li key={task.id} data-testid={`tag-preview-task-${task.id}`}>
+            {task.title}: {(task.tags || []).join(', ')} → {tags.join(', ') || 'no tags'}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function TagTools() {
+  const { tags, renameTags, removeTags } = useTagContext();
+  const { tasks, updateTasksWithRenamedTags } = useTaskContext();
+
+  const [tool, setTool] = useState('merge');
+  const [mergeSources, setMergeSources] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [renameRule, setRenameRule] = useState({ mode: 'prefix', find: '', replace: '' });
+
+  const mergeMapping = useMemo(
+    () => mergeSources.length >= 2 ? createMergeMapping(tags, mergeSources, mergeTarget) : new Map(),
+    [tags, mergeSources, mergeTarget]
+  );
+  const { mapping: renameMapping, error: renameError } = useMemo(
+    () => createRenameMapping(tags, renameRule),
+    [tags, renameRule]
+  );
+  const unusedTags = useMemo(() => findUnusedTags(tags, tasks), [tags, tasks]);
+
+  const mapping = tool === 'merge' ? mergeMapping : renameMapping;
+  const tagChanges = tool === 'unused'
+    ? unusedTags.map(tag => ({ from: tag.name, to: null }))
+    : [...mapping].map(([from, to]) => ({ from, to }));
+  // Unused tags are on no task, so removing them never changes one
+  const taskChanges = tool === 'unused' ? [] : previewTaskTagChanges(tasks, taskTags => applyTagMapping(taskTags, mapping));
+
+  const toggleMergeSource = (name) => {
+    setMergeSources(prev => prev.includes(name) ? prev.filter(source => source !== name) : [...prev, name]);
+    if (!mergeTarget) setMergeTarget(name);
+  };
+
+  const applyMerge = () => {
+    const label = `${mergeSources.length} tags merged into "${normalizeTagName(mergeTarget)}"`;
+    renameTags(mergeMapping, label);
+    updateTasksWithRenamedTags(mergeMapping, label);
+    setMergeSources([]);
+    setMergeTarget('');
+  };
+
+  const applyRename = () => {
+    const label = renameMapping.size === 1 ? '1 tag renamed' : `${renameMapping.size} tags renamed`;
+    renameTags(renameMapping, label);
+    updateTasksWithRenamedTags(renameMapping, label);
+    setRenameRule({ ...renameRule, find: '', replace: '' });
+  };
+
+  const applyRemoveUnused = () => {
+    const label = unusedTags.length === 1 ? '1 unused tag removed' : `${unusedTags.length} unused tags removed`;
+    removeTags(unusedTags.map(tag => tag.name), label);
+  };
+
+  const inputClassName = 'w-full py-1 px-2 text-sm border border-neutral-300 rounded-xs focus:outline-hidden focus:ring-1 focus:ring-primary-500';
+  const applyButton = (testId, onClick) => (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={tagChanges.length === 0}
+      className={`self-end px-3 py-1 text-sm rounded-lg ${
+        tagChanges.length > 0
+          ? 'bg-primary-500 text-white hover:bg-primary-600'
+          : 'bg-neutral-200 text-neutral-400 cursor-not-allowed'
+      } transition-colors`}
+      data-testid={testId}
+    >
+      Apply
+    </button>
+  );
+
+  return (
+    <div className="flex flex-col gap-2 mb-5 p-3 bg-neutral-50 rounded-lg" data-testid="tag-tools">
+      <div className="flex gap-1" role="tablist" aria-label="Tag tools">
+        {TOOLS.map(({ value, label }) => (
+          <button
+            key={value}
+            type="button"
+            role="tab"
+            aria-selected={tool === value}
+            onClick={() => setTool(value)}
+            className={`px-2 py-1 text-xs rounded-md ${
+              tool === value ? 'bg-primary-100 text-primary-800' : 'text-neutral-600 hover:bg-neutral-200'
+            }`}
+            data-testid={`tag-tool-${value}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tool === 'merge' && (
+        <>
+          <div className="flex flex-wrap gap-x-3 gap-y-1 max-h-24 overflow-y-auto">
+            {tags.map(tag => (
+              <label key={tag.id} className="flex items-center gap-1 text-sm text-neutral-700">
+                <input
+                  type="checkbox"
+                  checked={mergeSources.includes(tag.name)}
+                  onChange={() => toggleMergeSource(tag.name)}
+                  data-testid={`merge-source-${tag.name}`}
+                />
+                {tag.name}
+              </label>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={mergeTarget}
+            onChange={(e) => setMergeTarget(e.target.value)}
+            placeholder="Merge into, e.g. Work"
+            className={inputClassName}
+            data-testid="merge-target-input"
+          />
+          {mergeSources.length < 2 ? (
+            <p className="text-xs text-neutral-500 py-1">Select at least two tags</p>
+          ) : (
+            <TagChangePreview tagChanges={tagChanges} taskChanges={taskChanges} />
+          )}
+          {applyButton('apply-merge', applyMerge)}
+        </>
+      )}
+
+      {tool === 'rename' && (
+        <>
+          <div className="flex gap-2">
+            <select
+              value={renameRule.mode}
+              onChange={(e) => setRenameRule({ ...renameRule, mode: e.target.value })}
+              className="py-1 px-2 text-sm border border-neutral-300 rounded-xs focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+              aria-label="Rename by"
+              data-testid="rename-mode"
+            >
+              <option value="prefix">Prefix</option>
+              <option value="regex">Pattern</option>
+            </select>
+            <input
+              type="text"
+              value={renameRule.find}
+              onChange={(e) => setRenameRule({ ...renameRule, find: e.target.value })}
+              placeholder={renameRule.mode === 'regex' ? 'Pattern, e.g. ^proj-(.*)' : 'Find prefix'}
+              className={inputClassName}
+              data-testid="rename-find"
+            />
+            <input
+              type="text"
+              value={renameRule.replace}
+              onChange={(e) => setRenameRule({ ...renameRule, replace: e.target.value })}
+              placeholder={renameRule.mode === 'regex' ? 'Replace with, e.g. Projects/$1' : 'Replace with'}
+              className={inputClassName}
+              data-testid="rename-replace"
+            />
+          </div>
+          {renameError ? (
+            <p className="text-xs text-rose-600 py-1" data-testid="rename-error">{renameError}</p>
+          ) : (
+            <TagChangePreview tagChanges={tagChanges} taskChanges={taskChanges} />
+          )}
+          {applyButton('apply-rename', applyRename)}
+        </>
+      )}
+
+      {tool === 'unused' && (
+        <>
+          <TagChangePreview tagChanges={tagChanges} taskChanges={taskChanges} />
+          {applyButton('apply-remove-unused', applyRemoveUnused)}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TagTools;
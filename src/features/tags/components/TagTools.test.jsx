@@ -0,0 +1,119 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import TagTools from './TagTools';
+
+// Mock the context hooks
+const mockRenameTags = vi.fn();
+const mockRemoveTags = vi.fn();
+const mockUpdateTasksWithRenamedTags = vi.fn();
+
+vi.mock('../../../context/TagContext', () => ({
+  useTagContext: () => ({
+    tags: [
+      { id: 'bug', name: 'bug', color: null, description: '', parentId: null },
+      { id: 'bugs', name: 'bugs', color: null, description: '', parentId: null },
+      { id: 'proj-alpha', name: 'proj-alpha', color: null, description: '', parentId: null },
+      { id: 'proj-beta', name: 'proj-beta', color: null, description: '', parentId: null },
+      { id: 'someday', name: 'someday', color: null, description: '', parentId: null }
+    ],
+    renameTags: mockRenameTags,
+    removeTags: mockRemoveTags
+  })
+}));
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    tasks: [
+      { id: 1, title: 'Fix login', tags: ['bug', 'bugs', 'proj-alpha'] },
+      { id: 2, title: 'Fix logout', tags: ['bugs'] },
+      { id: 3, title: 'Write docs', tags: ['proj-beta'] }
+    ],
+    updateTasksWithRenamedTags: mockUpdateTasksWithRenamedTags
+  })
+}));
+
+describe('TagTools Component', () => {
+  beforeEach(() => {
+    mockRenameTags.mockClear();
+    mockRemoveTags.mockClear();
+    mockUpdateTasksWithRenamedTags.mockClear();
+  });
+
+  test('previews and applies a merge', () => {
+    render(<TagTools />);
+
+    expect(screen.getByTestId('apply-merge')).toBeDisabled();
+    fireEvent.click(screen.getByTestId('merge-source-bug'));
+    fireEvent.click(screen.getByTestId('merge-source-bugs'));
+
+    // The first selected tag is the default target
+    expect(screen.getByTestId('merge-target-input')).toHaveValue('bug');
+    expect(screen.getByTestId('tag-preview-tag-bugs')).toHaveTextContent('bugs → bug');
+    expect(screen.queryByTestId('tag-preview-tag-bug')).not.toBeInTheDocument();
+    expect(screen.getByTestId('tag-preview-task-1')).toHaveTextContent('bug, bugs, proj-alpha → bug, proj-alpha');
+    expect(screen.getByTestId('tag-preview-task-2')).toHaveTextContent('bugs → bug');
+    expect(screen.queryByTestId('tag-preview-task-3')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('apply-merge'));
+
+    const mapping = new Map([['bugs', 'bug']]);
+    expect(mockRenameTags).toHaveBeenCalledWith(mapping, '2 tags merged into "bug"');
+    expect(mockUpdateTasksWithRenamedTags).toHaveBeenCalledWith(mapping, '2 tags merged into "bug"');
+  });
+
+  test('merges into a new tag', () => {
+    render(<TagTools />);
+
+    fireEvent.click(screen.getByTestId('merge-source-bug'));
+    fireEvent.click(screen.getByTestId('merge-source-bugs'));
+    fireEvent.change(screen.getByTestId('merge-target-input'), { target: { value: 'Defects' } });
+    fireEvent.click(screen.getByTestId('apply-merge'));
+
+    expect(mockRenameTags).toHaveBeenCalledWith(new Map([['bug', 'Defects'], ['bugs', 'Defects']]), '2 tags merged into "Defects"');
+  });
+
+  test('previews and applies a prefix rename', () => {
+    render(<TagTools />);
+
+    fireEvent.click(screen.getByTestId('tag-tool-rename'));
+    fireEvent.change(screen.getByTestId('rename-find'), { target: { value: 'proj-' } });
+    fireEvent.change(screen.getByTestId('rename-replace'), { target: { value: 'Projects/' } });
+
+    expect(screen.getByTestId('tag-preview-tag-proj-alpha')).toHaveTextContent('proj-alpha → Projects/alpha');
+    expect(screen.getByTestId('tag-preview-task-3')).toHaveTextContent('proj-beta → Projects/beta');
+
+    fireEvent.click(screen.getByTestId('apply-rename'));
+
+    const mapping = new Map([['proj-alpha', 'Projects/alpha'], ['proj-beta', 'Projects/beta']]);
+    expect(mockRenameTags).toHaveBeenCalledWith(mapping, '2 tags renamed');
+    expect(mockUpdateTasksWithRenamedTags).toHaveBeenCalledWith(mapping, '2 tags renamed');
+  });
+
+  test('renames with a pattern and reports invalid ones', () => {
+    render(<TagTools />);
+
+    fireEvent.click(screen.getByTestId('tag-tool-rename'));
+    fireEvent.change(screen.getByTestId('rename-mode'), { target: { value: 'regex' } });
+    fireEvent.change(screen.getByTestId('rename-find'), { target: { value: '^bugs?$' } });
+    fireEvent.change(screen.getByTestId('rename-replace'), { target: { value: 'Defects' } });
+
+    expect(screen.getByTestId('tag-preview-task-1')).toHaveTextContent('→ Defects, proj-alpha');
+
+    fireEvent.change(screen.getByTestId('rename-find'), { target: { value: '(' } });
+    expect(screen.getByTestId('rename-error')).toHaveTextContent('Invalid pattern');
+    expect(screen.getByTestId('apply-rename')).toBeDisabled();
+  });
+
+  test('removes unused tags', () => {
+    render(<TagTools />);
+
+    fireEvent.click(screen.getByTestId('tag-tool-unused'));
+    expect(screen.getByTestId('tag-preview-tag-someday')).toHaveTextContent('someday → removed');
+    expect(screen.getByText('0 tasks affected')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('apply-remove-unused'));
+
+    expect(mockRemoveTags).toHaveBeenCalledWith(['someday'], '1 unused tag removed');
+  });
+});
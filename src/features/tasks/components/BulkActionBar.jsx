@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircleIcon, ArrowUturnLeftIcon, ArchiveBoxIcon, TrashIcon, PlusIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useTaskContext } from '../../../context/TaskContext';
+import { useTagContext } from '../../../context/TagContext';
+import { useBoardContext } from '../../../context/BoardContext';
+import { useHistoryContext } from '../../../context/HistoryContext';
+import { PRIORITY_LEVELS } from '../../../common/utils/taskSort';
+import { normalizeTagName } from '../../../common/utils/tagUtils';
+
+// Select value for clearing the priority, since '' is the placeholder
+const NO_PRIORITY = 'none';
+
+// Board select values are '<action>:<board id>', e.g. 'move:board-1'
+const BOARD_ACTIONS = { move: 'Move to board', copy: 'Copy to board' };
+
+const selectClassName = 'py-1 px-2 text-xs text-neutral-700 rounded-md border border-neutral-200 bg-white focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden';
+const buttonClassName = 'flex items-center text-xs font-medium px-2 py-1 rounded-md transition-colors';
+
+// Floating bar for the selected tasks. Moving tasks depends on the lists' filters, so the board handles it.
+function BulkActionBar({ taskIds, targetLists = [], onMoveToList, onClear }) {
+  const { tasks, setTasksCompleted, archiveTasks, deleteTasks, retagTasks, setTasksPriority } = useTaskContext();
+  const { tags, addTag } = useTagContext();
+  const { boards, activeBoardId, transferTasks, removeTransferredTasks } = useBoardContext();
+  const { record } = useHistoryContext();
+  const [newTag, setNewTag] = useState('');
+
+  const selectedTasks = tasks.filter(task => taskIds.includes(task.id));
+  const count = selectedTasks.length;
+  const countText = count === 1 ? '1 task' : `${count} tasks`;
+  const otherBoards = boards.filter(board => board.id !== activeBoardId && !board.isArchived);
+  const selectedTags = [...new Set(selectedTasks.flatMap(task => task.tags || []))].sort();
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    const name = normalizeTagName(newTag);
+    if (!name) return;
+    if (!tags.some(tag => tag.name === name)) addTag(name);
+    retagTasks(taskIds, { add: [name] }, `Tag "${name}" added to ${countText}`);
+    setNewTag('');
+  };
+
+  const handleRemoveTag = (name) => {
+    if (!name) return;
+    retagTasks(taskIds, { remove: [name] }, `Tag "${name}" removed from ${countText}`);
+  };
+
+  const handleSetPriority = (value) => {
+    if (!value) return;
+    setTasksPriority(taskIds, value === NO_PRIORITY ? null : value);
+  };
+
+  // Copies go to the other board as they are; moving also deletes them here.
+  // Nothing is deleted when the other board couldn't take the tasks.
+  const handleBoardAction = async (value) => {
+    const [action, boardId] = value.split(':');
+    const board = otherBoards.find(b => b.id === boardId);
+    if (!BOARD_ACTIONS[action] || !board) return;
+    const added = await transferTasks(selectedTasks, board.id);
+    if (!added || action !== 'move') return;
+    const label = `${countText} moved to "${board.name}"`;
+    // Undoing the move also takes the tasks off the other board
+    record(label, {
+      destructive: true,
+      onUndo: () => removeTransferredTasks(added, board.id),
+      onRedo: () => transferTasks(added, board.id)
+    });
+    deleteTasks(taskIds, label);
+    onClear();
+  };
+
+  const handleArchive = () => {
+    archiveTasks(taskIds);
+    onClear();
+  };
+
+  const handleDelete = () => {
+    deleteTasks(taskIds);
+    onClear();
+  };
+
+  if (count === 0) return null;
+
+  return (
+    <motion.div
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 flex flex-wrap items-center gap-2 max-w-[95vw] px-4 py-2 bg-white rounded-xl shadow-lg border border-neutral-200"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      role="toolbar"
+      aria-label="Selected tasks"
+      data-testid="bulk-action-bar"
+    >
+      <span className="text-sm font-medium text-neutral-700 mr-1" data-testid="bulk-selection-count">
+        {countText} selected
+      </span>
+
+      <button
+        type="button"
+        onClick={() => setTasksCompleted(taskIds, true)}
+        className={`${buttonClassName} text-primary-600 hover:bg-primary-50`}
+        data-testid="bulk-complete"
+      >
+        <CheckCircleIcon className="h-4 w-4 mr-1" />
+        Complete
+      </button>
+      <button
+        type="button"
+        onClick={() => setTasksCompleted(taskIds, false)}
+        className={`${buttonClassName} text-neutral-600 hover:bg-neutral-100`}
+        data-testid="bulk-uncomplete"
+      >
+        <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+        Reopen
+      </button>
+
+      <form onSubmit={handleAddTag} className="flex items-center gap-1">
+        <input
+          type="text"
+          value={newTag}
+          onChange={(e) => setNewTag(e.target.value)}
+          placeholder="Add tag"
+          list="bulk-tag-options"
+          className={`${selectClassName} w-24`}
+          aria-label="Tag to add"
+          data-testid="bulk-tag-input"
+        />
+        <datalist id="bulk-tag-options">
+          {tags.map(tag => <option key={tag.id} value={tag.name} />)}
+        </datalist>
+        <button
+          type="submit"
+          disabled={!newTag.trim()}
+          className={`${buttonClassName} text-primary-600 hover:bg-primary-50 disabled:text-neutral-300`}
+          aria-label="Add tag to selected tasks"
+          data-testid="bulk-add-tag"
+        >
+          <PlusIcon className="h-4 w-4" />
+        </button>
+      </form>
+
+      <select
+        value=""
+        onChange={(e) => handleRemoveTag(e.target.value)}
+        disabled={selectedTags.length === 0}
+        className={selectClassName}
+        aria-label="Remove tag"
+        data-testid="bulk-remove-tag"
+      >
+        <option value="">Remove tag…</option>
+        {selectedTags.map(name => <option key={name} value={name}>{name}</option>)}
+      </select>
+
+      <select
+        value=""
+        onChange={(e) => handleSetPriority(e.target.value)}
+        className={selectClassName}
+        aria-label="Set priority"
+        data-testid="bulk-priority"
+      >
+        <option value="">Priority…</option>
+        {PRIORITY_LEVELS.map(level => <option key={level.value} value={level.value}>{level.label}</option>)}
+        <option value={NO_PRIORITY}>No priority</option>
+      </select>
+
+      {targetLists.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onMoveToList(e.target.value)}
+          className={selectClassName}
+          aria-label="Move to list"
+          data-testid="bulk-move-to-list"
+        >
+          <option value="">Move to…</option>
+          {targetLists.map(list => <option key={list.id} value={list.id}>{list.title}</option>)}
+        </select>
+      )}
+
+      {otherBoards.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && handleBoardAction(e.target.value)}
+          className={selectClassName}
+          aria-label="Move or copy to board"
+          data-testid="bulk-board-action"
+        >
+          <option value="">Board…</option>
+          {Object.entries(BOARD_ACTIONS).map(([action, label]) => (
+            <optgroup key={action} label={label}>
+              {otherBoards.map(board => (
+                <option key={board.id} value={`${action}:${board.id}`}>{board.name}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      )}
+
+      <button
+        type="button"
+        onClick={handleArchive}
+        className={`${buttonClassName} text-neutral-600 hover:bg-neutral-100`}
+        data-testid="bulk-archive"
+      >
+        <ArchiveBoxIcon className="h-4 w-4 mr-1" />
+        Archive
+      </button>
+      <button
+        type="button"
+        onClick={handleDelete}
+        className={`${buttonClassName} text-rose-500 hover:bg-rose-50`}
+        data-testid="bulk-delete"
+      >
+        <TrashIcon className="h-4 w-4 mr-1" />
+        Delete
+      </button>
+      <button
+        type="button"
+        onClick={onClear}
+        className="p-1 text-neutral-500 hover:text-neutral-700 hover:bg-neutral-100 rounded-full"
+        aria-label="Clear selection"
+        data-testid="bulk-clear"
+      >
+        <XMarkIcon className="h-4 w-4" />
+      </button>
+    </motion.div>
+  );
+}
+
+export default BulkActionBar;
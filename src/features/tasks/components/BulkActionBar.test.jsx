@@ -0,0 +1,189 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { vi } from 'vitest';
+import BulkActionBar from './BulkActionBar';
+
+// Mock the context hooks
+const mockSetTasksCompleted = vi.fn();
+const mockDeleteTasks = vi.fn();
+const mockArchiveTasks = vi.fn();
+const mockRetagTasks = vi.fn();
+const mockSetTasksPriority = vi.fn();
+const mockAddTag = vi.fn();
+const mockTransferTasks = vi.fn(() => Promise.resolve([]));
+const mockRemoveTransferredTasks = vi.fn();
+const mockRecord = vi.fn();
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    tasks: [
+      { id: 1, title: 'Write report', isCompleted: false, tags: ['work', 'urgent'] },
+      { id: 2, title: 'Plan sprint', isCompleted: true, tags: ['work'] },
+      { id: 3, title: 'Buy milk', isCompleted: false, tags: ['home'] }
+    ],
+    setTasksCompleted: mockSetTasksCompleted,
+    archiveTasks: mockArchiveTasks,
+    deleteTasks: mockDeleteTasks,
+    retagTasks: mockRetagTasks,
+    setTasksPriority: mockSetTasksPriority
+  })
+}));
+
+vi.mock('../../../context/TagContext', () => ({
+  useTagContext: () => ({
+    tags: [{ id: 'work', name: 'work' }, { id: 'urgent', name: 'urgent' }, { id: 'home', name: 'home' }],
+    addTag: mockAddTag
+  })
+}));
+
+vi.mock('../../../context/BoardContext', () => ({
+  useBoardContext: () => ({
+    boards: [
+      { id: 'default', name: 'My Board', isArchived: false },
+      { id: 'board-2', name: 'Conference', isArchived: false },
+      { id: 'board-3', name: 'Old', isArchived: true }
+    ],
+    activeBoardId: 'default',
+    transferTasks: mockTransferTasks,
+    removeTransferredTasks: mockRemoveTransferredTasks
+  })
+}));
+
+vi.mock('../../../context/HistoryContext', () => ({
+  useHistoryContext: () => ({ record: mockRecord })
+}));
+
+describe('BulkActionBar Component', () => {
+  const mockOnMoveToList = vi.fn();
+  const mockOnClear = vi.fn();
+  const targetLists = [{ id: 'default', title: 'All Tasks' }, { id: 'home', title: 'Home' }];
+
+  const renderBar = (taskIds = [1, 2]) => render(
+    <BulkActionBar taskIds={taskIds} targetLists={targetLists} onMoveToList={mockOnMoveToList} onClear={mockOnClear} />
+  );
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('shows how many tasks are selected', () => {
+    renderBar();
+
+    expect(screen.getByTestId('bulk-selection-count')).toHaveTextContent('2 tasks selected');
+  });
+
+  test('completes, reopens and deletes the selection', () => {
+    renderBar();
+
+    fireEvent.click(screen.getByTestId('bulk-complete'));
+    expect(mockSetTasksCompleted).toHaveBeenCalledWith([1, 2], true);
+    fireEvent.click(screen.getByTestId('bulk-uncomplete'));
+    expect(mockSetTasksCompleted).toHaveBeenCalledWith([1, 2], false);
+
+    fireEvent.click(screen.getByTestId('bulk-delete'));
+    expect(mockDeleteTasks).toHaveBeenCalledWith([1, 2]);
+    expect(mockOnClear).toHaveBeenCalled();
+  });
+
+  test('archives the selection', () => {
+    renderBar();
+
+    fireEvent.click(screen.getByTestId('bulk-archive'));
+    expect(mockArchiveTasks).toHaveBeenCalledWith([1, 2]);
+    expect(mockOnClear).toHaveBeenCalled();
+  });
+
+  test('adds a tag, creating it when new', () => {
+    renderBar();
+
+    fireEvent.change(screen.getByTestId('bulk-tag-input'), { target: { value: 'work' } });
+    fireEvent.click(screen.getByTestId('bulk-add-tag'));
+    expect(mockRetagTasks).toHaveBeenLastCalledWith([1, 2], { add: ['work'] }, 'Tag "work" added to 2 tasks');
+    expect(mockAddTag).not.toHaveBeenCalled();
+    expect(screen.getByTestId('bulk-tag-input')).toHaveValue('');
+
+    fireEvent.change(screen.getByTestId('bulk-tag-input'), { target: { value: ' Q3 / Review ' } });
+    fireEvent.click(screen.getByTestId('bulk-add-tag'));
+    expect(mockAddTag).toHaveBeenCalledWith('Q3/Review');
+    expect(mockRetagTasks).toHaveBeenLastCalledWith([1, 2], { add: ['Q3/Review'] }, 'Tag "Q3/Review" added to 2 tasks');
+  });
+
+  test('removes one of the selected tasks\' tags', () => {
+    renderBar();
+
+    const options = Array.from(screen.getByTestId('bulk-remove-tag').options).map(option => option.value);
+    expect(options).toEqual(['', 'urgent', 'work']);
+
+    fireEvent.change(screen.getByTestId('bulk-remove-tag'), { target: { value: 'urgent' } });
+    expect(mockRetagTasks).toHaveBeenCalledWith([1, 2], { remove: ['urgent'] }, 'Tag "urgent" removed from 2 tasks');
+  });
+
+  test('sets and clears the priority', () => {
+    renderBar();
+
+    fireEvent.change(screen.getByTestId('bulk-priority'), { target: { value: 'P1' } });
+    expect(mockSetTasksPriority).toHaveBeenLastCalledWith([1, 2], 'P1');
+    fireEvent.change(screen.getByTestId('bulk-priority'), { target: { value: 'none' } });
+    expect(mockSetTasksPriority).toHaveBeenLastCalledWith([1, 2], null);
+  });
+
+  test('moves the selection to another list', () => {
+    renderBar();
+
+    fireEvent.change(screen.getByTestId('bulk-move-to-list'), { target: { value: 'home' } });
+    expect(mockOnMoveToList).toHaveBeenCalledWith('home');
+  });
+
+  test('offers the other open boards to move or copy to', () => {
+    renderBar();
+
+    const options = Array.from(screen.getByTestId('bulk-board-action').options).map(option => option.value);
+    expect(options).toEqual(['', 'move:board-2', 'copy:board-2']);
+  });
+
+  test('copies the selection to another board', async () => {
+    renderBar();
+
+    fireEvent.change(screen.getByTestId('bulk-board-action'), { target: { value: 'copy:board-2' } });
+    await waitFor(() => expect(mockTransferTasks).toHaveBeenCalledWith(
+      [expect.objectContaining({ id: 1 }), expect.objectContaining({ id: 2 })],
+      'board-2'
+    ));
+    expect(mockDeleteTasks).not.toHaveBeenCalled();
+    expect(mockOnClear).not.toHaveBeenCalled();
+  });
+
+  test('moves the selection to another board', async () => {
+    renderBar();
+
+    fireEvent.change(screen.getByTestId('bulk-board-action'), { target: { value: 'move:board-2' } });
+    await waitFor(() => expect(mockDeleteTasks).toHaveBeenCalledWith([1, 2], '2 tasks moved to "Conference"'));
+    expect(mockTransferTasks).toHaveBeenCalledWith(expect.any(Array), 'board-2');
+    expect(mockOnClear).toHaveBeenCalled();
+
+    // Undoing the move takes the tasks off the other board again
+    const [label, { onUndo }] = mockRecord.mock.calls[0];
+    expect(label).toBe('2 tasks moved to "Conference"');
+    onUndo();
+    expect(mockRemoveTransferredTasks).toHaveBeenCalledWith([], 'board-2');
+  });
+
+  test('keeps the selection when the other board can\'t take it', async () => {
+    mockTransferTasks.mockResolvedValueOnce(null);
+    renderBar();
+
+    fireEvent.change(screen.getByTestId('bulk-board-action'), { target: { value: 'move:board-2' } });
+    await waitFor(() => expect(mockTransferTasks).toHaveBeenCalled());
+    expect(mockDeleteTasks).not.toHaveBeenCalled();
+    expect(mockRecord).not.toHaveBeenCalled();
+    expect(mockOnClear).not.toHaveBeenCalled();
+  });
+
+  test('clears the selection', () => {
+    renderBar([3]);
+
+    expect(screen.getByTestId('bulk-selection-count')).toHaveTextContent('1 task selected');
+    fireEvent.click(screen.getByTestId('bulk-clear'));
+    expect(mockOnClear).toHaveBeenCalled();
+  });
+});
@@ -1,8 +1,13 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { CheckIcon, XMarkIcon, TagIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import { useTaskContext } from '../../../context/TaskContext';
 import { useTagContext } from '../../../context/TagContext';
+import TagInput from '../../tags/components/TagInput';
+import TaskDateFields from './TaskDateFields';
+import TaskPriorityField from './TaskPriorityField';
+import RecurrenceFields from './RecurrenceFields';
+import { createRecurrence } from '../../../common/utils/recurrenceUtils';
 
 function GlobalTaskForm({ onCancel }) {
   const { addTask } = useTaskContext();
@@ -11,6 +16,11 @@ function GlobalTaskForm({ onCancel }) {
   const [title, setTitle] = useState('');
   const [selectedTags, setSelectedTags] = useState([]);
   const [newTagInput, setNewTagInput] = useState('');
+  const [dueDate, setDueDate] = useState(null);
+  const [startDate, setStartDate] = useState(null);
+  const [reminder, setReminder] = useState(null);
+  const [priority, setPriority] = useState(null);
+  const [rule, setRule] = useState(null);
   const inputRef = useRef(null);
 
   useEffect(() => {
@@ -24,53 +34,33 @@ function GlobalTaskForm({ onCancel }) {
     e.preventDefault();
     if (!title.trim()) return;
     
+    const recurrence = rule ? { recurrence: createRecurrence(rule) } : {};
+    // A reminder only means something with a due date
+    const taskReminder = dueDate ? reminder : null;
+
     // Add current tag input if it exists and not already added
     const finalTagInput = newTagInput.trim();
     if (finalTagInput && !selectedTags.includes(finalTagInput)) {
       // Add to global tags list if it's a new tag
-      if (!tags.includes(finalTagInput)) {
+      if (!tags.some(tag => tag.name === finalTagInput)) {
         addTag(finalTagInput);
       }
-      addTask({ title, description: "", isCompleted: false, tags: [...selectedTags, finalTagInput] });
+      addTask({ title, description: "", isCompleted: false, tags: [...selectedTags, finalTagInput], dueDate, startDate, reminder: taskReminder, priority, ...recurrence });
     } else {
-      addTask({ title, description: "", isCompleted: false, tags: selectedTags });
+      addTask({ title, description: "", isCompleted: false, tags: selectedTags, dueDate, startDate, reminder: taskReminder, priority, ...recurrence });
     }
     
     setTitle('');
     setSelectedTags([]);
     setNewTagInput('');
+    setDueDate(null);
+    setStartDate(null);
+    setReminder(null);
+    setPriority(null);
+    setRule(null);
     onCancel();
   };
 
-  const handleAddTag = (tag) => {
-    if (!tag.trim() || selectedTags.includes(tag.trim())) return;
-    setSelectedTags([...selectedTags, tag.trim()]);
-    setNewTagInput('');
-  };
-  
-  const handleRemoveTag = (tag) => {
-    setSelectedTags(selectedTags.filter(t => t !== tag));
-  };
-
-  // Handle input key events (add tag on Enter or comma)
-  const handleTagKeyDown = (e) => {
-    if ((e.key === 'Enter' || e.key === ',') && newTagInput.trim()) {
-      e.preventDefault();
-      handleAddTag(newTagInput.trim());
-    }
-  };
-
-  // Get matching tags based on the current input
-  const getMatchingTags = () => {
-    if (!newTagInput.trim()) return [];
-    
-    const inputLower = newTagInput.toLowerCase();
-    return tags.filter(tag => 
-      !selectedTags.includes(tag) && 
-      tag.toLowerCase().includes(inputLower)
-    );
-  };
-
   return (
     <form className="global-task-form mb-6" onSubmit={handleSubmit} data-testid="global-task-form">
       <div className="relative mb-4">
@@ -110,87 +100,25 @@ function GlobalTaskForm({ onCancel }) {
         </div>
       </div>
       
-      {/* Tag input field */}
-      <div className="mb-3">
-        <div className="relative">
-          <div className="absolute left-3 top-1/2 -translate-y-1/2">
-            <TagIcon className="h-4 w-4 text-neutral-500" />
-          </div>
-          <input
-            type="text"
-            placeholder="Enter a new tag (press Enter or comma to add)"
-            value={newTagInput}
-            onChange={(e) => setNewTagInput(e.target.value)}
-            onKeyDown={handleTagKeyDown}
-            className="w-full py-3 px-4 pl-9 text-sm text-neutral-800 rounded-lg border border-neutral-200 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden transition-all"
-            autoComplete="off"
-            data-testid="tag-input"
-          />
-          
-          {/* Add button */}
-          {newTagInput.trim() && !selectedTags.includes(newTagInput.trim()) && (
-            <button
-              type="button"
-              onClick={() => handleAddTag(newTagInput.trim())}
-              className="absolute right-2 top-1/2 -translate-y-1/2 p-1 bg-primary-500 hover:bg-primary-600 text-white rounded-full"
-              data-testid="add-tag-button"
-            >
-              <PlusIcon className="h-4 w-4" />
-            </button>
-          )}
-        </div>
-        
-        {/* Matching tag suggestions - only shown when input matches existing tags */}
-        {getMatchingTags().length > 0 && (
-          <div className="mt-2" data-testid="tag-suggestions">
-            <p className="text-xs font-medium text-neutral-500 mb-1.5">Select matching tag:</p>
-            <div className="flex flex-wrap gap-2">
-              {getMatchingTags().map((tag, index) => (
-                <button
-                  key={index}
-                  type="button"
-                  onClick={() => handleAddTag(tag)}
-                  className="inline-flex items-center px-3 py-1.5 rounded-full text-xs font-medium bg-primary-50 text-primary-700 hover:bg-primary-100 transition-colors"
-                  data-testid={`tag-suggestion-${tag}`}
-                >
-                  <TagIcon className="h-3 w-3 mr-1" />
-                  {tag}
-                </button>
-              ))}
-            </div>
-          </div>
-        )}
-      </div>
-      
-      {/* Selected tags display */}
-      {selectedTags.length > 0 && (
-        <div className="mb-1" data-testid="selected-tags">
-          <p className="text-xs font-medium text-neutral-500 mb-2">Selected tags:</p>
-          <div className="flex flex-wrap gap-2 p-2 bg-neutral-50 rounded-lg">
-            {selectedTags.map((tag, index) => (
-              <div 
-                key={index} 
-                className="inline-flex items-center px-3 py-1.5 rounded-full text-xs font-medium bg-primary-500 text-white group"
-                data-testid={`selected-tag-${tag}`}
-              >
-                <TagIcon className="h-3 w-3 mr-1" />
-                <span>{tag}</span>
-                <button
-                  type="button"
-                  className="ml-1 p-0.5 rounded-full hover:bg-primary-600 group-hover:text-white"
-                  onClick={(e) => {
-                    e.preventDefault();
-                    handleRemoveTag(tag);
-                  }}
-                  data-testid={`remove-tag-${tag}`}
-                >
-                  <XMarkIcon className="h-3 w-3" />
-                </button>
-              </div>
-            ))}
-          </div>
-        </div>
-      )}
+      <TaskDateFields
+        dueDate={dueDate}
+        onDueDateChange={setDueDate}
+        startDate={startDate}
+        onStartDateChange={setStartDate}
+        reminder={reminder}
+        onReminderChange={setReminder}
+      />
+
+      <TaskPriorityField priority={priority} onChange={setPriority} />
+
+      <RecurrenceFields rule={rule} onChange={setRule} />
+
+      <TagInput
+        selectedTags={selectedTags}
+        onChange={setSelectedTags}
+        inputValue={newTagInput}
+        onInputChange={setNewTagInput}
+      />
     </form>
   );
 }
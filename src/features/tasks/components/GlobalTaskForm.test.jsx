@@ -15,7 +15,7 @@ vi.mock('../../../context/TaskContext', () => ({
 
 vi.mock('../../../context/TagContext', () => ({
   useTagContext: () => ({
-    tags: ['existing-tag', 'another-tag'],
+    tags: [{ id: 'existing-tag', name: 'existing-tag' }, { id: 'another-tag', name: 'another-tag' }],
     addTag: mockAddTag
   })
 }));
@@ -139,7 +139,11 @@ describe('GlobalTaskForm Component', () => {
       title: 'Submit Test Task',
       description: "",
       isCompleted: false,
-      tags: ['test-tag']
+      tags: ['test-tag'],
+      dueDate: null,
+      startDate: null,
+      reminder: null,
+      priority: null
     });
     expect(mockOnCancel).toHaveBeenCalled();
   });
@@ -164,4 +168,54 @@ describe('GlobalTaskForm Component', () => {
     
     expect(submitButton).not.toBeDisabled();
   });
-});
\ No newline at end of file
+
+  test('submits the form with due and start dates', () => {
+    render(<GlobalTaskForm onCancel={mockOnCancel} />);
+    
+    fireEvent.change(screen.getByTestId('task-input'), { target: { value: 'Dated task' } });
+    fireEvent.change(screen.getByTestId('due-date-input'), { target: { value: '2025-05-19T09:30' } });
+    fireEvent.change(screen.getByTestId('start-date-input'), { target: { value: '2025-05-18T08:00' } });
+    fireEvent.click(screen.getByTestId('submit-button'));
+    
+    expect(mockAddTask).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Dated task',
+      dueDate: new Date(2025, 4, 19, 9, 30).toISOString(),
+      startDate: new Date(2025, 4, 18, 8, 0).toISOString()
+    }));
+  });
+
+  test('submits a reminder, which needs a due date', () => {
+    render(<GlobalTaskForm onCancel={mockOnCancel} />);
+    
+    fireEvent.change(screen.getByTestId('task-input'), { target: { value: 'Keynote' } });
+    expect(screen.getByTestId('reminder-select')).toBeDisabled();
+    fireEvent.change(screen.getByTestId('due-date-input'), { target: { value: '2025-05-19T09:30' } });
+    fireEvent.change(screen.getByTestId('reminder-select'), { target: { value: '60' } });
+    fireEvent.click(screen.getByTestId('submit-button'));
+    
+    expect(mockAddTask).toHaveBeenCalledWith(expect.objectContaining({ title: 'Keynote', reminder: 60 }));
+  });
+
+  test('submits the selected priority', () => {
+    render(<GlobalTaskForm onCancel={mockOnCancel} />);
+    
+    fireEvent.change(screen.getByTestId('task-input'), { target: { value: 'Urgent task' } });
+    fireEvent.change(screen.getByTestId('priority-select'), { target: { value: 'P0' } });
+    fireEvent.click(screen.getByTestId('submit-button'));
+    
+    expect(mockAddTask).toHaveBeenCalledWith(expect.objectContaining({ title: 'Urgent task', priority: 'P0' }));
+  });
+
+  test('submits a repeat rule as a new series', () => {
+    render(<GlobalTaskForm onCancel={mockOnCancel} />);
+
+    fireEvent.change(screen.getByTestId('task-input'), { target: { value: 'Stand-up' } });
+    fireEvent.change(screen.getByTestId('recurrence-frequency'), { target: { value: 'daily' } });
+    fireEvent.click(screen.getByTestId('submit-button'));
+
+    expect(mockAddTask).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Stand-up',
+      recurrence: expect.objectContaining({ frequency: 'daily', interval: 1, occurrence: 1, seriesId: expect.any(String) })
+    }));
+  });
+});
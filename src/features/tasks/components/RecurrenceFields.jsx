@@ -0,0 +1,148 @@
+import React from 'react';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { RECURRENCE_FREQUENCIES, WEEKDAY_LABELS } from '../../../common/utils/recurrenceUtils';
+import { toDateTimeInputValue, fromDateTimeInputValue } from '../../../common/utils/dateUtils';
+
+const DEFAULT_COUNT = 10;
+
+// Repeat rule editor; the value is { frequency, interval, weekdays, count, until }, or null for a one-off task
+function RecurrenceFields({ rule, onChange, disabled = false }) {
+  const inputClassName = "py-2 px-3 text-sm text-neutral-800 rounded-lg border border-neutral-200 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden transition-all disabled:bg-neutral-50 disabled:text-neutral-400";
+  const end = rule && rule.count ? 'count' : rule && rule.until ? 'until' : 'never';
+
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const handleFrequencyChange = (frequency) => {
+    if (!frequency) {
+      onChange(null);
+      return;
+    }
+    onChange({ interval: 1, weekdays: [], count: null, until: null, ...rule, frequency });
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = rule.weekdays || [];
+    update({ weekdays: weekdays.includes(day) ? weekdays.filter(d => d !== day) : [...weekdays, day].sort() });
+  };
+
+  const handleEndChange = (value) => {
+    if (value === 'count') {
+      update({ count: DEFAULT_COUNT, until: null });
+    } else if (value === 'until') {
+      // Default to a month from now so the series doesn't end immediately
+      const today = new Date();
+      update({ count: null, until: new Date(today.getFullYear(), today.getMonth() + 1, today.getDate()).toISOString() });
+    } else {
+      update({ count: null, until: null });
+    }
+  };
+
+  return (
+    <div className="mb-3" data-testid="recurrence-fields">
+      <span className="flex items-center text-xs font-medium text-neutral-500 mb-1">
+        <ArrowPathIcon className="h-3 w-3 mr-1" />
+        Repeat
+      </span>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={rule ? rule.frequency : ''}
+          onChange={(e) => handleFrequencyChange(e.target.value)}
+          disabled={disabled}
+          className={inputClassName}
+          aria-label="Repeat"
+          data-testid="recurrence-frequency"
+        >
+          <option value="">Does not repeat</option>
+          {Object.entries(RECURRENCE_FREQUENCIES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+
+        {rule && (
+          <label className="flex items-center gap-2 text-sm text-neutral-600">
+            every
+            <input
+              type="number"
+              min="1"
+              value={rule.interval || 1}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              disabled={disabled}
+              className={`${inputClassName} w-16`}
+              data-testid="recurrence-interval"
+            />
+            {RECURRENCE_FREQUENCIES[rule.frequency].unit}(s)
+          </label>
+        )}
+      </div>
+
+      {rule && rule.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-1 mt-2" role="group" aria-label="Repeat on">
+          {WEEKDAY_LABELS.map((label, day) => {
+            const selected = (rule.weekdays || []).includes(day);
+            return (
+              <button
+                key={label}
+                type="button"
+                onClick={() => toggleWeekday(day)}
+                disabled={disabled}
+                aria-pressed={selected}
+                className={`px-2 py-1 text-xs rounded-md border transition-colors ${
+                  selected
+                    ? 'bg-primary-500 border-primary-500 text-white'
+                    : 'border-neutral-200 text-neutral-600 hover:bg-neutral-50'
+                }`}
+                data-testid={`recurrence-weekday-${day}`}
+              >
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {rule && (
+        <div className="flex flex-wrap items-center gap-2 mt-2">
+          <select
+            value={end}
+            onChange={(e) => handleEndChange(e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+            aria-label="Ends"
+            data-testid="recurrence-end"
+          >
+            <option value="never">Never ends</option>
+            <option value="count">Ends after</option>
+            <option value="until">Ends on</option>
+          </select>
+          {end === 'count' && (
+            <label className="flex items-center gap-2 text-sm text-neutral-600">
+              <input
+                type="number"
+                min="1"
+                value={rule.count}
+                onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                disabled={disabled}
+                className={`${inputClassName} w-16`}
+                data-testid="recurrence-count"
+              />
+              occurrences
+            </label>
+          )}
+          {end === 'until' && (
+            <input
+              type="date"
+              value={toDateTimeInputValue(rule.until).slice(0, 10)}
+              onChange={(e) => e.target.value && update({ until: fromDateTimeInputValue(`${e.target.value}T00:00`) })}
+              disabled={disabled}
+              className={inputClassName}
+              aria-label="End date"
+              data-testid="recurrence-until"
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecurrenceFields;
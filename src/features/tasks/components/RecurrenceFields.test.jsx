@@ -0,0 +1,68 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import RecurrenceFields from './RecurrenceFields';
+
+describe('RecurrenceFields Component', () => {
+  const mockOnChange = vi.fn();
+  const weeklyRule = { frequency: 'weekly', interval: 1, weekdays: [1], count: null, until: null };
+
+  beforeEach(() => {
+    mockOnChange.mockClear();
+  });
+
+  test('shows only the frequency for one-off tasks', () => {
+    render(<RecurrenceFields rule={null} onChange={mockOnChange} />);
+
+    expect(screen.getByTestId('recurrence-frequency')).toHaveValue('');
+    expect(screen.queryByTestId('recurrence-interval')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('recurrence-end')).not.toBeInTheDocument();
+  });
+
+  test('starts a rule when a frequency is picked', () => {
+    render(<RecurrenceFields rule={null} onChange={mockOnChange} />);
+
+    fireEvent.change(screen.getByTestId('recurrence-frequency'), { target: { value: 'monthly' } });
+
+    expect(mockOnChange).toHaveBeenCalledWith({ frequency: 'monthly', interval: 1, weekdays: [], count: null, until: null });
+  });
+
+  test('toggles weekdays of weekly rules', () => {
+    render(<RecurrenceFields rule={weeklyRule} onChange={mockOnChange} />);
+
+    expect(screen.getByTestId('recurrence-weekday-1')).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.click(screen.getByTestId('recurrence-weekday-5'));
+    expect(mockOnChange).toHaveBeenLastCalledWith({ ...weeklyRule, weekdays: [1, 5] });
+
+    fireEvent.click(screen.getByTestId('recurrence-weekday-1'));
+    expect(mockOnChange).toHaveBeenLastCalledWith({ ...weeklyRule, weekdays: [] });
+  });
+
+  test('ends after a number of occurrences', () => {
+    const { rerender } = render(<RecurrenceFields rule={weeklyRule} onChange={mockOnChange} />);
+
+    fireEvent.change(screen.getByTestId('recurrence-end'), { target: { value: 'count' } });
+    expect(mockOnChange).toHaveBeenLastCalledWith({ ...weeklyRule, count: 10, until: null });
+
+    rerender(<RecurrenceFields rule={{ ...weeklyRule, count: 10 }} onChange={mockOnChange} />);
+    fireEvent.change(screen.getByTestId('recurrence-count'), { target: { value: '4' } });
+    expect(mockOnChange).toHaveBeenLastCalledWith({ ...weeklyRule, count: 4 });
+  });
+
+  test('ends on a date', () => {
+    const until = new Date(2025, 4, 30).toISOString();
+    render(<RecurrenceFields rule={{ ...weeklyRule, until }} onChange={mockOnChange} />);
+
+    expect(screen.getByTestId('recurrence-until')).toHaveValue('2025-05-30');
+    fireEvent.change(screen.getByTestId('recurrence-until'), { target: { value: '2025-06-15' } });
+
+    expect(mockOnChange).toHaveBeenCalledWith({ ...weeklyRule, until: new Date(2025, 5, 15).toISOString() });
+  });
+
+  test('can be disabled', () => {
+    render(<RecurrenceFields rule={weeklyRule} onChange={mockOnChange} disabled />);
+
+    expect(screen.getByTestId('recurrence-frequency')).toBeDisabled();
+    expect(screen.getByTestId('recurrence-weekday-1')).toBeDisabled();
+  });
+});
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { PlusIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useTaskContext } from '../../../context/TaskContext';
+import { MAX_SUBTASK_DEPTH, getSubtaskProgress } from '../../../common/utils/subtaskUtils';
+
+// Text input that adds a subtask on Enter
+function AddSubtaskInput({ onAdd, onCancel, placeholder = 'Add a subtask', testId, autoFocus = false }) {
+  const [title, setTitle] = useState('');
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (!title.trim()) return;
+      onAdd(title.trim());
+      setTitle('');
+    } else if (e.key === 'Escape' && onCancel) {
+      onCancel();
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      value={title}
+      onChange={(e) => setTitle(e.target.value)}
+      onKeyDown={handleKeyDown}
+      className="w-full px-2 py-1 border border-neutral-200 rounded-md text-sm focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+      placeholder={placeholder}
+      autoFocus={autoFocus}
+      data-testid={testId}
+    />
+  );
+}
+
+// One level of the subtask tree; nested levels render recursively
+function SubtaskTree({ taskId, subtasks, depth }) {
+  const { addSubtask, toggleSubtask, deleteSubtask } = useTaskContext();
+  const [addingToId, setAddingToId] = useState(null);
+
+  return (
+    <ul className={`flex flex-col gap-1 ${depth > 1 ? 'ml-5 mt-1' : ''}`} data-testid={`subtask-level-${depth}`}>
+      {subtasks.map(subtask => {
+        const progress = getSubtaskProgress(subtask);
+        return (
+          <li key={subtask.id} data-testid={`subtask-${subtask.id}`}>
+            <div className="group flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={subtask.isCompleted}
+                onChange={() => toggleSubtask(taskId, subtask.id)}
+                className="cursor-pointer"
+                data-testid={`subtask-checkbox-${subtask.id}`}
+              />
+              <span className={`grow ${subtask.isCompleted ? 'line-through text-neutral-500' : 'text-neutral-700'}`}>
+                {subtask.title}
+              </span>
+              {progress.total > 0 && (
+                <span className="text-xs text-neutral-500">{progress.completed}/{progress.total}</span>
+              )}
+              {depth < MAX_SUBTASK_DEPTH && (
+                <button
+                  type="button"
+                  onClick={() => setAddingToId(subtask.id)}
+                  className="p-0.5 text-neutral-400 hover:text-primary-600 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                  aria-label="Add a nested subtask"
+                  data-testid={`add-nested-subtask-${subtask.id}`}
+                >
+                  <PlusIcon className="h-3 w-3" />
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => deleteSubtask(taskId, subtask.id)}
+                className="p-0.5 text-neutral-400 hover:text-rose-600 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                aria-label="Delete subtask"
+                data-testid={`delete-subtask-${subtask.id}`}
+              >
+                <XMarkIcon className="h-3 w-3" />
+              </button>
+            </div>
+            {subtask.subtasks && subtask.subtasks.length > 0 && (
+              <SubtaskTree taskId={taskId} subtasks={subtask.subtasks} depth={depth + 1} />
+            )}
+            {addingToId === subtask.id && (
+              <div className="ml-5 mt-1">
+                <AddSubtaskInput
+                  onAdd={(title) => addSubtask(taskId, subtask.id, title)}
+                  onCancel={() => setAddingToId(null)}
+                  placeholder="Add a nested subtask"
+                  autoFocus
+                  testId={`nested-subtask-input-${subtask.id}`}
+                />
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// Expanded subtask panel of a task
+function SubtaskList({ task }) {
+  const { addSubtask, setSubtaskAutoComplete } = useTaskContext();
+  const subtasks = task.subtasks || [];
+
+  return (
+    <div className="mt-2 ml-8 flex flex-col gap-2" data-testid={`subtask-list-${task.id}`}>
+      {subtasks.length > 0 && (
+        <SubtaskTree taskId={task.id} subtasks={subtasks} depth={1} />
+      )}
+      <AddSubtaskInput
+        onAdd={(title) => addSubtask(task.id, null, title)}
+        testId={`new-subtask-input-${task.id}`}
+      />
+      <label className="flex items-center gap-2 text-xs text-neutral-500">
+        <input
+          type="checkbox"
+          checked={Boolean(task.autoCompleteSubtasks)}
+          onChange={(e) => setSubtaskAutoComplete(task.id, e.target.checked)}
+          data-testid={`auto-complete-subtasks-${task.id}`}
+        />
+        Complete automatically when all subtasks are done
+      </label>
+    </div>
+  );
+}
+
+export default SubtaskList;
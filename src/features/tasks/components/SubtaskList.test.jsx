@@ -0,0 +1,94 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import SubtaskList from './SubtaskList';
+
+const mockAddSubtask = vi.fn();
+const mockToggleSubtask = vi.fn();
+const mockDeleteSubtask = vi.fn();
+const mockSetSubtaskAutoComplete = vi.fn();
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    addSubtask: mockAddSubtask,
+    toggleSubtask: mockToggleSubtask,
+    deleteSubtask: mockDeleteSubtask,
+    setSubtaskAutoComplete: mockSetSubtaskAutoComplete
+  })
+}));
+
+describe('SubtaskList Component', () => {
+  const mockTask = {
+    id: 1,
+    title: 'Prepare talk',
+    isCompleted: false,
+    subtasks: [
+      {
+        id: 'slides',
+        title: 'Slides',
+        isCompleted: false,
+        subtasks: [
+          {
+            id: 'demo',
+            title: 'Demo',
+            isCompleted: true,
+            subtasks: [{ id: 'record', title: 'Record backup', isCompleted: false, subtasks: [] }]
+          }
+        ]
+      }
+    ]
+  };
+
+  beforeEach(() => {
+    mockAddSubtask.mockClear();
+    mockToggleSubtask.mockClear();
+    mockDeleteSubtask.mockClear();
+    mockSetSubtaskAutoComplete.mockClear();
+  });
+
+  test('renders nested subtasks with their progress', () => {
+    render(<SubtaskList task={mockTask} />);
+
+    expect(screen.getByTestId('subtask-level-1')).toHaveTextContent('Slides');
+    expect(screen.getByTestId('subtask-level-2')).toHaveTextContent('Demo');
+    expect(screen.getByTestId('subtask-level-3')).toHaveTextContent('Record backup');
+    expect(screen.getByTestId('subtask-slides')).toHaveTextContent('1/2');
+    expect(screen.getByTestId('subtask-checkbox-demo')).toBeChecked();
+  });
+
+  test('adds subtasks at the top level and below a subtask', () => {
+    render(<SubtaskList task={mockTask} />);
+
+    const input = screen.getByTestId('new-subtask-input-1');
+    fireEvent.change(input, { target: { value: 'Book room' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(mockAddSubtask).toHaveBeenCalledWith(1, null, 'Book room');
+    expect(input).toHaveValue('');
+
+    fireEvent.click(screen.getByTestId('add-nested-subtask-slides'));
+    const nestedInput = screen.getByTestId('nested-subtask-input-slides');
+    fireEvent.change(nestedInput, { target: { value: 'Outro' } });
+    fireEvent.keyDown(nestedInput, { key: 'Enter' });
+    expect(mockAddSubtask).toHaveBeenCalledWith(1, 'slides', 'Outro');
+  });
+
+  test('does not offer nesting below the deepest level', () => {
+    render(<SubtaskList task={mockTask} />);
+
+    expect(screen.getByTestId('add-nested-subtask-demo')).toBeInTheDocument();
+    expect(screen.queryByTestId('add-nested-subtask-record')).not.toBeInTheDocument();
+  });
+
+  test('toggles, deletes and switches auto-completion', () => {
+    render(<SubtaskList task={mockTask} />);
+
+    fireEvent.click(screen.getByTestId('subtask-checkbox-record'));
+    expect(mockToggleSubtask).toHaveBeenCalledWith(1, 'record');
+
+    fireEvent.click(screen.getByTestId('delete-subtask-demo'));
+    expect(mockDeleteSubtask).toHaveBeenCalledWith(1, 'demo');
+
+    fireEvent.click(screen.getByTestId('auto-complete-subtasks-1'));
+    expect(mockSetSubtaskAutoComplete).toHaveBeenCalledWith(1, true);
+  });
+});
@@ -0,0 +1,59 @@
+import React from 'react';
+import { CalendarIcon, BellIcon } from '@heroicons/react/24/outline';
+import { toDateTimeInputValue, fromDateTimeInputValue } from '../../../common/utils/dateUtils';
+import { REMINDER_OPTIONS } from '../../../common/utils/reminderUtils';
+
+// Due and start date inputs; values are stored ISO strings (or null when unset).
+// The reminder, in minutes before the due date, can only be set once there is a due date
+function TaskDateFields({ dueDate, onDueDateChange, startDate, onStartDateChange, reminder = null, onReminderChange }) {
+  const inputClassName = "w-full py-2 px-3 text-sm text-neutral-800 rounded-lg border border-neutral-200 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden transition-all";
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-3" data-testid="task-date-fields">
+      <label className="block">
+        <span className="flex items-center text-xs font-medium text-neutral-500 mb-1">
+          <CalendarIcon className="h-3 w-3 mr-1" />
+          Due
+        </span>
+        <input
+          type="datetime-local"
+          value={toDateTimeInputValue(dueDate)}
+          onChange={(e) => onDueDateChange(fromDateTimeInputValue(e.target.value))}
+          className={inputClassName}
+          data-testid="due-date-input"
+        />
+      </label>
+      <label className="block">
+        <span className="flex items-center text-xs font-medium text-neutral-500 mb-1">
+          <CalendarIcon className="h-3 w-3 mr-1" />
+          Starts (optional)
+        </span>
+        <input
+          type="datetime-local"
+          value={toDateTimeInputValue(startDate)}
+          onChange={(e) => onStartDateChange(fromDateTimeInputValue(e.target.value))}
+          className={inputClassName}
+          data-testid="start-date-input"
+        />
+      </label>
+      <label className="block">
+        <span className="flex items-center text-xs font-medium text-neutral-500 mb-1">
+          <BellIcon className="h-3 w-3 mr-1" />
+          Reminder
+        </span>
+        <select
+          value={dueDate && reminder !== null ? reminder : ''}
+          onChange={(e) => onReminderChange(e.target.value === '' ? null : Number(e.target.value))}
+          disabled={!dueDate}
+          className={`${inputClassName} disabled:opacity-50`}
+          data-testid="reminder-select"
+        >
+          <option value="">No reminder</option>
+          {REMINDER_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default TaskDateFields;
@@ -0,0 +1,177 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useTaskContext } from '../../../context/TaskContext';
+import { useTagContext } from '../../../context/TagContext';
+import TagInput from '../../tags/components/TagInput';
+import TaskDateFields from './TaskDateFields';
+import TaskPriorityField from './TaskPriorityField';
+import RecurrenceFields from './RecurrenceFields';
+import { createRecurrence, getRecurrenceRule } from '../../../common/utils/recurrenceUtils';
+
+// initialFocus is the field focused when the form opens: 'title' or 'tags'
+function TaskEditForm({ task, onClose, initialFocus = 'title' }) {
+  const { updateTask, updateRecurringTask } = useTaskContext();
+  const { tags, addTag } = useTagContext();
+
+  const [title, setTitle] = useState(task.title);
+  const [description, setDescription] = useState(task.description || '');
+  const [selectedTags, setSelectedTags] = useState(task.tags || []);
+  const [newTagInput, setNewTagInput] = useState('');
+  const [dueDate, setDueDate] = useState(task.dueDate || null);
+  const [startDate, setStartDate] = useState(task.startDate || null);
+  const [reminder, setReminder] = useState(task.reminder ?? null);
+  const [priority, setPriority] = useState(task.priority || null);
+  const [rule, setRule] = useState(task.recurrence ? getRecurrenceRule(task.recurrence) : null);
+  // Occurrences of a series are edited one at a time ('this') or together with later ones ('future')
+  const [scope, setScope] = useState('this');
+  const inputRef = useRef(null);
+  const tagInputRef = useRef(null);
+
+  useEffect(() => {
+    // Auto-focus title (or the tag field) when editing starts
+    const field = initialFocus === 'tags' ? tagInputRef.current : inputRef.current;
+    if (field) {
+      field.focus();
+    }
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+
+    // Include a tag that was typed but not yet added
+    const finalTagInput = newTagInput.trim();
+    const finalTags = finalTagInput && !selectedTags.includes(finalTagInput)
+      ? [...selectedTags, finalTagInput]
+      : selectedTags;
+
+    // Register tags that don't exist yet
+    finalTags
+      .filter(tag => !tags.some(existing => existing.name === tag))
+      .forEach(tag => addTag(tag));
+
+    const updates = {
+      title: title.trim(),
+      description: description.trim(),
+      tags: finalTags,
+      dueDate,
+      startDate,
+      // A reminder only means something with a due date
+      reminder: dueDate ? reminder : null,
+      priority
+    };
+    if (task.recurrence) {
+      // Only a series-wide edit can change or stop the rule
+      updateRecurringTask(task.id, scope === 'future' ? { ...updates, recurrence: rule } : updates, scope);
+    } else {
+      updateTask(task.id, rule ? { ...updates, recurrence: createRecurrence(rule) } : updates);
+    }
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <form
+      className="task-edit-form flex flex-col gap-3"
+      onSubmit={handleSubmit}
+      onKeyDown={handleKeyDown}
+      data-testid={`task-edit-form-${task.id}`}
+    >
+      <input
+        ref={inputRef}
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Task title"
+        className="w-full py-2 px-3 text-neutral-800 rounded-lg border border-neutral-200 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden transition-all"
+        autoComplete="off"
+        data-testid="edit-task-title"
+      />
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Description (optional)"
+        rows={2}
+        className="w-full py-2 px-3 text-sm text-neutral-800 rounded-lg border border-neutral-200 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden transition-all"
+        data-testid="edit-task-description"
+      />
+
+      <TaskDateFields
+        dueDate={dueDate}
+        onDueDateChange={setDueDate}
+        startDate={startDate}
+        onStartDateChange={setStartDate}
+        reminder={reminder}
+        onReminderChange={setReminder}
+      />
+
+      <TaskPriorityField priority={priority} onChange={setPriority} />
+
+      {task.recurrence && (
+        <fieldset className="flex flex-wrap gap-4 text-sm text-neutral-700" data-testid="edit-scope">
+          <legend className="sr-only">Apply changes to</legend>
+          <label className="flex items-center gap-1.5">
+            <input
+              type="radio"
+              name={`edit-scope-${task.id}`}
+              checked={scope === 'this'}
+              onChange={() => setScope('this')}
+              data-testid="edit-scope-this"
+            />
+            This occurrence
+          </label>
+          <label className="flex items-center gap-1.5">
+            <input
+              type="radio"
+              name={`edit-scope-${task.id}`}
+              checked={scope === 'future'}
+              onChange={() => setScope('future')}
+              data-testid="edit-scope-future"
+            />
+            All future occurrences
+          </label>
+        </fieldset>
+      )}
+
+      <RecurrenceFields rule={rule} onChange={setRule} disabled={Boolean(task.recurrence) && scope === 'this'} />
+
+      <TagInput
+        selectedTags={selectedTags}
+        onChange={setSelectedTags}
+        inputValue={newTagInput}
+        onInputChange={setNewTagInput}
+        inputRef={tagInputRef}
+      />
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 text-sm border border-neutral-300 text-neutral-700 rounded-md hover:bg-neutral-50"
+          data-testid="cancel-task-edit"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!title.trim()}
+          className={`px-3 py-1.5 text-sm rounded-md ${
+            title.trim()
+              ? 'bg-primary-600 text-white hover:bg-primary-700'
+              : 'bg-neutral-200 text-neutral-400 cursor-not-allowed'
+          }`}
+          data-testid="save-task-edit"
+        >
+          Save
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default TaskEditForm;
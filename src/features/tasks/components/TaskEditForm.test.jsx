@@ -0,0 +1,192 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import TaskEditForm from './TaskEditForm';
+
+// Mock the context hooks
+const mockUpdateTask = vi.fn();
+const mockUpdateRecurringTask = vi.fn();
+const mockAddTag = vi.fn();
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    updateTask: mockUpdateTask,
+    updateRecurringTask: mockUpdateRecurringTask
+  })
+}));
+
+vi.mock('../../../context/TagContext', () => ({
+  useTagContext: () => ({
+    tags: [{ id: 'work', name: 'work' }, { id: 'personal', name: 'personal' }],
+    addTag: mockAddTag
+  })
+}));
+
+describe('TaskEditForm Component', () => {
+  const mockOnClose = vi.fn();
+  const mockTask = {
+    id: 1,
+    title: 'Original title',
+    description: 'Original description',
+    isCompleted: false,
+    tags: ['work']
+  };
+
+  beforeEach(() => {
+    mockUpdateTask.mockClear();
+    mockUpdateRecurringTask.mockClear();
+    mockAddTag.mockClear();
+    mockOnClose.mockClear();
+  });
+
+  test('pre-fills the form with the task', () => {
+    render(<TaskEditForm task={mockTask} onClose={mockOnClose} />);
+
+    expect(screen.getByTestId('edit-task-title').value).toBe('Original title');
+    expect(screen.getByTestId('edit-task-description').value).toBe('Original description');
+    expect(screen.getByTestId('selected-tag-work')).toBeInTheDocument();
+  });
+
+  test('saves title, description and tags', () => {
+    render(<TaskEditForm task={mockTask} onClose={mockOnClose} />);
+
+    fireEvent.change(screen.getByTestId('edit-task-title'), { target: { value: 'New title' } });
+    fireEvent.change(screen.getByTestId('edit-task-description'), { target: { value: 'New description' } });
+    fireEvent.click(screen.getByTestId('remove-tag-work'));
+    fireEvent.change(screen.getByTestId('tag-input'), { target: { value: 'urgent' } });
+    fireEvent.keyDown(screen.getByTestId('tag-input'), { key: 'Enter' });
+    fireEvent.click(screen.getByTestId('save-task-edit'));
+
+    expect(mockUpdateTask).toHaveBeenCalledWith(1, {
+      title: 'New title',
+      description: 'New description',
+      tags: ['urgent'],
+      dueDate: null,
+      startDate: null,
+      reminder: null,
+      priority: null
+    });
+    expect(mockAddTag).toHaveBeenCalledWith('urgent');
+    expect(mockOnClose).toHaveBeenCalled();
+  });
+
+  test('includes a typed tag that was not added yet', () => {
+    render(<TaskEditForm task={mockTask} onClose={mockOnClose} />);
+
+    fireEvent.change(screen.getByTestId('tag-input'), { target: { value: 'personal' } });
+    fireEvent.click(screen.getByTestId('save-task-edit'));
+
+    expect(mockUpdateTask).toHaveBeenCalledWith(1, expect.objectContaining({ tags: ['work', 'personal'] }));
+    expect(mockAddTag).not.toHaveBeenCalled();
+  });
+
+  test('does not save an empty title', () => {
+    render(<TaskEditForm task={mockTask} onClose={mockOnClose} />);
+
+    fireEvent.change(screen.getByTestId('edit-task-title'), { target: { value: '   ' } });
+
+    expect(screen.getByTestId('save-task-edit')).toBeDisabled();
+  });
+
+  test('cancels on the cancel button and on Escape', () => {
+    render(<TaskEditForm task={mockTask} onClose={mockOnClose} />);
+
+    fireEvent.click(screen.getByTestId('cancel-task-edit'));
+    fireEvent.keyDown(screen.getByTestId('edit-task-title'), { key: 'Escape' });
+
+    expect(mockOnClose).toHaveBeenCalledTimes(2);
+    expect(mockUpdateTask).not.toHaveBeenCalled();
+  });
+
+  test('edits the due date', () => {
+    const dueDate = new Date(2025, 4, 19, 9, 0).toISOString();
+    render(<TaskEditForm task={{ ...mockTask, dueDate }} onClose={mockOnClose} />);
+
+    expect(screen.getByTestId('due-date-input').value).toBe('2025-05-19T09:00');
+    fireEvent.change(screen.getByTestId('due-date-input'), { target: { value: '' } });
+    fireEvent.click(screen.getByTestId('save-task-edit'));
+
+    expect(mockUpdateTask).toHaveBeenCalledWith(1, expect.objectContaining({ dueDate: null }));
+  });
+
+  test('edits the reminder, and drops it with the due date', () => {
+    const dueDate = new Date(2025, 4, 19, 9, 0).toISOString();
+    render(<TaskEditForm task={{ ...mockTask, dueDate, reminder: 15 }} onClose={mockOnClose} />);
+
+    expect(screen.getByTestId('reminder-select')).toHaveValue('15');
+    fireEvent.change(screen.getByTestId('reminder-select'), { target: { value: '1440' } });
+    fireEvent.click(screen.getByTestId('save-task-edit'));
+    expect(mockUpdateTask).toHaveBeenCalledWith(1, expect.objectContaining({ dueDate, reminder: 1440 }));
+
+    fireEvent.change(screen.getByTestId('due-date-input'), { target: { value: '' } });
+    expect(screen.getByTestId('reminder-select')).toHaveValue('');
+    fireEvent.click(screen.getByTestId('save-task-edit'));
+    expect(mockUpdateTask).toHaveBeenLastCalledWith(1, expect.objectContaining({ dueDate: null, reminder: null }));
+  });
+
+  test('changes and clears the priority', () => {
+    render(<TaskEditForm task={{ ...mockTask, priority: 'P2' }} onClose={mockOnClose} />);
+
+    const select = screen.getByTestId('priority-select');
+    expect(select).toHaveValue('P2');
+    fireEvent.change(select, { target: { value: '' } });
+    fireEvent.click(screen.getByTestId('save-task-edit'));
+
+    expect(mockUpdateTask).toHaveBeenCalledWith(1, expect.objectContaining({ priority: null }));
+  });
+
+  test('makes a task recurring', () => {
+    render(<TaskEditForm task={mockTask} onClose={mockOnClose} />);
+
+    expect(screen.queryByTestId('edit-scope')).not.toBeInTheDocument();
+    fireEvent.change(screen.getByTestId('recurrence-frequency'), { target: { value: 'weekly' } });
+    fireEvent.click(screen.getByTestId('recurrence-weekday-1'));
+    fireEvent.click(screen.getByTestId('save-task-edit'));
+
+    expect(mockUpdateTask).toHaveBeenCalledWith(1, expect.objectContaining({
+      recurrence: expect.objectContaining({ frequency: 'weekly', weekdays: [1], occurrence: 1 })
+    }));
+  });
+
+  describe('with a recurring task', () => {
+    const recurringTask = {
+      ...mockTask,
+      recurrence: { frequency: 'daily', interval: 1, seriesId: 'series-1', occurrence: 3 }
+    };
+
+    test('edits only this occurrence by default, leaving the rule alone', () => {
+      render(<TaskEditForm task={recurringTask} onClose={mockOnClose} />);
+
+      expect(screen.getByTestId('edit-scope-this')).toBeChecked();
+      expect(screen.getByTestId('recurrence-frequency')).toBeDisabled();
+      fireEvent.change(screen.getByTestId('edit-task-title'), { target: { value: 'Moved stand-up' } });
+      fireEvent.click(screen.getByTestId('save-task-edit'));
+
+      expect(mockUpdateRecurringTask).toHaveBeenCalledWith(1, expect.not.objectContaining({ recurrence: expect.anything() }), 'this');
+      expect(mockUpdateRecurringTask.mock.calls[0][1].title).toBe('Moved stand-up');
+      expect(mockUpdateTask).not.toHaveBeenCalled();
+    });
+
+    test('changes the rule for all future occurrences', () => {
+      render(<TaskEditForm task={recurringTask} onClose={mockOnClose} />);
+
+      fireEvent.click(screen.getByTestId('edit-scope-future'));
+      fireEvent.change(screen.getByTestId('recurrence-interval'), { target: { value: '2' } });
+      fireEvent.click(screen.getByTestId('save-task-edit'));
+
+      expect(mockUpdateRecurringTask).toHaveBeenCalledWith(1, expect.objectContaining({
+        recurrence: { frequency: 'daily', interval: 2, weekdays: [], count: null, until: null }
+      }), 'future');
+    });
+
+    test('stops the series', () => {
+      render(<TaskEditForm task={recurringTask} onClose={mockOnClose} />);
+
+      fireEvent.click(screen.getByTestId('edit-scope-future'));
+      fireEvent.change(screen.getByTestId('recurrence-frequency'), { target: { value: '' } });
+      fireEvent.click(screen.getByTestId('save-task-edit'));
+
+      expect(mockUpdateRecurringTask).toHaveBeenCalledWith(1, expect.objectContaining({ recurrence: null }), 'future');
+    });
+  });
+});
@@ -1,13 +1,60 @@
-import React from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { CheckIcon, TrashIcon, TagIcon } from '@heroicons/react/24/outline';
+import { CheckIcon, TrashIcon, TagIcon, PencilIcon, CalendarIcon, ChevronRightIcon, ChevronDownIcon, ListBulletIcon, ArrowPathIcon, BellIcon } from '@heroicons/react/24/outline';
 import { useTaskContext } from '../../../context/TaskContext';
+import { useTagContext } from '../../../context/TagContext';
+import { useTaskShortcuts } from '../../../context/ShortcutContext';
+import { formatRelativeDate, isOverdue } from '../../../common/utils/dateUtils';
+import { getSubtaskProgress } from '../../../common/utils/subtaskUtils';
+import { getPriorityLevel } from '../../../common/utils/taskSort';
+import { describeRecurrence } from '../../../common/utils/recurrenceUtils';
+import { describeReminder } from '../../../common/utils/reminderUtils';
+import { isArchived } from '../../../common/utils/archiveUtils';
+import { DEFAULT_TAG_CLASS_NAME, getTagColor } from '../../../common/utils/tagUtils';
+import HighlightedText from '../../../common/components/HighlightedText';
+import TaskEditForm from './TaskEditForm';
+import SubtaskList from './SubtaskList';
 
-function TaskItem({ task }) {
+function TaskItem({ task, highlightTerms = [] }) {
   const { toggleTask, deleteTask } = useTaskContext();
+  const { tags } = useTagContext();
+  const [isEditing, setIsEditing] = useState(false);
+  // Field the edit form focuses first; set when editing starts from a keyboard shortcut
+  const [editFocus, setEditFocus] = useState(null);
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const rootRef = useRef(null);
+  const subtaskProgress = getSubtaskProgress(task);
+  const priorityLevel = getPriorityLevel(task.priority);
+
+  const startEditing = (field = null) => {
+    setEditFocus(field);
+    setIsEditing(true);
+  };
+
+  useTaskShortcuts(rootRef, {
+    toggleTask: () => toggleTask(task.id),
+    editTask: () => startEditing('title'),
+    tagTask: () => startEditing('tags')
+  });
+
+  // Give focus back to the task when an edit started from the keyboard ends
+  useEffect(() => {
+    if (isEditing || !editFocus) return;
+    setEditFocus(null);
+    rootRef.current?.closest('[data-task-id]')?.focus();
+  }, [isEditing, editFocus]);
+
+  if (isEditing) {
+    return (
+      <div ref={rootRef} className="rounded-xl border border-primary-200 bg-white p-4 shadow-md">
+        <TaskEditForm task={task} onClose={() => setIsEditing(false)} initialFocus={editFocus || 'title'} />
+      </div>
+    );
+  }
   
   return (
     <div 
+      ref={rootRef}
       className={`task-transition rounded-xl border ${
         task.isCompleted 
           ? 'border-green-100 bg-green-50' 
@@ -36,37 +83,144 @@ function TaskItem({ task }) {
             onClick={() => toggleTask(task.id)}
             data-testid={`task-text-${task.id}`}
           >
-            {task.title || task.text}
+            <HighlightedText text={task.title} terms={highlightTerms} />
           </p>
+          
+          {priorityLevel && (
+            <span
+              className={`shrink-0 px-1.5 py-0.5 rounded-sm text-xs font-semibold ${priorityLevel.className}`}
+              title={priorityLevel.label}
+              data-testid={`task-priority-${task.id}`}
+            >
+              {priorityLevel.value}
+            </span>
+          )}
+
+          {isArchived(task) && (
+            <span
+              className="shrink-0 px-1.5 py-0.5 rounded-sm text-xs font-medium bg-neutral-100 text-neutral-500"
+              title={`Archived ${new Date(task.archivedAt).toLocaleString()}`}
+              data-testid={`task-archived-${task.id}`}
+            >
+              Archived
+            </span>
+          )}
         </div>
         
-        <motion.button
-          className={`delete-btn p-2 rounded-full ${
-            task.isCompleted 
-              ? 'bg-rose-100 text-rose-600 hover:bg-rose-200' 
-              : 'bg-transparent text-neutral-400 hover:bg-neutral-100'
-          } transition-colors`}
-          onClick={() => deleteTask(task.id)}
-          whileHover={{ scale: 1.05 }}
-          whileTap={{ scale: 0.95 }}
-          data-testid={`delete-task-${task.id}`}
-        >
-          <TrashIcon className="h-4 w-4" />
-        </motion.button>
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            className={`subtask-toggle inline-flex items-center gap-0.5 px-1.5 py-1 rounded-full text-xs font-medium transition-colors ${
+              subtaskProgress.total > 0 && subtaskProgress.completed === subtaskProgress.total
+                ? 'text-green-700 hover:bg-green-100'
+                : 'text-neutral-500 hover:text-primary-600 hover:bg-neutral-100'
+            }`}
+            onClick={() => setShowSubtasks(!showSubtasks)}
+            aria-expanded={showSubtasks}
+            aria-label={showSubtasks ? 'Hide subtasks' : 'Show subtasks'}
+            data-testid={`subtask-toggle-${task.id}`}
+          >
+            {subtaskProgress.total > 0 ? (
+              <>
+                {showSubtasks ? <ChevronDownIcon className="h-3 w-3" /> : <ChevronRightIcon className="h-3 w-3" />}
+                <span data-testid={`subtask-progress-${task.id}`}>{subtaskProgress.completed}/{subtaskProgress.total}</span>
+              </>
+            ) : (
+              <ListBulletIcon className="h-4 w-4" />
+            )}
+          </button>
+          <motion.button
+            className="edit-btn p-2 rounded-full bg-transparent text-neutral-400 hover:text-primary-600 hover:bg-neutral-100 transition-colors"
+            onClick={() => startEditing()}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            aria-label="Edit task"
+            data-testid={`edit-task-${task.id}`}
+          >
+            <PencilIcon className="h-4 w-4" />
+          </motion.button>
+          <motion.button
+            className={`delete-btn p-2 rounded-full ${
+              task.isCompleted 
+                ? 'bg-rose-100 text-rose-600 hover:bg-rose-200' 
+                : 'bg-transparent text-neutral-400 hover:bg-neutral-100'
+            } transition-colors`}
+            onClick={() => deleteTask(task.id)}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            data-testid={`delete-task-${task.id}`}
+          >
+            <TrashIcon className="h-4 w-4" />
+          </motion.button>
+        </div>
       </div>
+
+      {/* Display start and due dates and the repeat rule if they exist */}
+      {(task.dueDate || task.startDate || task.recurrence) && (
+        <div className="mt-2 ml-8 flex flex-wrap gap-3 text-xs" data-testid={`task-dates-${task.id}`}>
+          {task.startDate && (
+            <span className="inline-flex items-center text-neutral-500" title={new Date(task.startDate).toLocaleString()}>
+              <CalendarIcon className="h-3 w-3 mr-1" />
+              Starts {formatRelativeDate(task.startDate)}
+            </span>
+          )}
+          {task.dueDate && (
+            <span
+              className={`inline-flex items-center ${isOverdue(task) ? 'font-medium text-rose-600' : 'text-neutral-500'}`}
+              title={new Date(task.dueDate).toLocaleString()}
+              data-testid={`task-due-${task.id}`}
+            >
+              <CalendarIcon className="h-3 w-3 mr-1" />
+              {isOverdue(task) ? 'Overdue, was due' : 'Due'} {formatRelativeDate(task.dueDate)}
+            </span>
+          )}
+          {task.dueDate && describeReminder(task.reminder) && (
+            <span className="inline-flex items-center text-neutral-500" title="Reminder" data-testid={`task-reminder-${task.id}`}>
+              <BellIcon className="h-3 w-3 mr-1" />
+              {describeReminder(task.reminder)}
+            </span>
+          )}
+          {task.recurrence && (
+            <span
+              className="inline-flex items-center text-neutral-500"
+              title={`Occurrence ${task.recurrence.occurrence || 1}${task.recurrence.count ? ` of ${task.recurrence.count}` : ''}`}
+              data-testid={`task-recurrence-${task.id}`}
+            >
+              <ArrowPathIcon className="h-3 w-3 mr-1" />
+              {describeRecurrence(task.recurrence)}
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Display description if there is one */}
+      {task.description && (
+        <p className="mt-2 ml-8 text-left text-sm text-neutral-600 whitespace-pre-line" data-testid={`task-description-${task.id}`}>
+          <HighlightedText text={task.description} terms={highlightTerms} />
+        </p>
+      )}
+      
+      {/* Expanded subtasks */}
+      {showSubtasks && <SubtaskList task={task} />}
       
       {/* Display tags if they exist */}
       {task.tags && task.tags.length > 0 && (
         <div className="mt-2 flex flex-wrap gap-1" data-testid={`task-tags-${task.id}`}>
-          {task.tags.map((tag, index) => (
-            <div 
-              key={index} 
-              className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-primary-100 text-primary-800"
-            >
-              <TagIcon className="h-3 w-3 mr-1" />
-              {tag}
-            </div>
-          ))}
+          {task.tags.map((tag, index) => {
+            const record = tags.find(t => t.name === tag);
+            const color = getTagColor(record && record.color);
+            return (
+              <div 
+                key={index} 
+                className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${color ? color.className : DEFAULT_TAG_CLASS_NAME}`}
+                title={record && record.description ? record.description : undefined}
+                data-testid={`task-tag-${task.id}-${tag}`}
+              >
+                <TagIcon className="h-3 w-3 mr-1" />
+                {tag}
+              </div>
+            );
+          })}
         </div>
       )}
     </div>
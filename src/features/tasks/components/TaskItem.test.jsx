@@ -1,7 +1,9 @@
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import { vi } from 'vitest';
 import TaskItem from './TaskItem';
+import { ShortcutProvider } from '../../../context/ShortcutContext';
+import { StorageService, createMemoryAdapter } from '../../../common/utils/StorageService';
 
 // Mock the context functions
 const mockToggleTask = vi.fn();
@@ -14,17 +16,46 @@ vi.mock('../../../context/TaskContext', () => ({
   })
 }));
 
+vi.mock('../../../context/TagContext', () => ({
+  useTagContext: () => ({
+    tags: [
+      { id: 'test', name: 'test', color: 'emerald', description: 'Test runs', parentId: null },
+      { id: 'important', name: 'important', color: null, description: '', parentId: null }
+    ]
+  })
+}));
+
+vi.mock('./TaskEditForm', () => {
+  return {
+    default: function MockTaskEditForm({ task, onClose, initialFocus }) {
+      return (
+        <div data-testid={`mocked-task-edit-form-${task.id}`} data-initial-focus={initialFocus}>
+          <button onClick={onClose} data-testid="mock-edit-close">Close</button>
+        </div>
+      );
+    }
+  };
+});
+
+vi.mock('./SubtaskList', () => {
+  return {
+    default: function MockSubtaskList({ task }) {
+      return <div data-testid={`mocked-subtask-list-${task.id}`} />;
+    }
+  };
+});
+
 describe('TaskItem Component', () => {
   const mockTask = {
     id: 1,
-    text: 'Test Task',
+    title: 'Test Task',
     isCompleted: false,
     tags: ['test', 'important']
   };
 
   const mockCompletedTask = {
     id: 2,
-    text: 'Completed Task',
+    title: 'Completed Task',
     isCompleted: true,
     tags: ['done']
   };
@@ -62,7 +93,7 @@ describe('TaskItem Component', () => {
   test('calls toggleTask when task text is clicked', () => {
     render(<TaskItem task={mockTask} />);
     
-    fireEvent.click(screen.getByText(mockTask.text));
+    fireEvent.click(screen.getByText(mockTask.title));
     expect(mockToggleTask).toHaveBeenCalledWith(mockTask.id);
   });
 
@@ -80,4 +111,139 @@ describe('TaskItem Component', () => {
     expect(screen.getByText('Test Task')).toBeInTheDocument();
     expect(screen.queryByTestId(`task-tags-${taskWithoutTags.id}`)).not.toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  test('renders the description when there is one', () => {
+    render(<TaskItem task={{ ...mockTask, description: 'Some details' }} />);
+    
+    expect(screen.getByTestId(`task-description-${mockTask.id}`)).toHaveTextContent('Some details');
+  });
+
+  test('highlights search matches in the title and description', () => {
+    render(<TaskItem task={{ ...mockTask, description: 'A test description' }} highlightTerms={['test']} />);
+    
+    const highlights = screen.getAllByTestId('search-highlight');
+    expect(highlights).toHaveLength(2);
+    expect(highlights[0]).toHaveTextContent('Test');
+    expect(screen.getByTestId('task-text-1')).toHaveTextContent('Test Task');
+  });
+
+  test('switches to the edit form when edit button is clicked', () => {
+    render(<TaskItem task={mockTask} />);
+    
+    fireEvent.click(screen.getByTestId(`edit-task-${mockTask.id}`));
+    expect(screen.getByTestId(`mocked-task-edit-form-${mockTask.id}`)).toBeInTheDocument();
+    expect(screen.queryByText('Test Task')).not.toBeInTheDocument();
+    
+    fireEvent.click(screen.getByTestId('mock-edit-close'));
+    expect(screen.getByText('Test Task')).toBeInTheDocument();
+  });
+
+  test('renders a relative due date label', () => {
+    const dueDate = new Date();
+    dueDate.setHours(23, 59, 0, 0);
+    render(<TaskItem task={{ ...mockTask, dueDate: dueDate.toISOString() }} />);
+    
+    expect(screen.getByTestId(`task-due-${mockTask.id}`)).toHaveTextContent('Due today at 23:59');
+  });
+
+  test('shows the reminder of tasks with a due date', () => {
+    render(<TaskItem task={{ ...mockTask, dueDate: '2030-01-01T09:00:00.000Z', reminder: 60 }} />);
+    
+    expect(screen.getByTestId(`task-reminder-${mockTask.id}`)).toHaveTextContent('1 hour before');
+  });
+
+  test('highlights overdue tasks', () => {
+    render(<TaskItem task={{ ...mockTask, dueDate: '2020-01-01T09:00:00.000Z' }} />);
+    
+    const dueLabel = screen.getByTestId(`task-due-${mockTask.id}`);
+    expect(dueLabel).toHaveTextContent('Overdue');
+    expect(dueLabel).toHaveClass('text-rose-600');
+  });
+
+  test('expands subtasks and shows their progress', () => {
+    const taskWithSubtasks = {
+      ...mockTask,
+      subtasks: [
+        { id: 'a', title: 'A', isCompleted: true, subtasks: [] },
+        { id: 'b', title: 'B', isCompleted: false, subtasks: [] }
+      ]
+    };
+    render(<TaskItem task={taskWithSubtasks} />);
+
+    expect(screen.getByTestId(`subtask-progress-${mockTask.id}`)).toHaveTextContent('1/2');
+    expect(screen.queryByTestId(`mocked-subtask-list-${mockTask.id}`)).not.toBeInTheDocument();
+
+    const toggle = screen.getByTestId(`subtask-toggle-${mockTask.id}`);
+    fireEvent.click(toggle);
+    expect(toggle).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByTestId(`mocked-subtask-list-${mockTask.id}`)).toBeInTheDocument();
+
+    fireEvent.click(toggle);
+    expect(screen.queryByTestId(`mocked-subtask-list-${mockTask.id}`)).not.toBeInTheDocument();
+  });
+
+  test('hides subtask progress when there are no subtasks', () => {
+    render(<TaskItem task={mockTask} />);
+
+    expect(screen.getByTestId(`subtask-toggle-${mockTask.id}`)).toBeInTheDocument();
+    expect(screen.queryByTestId(`subtask-progress-${mockTask.id}`)).not.toBeInTheDocument();
+  });
+
+  test('shows a priority badge when the task has a priority', () => {
+    const { rerender } = render(<TaskItem task={{ ...mockTask, priority: 'P1' }} />);
+    
+    expect(screen.getByTestId(`task-priority-${mockTask.id}`)).toHaveTextContent('P1');
+    
+    rerender(<TaskItem task={mockTask} />);
+    expect(screen.queryByTestId(`task-priority-${mockTask.id}`)).not.toBeInTheDocument();
+  });
+
+  test('marks archived tasks, e.g. in lists that include them', () => {
+    const { rerender } = render(<TaskItem task={{ ...mockTask, archivedAt: '2025-06-01T09:00:00.000Z' }} />);
+    
+    expect(screen.getByTestId(`task-archived-${mockTask.id}`)).toHaveTextContent('Archived');
+    
+    rerender(<TaskItem task={{ ...mockTask, archivedAt: null }} />);
+    expect(screen.queryByTestId(`task-archived-${mockTask.id}`)).not.toBeInTheDocument();
+  });
+
+  test('shows the repeat rule of recurring tasks', () => {
+    render(<TaskItem task={{ ...mockTask, recurrence: { frequency: 'weekly', interval: 1, weekdays: [1], seriesId: 'series-1', occurrence: 2 } }} />);
+
+    expect(screen.getByTestId(`task-recurrence-${mockTask.id}`)).toHaveTextContent('Weekly on Mon');
+  });
+
+  test('colours tags and shows their descriptions', () => {
+    render(<TaskItem task={mockTask} />);
+
+    expect(screen.getByTestId(`task-tag-${mockTask.id}-test`)).toHaveClass('bg-emerald-100');
+    expect(screen.getByTestId(`task-tag-${mockTask.id}-test`)).toHaveAttribute('title', 'Test runs');
+    expect(screen.getByTestId(`task-tag-${mockTask.id}-important`)).toHaveClass('bg-primary-100');
+  });
+
+  test('handles the task keyboard shortcuts while focused', async () => {
+    StorageService.setAdapter(createMemoryAdapter());
+    render(
+      <ShortcutProvider>
+        <div tabIndex={0} data-task-id={mockTask.id} data-testid="task-wrapper">
+          <TaskItem task={mockTask} />
+        </div>
+      </ShortcutProvider>
+    );
+    await act(() => Promise.resolve());
+    const wrapper = screen.getByTestId('task-wrapper');
+
+    fireEvent.keyDown(wrapper, { key: 'x' });
+    expect(mockToggleTask).toHaveBeenCalledWith(1);
+
+    fireEvent.keyDown(wrapper, { key: '#', shiftKey: true });
+    expect(screen.getByTestId('mocked-task-edit-form-1')).toHaveAttribute('data-initial-focus', 'tags');
+
+    // Focus goes back to the task when the edit ends
+    fireEvent.click(screen.getByTestId('mock-edit-close'));
+    expect(wrapper).toHaveFocus();
+
+    fireEvent.keyDown(wrapper, { key: 'e' });
+    expect(screen.getByTestId('mocked-task-edit-form-1')).toHaveAttribute('data-initial-focus', 'title');
+  });
+});
@@ -1,32 +1,160 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import TaskItem from './TaskItem';
 
-function TaskList({ tasks }) {
+// Data transfer type used to drag tasks between lists
+export const TASK_DRAG_TYPE = 'application/x-task-dashboard-task';
+
+const hasDraggedTask = (e) => Array.from(e.dataTransfer?.types || []).includes(TASK_DRAG_TYPE);
+
+const readDraggedTask = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(TASK_DRAG_TYPE));
+  } catch {
+    return null;
+  }
+};
+
+// Tasks can be reordered by dragging, or with Alt+Arrow keys when an item has focus.
+// onMoveTask(taskId, beforeTaskId, sourceListId) places a task before another one (null = at the end).
+// With onSelectionChange, Ctrl/Cmd-click toggles a task in the selection and Shift-click selects a range.
+function TaskList({
+  tasks,
+  listId,
+  onMoveTask,
+  onMoveToAdjacentList,
+  selectedTaskIds = [],
+  onSelectionChange,
+  highlightTerms = [],
+  emptyMessage = 'All tasks are complete!'
+}) {
+  const [dropTargetId, setDropTargetId] = useState(null);
+  // The task a Shift-click range starts from
+  const [anchorId, setAnchorId] = useState(null);
+  const canReorder = Boolean(onMoveTask);
+  const canSelect = Boolean(onSelectionChange);
+
+  const isSelectionClick = (e) => canSelect && (e.shiftKey || e.ctrlKey || e.metaKey);
+
+  // Runs in the capture phase, so a modified click selects instead of reaching the task's own buttons
+  const handleSelectClick = (e, task, index) => {
+    if (!isSelectionClick(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.shiftKey) {
+      const anchorIndex = tasks.findIndex(t => t.id === anchorId);
+      const start = anchorIndex === -1 ? index : Math.min(anchorIndex, index);
+      const end = anchorIndex === -1 ? index : Math.max(anchorIndex, index);
+      onSelectionChange(tasks.slice(start, end + 1).map(t => t.id));
+      if (anchorIndex === -1) setAnchorId(task.id);
+      return;
+    }
+
+    setAnchorId(task.id);
+    onSelectionChange(selectedTaskIds.includes(task.id)
+      ? selectedTaskIds.filter(id => id !== task.id)
+      : [...selectedTaskIds, task.id]);
+  };
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData(TASK_DRAG_TYPE, JSON.stringify({ taskId: task.id, listId }));
+  };
+
+  const handleDragOver = (e, targetId) => {
+    if (!hasDraggedTask(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTargetId(targetId);
+  };
+
+  const handleDrop = (e, beforeTaskId) => {
+    // Let other drops, such as a list dragged onto this one, reach the board
+    if (!hasDraggedTask(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTargetId(null);
+    const dragged = readDraggedTask(e);
+    if (!dragged || dragged.taskId === beforeTaskId) return;
+    onMoveTask(dragged.taskId, beforeTaskId, dragged.listId);
+  };
+
+  const handleKeyDown = (e, index) => {
+    // Only react when the item itself has focus, not its buttons or inputs
+    if (!e.altKey || e.target !== e.currentTarget) return;
+    const task = tasks[index];
+
+    if (e.key === 'ArrowUp' && index > 0) {
+      onMoveTask(task.id, tasks[index - 1].id, listId);
+    } else if (e.key === 'ArrowDown' && index < tasks.length - 1) {
+      onMoveTask(task.id, tasks[index + 2] ? tasks[index + 2].id : null, listId);
+    } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && onMoveToAdjacentList) {
+      onMoveToAdjacentList(task.id, e.key === 'ArrowLeft' ? -1 : 1);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
   return (
-    <div className="task-list flex flex-col gap-2" data-testid="task-list">
+    <div
+      className={`task-list flex flex-col gap-2 min-h-12 rounded-lg ${
+        dropTargetId === 'end' ? 'ring-2 ring-primary-200' : ''
+      }`}
+      onDragOver={canReorder ? (e) => handleDragOver(e, 'end') : undefined}
+      onDragLeave={canReorder ? () => setDropTargetId(null) : undefined}
+      onDrop={canReorder ? (e) => handleDrop(e, null) : undefined}
+      data-testid="task-list"
+    >
       <AnimatePresence>
         {tasks.length > 0 ? (
-          tasks.map((task) => (
+          tasks.map((task, index) => (
             <motion.div
               key={task.id}
               initial={{ opacity: 0, y: 10 }}
               animate={{ opacity: 1, y: 0 }}
               exit={{ opacity: 0, x: -10 }}
               transition={{ duration: 0.2 }}
+              // Keep Shift-click from selecting text
+              onMouseDown={canSelect ? (e) => e.shiftKey && e.preventDefault() : undefined}
+              onClickCapture={canSelect ? (e) => handleSelectClick(e, task, index) : undefined}
+              aria-selected={canSelect ? selectedTaskIds.includes(task.id) : undefined}
+              className={selectedTaskIds.includes(task.id) ? 'rounded-xl ring-2 ring-primary-400' : undefined}
               data-testid={`task-item-container-${task.id}`}
             >
-              <TaskItem task={task} />
+              {canReorder ? (
+                <div
+                  draggable
+                  tabIndex={0}
+                  onDragStart={(e) => handleDragStart(e, task)}
+                  onDragOver={(e) => handleDragOver(e, task.id)}
+                  onDrop={(e) => handleDrop(e, task.id)}
+                  onDragEnd={() => setDropTargetId(null)}
+                  onKeyDown={(e) => handleKeyDown(e, index)}
+                  className={`rounded-xl focus:outline-hidden focus-visible:ring-2 focus-visible:ring-primary-400 ${
+                    dropTargetId === task.id ? 'border-t-2 border-primary-400 pt-1' : ''
+                  }`}
+                  aria-label={`${task.title}. Drag or press Alt and the arrow keys to move`}
+                  data-task-id={task.id}
+                  data-testid={`draggable-task-${task.id}`}
+                >
+                  <TaskItem task={task} highlightTerms={highlightTerms} />
+                </div>
+              ) : (
+                <TaskItem task={task} highlightTerms={highlightTerms} />
+              )}
             </motion.div>
           ))
         ) : (
-          <motion.p 
+          <motion.p
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
             className="text-center text-neutral-500 py-4 font-medium"
             data-testid="empty-task-message"
           >
-            All tasks are complete!
+            {emptyMessage}
           </motion.p>
         )}
       </AnimatePresence>
@@ -34,4 +162,4 @@ function TaskList({ tasks }) {
   );
 }
 
-export default TaskList;
\ No newline at end of file
+export default TaskList;
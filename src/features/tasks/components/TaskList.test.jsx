@@ -1,21 +1,22 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import { vi } from 'vitest';
-import TaskList from './TaskList';
+import TaskList, { TASK_DRAG_TYPE } from './TaskList';
+import { LIST_DRAG_TYPE } from '../../lists/components/TaskBoard';
 
 // Mock the TaskItem component to simplify testing
 vi.mock('./TaskItem', () => {
   return {
     default: function MockTaskItem({ task }) {
-      return <div data-testid={`mocked-task-${task.id}`}>{task.text}</div>;
+      return <div data-testid={`mocked-task-${task.id}`}>{task.title}</div>;
     }
   };
 });
 
 describe('TaskList Component', () => {
   const mockTasks = [
-    { id: 1, text: 'Test Task 1', isCompleted: false },
-    { id: 2, text: 'Test Task 2', isCompleted: true },
+    { id: 1, title: 'Test Task 1', isCompleted: false },
+    { id: 2, title: 'Test Task 2', isCompleted: true },
   ];
 
   test('renders a list of tasks', () => {
@@ -43,4 +44,159 @@ describe('TaskList Component', () => {
     expect(taskContainers[0]).toHaveAttribute('data-testid', `task-item-container-${mockTasks[0].id}`);
     expect(taskContainers[1]).toHaveAttribute('data-testid', `task-item-container-${mockTasks[1].id}`);
   });
-});
\ No newline at end of file
+
+  describe('reordering', () => {
+    const mockOnMoveTask = vi.fn();
+    const mockOnMoveToAdjacentList = vi.fn();
+    const threeTasks = [...mockTasks, { id: 3, title: 'Test Task 3', isCompleted: false }];
+
+    // Minimal DataTransfer stand-in shared by the drag events of one gesture
+    const createDataTransfer = () => {
+      const data = {};
+      return {
+        get types() { return Object.keys(data); },
+        setData: (type, value) => { data[type] = value; },
+        getData: (type) => data[type]
+      };
+    };
+
+    const renderReorderable = () => render(
+      <TaskList
+        tasks={threeTasks}
+        listId="work"
+        onMoveTask={mockOnMoveTask}
+        onMoveToAdjacentList={mockOnMoveToAdjacentList}
+      />
+    );
+
+    beforeEach(() => {
+      mockOnMoveTask.mockClear();
+      mockOnMoveToAdjacentList.mockClear();
+    });
+
+    test('is not draggable without a move handler', () => {
+      render(<TaskList tasks={mockTasks} />);
+
+      expect(screen.queryByTestId('draggable-task-1')).not.toBeInTheDocument();
+    });
+
+    test('drops a dragged task before the task it is dropped on', () => {
+      renderReorderable();
+      const dataTransfer = createDataTransfer();
+
+      fireEvent.dragStart(screen.getByTestId('draggable-task-3'), { dataTransfer });
+      expect(JSON.parse(dataTransfer.getData(TASK_DRAG_TYPE))).toEqual({ taskId: 3, listId: 'work' });
+
+      fireEvent.dragOver(screen.getByTestId('draggable-task-1'), { dataTransfer });
+      fireEvent.drop(screen.getByTestId('draggable-task-1'), { dataTransfer });
+      expect(mockOnMoveTask).toHaveBeenCalledWith(3, 1, 'work');
+    });
+
+    test('drops tasks from another list at the end of the list', () => {
+      renderReorderable();
+      const dataTransfer = createDataTransfer();
+      dataTransfer.setData(TASK_DRAG_TYPE, JSON.stringify({ taskId: 7, listId: 'home' }));
+
+      fireEvent.drop(screen.getByTestId('task-list'), { dataTransfer });
+      expect(mockOnMoveTask).toHaveBeenCalledWith(7, null, 'home');
+    });
+
+    test('ignores drops that are not tasks', () => {
+      renderReorderable();
+
+      fireEvent.drop(screen.getByTestId('task-list'), { dataTransfer: createDataTransfer() });
+      expect(mockOnMoveTask).not.toHaveBeenCalled();
+    });
+
+    test('lets a list dropped on one of its tasks reach the board', () => {
+      const mockOnBoardDrop = vi.fn();
+      render(
+        <div onDrop={mockOnBoardDrop} data-testid="board-list">
+          <TaskList tasks={threeTasks} listId="work" onMoveTask={mockOnMoveTask} />
+        </div>
+      );
+      const dataTransfer = createDataTransfer();
+      dataTransfer.setData(LIST_DRAG_TYPE, JSON.stringify({ listId: 'home' }));
+
+      fireEvent.drop(screen.getByTestId('draggable-task-2'), { dataTransfer });
+      expect(mockOnMoveTask).not.toHaveBeenCalled();
+      expect(mockOnBoardDrop).toHaveBeenCalledTimes(1);
+    });
+
+    test('moves the focused task with Alt and the arrow keys', () => {
+      renderReorderable();
+
+      fireEvent.keyDown(screen.getByTestId('draggable-task-2'), { key: 'ArrowUp', altKey: true });
+      expect(mockOnMoveTask).toHaveBeenLastCalledWith(2, 1, 'work');
+
+      fireEvent.keyDown(screen.getByTestId('draggable-task-1'), { key: 'ArrowDown', altKey: true });
+      expect(mockOnMoveTask).toHaveBeenLastCalledWith(1, 3, 'work');
+
+      fireEvent.keyDown(screen.getByTestId('draggable-task-2'), { key: 'ArrowDown', altKey: true });
+      expect(mockOnMoveTask).toHaveBeenLastCalledWith(2, null, 'work');
+
+      // Already at the edges, or without Alt
+      fireEvent.keyDown(screen.getByTestId('draggable-task-1'), { key: 'ArrowUp', altKey: true });
+      fireEvent.keyDown(screen.getByTestId('draggable-task-3'), { key: 'ArrowDown', altKey: true });
+      fireEvent.keyDown(screen.getByTestId('draggable-task-2'), { key: 'ArrowUp' });
+      expect(mockOnMoveTask).toHaveBeenCalledTimes(3);
+
+      fireEvent.keyDown(screen.getByTestId('draggable-task-2'), { key: 'ArrowRight', altKey: true });
+      expect(mockOnMoveToAdjacentList).toHaveBeenCalledWith(2, 1);
+    });
+  });
+
+  describe('selection', () => {
+    const mockOnSelectionChange = vi.fn();
+    const threeTasks = [...mockTasks, { id: 3, title: 'Test Task 3', isCompleted: false }];
+
+    beforeEach(() => {
+      mockOnSelectionChange.mockClear();
+    });
+
+    test('toggles a task with Ctrl or Cmd-click', () => {
+      const { rerender } = render(<TaskList tasks={threeTasks} onSelectionChange={mockOnSelectionChange} />);
+
+      fireEvent.click(screen.getByTestId('mocked-task-2'), { ctrlKey: true });
+      expect(mockOnSelectionChange).toHaveBeenLastCalledWith([2]);
+
+      rerender(<TaskList tasks={threeTasks} selectedTaskIds={[2]} onSelectionChange={mockOnSelectionChange} />);
+      expect(screen.getByTestId('task-item-container-2')).toHaveAttribute('aria-selected', 'true');
+      fireEvent.click(screen.getByTestId('mocked-task-3'), { metaKey: true });
+      expect(mockOnSelectionChange).toHaveBeenLastCalledWith([2, 3]);
+      fireEvent.click(screen.getByTestId('mocked-task-2'), { ctrlKey: true });
+      expect(mockOnSelectionChange).toHaveBeenLastCalledWith([]);
+    });
+
+    test('selects a range with Shift-click', () => {
+      render(<TaskList tasks={threeTasks} onSelectionChange={mockOnSelectionChange} />);
+
+      fireEvent.click(screen.getByTestId('mocked-task-3'), { ctrlKey: true });
+      fireEvent.click(screen.getByTestId('mocked-task-1'), { shiftKey: true });
+      expect(mockOnSelectionChange).toHaveBeenLastCalledWith([1, 2, 3]);
+    });
+
+    test('keeps modified clicks away from the task and plain clicks away from the selection', () => {
+      const mockOnItemClick = vi.fn();
+      render(
+        <div onClick={mockOnItemClick}>
+          <TaskList tasks={threeTasks} onSelectionChange={mockOnSelectionChange} />
+        </div>
+      );
+
+      fireEvent.click(screen.getByTestId('mocked-task-1'), { ctrlKey: true });
+      expect(mockOnItemClick).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByTestId('mocked-task-1'));
+      expect(mockOnItemClick).toHaveBeenCalledTimes(1);
+      expect(mockOnSelectionChange).toHaveBeenCalledTimes(1);
+    });
+
+    test('does nothing without a selection handler', () => {
+      render(<TaskList tasks={threeTasks} />);
+
+      fireEvent.click(screen.getByTestId('mocked-task-1'), { ctrlKey: true });
+      expect(screen.getByTestId('task-item-container-1')).not.toHaveAttribute('aria-selected');
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import React from 'react';
+import { FlagIcon } from '@heroicons/react/24/outline';
+import { PRIORITY_LEVELS } from '../../../common/utils/taskSort';
+
+// Priority selector; the value is a level such as 'P1', or null for no priority
+function TaskPriorityField({ priority, onChange }) {
+  return (
+    <label className="block mb-3">
+      <span className="flex items-center text-xs font-medium text-neutral-500 mb-1">
+        <FlagIcon className="h-3 w-3 mr-1" />
+        Priority
+      </span>
+      <select
+        value={priority || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="w-full py-2 px-3 text-sm text-neutral-800 rounded-lg border border-neutral-200 focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-hidden transition-all"
+        data-testid="priority-select"
+      >
+        <option value="">No priority</option>
+        {PRIORITY_LEVELS.map(level => (
+          <option key={level.value} value={level.value}>{level.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default TaskPriorityField;
@@ -0,0 +1,263 @@
+import React, { useState, useMemo } from 'react';
+import { XMarkIcon, ArrowDownTrayIcon, ArrowUpTrayIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { useTaskContext } from '../../../context/TaskContext';
+import { useTagContext } from '../../../context/TagContext';
+import { useListContext } from '../../../context/ListContext';
+import { useHistoryContext } from '../../../context/HistoryContext';
+import { BoardTransferService, TRANSFER_FORMATS } from '../../../common/utils/BoardTransferService';
+import SeedData from './SeedData';
+
+// How many changed items to name in the preview before summarising
+const PREVIEW_ITEM_LIMIT = 5;
+
+// Offer text as a file download
+const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const hasChanges = (change) => change.created.length + change.updated.length + change.removed.length > 0;
+
+// One line of the preview diff, e.g. "Tasks: 2 new, 1 updated"
+function ChangeSummary({ label, change, describe, testId }) {
+  const counts = [
+    change.created.length > 0 && `${change.created.length} new`,
+    change.updated.length > 0 && `${change.updated.length} updated`,
+    change.removed.length > 0 && `${change.removed.length} removed`
+  ].filter(Boolean);
+  const items = [
+    ...change.created.map(item => `+ ${describe(item)}`),
+    ...change.updated.map(item => `~ ${describe(item)}`),
+    ...change.removed.map(item => `- ${describe(item)}`)
+  ];
+
+  return (
+    <div className="text-sm" data-testid={testId}>
+      <p className="font-medium text-neutral-700">
+        {label}: {counts.length > 0 ? counts.join(', ') : 'no changes'}
+      </p>
+      {items.length > 0 && (
+        <ul className="mt-1 ml-2 font-mono text-xs text-neutral-600">
+          {items.slice(0, PREVIEW_ITEM_LIMIT).map((item, index) => (
+            <li key={index} className={item.startsWith('-') ? 'text-rose-600' : item.startsWith('+') ? 'text-green-700' : ''}>
+              {item}
+            </li>
+          ))}
+          {items.length > PREVIEW_ITEM_LIMIT && <li>…and {items.length - PREVIEW_ITEM_LIMIT} more</li>}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function BoardTransfer({ onClose }) {
+  const { tasks, replaceTasks } = useTaskContext();
+  const { tags, replaceTags } = useTagContext();
+  const { taskLists, replaceTaskLists } = useListContext();
+  const { record } = useHistoryContext();
+
+  const [importText, setImportText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState('auto');
+  const [mode, setMode] = useState('merge');
+
+  const handleExport = (exportFormat) => {
+    const date = new Date().toISOString().slice(0, 10);
+    const { extension, mimeType } = TRANSFER_FORMATS[exportFormat];
+    const content = exportFormat === 'json'
+      ? BoardTransferService.exportJSON({ tasks, tags, taskLists })
+      : exportFormat === 'csv'
+        ? BoardTransferService.exportCSV(tasks)
+        : BoardTransferService.exportMarkdown(tasks);
+    downloadFile(content, `task-dashboard-${date}.${extension}`, mimeType);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setImportText(await file.text());
+  };
+
+  const detectedFormat = format === 'auto' ? BoardTransferService.detectFormat(importText, fileName) : format;
+
+  // Parse and diff the import as it is edited, so the preview is always current
+  const preview = useMemo(() => {
+    if (!importText.trim()) return null;
+    const { board, errors } = BoardTransferService.parse(importText, detectedFormat);
+    if (!board) return { errors };
+    return { errors, ...BoardTransferService.previewImport({ tasks, tags, taskLists }, board, mode) };
+  }, [importText, detectedFormat, mode, tasks, tags, taskLists]);
+
+  const canApply = Boolean(preview && preview.next) && Object.values(preview.changes).some(hasChanges);
+
+  const handleApply = () => {
+    if (!canApply) return;
+    const { next, changes } = preview;
+    // One undoable step for the whole import
+    record('Board imported', { destructive: mode === 'replace' });
+    if (hasChanges(changes.tasks)) replaceTasks(next.tasks);
+    if (hasChanges(changes.tags)) replaceTags(next.tags);
+    if (hasChanges(changes.taskLists)) replaceTaskLists(next.taskLists);
+    onClose();
+  };
+
+  return (
+    <div className="board-transfer bg-white rounded-xl shadow-lg p-5 text-left" data-testid="board-transfer">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-medium text-neutral-800">Import / Export</h3>
+        <button
+          className="p-2 text-neutral-500 hover:text-neutral-700 hover:bg-neutral-100 rounded-full transition-colors"
+          onClick={onClose}
+          data-testid="close-board-transfer"
+        >
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      {/* Export */}
+      <div className="mb-5">
+        <h4 className="text-sm font-medium text-neutral-700 mb-2">Export</h4>
+        <div className="flex flex-wrap gap-2">
+          {[
+            ['json', 'Board (JSON)'],
+            ['csv', 'Tasks (CSV)'],
+            ['markdown', 'Checklist (Markdown)']
+          ].map(([exportFormat, label]) => (
+            <button
+              key={exportFormat}
+              type="button"
+              onClick={() => handleExport(exportFormat)}
+              className="inline-flex items-center px-3 py-1.5 rounded-lg text-sm bg-neutral-100 text-neutral-700 hover:bg-neutral-200"
+              data-testid={`export-${exportFormat}`}
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-1.5" />
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Seed data */}
+      <div className="mb-5">
+        <SeedData onDone={onClose} />
+      </div>
+
+      {/* Import */}
+      <div>
+        <h4 className="text-sm font-medium text-neutral-700 mb-2">Import</h4>
+        <input
+          type="file"
+          accept=".json,.csv,.md,.markdown,application/json,text/csv,text/markdown"
+          onChange={handleFileChange}
+          className="block w-full text-sm text-neutral-600 mb-2"
+          data-testid="import-file-input"
+        />
+        <textarea
+          value={importText}
+          onChange={(e) => setImportText(e.target.value)}
+          rows={5}
+          className="w-full px-3 py-2 border border-neutral-300 rounded-md text-xs font-mono focus:outline-hidden focus:ring-1 focus:ring-primary-500"
+          placeholder="…or paste JSON, CSV or a Markdown checklist"
+          data-testid="import-text"
+        />
+
+        <div className="flex flex-wrap items-center gap-4 mt-2 text-sm">
+          <label className="flex items-center gap-2">
+            Format
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="border border-neutral-300 rounded-md px-2 py-1 text-sm"
+              data-testid="import-format"
+            >
+              <option value="auto">Detect{importText.trim() ? ` (${TRANSFER_FORMATS[detectedFormat].label})` : ''}</option>
+              {Object.entries(TRANSFER_FORMATS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            <input
+              type="radio"
+              name="import-mode"
+              checked={mode === 'merge'}
+              onChange={() => setMode('merge')}
+              data-testid="import-mode-merge"
+            />
+            Merge
+          </label>
+          <label className="flex items-center gap-1">
+            <input
+              type="radio"
+              name="import-mode"
+              checked={mode === 'replace'}
+              onChange={() => setMode('replace')}
+              data-testid="import-mode-replace"
+            />
+            Replace
+          </label>
+        </div>
+
+        {/* Preview */}
+        {preview && (
+          <div className="mt-3 p-3 bg-neutral-50 rounded-lg flex flex-col gap-2" data-testid="import-preview">
+            {preview.errors.length > 0 && (
+              <ul className="text-xs text-rose-600" data-testid="import-errors">
+                {preview.errors.map((error, index) => (
+                  <li key={index} className="flex items-center gap-1">
+                    <ExclamationTriangleIcon className="h-3 w-3 shrink-0" />
+                    {error}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {preview.changes && (
+              <>
+                <ChangeSummary
+                  label="Tasks"
+                  change={preview.changes.tasks}
+                  describe={task => task.title}
+                  testId="import-summary-tasks"
+                />
+                <ChangeSummary
+                  label="Tags"
+                  change={preview.changes.tags}
+                  describe={tag => tag}
+                  testId="import-summary-tags"
+                />
+                <ChangeSummary
+                  label="Lists"
+                  change={preview.changes.taskLists}
+                  describe={list => list.title}
+                  testId="import-summary-lists"
+                />
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end mt-3">
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={!canApply}
+            className="inline-flex items-center px-4 py-2 rounded-md text-sm font-medium bg-primary-500 text-white hover:bg-primary-600 disabled:opacity-50 disabled:cursor-not-allowed"
+            data-testid="apply-import"
+          >
+            <ArrowUpTrayIcon className="h-4 w-4 mr-1.5" />
+            {mode === 'replace' ? 'Replace board' : 'Merge into board'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BoardTransfer;
@@ -0,0 +1,124 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import BoardTransfer from './BoardTransfer';
+
+const mockTasks = [
+  { id: 1, title: 'Keynote', description: '', isCompleted: false, tags: ['Build'] },
+  { id: 2, title: 'Lab', description: '', isCompleted: true, tags: [] }
+];
+const mockTaskLists = [{ id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] } }];
+
+const mockReplaceTasks = vi.fn();
+const mockReplaceTags = vi.fn();
+const mockReplaceTaskLists = vi.fn();
+const mockRecord = vi.fn();
+const mockOnClose = vi.fn();
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({
+    tasks: mockTasks,
+    replaceTasks: mockReplaceTasks
+  })
+}));
+
+vi.mock('../../../context/TagContext', () => ({
+  useTagContext: () => ({
+    tags: [{ id: 'Build', name: 'Build' }],
+    replaceTags: mockReplaceTags
+  })
+}));
+
+vi.mock('../../../context/ListContext', () => ({
+  useListContext: () => ({
+    taskLists: mockTaskLists,
+    replaceTaskLists: mockReplaceTaskLists
+  })
+}));
+
+vi.mock('../../../context/HistoryContext', () => ({
+  useHistoryContext: () => ({
+    record: mockRecord
+  })
+}));
+
+describe('BoardTransfer Component', () => {
+  beforeEach(() => {
+    mockReplaceTasks.mockClear();
+    mockReplaceTags.mockClear();
+    mockReplaceTaskLists.mockClear();
+    mockRecord.mockClear();
+    mockOnClose.mockClear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('downloads exports in each format', () => {
+    const createObjectURL = vi.fn(() => 'blob:export');
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    render(<BoardTransfer onClose={mockOnClose} />);
+
+    fireEvent.click(screen.getByTestId('export-json'));
+    fireEvent.click(screen.getByTestId('export-csv'));
+    fireEvent.click(screen.getByTestId('export-markdown'));
+
+    expect(createObjectURL).toHaveBeenCalledTimes(3);
+    expect(createObjectURL.mock.calls.map(([blob]) => blob.type)).toEqual(['application/json', 'text/csv', 'text/markdown']);
+    expect(click).toHaveBeenCalledTimes(3);
+    click.mockRestore();
+  });
+
+  test('previews a pasted Markdown checklist and merges it', () => {
+    render(<BoardTransfer onClose={mockOnClose} />);
+    expect(screen.getByTestId('apply-import')).toBeDisabled();
+
+    fireEvent.change(screen.getByTestId('import-text'), {
+      target: { value: '- [x] Keynote #Build\n- [ ] Write recap #Blog' }
+    });
+
+    expect(screen.getByTestId('import-format')).toHaveTextContent('Detect (Markdown)');
+    expect(screen.getByTestId('import-summary-tasks')).toHaveTextContent('Tasks: 2 new');
+    expect(screen.getByTestId('import-summary-tags')).toHaveTextContent('Tags: 1 new');
+    expect(screen.getByTestId('import-summary-lists')).toHaveTextContent('Lists: no changes');
+
+    fireEvent.click(screen.getByTestId('apply-import'));
+    expect(mockRecord).toHaveBeenCalledWith('Board imported', { destructive: false });
+    expect(mockReplaceTasks).toHaveBeenCalledWith([
+      ...mockTasks,
+      { id: expect.stringMatching(/^task-/), title: 'Keynote', description: '', isCompleted: true, tags: ['Build'] },
+      { id: expect.stringMatching(/^task-/), title: 'Write recap', description: '', isCompleted: false, tags: ['Blog'] }
+    ]);
+    expect(mockReplaceTags.mock.calls[0][0].map(tag => tag.name)).toEqual(['Build', 'Blog']);
+    expect(mockReplaceTaskLists).not.toHaveBeenCalled();
+    expect(mockOnClose).toHaveBeenCalled();
+  });
+
+  test('shows removals when replacing the board', () => {
+    render(<BoardTransfer onClose={mockOnClose} />);
+
+    fireEvent.change(screen.getByTestId('import-text'), {
+      target: { value: JSON.stringify({ tasks: [mockTasks[0]] }) }
+    });
+    fireEvent.click(screen.getByTestId('import-mode-replace'));
+
+    expect(screen.getByTestId('import-summary-tasks')).toHaveTextContent('Tasks: 1 removed');
+    expect(screen.getByTestId('import-summary-tasks')).toHaveTextContent('- Lab');
+
+    fireEvent.click(screen.getByTestId('apply-import'));
+    expect(mockRecord).toHaveBeenCalledWith('Board imported', { destructive: true });
+    expect(mockReplaceTasks).toHaveBeenCalledWith([mockTasks[0]]);
+  });
+
+  test('lists validation errors and blocks unreadable imports', () => {
+    render(<BoardTransfer onClose={mockOnClose} />);
+
+    fireEvent.change(screen.getByTestId('import-format'), { target: { value: 'json' } });
+    fireEvent.change(screen.getByTestId('import-text'), { target: { value: '{ not json' } });
+
+    expect(screen.getByTestId('import-errors')).toHaveTextContent('The file is not valid JSON');
+    expect(screen.getByTestId('apply-import')).toBeDisabled();
+  });
+});
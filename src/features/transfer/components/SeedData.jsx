@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { SparklesIcon } from '@heroicons/react/24/outline';
+import { useHydration } from '../../../common/hooks/useHydration';
+import { SEED_TEMPLATES, HYDRATION_STRATEGIES } from '../../../common/utils/DataHydrationService';
+
+// Loads a bundled seed template or a JSON file into the board; calls onDone once the board has changed
+function SeedData({ onDone }) {
+  const hydrate = useHydration();
+  const [sourceName, setSourceName] = useState(Object.keys(SEED_TEMPLATES)[0]);
+  const [file, setFile] = useState(null);
+  const [strategy, setStrategy] = useState('skip-if-nonempty');
+  const [isLoading, setIsLoading] = useState(false);
+  const [unchanged, setUnchanged] = useState(false);
+
+  const isFile = sourceName === 'file';
+  const canLoad = !isLoading && (!isFile || Boolean(file));
+
+  const handleLoad = async () => {
+    if (!canLoad) return;
+    setIsLoading(true);
+    setUnchanged(false);
+    const source = isFile ? { type: 'file', file } : { type: 'template', name: sourceName };
+    const changed = await hydrate(source, strategy);
+    setIsLoading(false);
+    if (changed) {
+      onDone();
+    } else {
+      setUnchanged(true);
+    }
+  };
+
+  return (
+    <div data-testid="seed-data">
+      <h4 className="text-sm font-medium text-neutral-700 mb-2">Seed data</h4>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={sourceName}
+          onChange={(e) => { setSourceName(e.target.value); setUnchanged(false); }}
+          className="border border-neutral-300 rounded-md px-2 py-1 text-sm"
+          aria-label="Seed data source"
+          data-testid="seed-source"
+        >
+          {Object.entries(SEED_TEMPLATES).map(([name, template]) => (
+            <option key={name} value={name}>{template.name}</option>
+          ))}
+          <option value="file">From a JSON file…</option>
+        </select>
+        <select
+          value={strategy}
+          onChange={(e) => { setStrategy(e.target.value); setUnchanged(false); }}
+          className="border border-neutral-300 rounded-md px-2 py-1 text-sm"
+          aria-label="How to combine it with the board"
+          data-testid="seed-strategy"
+        >
+          {Object.entries(HYDRATION_STRATEGIES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleLoad}
+          disabled={!canLoad}
+          className="inline-flex items-center px-3 py-1.5 rounded-lg text-sm bg-neutral-100 text-neutral-700 hover:bg-neutral-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          data-testid="load-seed"
+        >
+          <SparklesIcon className="h-4 w-4 mr-1.5" />
+          {isLoading ? 'Loading…' : 'Load'}
+        </button>
+      </div>
+      {isFile && (
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => { setFile(e.target.files[0] || null); setUnchanged(false); }}
+          className="block w-full text-sm text-neutral-600 mt-2"
+          data-testid="seed-file-input"
+        />
+      )}
+      {unchanged && (
+        <p className="mt-2 text-xs text-neutral-500" data-testid="seed-unchanged">
+          Nothing was loaded: the seed data is already on the board, or the board isn't empty.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SeedData;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { vi } from 'vitest';
+import SeedData from './SeedData';
+
+let mockTasks = [];
+const mockReplaceTasks = vi.fn();
+const mockReplaceTags = vi.fn();
+const mockReplaceTaskLists = vi.fn();
+const mockRecord = vi.fn();
+const mockReportError = vi.fn();
+const mockOnDone = vi.fn();
+
+vi.mock('../../../context/TaskContext', () => ({
+  useTaskContext: () => ({ tasks: mockTasks, replaceTasks: mockReplaceTasks, isLoaded: true })
+}));
+
+vi.mock('../../../context/TagContext', () => ({
+  useTagContext: () => ({ tags: [], replaceTags: mockReplaceTags, isLoaded: true })
+}));
+
+vi.mock('../../../context/ListContext', () => ({
+  useListContext: () => ({
+    taskLists: [{ id: 'default', title: 'All Tasks', filters: { op: 'and', children: [] } }],
+    replaceTaskLists: mockReplaceTaskLists,
+    isLoaded: true
+  })
+}));
+
+vi.mock('../../../context/HistoryContext', () => ({
+  useHistoryContext: () => ({ record: mockRecord })
+}));
+
+vi.mock('../../../context/SyncContext', () => ({
+  useSyncContext: () => ({ reportError: mockReportError })
+}));
+
+describe('SeedData Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockTasks = [];
+  });
+
+  test('loads a bundled template into an empty board', async () => {
+    render(<SeedData onDone={mockOnDone} />);
+
+    fireEvent.change(screen.getByTestId('seed-source'), { target: { value: 'universe2025' } });
+    fireEvent.click(screen.getByTestId('load-seed'));
+
+    await waitFor(() => expect(mockOnDone).toHaveBeenCalled());
+    expect(mockRecord).toHaveBeenCalledWith('Seed data loaded', { destructive: false });
+    const seededTasks = mockReplaceTasks.mock.calls[0][0];
+    expect(seededTasks.length).toBeGreaterThan(0);
+    expect(seededTasks.every(task => task.tags.includes('Universe'))).toBe(true);
+    expect(mockReplaceTaskLists.mock.calls[0][0].map(list => list.id)).toEqual(['default', 'github-universe-2025']);
+  });
+
+  test('leaves a board with tasks alone unless told to merge or replace', async () => {
+    mockTasks = [{ id: 1, title: 'Mine', description: '', isCompleted: false, tags: [] }];
+    render(<SeedData onDone={mockOnDone} />);
+
+    fireEvent.click(screen.getByTestId('load-seed'));
+    expect(await screen.findByTestId('seed-unchanged')).toBeInTheDocument();
+    expect(mockReplaceTasks).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByTestId('seed-strategy'), { target: { value: 'replace' } });
+    fireEvent.click(screen.getByTestId('load-seed'));
+
+    await waitFor(() => expect(mockOnDone).toHaveBeenCalled());
+    expect(mockRecord).toHaveBeenCalledWith('Seed data loaded', { destructive: true });
+    expect(mockReplaceTasks.mock.calls[0][0].some(task => task.id === 1)).toBe(false);
+  });
+
+  test('needs a file before loading from one', () => {
+    render(<SeedData onDone={mockOnDone} />);
+
+    fireEvent.change(screen.getByTestId('seed-source'), { target: { value: 'file' } });
+    expect(screen.getByTestId('seed-file-input')).toBeInTheDocument();
+    expect(screen.getByTestId('load-seed')).toBeDisabled();
+  });
+});
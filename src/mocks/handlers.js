@@ -0,0 +1,53 @@
+import { http, HttpResponse } from 'msw';
+import { SYNC_RESOURCES } from '../common/utils/SyncService';
+
+/**
+ * Create an in-memory database for the REST stand-in
+ * @param {Object} seed - Initial records per resource, e.g. { tasks: [...] }
+ * @returns {Object} Map of resource name to array of records
+ */
+export const createMockDatabase = (seed = {}) => {
+  return Object.keys(SYNC_RESOURCES).reduce((db, resource) => {
+    db[resource] = [...(seed[resource] || [])];
+    return db;
+  }, {});
+};
+
+/**
+ * Create MSW request handlers that stand in for the sync REST API
+ * @param {string} baseUrl - API root the handlers answer on
+ * @param {Object} db - Database created with createMockDatabase
+ * @returns {Array} MSW request handlers
+ */
+export const createSyncHandlers = (baseUrl, db) => {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  return Object.entries(SYNC_RESOURCES).flatMap(([resource, path]) => [
+    http.get(`${root}${path}`, () => HttpResponse.json(db[resource])),
+
+    http.post(`${root}${path}`, async ({ request }) => {
+      const item = await request.json();
+      db[resource].push(item);
+      return HttpResponse.json(item, { status: 201 });
+    }),
+
+    http.put(`${root}${path}/:id`, async ({ params, request }) => {
+      const index = db[resource].findIndex(item => String(item.id) === params.id);
+      if (index === -1) {
+        return new HttpResponse(null, { status: 404 });
+      }
+      const item = await request.json();
+      db[resource][index] = item;
+      return HttpResponse.json(item);
+    }),
+
+    http.delete(`${root}${path}/:id`, ({ params }) => {
+      const index = db[resource].findIndex(item => String(item.id) === params.id);
+      if (index === -1) {
+        return new HttpResponse(null, { status: 404 });
+      }
+      db[resource].splice(index, 1);
+      return new HttpResponse(null, { status: 204 });
+    })
+  ]);
+};